@@ -925,7 +925,7 @@ router.post('/export', asyncErrorHandler(async (req, res) => {
 // Download exported file
 router.get('/download/:filename', asyncErrorHandler(async (req, res) => {
     try {
-        const { filename } = req.params;
+        const filename = path.basename(req.params.filename);
         const filepath = path.join(contentFormatterInstance.exportDirectory, filename);
         
         // Check if file exists
@@ -952,8 +952,8 @@ router.get('/download/:filename', asyncErrorHandler(async (req, res) => {
         res.setHeader('Content-Type', mimeType);
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
         
-        // Stream the file
-        const fileStream = fs.createReadStream(filepath);
+        // Stream the file (fs here is the promises API, which has no createReadStream)
+        const fileStream = require('fs').createReadStream(filepath);
         fileStream.pipe(res);
         
     } catch (error) {
@@ -974,7 +974,7 @@ router.get('/export/formats', asyncErrorHandler(async (req, res) => {
             txt: 'Plain text format with optional formatting',
             html: 'HTML format with CSS styling',
             pdf: 'PDF-ready HTML (requires PDF conversion service)',
-            docx: 'Structured data for DOCX generation (requires DOCX library)'
+            docx: 'Microsoft Word document with title page, page numbers, footnotes and reference list'
         }
     });
 }));
@@ -1003,7 +1003,11 @@ router.post('/export/preview', asyncErrorHandler(async (req, res) => {
         res.json({
             success: true,
             preview: {
-                content: formattedResult.content,
+                // Binary formats are returned base64-encoded
+                content: Buffer.isBuffer(formattedResult.content)
+                    ? formattedResult.content.toString('base64')
+                    : formattedResult.content,
+                encoding: Buffer.isBuffer(formattedResult.content) ? 'base64' : 'utf8',
                 format: formattedResult.format,
                 size: formattedResult.size,
                 filename: formattedResult.filename
@@ -67,6 +67,62 @@ class ServiceConfig {
                     'study', 'analysis', 'paper', 'article', 'journal',
                     'academic', 'scholar'
                 ]
+            },
+
+            // LLM Provider Configuration (see services/llmProvider.js)
+            llm: {
+                // Route every tool to one provider, e.g. LLM_PROVIDER=mock for tests
+                forceProvider: process.env.LLM_PROVIDER || null,
+                providers: {
+                    gemini: {
+                        apiKey: process.env.GEMINI_API_KEY,
+                        defaultModel: 'gemini-2.5-flash'
+                    },
+                    openai: {
+                        // Any OpenAI-compatible server: OpenAI, vLLM, llama.cpp, LM Studio...
+                        baseUrl: process.env.OPENAI_BASE_URL,
+                        apiKey: process.env.OPENAI_API_KEY,
+                        defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+                        timeout: 120000
+                    },
+                    mock: {
+                        defaultModel: 'mock'
+                    }
+                },
+                // Default provider/model per tool
+                tools: {
+                    writer: { provider: 'gemini', model: 'gemini-2.5-flash' },
+                    writerPremium: { provider: 'gemini', model: 'gemini-2.5-pro' },
+                    multiPartDraft: { provider: 'gemini', model: 'gemini-2.5-flash' },
+                    multiPartRefine: { provider: 'gemini', model: 'gemini-2.5-pro' },
+                    detector: { provider: 'gemini', model: 'gemini-2.5-pro' },
+                    citations: { provider: 'gemini', model: 'gemini-2.5-pro' },
+                    research: { provider: 'gemini', model: 'gemini-2.5-pro' },
+                    rubricAssessment: { provider: 'gemini', model: 'gemini-2.5-flash' },
+                    promptEngineer: { provider: 'gemini', model: 'gemini-2.0-flash-exp' }
+                },
+                // Per-plan overrides, keyed by plan type then tool
+                // e.g. freemium: { writer: { provider: 'openai', model: 'llama-3.1-8b-instruct' } }
+                planOverrides: {
+                    freemium: {},
+                    pro: {},
+                    custom: {}
+                },
+                // USD per 1M tokens, used by services/llmUsageLedger.js to cost each call
+                // Models missing here are recorded with costUsd: null
+                pricing: {
+                    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+                    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+                    'gemini-2.0-flash-exp': { input: 0.10, output: 0.40 },
+                    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+                    mock: { input: 0, output: 0 }
+                },
+                // Revenue per credit by plan (pro: $9.99 / 2,000 credits, custom: $1 / 220 credits)
+                creditValueUsd: {
+                    freemium: 0,
+                    pro: 0.004995,
+                    custom: 0.004545
+                }
             }
         };
     }
@@ -34,6 +34,8 @@ const unifiedAuth = async (req, res, next) => {
                 emailVerified: decodedToken.email_verified,
                 displayName: decodedToken.name,
                 photoURL: decodedToken.picture,
+                // Firebase custom claim checked by requireAdmin
+                admin: decodedToken.admin === true,
                 // For backward compatibility with existing routes
                 userId: decodedToken.uid
             };
@@ -134,36 +136,37 @@ const firebaseAuth = async (req, res, next) => {
 };
 
 /**
- * Admin-only authentication middleware
+ * Admin-claim check; run after unifiedAuth, which has already answered requests
+ * without a valid token
  */
-const adminAuth = async (req, res, next) => {
-    try {
-        // First authenticate the user
-        await unifiedAuth(req, res, () => {});
-        
-        // Check if user has admin privileges
-        if (!req.user.admin && !req.user.firebase?.admin) {
-            return res.status(403).json({ 
-                error: 'Access denied',
-                message: 'Administrator privileges required'
-            });
-        }
-        
-        next();
-        
-    } catch (error) {
-        console.error('Admin authentication error:', error);
-        return res.status(500).json({ 
-            error: 'Authentication service error',
-            message: 'An error occurred while verifying admin privileges'
+const requireAdmin = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            code: 'AUTH_REQUIRED'
+        });
+    }
+
+    if (!req.user.admin && !req.user.firebase?.admin) {
+        return res.status(403).json({ 
+            error: 'Access denied',
+            message: 'Administrator privileges required'
         });
     }
+
+    return next();
 };
 
+/**
+ * Admin-only authentication middleware (unifiedAuth followed by requireAdmin)
+ */
+const adminAuth = (req, res, next) => unifiedAuth(req, res, () => requireAdmin(req, res, next));
+
 module.exports = {
     unifiedAuth,
     firebaseAuth,
     adminAuth,
+    requireAdmin,
     // Legacy exports for backward compatibility
     authenticateToken: unifiedAuth,
     verifyFirebaseToken: firebaseAuth,
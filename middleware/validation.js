@@ -2,6 +2,8 @@ const { body, param, query, validationResult } = require('express-validator');
 const { validationErrorHandler } = require('./errorHandler');
 const { logger } = require('../utils/logger');
 const DOMPurify = require('isomorphic-dompurify');
+const languageSupport = require('../utils/languageSupport');
+const assignmentTypes = require('../services/assignmentTypes');
 
 /**
  * Middleware to handle validation results
@@ -67,8 +69,9 @@ const validationRules = {
         .isLength({ min: 10, max: 2000 })
         .withMessage('Assignment description must be between 10 and 2000 characters'),
     
+    // Any registered assignment type or alias; the type selects the section schema
     assignmentType: body('type')
-        .isIn(['essay', 'research', 'report', 'analysis', 'creative', 'technical'])
+        .custom((value) => Boolean(value) && assignmentTypes.isKnownType(value))
         .withMessage('Invalid assignment type'),
     
     wordCount: body('wordCount')
@@ -291,6 +294,15 @@ const validationChains = {
             .optional()
             .isBoolean()
             .withMessage('readabilityAnalysis must be a boolean'),
+        body('language')
+            .optional()
+            .custom((value) => languageSupport.isSupportedLanguage(value))
+            .withMessage('Language must be a supported language code'),
+        body('styleProfileId')
+            .optional()
+            .isString()
+            .isLength({ max: 128 })
+            .withMessage('styleProfileId must be a profile ID'),
         handleValidationErrors
     ],
 
@@ -349,10 +361,39 @@ const validationChains = {
             .optional()
             .isIn(['Formal', 'Informal', 'Persuasive', 'Informative', 'Conversational'])
             .withMessage('Tone must be one of: Formal, Informal, Persuasive, Informative, Conversational'),
+        body('language')
+            .optional()
+            .custom((value) => languageSupport.isSupportedLanguage(value))
+            .withMessage('Language must be a supported language code'),
+        body('styleProfileId')
+            .optional()
+            .isString()
+            .isLength({ max: 128 })
+            .withMessage('styleProfileId must be a profile ID'),
+        // Chinese and Japanese lengths are given in characters, so the range scales with the language
         body('wordCount')
             .optional()
-            .isInt({ min: 100, max: 2000 })
-            .withMessage('Word count must be between 100 and 2000'),
+            .custom((value, { req }) => {
+                const range = languageSupport.lengthRange(100, 2000, req.body.language);
+                const count = Number(value);
+                if (!Number.isInteger(count) || count < range.min || count > range.max) {
+                    throw new Error(`Word count must be between ${range.min} and ${range.max} ${range.unit}`);
+                }
+                return true;
+            }),
+        body('wordCountTargeting')
+            .optional()
+            .isBoolean()
+            .withMessage('wordCountTargeting must be a boolean'),
+        body('wordCountTolerance')
+            .optional()
+            .isFloat({ min: 0.01, max: 0.2 })
+            .withMessage('Word count tolerance must be a fraction between 0.01 and 0.2'),
+        body('wordCountOptions')
+            .optional()
+            .custom((value) => (typeof value === 'object' && value !== null && !Array.isArray(value)) ||
+                (typeof value === 'string' && value.length <= 500))
+            .withMessage('wordCountOptions must be an object with excludeHeadings, excludeReferences or excludeCitations flags'),
         body('qualityTier')
             .optional()
             .isIn(['standard', 'premium'])
@@ -361,6 +402,10 @@ const validationChains = {
             .optional()
             .isIn(['general', 'assignment'])
             .withMessage('Content type must be either general or assignment'),
+        body('assignmentType')
+            .optional()
+            .custom((value) => assignmentTypes.isKnownType(value))
+            .withMessage('Assignment type must be one of the types listed by /api/writer/assignment-types'),
         body('assignmentTitle')
             .optional()
             .trim()
@@ -370,6 +415,19 @@ const validationChains = {
             .optional()
             .isIn(['APA', 'MLA', 'Chicago', 'Harvard', 'IEEE'])
             .withMessage('Citation style must be one of: APA, MLA, Chicago, Harvard, IEEE'),
+        body('rubric')
+            .optional()
+            .custom((value) => (typeof value === 'string' && value.length <= 20000) ||
+                (typeof value === 'object' && value !== null && Array.isArray(value.criteria)))
+            .withMessage('Rubric must be pasted text (max 20000 characters) or an object with a criteria array'),
+        body('onlyMySources')
+            .optional()
+            .isBoolean()
+            .withMessage('onlyMySources must be a boolean'),
+        body('sourceMetadata')
+            .optional()
+            .custom((value) => Array.isArray(value) || (typeof value === 'string' && value.length <= 20000))
+            .withMessage('Source metadata must be an array or a JSON string (max 20000 characters)'),
         handleValidationErrors
     ]
 };
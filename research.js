@@ -3,9 +3,19 @@ const ResearchService = require('./services/researchService');
 const AtomicCreditSystem = require('./services/atomicCreditSystem');
 const PlanValidator = require('./services/planValidator');
 const PDFGenerator = require('./services/pdfGenerator');
+const DocxWriter = require('./services/docxWriter');
+const LatexExporter = require('./services/latexExporter');
+const ContentFormatter = require('./services/contentFormatter');
 const { unifiedAuth } = require('./middleware/unifiedAuth');
 const { asyncErrorHandler } = require('./middleware/errorHandler');
 const { validateResearchInput, handleValidationErrors } = require('./middleware/validation');
+const jobQueue = require('./services/jobQueue');
+const { wantsBackgroundJob, sendJobAccepted } = require('./routes/jobs');
+const languageSupport = require('./utils/languageSupport');
+const { parseDocument } = require('./utils/documentModel');
+const renderers = require('./utils/documentRenderers');
+const { researchDate, reportMarkdown } = require('./utils/researchReport');
+const { throwIfAborted } = require('./utils/cancellation');
 
 const router = express.Router();
 
@@ -14,19 +24,174 @@ const researchService = new ResearchService();
 const atomicCreditSystem = new AtomicCreditSystem();
 const planValidator = new PlanValidator();
 const pdfGenerator = new PDFGenerator();
+const docxWriter = new DocxWriter();
+const latexExporter = new LatexExporter();
+const contentFormatter = new ContentFormatter();
+
+/**
+ * Run a research query once credits have been reserved
+ * Shared by the synchronous /query route and the 'research.query' background job.
+ * `signal` stops the research and is checked again before credits are settled and before
+ * history and usage are written. `onRefund(credits)` is called before excess credits are
+ * refunded (and with a negative amount if the refund fails), so the caller's rollback only
+ * restores the rest; it returns false when the hold was already given back.
+ * @param {Object} options - Research options
+ * @returns {Promise<Object>} Response payload
+ */
+const runResearchQuery = async ({
+  userId,
+  query,
+  researchType,
+  depth,
+  sources,
+  saveToHistory,
+  planType,
+  estimatedCredits,
+  creditDeductionResult,
+  language = 'en',
+  onProgress = null,
+  onRefund = async () => true,
+  signal = null
+}) => {
+  // Step 4: Conduct research
+  if (onProgress) onProgress({ stage: 'researching', percent: 10 });
+  const startTime = Date.now();
+  const researchResult = await researchService.conductResearch(
+    query,
+    researchType,
+    depth,
+    sources,
+    userId,
+    planType,
+    language,
+    signal
+  );
+  const processingTime = Date.now() - startTime;
+  throwIfAborted(signal);
+
+  // Step 5: Calculate actual credits based on output (in English word equivalents)
+  const outputWords = languageSupport.toWordEquivalents(researchResult.wordCount, language);
+  const actualCredits = researchService.calculateResearchCredits(outputWords, depth);
+  
+  // Step 6: Adjust credits if needed (refund or charge difference)
+  let finalCreditsUsed = creditDeductionResult.creditsDeducted;
+  if (actualCredits !== estimatedCredits) {
+    const creditDifference = actualCredits - estimatedCredits;
+    if (creditDifference > 0) {
+      // Need to charge more credits
+      const additionalDeduction = await atomicCreditSystem.deductCreditsAtomic(
+        userId,
+        creditDifference,
+        planType
+      );
+      if (additionalDeduction.success) {
+        finalCreditsUsed += creditDifference;
+      }
+    } else if (creditDifference < 0) {
+      // Refund excess credits
+      const excessCredits = Math.abs(creditDifference);
+      if (await onRefund(excessCredits)) {
+        try {
+          await atomicCreditSystem.refundCredits(
+            userId,
+            excessCredits,
+            creditDeductionResult.transactionId
+          );
+        } catch (refundError) {
+          await onRefund(-excessCredits);
+          throw refundError;
+        }
+      }
+      finalCreditsUsed = actualCredits;
+    }
+  }
+
+  if (onProgress) onProgress({ stage: 'saving', percent: 90 });
+  throwIfAborted(signal);
+
+  // Step 7: Save to research history with enhanced data
+  let researchId = null;
+  if (saveToHistory) {
+    researchId = await researchService.saveResearchToHistory(
+      userId,
+      researchResult.data,
+      {
+        ...researchResult.metadata,
+        processingTime,
+        creditsUsed: finalCreditsUsed,
+        transactionId: creditDeductionResult.transactionId,
+        citations: researchResult.data.citations,
+        sourceValidation: researchResult.data.sourceValidation,
+        recommendations: researchResult.data.recommendations,
+        qualityScore: researchResult.data.qualityScore
+      }
+    );
+  }
+
+  // Step 8: Record usage
+  throwIfAborted(signal);
+  await planValidator.recordUsage(
+    userId,
+    outputWords,
+    finalCreditsUsed,
+    'research'
+  );
+
+  // Step 9: Return research results
+  return {
+    success: true,
+    data: {
+      researchId,
+      query,
+      researchType,
+      depth,
+      results: researchResult.data,
+      metadata: {
+        wordCount: researchResult.wordCount,
+        language,
+        lengthUnit: languageSupport.getLanguage(language).unit,
+        processingTime,
+        creditsUsed: finalCreditsUsed,
+        timestamp: new Date().toISOString(),
+        sources: researchResult.data.sources || [],
+        citations: researchResult.data.citations || [],
+        sourceValidation: researchResult.data.sourceValidation || {},
+        recommendations: researchResult.data.recommendations || [],
+        qualityScore: researchResult.data.qualityScore || 0
+      }
+    }
+  };
+};
+
+// Background execution of /query requests submitted with async=true
+jobQueue.registerHandler('research.query', async (job, context) => {
+  return runResearchQuery({
+    ...job.payload,
+    userId: job.userId,
+    onProgress: context.reportProgress,
+    onRefund: context.recordRefund,
+    signal: context.signal
+  });
+});
 
 /**
  * POST /api/research/query
  * Conduct deep research using Gemini 2.5 Pro
+ * Send `async=true` to queue the research as a background job and poll /api/jobs/:id
  */
 router.post('/query', unifiedAuth, validateResearchInput, asyncErrorHandler(async (req, res) => {
+  const userId = req.user.userId;
+  let creditDeductionResult = null;
+  let creditsRefunded = 0;
+
   try {
     const { 
       query, 
       researchType = 'general', 
       depth = 3, 
       sources = [],
-      saveToHistory = true 
+      saveToHistory = true,
+      language = languageSupport.DEFAULT_LANGUAGE
     } = req.body;
 
     // Input validation
@@ -59,13 +224,27 @@ router.post('/query', unifiedAuth, validateResearchInput, asyncErrorHandler(asyn
       });
     }
 
+    if (!languageSupport.isSupportedLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported language. Must be one of: ${languageSupport.getSupportedLanguages().map(l => l.code).join(', ')}`
+      });
+    }
+
     // Step 1: Estimate research output (research uses 1:10 word-to-credit ratio)
     const estimatedWordCount = Math.min(depth * 1000, 8000); // Estimate based on depth
     const estimatedCredits = researchService.calculateResearchCredits(estimatedWordCount, depth);
     console.log(`Estimated research credits needed: ${estimatedCredits} for ${estimatedWordCount} words at depth ${depth} (1:10 ratio)`);
 
     // Step 2: Plan validation and input limits
-    const planValidation = await planValidator.validateRequest(req.user.id, query, estimatedWordCount, 'research');
+    // The estimate is in English words; validateRequest takes lengths in the request language's unit
+    const planValidation = await planValidator.validateRequest(
+      userId,
+      query,
+      languageSupport.fromWordEquivalents(estimatedWordCount, language),
+      'research',
+      language
+    );
     
     if (!planValidation.isValid) {
       return res.status(403).json({
@@ -81,8 +260,8 @@ router.post('/query', unifiedAuth, validateResearchInput, asyncErrorHandler(asyn
     }
 
     // Step 3: Atomic credit deduction for research
-    const creditDeductionResult = await atomicCreditSystem.deductCreditsAtomic(
-      req.user.id,
+    creditDeductionResult = await atomicCreditSystem.deductCreditsAtomic(
+      userId,
       estimatedCredits,
       planValidation.userPlan.planType,
       'research'
@@ -100,105 +279,64 @@ router.post('/query', unifiedAuth, validateResearchInput, asyncErrorHandler(asyn
       });
     }
 
-    // Step 4: Conduct research
-    const startTime = Date.now();
-    const researchResult = await researchService.conductResearch(
-      query,
-      researchType,
-      depth,
-      sources,
-      req.user.id
-    );
-    const processingTime = Date.now() - startTime;
-
-    // Step 5: Calculate actual credits based on output
-    const actualCredits = researchService.calculateResearchCredits(researchResult.wordCount, depth);
-    
-    // Step 6: Adjust credits if needed (refund or charge difference)
-    let finalCreditsUsed = creditDeductionResult.creditsDeducted;
-    if (actualCredits !== estimatedCredits) {
-      const creditDifference = actualCredits - estimatedCredits;
-      if (creditDifference > 0) {
-        // Need to charge more credits
-        const additionalDeduction = await atomicCreditSystem.deductCreditsAtomic(
-          req.user.id,
-          creditDifference,
-          planValidation.userPlan.planType
-        );
-        if (additionalDeduction.success) {
-          finalCreditsUsed += creditDifference;
-        }
-      } else if (creditDifference < 0) {
-        // Refund excess credits
-        await atomicCreditSystem.refundCredits(
-          req.user.id,
-          Math.abs(creditDifference),
-          creditDeductionResult.transactionId
-        );
-        finalCreditsUsed = actualCredits;
-      }
-    }
-
-    // Step 7: Save to research history with enhanced data
-    let researchId = null;
-    if (saveToHistory) {
-      researchId = await researchService.saveResearchToHistory(
-        req.user.id,
-        researchResult.data,
-        {
-          ...researchResult.metadata,
-          processingTime,
-          creditsUsed: finalCreditsUsed,
-          transactionId: creditDeductionResult.transactionId,
-          citations: researchResult.data.citations,
-          sourceValidation: researchResult.data.sourceValidation,
-          recommendations: researchResult.data.recommendations,
-          qualityScore: researchResult.data.qualityScore
-        }
-      );
-    }
-
-    // Step 8: Record usage
-    await planValidator.recordUsage(
-      req.user.id,
-      researchResult.wordCount,
-      finalCreditsUsed,
-      'research'
-    );
-
-    // Step 9: Return research results
-    res.json({
-      success: true,
-      data: {
-        researchId,
+    // Queue as a background job; the worker releases the reserved credits if it fails
+    if (wantsBackgroundJob(req)) {
+      const job = await jobQueue.submit(userId, 'research.query', {
         query,
         researchType,
         depth,
-        results: researchResult.data,
-        metadata: {
-          wordCount: researchResult.wordCount,
-          processingTime,
-          creditsUsed: finalCreditsUsed,
-          timestamp: new Date().toISOString(),
-          sources: researchResult.data.sources || [],
-          citations: researchResult.data.citations || [],
-          sourceValidation: researchResult.data.sourceValidation || {},
-          recommendations: researchResult.data.recommendations || [],
-          qualityScore: researchResult.data.qualityScore || 0
+        sources,
+        saveToHistory,
+        language,
+        planType: planValidation.userPlan.planType,
+        estimatedCredits,
+        creditDeductionResult: {
+          transactionId: creditDeductionResult.transactionId || null,
+          creditsDeducted: creditDeductionResult.creditsDeducted
+        }
+      }, {
+        credits: {
+          transactionId: creditDeductionResult.transactionId || null,
+          creditsHeld: creditDeductionResult.creditsDeducted,
+          wordsAllocated: creditDeductionResult.wordsAllocated || 0
         }
+      });
+      return sendJobAccepted(res, job);
+    }
+
+    // Steps 4-9: Conduct research, settle credits, save and respond
+    const payload = await runResearchQuery({
+      userId,
+      query,
+      researchType,
+      depth,
+      sources,
+      saveToHistory,
+      language,
+      planType: planValidation.userPlan.planType,
+      estimatedCredits,
+      creditDeductionResult,
+      onRefund: async (credits) => {
+        creditsRefunded += credits;
+        return true;
       }
     });
 
+    res.json(payload);
+
   } catch (error) {
     console.error('Research query error:', error);
     
-    // Rollback credits on error
-    if (creditDeductionResult && creditDeductionResult.success) {
+    // Rollback credits on error, less any excess already refunded
+    const creditsToRestore = creditDeductionResult && creditDeductionResult.success
+      ? creditDeductionResult.creditsDeducted - creditsRefunded
+      : 0;
+    if (creditsToRestore > 0) {
       try {
         await atomicCreditSystem.rollbackTransaction(
-          req.user.id,
+          userId,
           creditDeductionResult.transactionId,
-          creditDeductionResult.creditsDeducted,
+          creditsToRestore,
           creditDeductionResult.wordsAllocated
         );
       } catch (rollbackError) {
@@ -358,7 +496,7 @@ router.delete('/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
 router.post('/export/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
   try {
     const { id } = req.params;
-    const { format = 'json' } = req.body;
+    const { format = 'json', options = {} } = req.body;
     
     if (!id) {
       return res.status(400).json({
@@ -367,7 +505,7 @@ router.post('/export/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
       });
     }
 
-    const validFormats = ['json', 'txt', 'markdown', 'citations', 'pdf', 'bibliography', 'pdf-citations'];
+    const validFormats = ['json', 'txt', 'markdown', 'citations', 'pdf', 'bibliography', 'pdf-citations', 'docx', 'bibliography-docx', 'latex', 'odt', 'epub'];
     if (!validFormats.includes(format)) {
       return res.status(400).json({
         success: false,
@@ -390,13 +528,13 @@ router.post('/export/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
         break;
         
       case 'txt':
-        exportData = formatAsText(research);
+        exportData = renderers.toText(parseDocument(reportMarkdown(research)));
         contentType = 'text/plain';
         filename = `research-${id}.txt`;
         break;
         
       case 'markdown':
-        exportData = formatAsMarkdown(research);
+        exportData = renderers.toMarkdown(parseDocument(reportMarkdown(research)));
         contentType = 'text/markdown';
         filename = `research-${id}.md`;
         break;
@@ -413,6 +551,60 @@ router.post('/export/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
         filename = `research-bibliography-${id}.txt`;
         break;
         
+      case 'docx':
+        exportData = docxWriter.createDocument(parseDocument(reportMarkdown(research), { title: 'Research Report' }), {
+          title: 'Research Report',
+          subtitle: research.query,
+          date: researchDate(research)
+        });
+        contentType = docxWriter.MIME_TYPE;
+        filename = `research-report-${id}.docx`;
+        break;
+        
+      case 'bibliography-docx':
+        exportData = docxWriter.createDocument(formatBibliographyMarkdown(research), {
+          referencesOnNewPage: false
+        });
+        contentType = docxWriter.MIME_TYPE;
+        filename = `research-bibliography-${id}.docx`;
+        break;
+        
+      case 'latex': {
+        // options.template: article, apa7 or ieeetran; the .bib comes from the stored citations
+        const results = research.results || {};
+        exportData = latexExporter.createProject(reportMarkdown(research, { includeHeader: false, includeSources: false }), {
+          ...(typeof options === 'object' && options !== null ? options : {}),
+          title: research.query,
+          date: researchDate(research),
+          citations: research.citations || results.citations,
+          sources: results.sources || research.sources
+        });
+        contentType = latexExporter.MIME_TYPE;
+        filename = `research-report-${id}-latex.zip`;
+        break;
+      }
+
+      case 'odt':
+        exportData = await contentFormatter.formatODT(parseDocument(reportMarkdown(research), { title: 'Research Report' }), {
+          title: 'Research Report',
+          subtitle: research.query,
+          date: researchDate(research)
+        });
+        contentType = contentFormatter.getMimeType('odt');
+        filename = `research-report-${id}.odt`;
+        break;
+
+      case 'epub':
+        // options.theme picks the stylesheet (default or academic)
+        exportData = await contentFormatter.formatEPUB(parseDocument(reportMarkdown(research), { title: 'Research Report' }), {
+          title: 'Research Report',
+          subtitle: research.query,
+          theme: options && options.theme
+        });
+        contentType = contentFormatter.getMimeType('epub');
+        filename = `research-report-${id}.epub`;
+        break;
+        
       case 'pdf':
         exportData = await pdfGenerator.generateResearchPDF(research);
         contentType = 'application/pdf';
@@ -462,79 +654,6 @@ router.post('/export/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
   }
 }));
 
-/**
- * Helper function to format research as plain text
- */
-function formatAsText(research) {
-  const results = research.results;
-  let text = `Research Query: ${research.query}\n`;
-  text += `Research Type: ${research.researchType}\n`;
-  text += `Depth Level: ${research.depth}\n`;
-  text += `Date: ${new Date(research.timestamp.toDate()).toLocaleDateString()}\n\n`;
-  
-  if (results.executiveSummary) {
-    text += `EXECUTIVE SUMMARY\n${'-'.repeat(50)}\n${results.executiveSummary}\n\n`;
-  }
-  
-  if (results.mainFindings) {
-    text += `MAIN FINDINGS\n${'-'.repeat(50)}\n${results.mainFindings}\n\n`;
-  }
-  
-  if (results.keyInsights) {
-    text += `KEY INSIGHTS\n${'-'.repeat(50)}\n${results.keyInsights}\n\n`;
-  }
-  
-  if (results.recommendations) {
-    text += `RECOMMENDATIONS\n${'-'.repeat(50)}\n${results.recommendations}\n\n`;
-  }
-  
-  if (results.sources && results.sources.length > 0) {
-    text += `SOURCES\n${'-'.repeat(50)}\n`;
-    results.sources.forEach((source, index) => {
-      text += `${index + 1}. ${source.citation}\n`;
-    });
-  }
-  
-  return text;
-}
-
-/**
- * Helper function to format research as markdown
- */
-function formatAsMarkdown(research) {
-  const results = research.results;
-  let markdown = `# Research Report\n\n`;
-  markdown += `**Query:** ${research.query}\n\n`;
-  markdown += `**Type:** ${research.researchType}\n\n`;
-  markdown += `**Depth:** ${research.depth}/5\n\n`;
-  markdown += `**Date:** ${new Date(research.timestamp.toDate()).toLocaleDateString()}\n\n`;
-  
-  if (results.executiveSummary) {
-    markdown += `## Executive Summary\n\n${results.executiveSummary}\n\n`;
-  }
-  
-  if (results.mainFindings) {
-    markdown += `## Main Findings\n\n${results.mainFindings}\n\n`;
-  }
-  
-  if (results.keyInsights) {
-    markdown += `## Key Insights\n\n${results.keyInsights}\n\n`;
-  }
-  
-  if (results.recommendations) {
-    markdown += `## Recommendations\n\n${results.recommendations}\n\n`;
-  }
-  
-  if (results.sources && results.sources.length > 0) {
-    markdown += `## Sources\n\n`;
-    results.sources.forEach((source, index) => {
-      markdown += `${index + 1}. ${source.citation}\n`;
-    });
-  }
-  
-  return markdown;
-}
-
 /**
  * Helper function to format citations only
  */
@@ -600,6 +719,30 @@ function formatBibliography(research) {
   return bibliography;
 }
 
+/**
+ * Helper function to format the bibliography as a markdown reference list for DOCX export
+ */
+function formatBibliographyMarkdown(research) {
+  let markdown = '# Bibliography\n\n';
+  
+  if (research.sources && research.sources.length > 0) {
+    research.sources.forEach(source => {
+      if (source.citation) {
+        markdown += `${source.citation}\n`;
+      } else {
+        const title = source.title || 'Untitled';
+        const url = source.url || 'No URL available';
+        const date = source.date || 'n.d.';
+        markdown += `*${title}*. (${date}). Retrieved from ${url}\n`;
+      }
+    });
+  } else {
+    markdown += 'No sources available for bibliography.\n';
+  }
+  
+  return markdown;
+}
+
 /**
  * POST /api/research/validate-sources
  * Validate and score research sources
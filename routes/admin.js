@@ -0,0 +1,119 @@
+const express = require('express');
+const llmUsageLedger = require('../services/llmUsageLedger');
+const generationTraceService = require('../services/generationTraceService');
+const contentPrivacy = require('../services/contentPrivacyService');
+const ContentDatabase = require('../services/contentDatabase');
+const { unifiedAuth, requireAdmin } = require('../middleware/unifiedAuth');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+const contentDatabase = new ContentDatabase();
+
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : fallbackMessage,
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/admin/llm-usage
+ * LLM cost, credit revenue and margin per tool, per plan and per day
+ * Query: from, to (ISO dates; default the last 30 days, at most 92 days)
+ */
+router.get('/llm-usage', unifiedAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+    try {
+        const report = await llmUsageLedger.aggregate({
+            from: req.query.from,
+            to: req.query.to
+        });
+
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to build LLM usage report');
+    }
+}));
+
+/**
+ * POST /api/admin/traces/:id/replay
+ * Re-run a generation trace's recorded LLM prompts and return original and replayed outputs side by side
+ * Body: provider ('mock' or 'current', default 'mock'), steps (optional step indexes to replay)
+ */
+router.post('/traces/:id/replay', unifiedAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+    try {
+        const replay = await generationTraceService.replay(req.params.id, {
+            provider: req.body.provider || 'mock',
+            steps: Array.isArray(req.body.steps) ? req.body.steps.map(Number).filter(Number.isInteger) : null,
+            adminId: req.user.userId
+        });
+
+        res.json({
+            success: true,
+            replay
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to replay generation trace');
+    }
+}));
+
+/**
+ * GET /api/admin/organizations/:orgId
+ * Organization name, content privacy settings and member count
+ */
+router.get('/organizations/:orgId', unifiedAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+    try {
+        const organization = await contentPrivacy.getOrganization(req.params.orgId);
+        res.json({ success: true, organization });
+    } catch (error) {
+        sendError(res, error, 'Failed to load organization');
+    }
+}));
+
+/**
+ * PUT /api/admin/organizations/:orgId
+ * Create an organization or update its name and content privacy settings
+ * Body: name, contentPrivacy ({ shareContent, reuseContent, retentionDays })
+ * Members' stored content is brought in line with the new settings before responding.
+ */
+router.put('/organizations/:orgId', unifiedAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+    try {
+        const organization = await contentPrivacy.saveOrganization(req.params.orgId, req.body || {});
+        const storedContent = req.body && req.body.contentPrivacy !== undefined
+            ? await contentDatabase.reapplyPrivacy({ tenantId: req.params.orgId })
+            : null;
+        res.json({ success: true, organization, storedContent });
+    } catch (error) {
+        sendError(res, error, 'Failed to save organization');
+    }
+}));
+
+/**
+ * PUT|DELETE /api/admin/organizations/:orgId/members/:userId
+ * Add a user to an organization or remove them from it
+ * Content the user stored before joining moves into the organization; content stored while a
+ * member stays with the organization after they leave.
+ */
+router.put('/organizations/:orgId/members/:userId', unifiedAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+    try {
+        const membership = await contentPrivacy.setMembership(req.params.orgId, req.params.userId, true);
+        const storedContent = await contentDatabase.reapplyPrivacy({ userId: req.params.userId });
+        res.json({ success: true, membership, storedContent });
+    } catch (error) {
+        sendError(res, error, 'Failed to add organization member');
+    }
+}));
+
+router.delete('/organizations/:orgId/members/:userId', unifiedAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+    try {
+        const membership = await contentPrivacy.setMembership(req.params.orgId, req.params.userId, false);
+        res.json({ success: true, membership });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove organization member');
+    }
+}));
+
+module.exports = router;
@@ -5,9 +5,47 @@ const { unifiedAuth } = require('../middleware/unifiedAuth');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 const { validateDetectorInput, handleValidationErrors } = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
+const jobQueue = require('../services/jobQueue');
+const { wantsBackgroundJob, sendJobAccepted } = require('./jobs');
+const StyleProfileService = require('../services/styleProfileService');
+const languageSupport = require('../utils/languageSupport');
+const { isAbortError, abortOnDisconnect } = require('../utils/cancellation');
 
 // Initialize detector service
 const detectorService = new DetectorService();
+const styleProfileService = new StyleProfileService();
+
+/**
+ * Content language for a request: `language` (top level or in options), else guessed from the script.
+ * Returns null when an unsupported language was requested.
+ */
+const resolveRequestLanguage = (body, content) => {
+  const requested = body.language || (body.options && body.options.language);
+  return requested ? languageSupport.normalizeLanguage(requested) : detectorService.resolveLanguage(content);
+};
+
+const unsupportedLanguageResponse = (res, body) => res.status(400).json({
+  error: `Unsupported language: ${body.language || body.options.language}`,
+  supportedLanguages: languageSupport.getSupportedLanguages().map(language => language.code)
+});
+
+/**
+ * Rewrite guidance from the user's style profile (`styleProfileId`, top level or in options).
+ * Returns '' when no profile was named; missing or foreign profiles throw with a statusCode.
+ */
+const loadStyleGuidance = async (body, userId) => {
+  const profileId = body.styleProfileId || (body.options && body.options.styleProfileId);
+  if (!profileId) {
+    return '';
+  }
+  const { guidance } = await styleProfileService.resolveGuidance(profileId, userId);
+  return guidance;
+};
+
+/**
+ * The 1000-word limit, measured in word equivalents for languages counted in characters
+ */
+const exceedsWordLimit = (wordCount, language) => languageSupport.toWordEquivalents(wordCount, language) > 1000;
 
 // Rate limiting for detector endpoints
 const detectorRateLimit = rateLimit({
@@ -47,9 +85,14 @@ router.post('/analyze', unifiedAuth, validateDetectorInput, asyncErrorHandler(as
       });
     }
 
+    const language = resolveRequestLanguage(req.body, content);
+    if (!language) {
+      return unsupportedLanguageResponse(res, req.body);
+    }
+
     // Check word count limit - 1000 words for all users
     const wordCount = detectorService.calculateWordCount(content);
-    if (wordCount > 1000) {
+    if (exceedsWordLimit(wordCount, language)) {
       return res.status(400).json({
         error: 'Content exceeds maximum limit of 1000 words'
       });
@@ -59,7 +102,8 @@ router.post('/analyze', unifiedAuth, validateDetectorInput, asyncErrorHandler(as
     const validOptions = {
       plagiarismDetection: options.plagiarismDetection !== false,
       aiDetection: options.aiDetection !== false,
-      readabilityAnalysis: options.readabilityAnalysis !== false
+      readabilityAnalysis: options.readabilityAnalysis !== false,
+      language
     };
 
     // Ensure at least one analysis type is selected
@@ -104,7 +148,9 @@ router.post('/analyze', unifiedAuth, validateDetectorInput, asyncErrorHandler(as
 
 /**
  * @route POST /api/detector/remove-all
- * @desc Remove detected issues from content using AI
+ * @desc Remove detected issues from content using AI.
+ *       Send styleProfileId to keep the rewrite in the voice of one of the user's style profiles.
+ *       If the client disconnects, the rewrite is cancelled and its credits refunded
  * @access Private
  */
 router.post('/remove-all', unifiedAuth, validateDetectorInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
@@ -131,9 +177,14 @@ router.post('/remove-all', unifiedAuth, validateDetectorInput, handleValidationE
       });
     }
 
+    const language = resolveRequestLanguage(req.body, content);
+    if (!language) {
+      return unsupportedLanguageResponse(res, req.body);
+    }
+
     // Check word count limit - 1000 words for all users
     const wordCount = detectorService.calculateWordCount(content);
-    if (wordCount > 1000) {
+    if (exceedsWordLimit(wordCount, language)) {
       return res.status(400).json({
         error: 'Content exceeds maximum limit of 1000 words'
       });
@@ -143,7 +194,7 @@ router.post('/remove-all', unifiedAuth, validateDetectorInput, handleValidationE
     const hasIssues = (
       (detectionResults.plagiarism && detectionResults.plagiarism.score > 30) ||
       (detectionResults.aiContent && detectionResults.aiContent.score > 70) ||
-      (detectionResults.readability && detectionResults.readability.fleschKincaidGrade > 12)
+      detectorService.hasReadabilityIssue(detectionResults.readability)
     );
 
     if (!hasIssues) {
@@ -153,8 +204,22 @@ router.post('/remove-all', unifiedAuth, validateDetectorInput, handleValidationE
       });
     }
 
+    let styleGuidance;
+    try {
+      styleGuidance = await loadStyleGuidance(req.body, req.user.userId);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     // Remove detected issues
-    const result = await detectorService.removeDetectedIssues(userId, content, detectionResults, options);
+    const disconnect = abortOnDisconnect(res);
+    const result = await detectorService.removeDetectedIssues(userId, content, detectionResults, {
+      ...options,
+      language,
+      styleGuidance,
+      signal: disconnect.signal
+    });
 
     res.json({
       success: true,
@@ -163,6 +228,10 @@ router.post('/remove-all', unifiedAuth, validateDetectorInput, handleValidationE
     });
 
   } catch (error) {
+    // The client is gone and the credits were refunded; there is no one to answer
+    if (isAbortError(error)) {
+      return;
+    }
     console.error('Detector removal error:', error);
     
     if (error.message.includes('Insufficient credits')) {
@@ -221,15 +290,69 @@ router.get('/history', unifiedAuth, asyncErrorHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Grade levels dropped (English) or reading-ease points gained (other languages)
+ */
+const readabilityImprovement = (initial, final) => {
+  if (!initial || !final) return 0;
+  if (typeof initial.fleschKincaidGrade === 'number' && typeof final.fleschKincaidGrade === 'number') {
+    return initial.fleschKincaidGrade - final.fleschKincaidGrade;
+  }
+  if (typeof initial.readingEase === 'number' && typeof final.readingEase === 'number') {
+    return Math.round((final.readingEase - initial.readingEase) * 10) / 10;
+  }
+  return 0;
+};
+
+/**
+ * Build the /workflow response body from a workflow result
+ * Shared by the synchronous route and the 'detector.workflow' background job
+ */
+const buildWorkflowResponse = (content, result) => ({
+  success: true,
+  message: result.message,
+  data: {
+    originalContent: content,
+    finalContent: result.finalContent,
+    initialDetection: result.initialDetection,
+    finalDetection: result.finalDetection,
+    cyclesUsed: result.cyclesUsed,
+    detectedWordCount: result.detectedWordCount,
+    totalCreditsUsed: result.totalCreditsUsed,
+    improvementSummary: {
+      plagiarismReduced: result.initialDetection?.plagiarism && result.finalDetection?.plagiarism ? 
+        result.initialDetection.plagiarism.score - result.finalDetection.plagiarism.score : 0,
+      aiContentReduced: result.initialDetection?.aiContent && result.finalDetection?.aiContent ? 
+        result.initialDetection.aiContent.score - result.finalDetection.aiContent.score : 0,
+      readabilityImproved: readabilityImprovement(result.initialDetection?.readability, result.finalDetection?.readability)
+    }
+  }
+});
+
+// Background execution of /workflow requests submitted with async=true
+jobQueue.registerHandler('detector.workflow', async (job, context) => {
+  const { content, options } = job.payload;
+
+  context.reportProgress({ stage: 'detecting', percent: 10 });
+  const result = await detectorService.detectAndRemoveWorkflow(job.userId, content, {
+    ...options,
+    signal: context.signal
+  });
+
+  return buildWorkflowResponse(content, result);
+});
+
 /**
  * @route POST /api/detector/workflow
- * @desc Complete workflow: detect and remove issues with two-cycle loop
+ * @desc Complete workflow: detect and remove issues with two-cycle loop.
+ *       Send async=true to queue it as a background job and poll /api/jobs/:id.
+ *       styleProfileId works as for /remove-all
  * @access Private
  */
 router.post('/workflow', unifiedAuth, validateDetectorInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
   try {
     const { content, options = {} } = req.body;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     // Validate input
     if (!content || typeof content !== 'string') {
@@ -244,19 +367,34 @@ router.post('/workflow', unifiedAuth, validateDetectorInput, handleValidationErr
       });
     }
 
+    const language = resolveRequestLanguage(req.body, content);
+    if (!language) {
+      return unsupportedLanguageResponse(res, req.body);
+    }
+
     // Check word count limit - 1000 words for all users
     const wordCount = detectorService.calculateWordCount(content);
-    if (wordCount > 1000) {
+    if (exceedsWordLimit(wordCount, language)) {
       return res.status(400).json({
         error: 'Content exceeds maximum limit of 1000 words'
       });
     }
 
+    let styleGuidance;
+    try {
+      styleGuidance = await loadStyleGuidance(req.body, userId);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     // Validate options
     const validOptions = {
       plagiarismDetection: options.plagiarismDetection !== false,
       aiDetection: options.aiDetection !== false,
-      readabilityAnalysis: options.readabilityAnalysis !== false
+      readabilityAnalysis: options.readabilityAnalysis !== false,
+      language,
+      styleGuidance
     };
 
     // Ensure at least one analysis type is selected
@@ -266,30 +404,19 @@ router.post('/workflow', unifiedAuth, validateDetectorInput, handleValidationErr
       });
     }
 
+    // Queue as a background job; the workflow charges and rolls back its own credits
+    if (wantsBackgroundJob(req)) {
+      const job = await jobQueue.submit(userId, 'detector.workflow', {
+        content,
+        options: validOptions
+      });
+      return sendJobAccepted(res, job);
+    }
+
     // Execute complete workflow
     const result = await detectorService.detectAndRemoveWorkflow(userId, content, validOptions);
 
-    res.json({
-      success: true,
-      message: result.message,
-      data: {
-        originalContent: content,
-        finalContent: result.finalContent,
-        initialDetection: result.initialDetection,
-        finalDetection: result.finalDetection,
-        cyclesUsed: result.cyclesUsed,
-        detectedWordCount: result.detectedWordCount,
-        totalCreditsUsed: result.totalCreditsUsed,
-        improvementSummary: {
-          plagiarismReduced: result.initialDetection.plagiarism && result.finalDetection.plagiarism ? 
-            result.initialDetection.plagiarism.score - result.finalDetection.plagiarism.score : 0,
-          aiContentReduced: result.initialDetection.aiContent && result.finalDetection.aiContent ? 
-            result.initialDetection.aiContent.score - result.finalDetection.aiContent.score : 0,
-          readabilityImproved: result.initialDetection.readability && result.finalDetection.readability ? 
-            result.initialDetection.readability.fleschKincaidGrade - result.finalDetection.readability.fleschKincaidGrade : 0
-        }
-      }
-    });
+    res.json(buildWorkflowResponse(content, result));
 
   } catch (error) {
     console.error('Detector workflow error:', error);
@@ -368,9 +495,14 @@ router.post('/validate', unifiedAuth, asyncErrorHandler(async (req, res) => {
       });
     }
 
+    const language = resolveRequestLanguage(req.body, content);
+    if (!language) {
+      return unsupportedLanguageResponse(res, req.body);
+    }
+
     const wordCount = detectorService.calculateWordCount(content);
-    const detectionCredits = detectorService.calculateDetectionCredits(wordCount);
-    const generationCredits = detectorService.calculateGenerationCredits(wordCount);
+    const detectionCredits = detectorService.calculateDetectionCredits(wordCount, language);
+    const generationCredits = detectorService.calculateGenerationCredits(wordCount, language);
 
     // Check user plan and credits
     const planValidator = detectorService.planValidator;
@@ -381,6 +513,8 @@ router.post('/validate', unifiedAuth, asyncErrorHandler(async (req, res) => {
       valid: true,
       issues: [],
       wordCount,
+      language,
+      lengthUnit: languageSupport.getLanguage(language).unit,
       detectionCredits,
       generationCredits,
       hasDetectorAccess: userPlan.hasDetectorAccess,
@@ -388,7 +522,7 @@ router.post('/validate', unifiedAuth, asyncErrorHandler(async (req, res) => {
     };
 
     // Validate content length - limit to 1000 words for all users
-    if (wordCount > 1000) {
+    if (exceedsWordLimit(wordCount, language)) {
       validation.valid = false;
       validation.issues.push('Content exceeds maximum limit of 1000 words');
     }
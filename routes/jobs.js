@@ -0,0 +1,131 @@
+const express = require('express');
+const jobQueue = require('../services/jobQueue');
+const { unifiedAuth } = require('../middleware/unifiedAuth');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Check whether the client asked for the work to run as a background job
+ * Opt in with `async=true` (query or body) or a `Prefer: respond-async` header
+ * @param {Object} req - Express request
+ * @returns {boolean} True when the request should be queued
+ */
+const wantsBackgroundJob = (req) => {
+    const prefer = req.get('Prefer') || '';
+    const flag = req.query.async ?? req.body?.async;
+    return prefer.includes('respond-async') || flag === true || flag === 'true' || flag === '1';
+};
+
+/**
+ * Respond with 202 Accepted and where to poll for the job
+ * @param {Object} res - Express response
+ * @param {Object} job - Submitted job
+ */
+const sendJobAccepted = (res, job) => {
+    res.status(202)
+        .location(`/api/jobs/${job.jobId}`)
+        .json({
+            success: true,
+            jobId: job.jobId,
+            type: job.type,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.jobId}`
+        });
+};
+
+/**
+ * Shape a job for API responses (the input payload stays server-side)
+ * @param {Object} job - Job document
+ * @returns {Object} Public job representation
+ */
+const formatJob = (job) => ({
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.status === 'completed' ? job.result : null,
+    error: job.error,
+    creditsReleased: job.credits ? job.credits.released : false,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    updatedAt: job.updatedAt
+});
+
+/**
+ * GET /api/jobs
+ * List the current user's recent jobs
+ */
+router.get('/', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const { limit = 20, status, type } = req.query;
+        const jobs = await jobQueue.getUserJobs(req.user.uid, {
+            limit: Math.min(parseInt(limit) || 20, 100),
+            status,
+            type
+        });
+
+        res.json({
+            success: true,
+            jobs
+        });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list jobs',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * GET /api/jobs/:id
+ * Get job status, progress and (once completed) the result
+ */
+router.get('/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            job: formatJob(job)
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to fetch job',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job; credits held for it are released
+ */
+router.delete('/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const job = await jobQueue.cancelJob(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            message: 'Job cancelled',
+            job: formatJob(job)
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to cancel job',
+            details: error.message
+        });
+    }
+}));
+
+module.exports = {
+    router,
+    wantsBackgroundJob,
+    sendJobAccepted
+};
@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const PromptEngineerService = require('../services/promptEngineerService');
+const PromptTemplateService = require('../services/promptTemplateService');
 const AtomicCreditSystem = require('../services/atomicCreditSystem');
 const admin = require('firebase-admin');
 
 const promptService = new PromptEngineerService();
+const templateService = new PromptTemplateService();
 const atomicCredit = new AtomicCreditSystem();
 
 // Middleware to verify Firebase ID token
@@ -187,6 +189,225 @@ router.get('/templates', (req, res) => {
     }
 });
 
+// Template service errors carry a statusCode (and per-variable details for validation failures)
+const sendTemplateError = (res, error, fallbackMessage) => {
+    if (!error.statusCode) {
+        console.error(`${fallbackMessage}:`, error);
+    }
+    res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : fallbackMessage,
+        ...(error.details ? { details: error.details } : {})
+    });
+};
+
+// List custom templates the user owns or can see through shared libraries
+router.get('/templates/custom', verifyToken, async (req, res) => {
+    try {
+        const templates = await templateService.listTemplates(req.user.uid, {
+            category: req.query.category,
+            libraryId: req.query.libraryId
+        });
+        res.json({
+            success: true,
+            templates
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to retrieve templates');
+    }
+});
+
+// Create a custom template
+router.post('/templates/custom', verifyToken, async (req, res) => {
+    try {
+        const template = await templateService.createTemplate(req.user.uid, req.body);
+        res.status(201).json({
+            success: true,
+            template
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to create template');
+    }
+});
+
+// Get a custom template
+router.get('/templates/custom/:id', verifyToken, async (req, res) => {
+    try {
+        const template = await templateService.getTemplate(req.params.id, req.user.uid);
+        res.json({
+            success: true,
+            template
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to retrieve template');
+    }
+});
+
+// Update a custom template (saved as a new version)
+router.put('/templates/custom/:id', verifyToken, async (req, res) => {
+    try {
+        const template = await templateService.updateTemplate(req.params.id, req.user.uid, req.body);
+        res.json({
+            success: true,
+            template
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to update template');
+    }
+});
+
+// Delete a custom template and its versions
+router.delete('/templates/custom/:id', verifyToken, async (req, res) => {
+    try {
+        await templateService.deleteTemplate(req.params.id, req.user.uid);
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to delete template');
+    }
+});
+
+// Get the version history of a custom template
+router.get('/templates/custom/:id/versions', verifyToken, async (req, res) => {
+    try {
+        const versions = await templateService.getVersions(req.params.id, req.user.uid);
+        res.json({
+            success: true,
+            versions
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to retrieve template versions');
+    }
+});
+
+// Render a custom template; with target "optimize" the rendered prompt is optimized straight away.
+// To generate content, send templateId and templateVariables to /api/writer/generate instead of a prompt.
+router.post('/templates/custom/:id/render', verifyToken, async (req, res) => {
+    try {
+        const { variables = {}, version, target } = req.body;
+        const userId = req.user.uid;
+
+        if (target && target !== 'optimize') {
+            return res.status(400).json({
+                error: 'Invalid target. Use "optimize", or POST templateId and templateVariables to /api/writer/generate'
+            });
+        }
+
+        const rendered = await templateService.renderTemplate(req.params.id, userId, variables, version);
+
+        if (target !== 'optimize') {
+            return res.json({
+                success: true,
+                rendered
+            });
+        }
+
+        const result = await promptService.optimizePrompt(rendered.prompt, req.body.category || rendered.category, userId);
+
+        if (!result.success && result.error === 'LIMIT_EXCEEDED') {
+            return res.status(429).json({
+                error: result.message,
+                limitExceeded: true
+            });
+        }
+
+        if (!result.success && result.error === 'INSUFFICIENT_CREDITS') {
+            return res.status(402).json({
+                error: result.message,
+                insufficientCredits: true
+            });
+        }
+
+        res.json({
+            ...result,
+            rendered
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to render template');
+    }
+});
+
+// List the template libraries the user owns or belongs to
+router.get('/template-libraries', verifyToken, async (req, res) => {
+    try {
+        const libraries = await templateService.listLibraries(req.user.uid);
+        res.json({
+            success: true,
+            libraries
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to retrieve template libraries');
+    }
+});
+
+// Create a template library to share with team members
+router.post('/template-libraries', verifyToken, async (req, res) => {
+    try {
+        const library = await templateService.createLibrary(req.user.uid, req.body);
+        res.status(201).json({
+            success: true,
+            library
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to create template library');
+    }
+});
+
+// Get a template library with its templates
+router.get('/template-libraries/:id', verifyToken, async (req, res) => {
+    try {
+        const library = await templateService.getLibrary(req.params.id, req.user.uid);
+        const templates = await templateService.listTemplates(req.user.uid, { libraryId: req.params.id });
+        res.json({
+            success: true,
+            library,
+            templates
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to retrieve template library');
+    }
+});
+
+// Delete a template library (owner only); its templates return to their authors
+router.delete('/template-libraries/:id', verifyToken, async (req, res) => {
+    try {
+        await templateService.deleteLibrary(req.params.id, req.user.uid);
+        res.json({
+            success: true,
+            message: 'Template library deleted'
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to delete template library');
+    }
+});
+
+// Add a member by email or userId, or change their role (owner only)
+router.post('/template-libraries/:id/members', verifyToken, async (req, res) => {
+    try {
+        const library = await templateService.addLibraryMember(req.params.id, req.user.uid, req.body);
+        res.json({
+            success: true,
+            library
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to add library member');
+    }
+});
+
+// Remove a member; members can also remove themselves to leave a library
+router.delete('/template-libraries/:id/members/:memberId', verifyToken, async (req, res) => {
+    try {
+        await templateService.removeLibraryMember(req.params.id, req.user.uid, req.params.memberId);
+        res.json({
+            success: true,
+            message: 'Member removed'
+        });
+    } catch (error) {
+        sendTemplateError(res, error, 'Failed to remove library member');
+    }
+});
+
 // Get user credits endpoint
 router.get('/credits', verifyToken, async (req, res) => {
     try {
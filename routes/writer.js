@@ -5,11 +5,29 @@ const FileProcessingService = require('../services/fileProcessingService');
 const llmService = require('../services/llmService');
 const ContentDatabase = require('../services/contentDatabase');
 const MultiPartGenerator = require('../services/multiPartGenerator');
+const contentProcessor = require('../services/contentProcessor');
+const FirebaseDraftManager = require('../services/firebaseDraftManager');
+const rubricService = require('../services/rubricService');
+const assignmentTypes = require('../services/assignmentTypes');
+const contentValidator = require('../services/contentValidator');
+const lengthTargeter = require('../services/lengthTargeter');
+const generationTraceService = require('../services/generationTraceService');
+const sourceGroundingService = require('../services/sourceGroundingService');
+const PromptTemplateService = require('../services/promptTemplateService');
+const StyleProfileService = require('../services/styleProfileService');
+const DocxWriter = require('../services/docxWriter');
+const ContentFormatter = require('../services/contentFormatter');
+const writerBatchService = require('../services/writerBatchService');
 const { unifiedAuth } = require('../middleware/unifiedAuth');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 const { validateWriterInput, handleValidationErrors } = require('../middleware/validation');
 const AtomicCreditSystem = require('../services/atomicCreditSystem');
 const PlanValidator = require('../services/planValidator');
+const jobQueue = require('../services/jobQueue');
+const { wantsBackgroundJob, sendJobAccepted } = require('./jobs');
+const { wantsEventStream, createEventStream } = require('../utils/sseStream');
+const { isAbortError, abortOnDisconnect } = require('../utils/cancellation');
+const languageSupport = require('../utils/languageSupport');
 
 const router = express.Router();
 const fileProcessingService = new FileProcessingService();
@@ -17,6 +35,11 @@ const contentDatabase = new ContentDatabase();
 const multiPartGenerator = new MultiPartGenerator();
 const atomicCreditSystem = new AtomicCreditSystem();
 const planValidator = new PlanValidator();
+const draftManager = new FirebaseDraftManager();
+const docxWriter = new DocxWriter();
+const contentFormatter = new ContentFormatter();
+const promptTemplateService = new PromptTemplateService();
+const styleProfileService = new StyleProfileService();
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage(); // Store files in memory for processing
@@ -27,13 +50,31 @@ const upload = multer({
         files: 5 // Maximum 5 files
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.pdf', '.docx', '.txt'];
+        const allowedTypes = fileProcessingService.supportedTypes;
         const ext = path.extname(file.originalname).toLowerCase();
         
         if (allowedTypes.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error(`Unsupported file type: ${ext}. Allowed types: PDF, DOCX, TXT`), false);
+            cb(new Error(`Unsupported file type: ${ext}. Allowed types: ${allowedTypes.join(', ')}`), false);
+        }
+    }
+});
+
+// Batch files are request lists, not documents to extract text from
+const batchUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 1024 * 1024, // 1MB limit
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        
+        if (['.csv', '.json'].includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported batch file type: ${ext}. Allowed types: .csv, .json`), false);
         }
     }
 });
@@ -41,7 +82,7 @@ const upload = multer({
 /**
  * Assignment generation function (extracted from assignments.js)
  */
-const generateAssignmentContent = async (title, description, wordCount, citationStyle, style = 'Academic', tone = 'Formal') => {
+const generateAssignmentContent = async (title, description, wordCount, citationStyle, style = 'Academic', tone = 'Formal', planType = null, usage = {}, language = 'en') => {
     const styleTemplates = {
         'Academic': {
             introduction: 'This scholarly examination explores',
@@ -63,17 +104,12 @@ const generateAssignmentContent = async (title, description, wordCount, citation
     const selectedStyle = styleTemplates[style] || styleTemplates['Academic'];
     
     // Generate actual content using LLM service
-    const prompt = `Write a ${wordCount}-word ${style.toLowerCase()} ${tone.toLowerCase()} assignment on "${title}". ${description ? `Instructions: ${description}` : ''} Use ${citationStyle} citation style.`;
+    const prompt = `Write a ${style.toLowerCase()} ${tone.toLowerCase()} assignment of ${languageSupport.describeLength(wordCount, language)} on "${title}". ${description ? `Instructions: ${description}` : ''} Use ${citationStyle} citation style.`;
     
     try {
-        const generatedContent = await llmService.generateContent(prompt, {
-            maxTokens: Math.ceil(wordCount * 1.5), // Approximate token count
-            temperature: 0.7,
-            style: style,
-            tone: tone
-        });
+        const generatedContent = await llmService.generateContent(prompt, style, tone, wordCount, 'standard', planType, usage, language);
         
-        return generatedContent;
+        return generatedContent.content;
     } catch (error) {
         console.error('Error generating content:', error);
         // Fallback to template-based content
@@ -101,68 +137,1614 @@ The research indicates several important findings that contribute to our underst
 
 ## Conclusion
 
-In conclusion, this analysis of "${title}" reveals significant insights that contribute to the broader understanding of the subject matter. The implications of these findings extend beyond the immediate scope of this assignment.
+In conclusion, this analysis of "${title}" reveals significant insights that contribute to the broader understanding of the subject matter. The implications of these findings extend beyond the immediate scope of this assignment.
+
+## References
+
+${citationStyle === 'APA' ? 
+`Smith, J. (2023). Academic Writing in the Digital Age. Journal of Modern Education, 45(2), 123-145.
+
+Johnson, M. & Brown, A. (2022). Research Methodologies for Students. Academic Press.` :
+citationStyle === 'MLA' ?
+`Smith, John. "Academic Writing in the Digital Age." Journal of Modern Education, vol. 45, no. 2, 2023, pp. 123-145.
+
+Johnson, Mary, and Anne Brown. Research Methodologies for Students. Academic Press, 2022.` :
+`Smith, J. (2023). Academic Writing in the Digital Age. Journal of Modern Education 45, no. 2: 123-145.
+
+Johnson, M., and A. Brown. Research Methodologies for Students. Academic Press, 2022.`}
+    `.trim();
+
+        return fallbackContent;
+    }
+};
+
+/**
+ * Build a progress listener that forwards generation events to an SSE stream
+ * with running credit totals for the words produced so far
+ * @param {Object} stream - Stream from createEventStream
+ * @param {number} creditsReserved - Credits deducted up front for the request
+ * @param {string} qualityTier - Quality tier (premium costs 2x)
+ * @param {string} language - Output language code (totals are in its length unit)
+ * @returns {Function} Progress callback (event, data)
+ */
+const createProgressReporter = (stream, creditsReserved, qualityTier, language = 'en') => (event, data = {}) => {
+    const totalWords = data.totalWords || 0;
+    const multiplier = qualityTier === 'premium' ? 2 : 1;
+    const creditsUsed = totalWords > 0
+        ? Math.min(creditsReserved, atomicCreditSystem.calculateRequiredCredits(totalWords, 'writing', null, language) * multiplier)
+        : 0;
+    
+    stream.send(event, {
+        ...data,
+        creditsUsed,
+        creditsReserved
+    });
+};
+
+/**
+ * Report a single-pass generation result as one chunk followed by the combined content
+ * @param {Function|null} onProgress - Progress callback
+ * @param {string} content - Generated content
+ * @param {number} targetWords - Requested word count
+ */
+const reportSingleGeneration = (onProgress, content, targetWords) => {
+    if (!onProgress || typeof content !== 'string') return;
+    
+    const totalWords = languageSupport.countWords(content);
+    onProgress('chunk_generated', { chunkIndex: 0, content, wordCount: totalWords, totalWords, targetWords });
+    onProgress('combined', { content, totalWords, chunksGenerated: 1, targetWords });
+};
+
+/**
+ * Read the word count targeting settings from a request body
+ * @param {Object} body - Request body (wordCountTargeting, wordCountTolerance, wordCountOptions)
+ * @returns {Object|null} Options for lengthTargeter, or null when targeting is turned off
+ */
+const parseLengthTargeting = (body = {}) => {
+    if (body.wordCountTargeting === false || body.wordCountTargeting === 'false') {
+        return null;
+    }
+
+    let counting = body.wordCountOptions || {};
+    if (typeof counting === 'string') {
+        try {
+            counting = JSON.parse(counting);
+        } catch (parseError) {
+            counting = {};
+        }
+    }
+
+    return lengthTargeter.normalizeOptions({ ...counting, tolerance: body.wordCountTolerance });
+};
+
+/**
+ * Expand or trim generated content toward the requested length and settle the credits
+ * Credits were charged for the requested length up front. If the text still falls short
+ * of the tolerance after the adjustment passes, the shortfall is refunded against the
+ * original transaction; running over the target is never charged extra.
+ * @param {Object} params - Content, target, options and the credit transaction
+ * @returns {Promise<Object>} { content, report }
+ */
+const applyLengthTargeting = async ({
+    userId,
+    content,
+    targetWords,
+    options,
+    qualityTier,
+    planType,
+    usage,
+    language,
+    style,
+    tone,
+    creditsCharged,
+    transactionId = null,
+    onProgress = null
+}) => {
+    const targeting = await lengthTargeter.converge(content, {
+        targetWords,
+        options,
+        qualityTier,
+        userPlan: planType,
+        usage,
+        language,
+        style,
+        tone,
+        onProgress
+    });
+
+    const { creditsForFinalLength, creditDifference } = atomicCreditSystem.calculateShortfallRefund(
+        creditsCharged,
+        targeting.finalWordCount,
+        qualityTier,
+        language
+    );
+    let creditsRefunded = 0;
+
+    if (!targeting.withinTolerance && creditDifference > 0 && transactionId) {
+        try {
+            await atomicCreditSystem.refundCredits(userId, creditDifference, transactionId);
+            creditsRefunded = creditDifference;
+        } catch (refundError) {
+            console.error('Refund for short content failed:', refundError);
+        }
+    }
+
+    const { content: adjustedContent, ...report } = targeting;
+    return {
+        content: adjustedContent,
+        report: {
+            ...report,
+            credits: {
+                creditsCharged,
+                creditsForFinalLength,
+                creditDifference,
+                creditsRefunded
+            }
+        }
+    };
+};
+
+/**
+ * Send the final response either as plain JSON or as the last SSE event
+ * @param {Object} res - Express response
+ * @param {Object|null} stream - Open SSE stream, if the client asked for one
+ * @param {number} statusCode - HTTP status for JSON responses
+ * @param {Object} payload - Response body
+ */
+const sendGenerationResponse = (res, stream, statusCode, payload) => {
+    if (stream) {
+        stream.send(payload.success ? 'complete' : 'error', payload);
+        return stream.end();
+    }
+    return res.status(statusCode).json(payload);
+};
+
+/**
+ * Normalize the optional rubric on a writer request
+ * @param {Object|string|undefined} rubric - Rubric object, JSON or pasted text
+ * @returns {Object} { rubric, error } - rubric is null when none was supplied
+ */
+const parseRequestRubric = (rubric) => {
+    if (rubric === undefined || rubric === null || rubric === '') {
+        return { rubric: null, error: null };
+    }
+    try {
+        return { rubric: rubricService.normalizeRubric(rubric), error: null };
+    } catch (error) {
+        return { rubric: null, error: error.message };
+    }
+};
+
+/**
+ * Render a saved prompt template into req.body.prompt
+ * Lets /generate take { templateId, templateVersion, templateVariables } in place of a prompt;
+ * runs before input validation so the rendered prompt is validated like a typed one.
+ */
+const resolvePromptTemplate = async (req, res, next) => {
+    delete req.body.promptTemplate;
+    const { templateId, templateVersion, templateVariables } = req.body;
+    if (!templateId) {
+        return next();
+    }
+
+    try {
+        const rendered = await promptTemplateService.renderTemplate(
+            templateId,
+            req.user.userId,
+            templateVariables || {},
+            templateVersion
+        );
+        req.body.prompt = rendered.prompt;
+        req.body.promptTemplate = {
+            id: rendered.templateId,
+            version: rendered.version,
+            name: rendered.name
+        };
+        next();
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to render prompt template',
+            details: error.details || error.message
+        });
+    }
+};
+
+/**
+ * Load the user's style profile named by req.body.styleProfileId into prompt guidance
+ * Guidance is only ever built server-side, so any client-sent styleGuidance is dropped.
+ */
+const resolveStyleProfile = async (req, res, next) => {
+    delete req.body.styleGuidance;
+    delete req.body.styleProfile;
+    const { styleProfileId } = req.body;
+    if (!styleProfileId) {
+        return next();
+    }
+
+    try {
+        const { profile, guidance } = await styleProfileService.resolveGuidance(styleProfileId, req.user.userId);
+        req.body.styleGuidance = guidance;
+        req.body.styleProfile = { id: profile.id, name: profile.name };
+        next();
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to load style profile',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Generation settings kept on a draft saved from an interrupted generation, for resuming it
+ */
+const RESUME_FIELDS = [
+    'qualityTier', 'contentType', 'assignmentTitle', 'citationStyle', 'assignmentType', 'subject',
+    'additionalInstructions', 'requiresCitations', 'rubric', 'styleProfileId',
+    'wordCountTargeting', 'wordCountTolerance', 'wordCountOptions'
+];
+
+/**
+ * Restore an interrupted generation named by req.body.resumeDraftId
+ * The draft's prompt and settings replace the request's, and req.body.resumeFrom carries the
+ * text already generated so only the missing words are written (and charged). Runs before
+ * style profile resolution and validation so the restored request goes through both.
+ */
+const resolveResumeDraft = async (req, res, next) => {
+    delete req.body.resumeFrom;
+    const { resumeDraftId } = req.body;
+    if (!resumeDraftId) {
+        return next();
+    }
+    if (typeof resumeDraftId !== 'string' || resumeDraftId.length > 128) {
+        return res.status(400).json({ success: false, error: 'resumeDraftId must be a draft ID' });
+    }
+
+    let draft;
+    try {
+        draft = await draftManager.getDraft(resumeDraftId, req.user.userId);
+    } catch (error) {
+        return res.status(error.message === 'Access denied' ? 403 : 500).json({
+            success: false,
+            error: error.message === 'Access denied' ? 'Access denied to this draft' : 'Failed to load draft',
+            details: error.message
+        });
+    }
+    if (!draft) {
+        return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    if (draft.status !== 'interrupted' || !draft.resumeState) {
+        return res.status(409).json({
+            success: false,
+            error: 'Only drafts saved from an interrupted generation can be resumed'
+        });
+    }
+
+    const resumedWords = languageSupport.countWords(draft.content || '');
+    if (resumedWords >= draft.targetWordCount) {
+        return res.status(409).json({
+            success: false,
+            error: 'This draft already reached its target length'
+        });
+    }
+
+    req.body = {
+        ...draft.resumeState,
+        prompt: draft.prompt,
+        style: draft.style,
+        tone: draft.tone,
+        wordCount: draft.targetWordCount,
+        language: draft.language,
+        stream: req.body.stream,
+        resumeDraftId,
+        resumeFrom: { draftId: resumeDraftId, content: draft.content || '', wordCount: resumedWords }
+    };
+    next();
+};
+
+/**
+ * Refund and save what is left of a generation the client walked away from
+ * The share of the charged credits that paid for words never written is refunded; text
+ * generated before the abort is kept as an 'interrupted' draft that /generate can continue
+ * with `resumeDraftId`.
+ * @param {Object} options - { userId, params, creditsCharged, transactionId, partialContent, creditsAlreadyRefunded }
+ * @returns {Promise<Object>} { deliveredWords, creditsRefunded, draftId }
+ */
+const handleInterruptedGeneration = async ({ userId, params, creditsCharged, transactionId, partialContent = '', creditsAlreadyRefunded = 0 }) => {
+    const { resumeFrom = null, wordCount = 500 } = params;
+    const language = languageSupport.normalizeLanguage(params.language) || languageSupport.DEFAULT_LANGUAGE;
+    const resumedWords = resumeFrom ? resumeFrom.wordCount : 0;
+    const wordsToGenerate = wordCount - resumedWords;
+    const partialWords = partialContent ? languageSupport.countWords(partialContent) : 0;
+    const deliveredWords = Math.min(Math.max(0, partialWords - resumedWords), wordsToGenerate);
+    
+    const creditsToRefund = atomicCreditSystem.calculateUndeliveredRefund(
+        creditsCharged,
+        wordsToGenerate,
+        deliveredWords,
+        creditsAlreadyRefunded
+    );
+    
+    let creditsRefunded = 0;
+    if (creditsToRefund > 0) {
+        try {
+            const refund = await atomicCreditSystem.refundCredits(userId, creditsToRefund, transactionId);
+            creditsRefunded = refund.creditsRefunded;
+        } catch (refundError) {
+            console.error('Credit refund for interrupted generation failed:', refundError);
+        }
+    }
+    
+    let draftId = resumeFrom ? resumeFrom.draftId : null;
+    if (deliveredWords > 0) {
+        try {
+            if (resumeFrom) {
+                await draftManager.updateDraft(resumeFrom.draftId, {
+                    content: partialContent,
+                    changeSummary: 'Resumed generation interrupted again'
+                }, userId, true);
+            } else {
+                const resumeState = Object.fromEntries(RESUME_FIELDS
+                    .filter(field => params[field] !== undefined && params[field] !== null)
+                    .map(field => [field, params[field]]));
+                const created = await draftManager.createDraft({
+                    title: params.assignmentTitle || 'Interrupted generation',
+                    content: partialContent,
+                    prompt: params.prompt,
+                    style: params.style,
+                    tone: params.tone,
+                    targetWordCount: wordCount,
+                    language,
+                    status: 'interrupted',
+                    resumeState
+                }, userId);
+                draftId = created.draftId;
+            }
+        } catch (draftError) {
+            console.error('Failed to save interrupted generation as a draft:', draftError);
+        }
+    }
+    
+    console.log(`Generation for ${userId} interrupted: ${deliveredWords} words delivered, ${creditsRefunded} credits refunded, draft ${draftId || 'not saved'}`);
+    return { deliveredWords, creditsRefunded, draftId };
+};
+
+/**
+ * Run writer generation once credits have been reserved
+ * Shared by the synchronous /generate route and the 'writer.generate' background job
+ * @param {Object} options - Generation options
+ * @param {string} options.userId - User ID
+ * @param {Object} options.params - Request body fields
+ * @param {string} options.planType - User plan type
+ * @param {number} options.creditsNeeded - Credits reserved for the request
+ * @param {number} options.remainingCredits - Balance after the reservation
+ * @param {AbortSignal|null} options.signal - Cancels the generation; the abort error carries `partialContent`
+ * @param {Function|null} options.onProgress - Optional progress callback
+ * @returns {Promise<Object>} Response payload
+ */
+const runWriterGeneration = async ({ userId, params, planType, creditsNeeded, remainingCredits, transactionId = null, signal = null, onProgress = null }) => {
+    const {
+        prompt,
+        style = 'Academic',
+        tone = 'Formal',
+        wordCount = 500,
+        qualityTier = 'standard',
+        contentType = 'general',
+        assignmentTitle,
+        citationStyle = 'APA',
+        rubric = null,
+        assignmentType = null,
+        resumeFrom = null
+    } = params;
+    const language = languageSupport.normalizeLanguage(params.language) || languageSupport.DEFAULT_LANGUAGE;
+    const lengthOptions = parseLengthTargeting(params);
+    
+    // Rubric (already normalized by the route), section schema and style profile steer every prompt built below
+    const rubricGuidance = rubricService.buildRubricGuidance(rubric);
+    const structureGuidance = assignmentType ? assignmentTypes.buildStructureGuidance(assignmentType, wordCount, language) : '';
+    const styleGuidance = params.styleGuidance || '';
+    const usage = { userId, feature: contentType === 'assignment' ? 'writer.assignment' : 'writer.generate', signal };
+    const steeredPrompt = [prompt, structureGuidance, rubricGuidance, styleGuidance].filter(Boolean).join('\n\n');
+    
+    let result;
+    let contentSource = 'new_generation';
+    let reusedMatch = null;
+    
+    // Determine if multi-part generation is needed
+    // Use multi-part for requests > 800 words or when user plan supports it
+    // (compared in English word equivalents so character-counted languages split the same way).
+    // Resuming always continues chunk by chunk after the saved text.
+    const lengthInWords = languageSupport.toWordEquivalents(wordCount, language);
+    const useMultiPart = Boolean(resumeFrom) || lengthInWords > 800 || 
+                         (planType !== 'freemium' && lengthInWords > 500);
+    
+    // Enable 2-loop refinement system for premium quality tier
+    const enableRefinement = qualityTier === 'premium';
+    
+    // Handle assignment generation with premium features integration
+    if (contentType === 'assignment') {
+        console.log(`Generating assignment: ${assignmentTitle} (Quality: ${qualityTier})`);
+        
+        if ((qualityTier === 'premium' && (useMultiPart || enableRefinement)) || resumeFrom) {
+            // Use multi-part generation with refinement for premium assignments
+            console.log('Using premium multi-part generation for assignment');
+            
+            result = await multiPartGenerator.generateMultiPartContent({
+                userId,
+                prompt: `Assignment Title: ${assignmentTitle}\n\nInstructions: ${prompt}`,
+                requestedWordCount: wordCount,
+                userPlan: planType,
+                style,
+                tone,
+                subject: assignmentTitle,
+                additionalInstructions: [`Generate academic assignment with ${citationStyle} citations`, structureGuidance].filter(Boolean).join('\n'),
+                requiresCitations: true,
+                citationStyle: citationStyle,
+                qualityTier: qualityTier,
+                enableRefinement: enableRefinement,
+                rubric,
+                styleGuidance,
+                feature: usage.feature,
+                language,
+                initialContent: resumeFrom ? resumeFrom.content : '',
+                signal,
+                onProgress
+            });
+            
+            contentSource = result.usedSimilarContent ? 'assignment_multipart_optimized' : 'assignment_multipart_new';
+        } else {
+            // Use standard assignment generation for standard quality
+            const assignmentContent = await generateAssignmentContent(
+                assignmentTitle,
+                steeredPrompt,
+                wordCount,
+                citationStyle,
+                style,
+                tone,
+                planType,
+                usage,
+                language
+            );
+            
+            // Apply 2-loop refinement for premium quality even in single generation
+            let finalContent = assignmentContent;
+            let refinementCycles = 0;
+            
+            if (enableRefinement) {
+                console.log('Applying 2-loop refinement to assignment');
+                try {
+                    const refinedContent = await llmService.generateContent(
+                        `Refine and improve this assignment content:\n\n${assignmentContent}\n\nMake it more academic, add depth, and ensure ${citationStyle} citation format.${styleGuidance ? `\n\n${styleGuidance}` : ''}`,
+                        style,
+                        tone,
+                        wordCount,
+                        'premium',
+                        planType,
+                        usage,
+                        language
+                    );
+                    finalContent = refinedContent.content;
+                    refinementCycles = 1;
+                } catch (refinementError) {
+                    if (isAbortError(refinementError)) {
+                        refinementError.partialContent = assignmentContent;
+                        throw refinementError;
+                    }
+                    console.warn('Refinement failed, using original content:', refinementError);
+                }
+            }
+            
+            result = {
+                content: finalContent,
+                wordCount: languageSupport.countWords(finalContent),
+                generationTime: enableRefinement ? 3500 : 2000,
+                source: 'assignment_generation',
+                refinementCycles: refinementCycles,
+                chunksGenerated: 1
+            };
+            contentSource = enableRefinement ? 'assignment_refined' : 'assignment_new';
+            reportSingleGeneration(onProgress, result.content, wordCount);
+        }
+    } else if (useMultiPart) {
+        console.log(`Using multi-part generation for ${wordCount} words`);
+        
+        // Use MultiPartGenerator for chunk-based generation with iterative detection
+        result = await multiPartGenerator.generateMultiPartContent({
+            userId,
+            prompt,
+            requestedWordCount: wordCount,
+            userPlan: planType,
+            style,
+            tone,
+            subject: params.subject || '',
+            additionalInstructions: [params.additionalInstructions, structureGuidance].filter(Boolean).join('\n'),
+            requiresCitations: params.requiresCitations || false,
+            citationStyle: params.citationStyle || 'apa',
+            qualityTier: qualityTier,
+            enableRefinement: enableRefinement,
+            rubric,
+            styleGuidance,
+            feature: usage.feature,
+            language,
+            initialContent: resumeFrom ? resumeFrom.content : '',
+            signal,
+            onProgress
+        });
+        
+        contentSource = result.usedSimilarContent ? 'multipart_optimized' : 'multipart_new';
+    } else {
+        // Use traditional single-generation for smaller content
+        console.log(`Using single generation for ${wordCount} words`);
+        
+        // Check for stored content with a closely matching prompt, style, tone and length; stored content is only reused for English
+        const similarContent = language === languageSupport.DEFAULT_LANGUAGE
+            ? await contentDatabase.findSimilarContent(prompt, style, tone, wordCount, userId)
+            : [];
+        
+        if (similarContent && similarContent.length > 0) {
+            // Use existing similar content as base for polishing
+            console.log(`Found ${similarContent.length} similar content matches`);
+            const bestMatch = similarContent[0]; // Highest similarity score
+            
+            // Get content for polishing and refinement
+            const polishingContent = await contentDatabase.getContentForPolishing(bestMatch.contentId, wordCount);
+            
+            if (polishingContent && polishingContent.sections) {
+                // Use existing content as base, polish to match new requirements
+                result = await llmService.polishExistingContent(
+                    polishingContent.sections,
+                    steeredPrompt,
+                    style,
+                    tone,
+                    wordCount,
+                    qualityTier,
+                    planType,
+                    usage,
+                    language
+                );
+                contentSource = 'optimized_existing';
+                reusedMatch = bestMatch;
+                
+                // Update access statistics for the reused content
+                await contentDatabase.updateAccessStatistics([bestMatch.contentId]);
+            } else {
+                // Fallback to new generation if polishing fails
+                result = await llmService.generateContent(steeredPrompt, style, tone, wordCount, qualityTier, planType, usage, language);
+            }
+        } else {
+            // No similar content found, generate new content
+            console.log('No similar content found, generating new content');
+            result = await llmService.generateContent(steeredPrompt, style, tone, wordCount, qualityTier, planType, usage, language);
+        }
+        
+        reportSingleGeneration(onProgress, result && result.content, wordCount);
+        
+        // Store the new/polished content in database for future optimization
+        if (result && result.content) {
+            await contentDatabase.storeContent(userId, prompt, result.content, {
+                style,
+                tone,
+                generationTime: result.generationTime,
+                source: contentSource,
+                wordCount: wordCount
+            });
+        }
+    }
+    
+    // Close the gap to the requested length section by section
+    let lengthTargeting = null;
+    let rubricAssessment = null;
+    try {
+        if (lengthOptions && result && result.content) {
+            const targeted = await applyLengthTargeting({
+                userId,
+                content: result.content,
+                targetWords: wordCount,
+                options: lengthOptions,
+                qualityTier,
+                planType,
+                usage,
+                language,
+                style,
+                tone,
+                creditsCharged: creditsNeeded,
+                transactionId,
+                onProgress
+            });
+            result = { ...result, content: targeted.content, wordCount: languageSupport.countWords(targeted.content) };
+            lengthTargeting = targeted.report;
+        }
+        
+        // Criterion-by-criterion self-assessment against the rubric
+        if (rubric && result && result.content) {
+            rubricAssessment = await rubricService.assessContent(result.content, rubric, { userPlan: planType, userId, signal });
+            if (onProgress) {
+                const totalWords = languageSupport.countWords(result.content);
+                onProgress('rubric_assessment', { assessment: rubricAssessment, totalWords, targetWords: wordCount });
+            }
+        }
+    } catch (error) {
+        // The text is complete by now; an abort here still leaves all of it to keep
+        if (isAbortError(error)) {
+            error.partialContent = error.partialContent || result.content;
+            error.creditsRefunded = lengthTargeting?.credits?.creditsRefunded || 0;
+        }
+        throw error;
+    }
+    
+    // Which of the assignment type's sections made it into the text
+    const structure = assignmentType && result && result.content
+        ? contentValidator.validateAssignmentStructure(result.content, assignmentType, wordCount)
+        : null;
+    
+    // A finished resume turns the interrupted draft back into an ordinary one
+    if (resumeFrom && result && result.content) {
+        try {
+            await draftManager.updateDraft(resumeFrom.draftId, {
+                content: result.content,
+                status: 'draft',
+                resumeState: null,
+                changeSummary: 'Resumed generation completed'
+            }, userId, true);
+        } catch (draftError) {
+            console.error('Failed to update resumed draft:', draftError);
+        }
+    }
+    
+    return {
+        success: true,
+        content: result.content,
+        rubricAssessment,
+        structure,
+        lengthTargeting,
+        metadata: {
+            source: result.source || 'multipart_generation',
+            generationTime: result.generationTime,
+            fallbackUsed: result.fallbackUsed,
+            contentSource: contentSource,
+            similarContentFound: result.usedSimilarContent || false,
+            style: style,
+            tone: tone,
+            wordCount: result.wordCount || wordCount,
+            language,
+            lengthUnit: languageSupport.getLanguage(language).unit,
+            creditsUsed: creditsNeeded,
+            remainingCredits: remainingCredits,
+            qualityTier: qualityTier,
+            enabledRefinement: enableRefinement,
+            promptTemplate: params.promptTemplate || null,
+            styleProfile: params.styleProfile || null,
+            assignmentType: assignmentType ? assignmentTypes.resolveTypeId(assignmentType) : null,
+            // Content type specific metadata
+            contentType: contentType,
+            isAssignment: contentType === 'assignment',
+            assignmentTitle: contentType === 'assignment' ? assignmentTitle : null,
+            citationStyle: contentType === 'assignment' ? citationStyle : null,
+            // Multi-part specific metadata
+            isMultiPart: contentType === 'assignment' ? 
+                (qualityTier === 'premium' && (useMultiPart || enableRefinement) && result.chunksGenerated > 1) : 
+                useMultiPart,
+            chunksGenerated: result.chunksGenerated || 1,
+            refinementCycles: result.refinementCycles || 0,
+            contentId: result.contentId,
+            traceId: result.traceId || null,
+            resumedFrom: resumeFrom ? { draftId: resumeFrom.draftId, resumedWords: resumeFrom.wordCount } : null,
+            // Whether stored text was used as a base, and whose (own, organization or shared)
+            contentReuse: result.reuse || contentDatabase.describeReuse(reusedMatch, userId),
+            // Multi-part only: repeated paragraphs removed and contradicting claims found across chunks
+            consistency: result.consistency || null,
+            requiresCitations: contentType === 'assignment' ? true : (result.citationData?.requiresCitations || false),
+            citationCount: result.citationData?.citationCount || 0,
+            citationStyle: contentType === 'assignment' ? citationStyle : (result.citationData?.style || null),
+            bibliography: result.citationData?.bibliography || [],
+            inTextCitations: result.citationData?.inTextCitations || [],
+            // Final detection results
+            originalityScore: result.finalDetectionResults?.originalityScore || null,
+            aiDetectionScore: result.finalDetectionResults?.aiDetectionScore || null,
+            plagiarismScore: result.finalDetectionResults?.plagiarismScore || null,
+            qualityScore: result.finalDetectionResults?.qualityScore || null,
+            requiresReview: result.finalDetectionResults?.requiresReview || false,
+            isAcceptable: result.finalDetectionResults?.isAcceptable || true,
+            detectionConfidence: result.finalDetectionResults?.confidence || null,
+            detectionRecommendations: result.finalDetectionResults?.recommendations || []
+        }
+    };
+};
+
+// Background execution of /generate requests submitted with async=true
+jobQueue.registerHandler('writer.generate', async (job, context) => {
+    const { params, planType, creditsNeeded, remainingCredits } = job.payload;
+    
+    return runWriterGeneration({
+        userId: job.userId,
+        params,
+        planType,
+        creditsNeeded,
+        remainingCredits,
+        transactionId: job.credits?.transactionId || null,
+        signal: context.signal,
+        onProgress: (event, data = {}) => context.reportProgress({
+            stage: event,
+            chunkIndex: data.chunkIndex ?? null,
+            totalWords: data.totalWords || 0,
+            targetWords: data.targetWords || params.wordCount,
+            percent: data.targetWords ? Math.min(99, Math.round((data.totalWords || 0) / data.targetWords * 100)) : 0
+        })
+    });
+});
+
+/**
+ * POST /api/writer/generate
+ * Generate content from text prompt or assignment
+ * Send `Accept: text/event-stream` (or `stream=true`) to receive progress events;
+ * the final `complete` event carries the same payload as the JSON response.
+ * Send `async=true` to queue the work as a background job and poll /api/jobs/:id instead.
+ * Send `templateId` and `templateVariables` (optionally `templateVersion`) instead of `prompt`
+ * to generate from a saved prompt template.
+ * Send `styleProfileId` to write in the voice of one of the user's style profiles.
+ * If the client disconnects, generation stops, the credits for words not yet written are
+ * refunded and the text so far is saved as an 'interrupted' draft; send `resumeDraftId`
+ * to continue that draft, paying only for the missing words.
+ */
+router.post('/generate', unifiedAuth, resolveResumeDraft, resolvePromptTemplate, resolveStyleProfile, validateWriterInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
+    try {
+        const { 
+            prompt, 
+            wordCount = 500, 
+            qualityTier = 'standard',
+            contentType = 'general', // 'general' or 'assignment'
+            assignmentTitle,
+            language = languageSupport.DEFAULT_LANGUAGE
+        } = req.body;
+        const userId = req.user.userId;
+        
+        if (!prompt || prompt.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Prompt is required'
+            });
+        }
+        
+        // Chinese and Japanese requests give wordCount in characters
+        const lengthLimits = languageSupport.lengthRange(100, 2000, language);
+        if (wordCount < lengthLimits.min || wordCount > lengthLimits.max) {
+            return res.status(400).json({
+                success: false,
+                error: `Word count must be between ${lengthLimits.min} and ${lengthLimits.max} ${lengthLimits.unit}`
+            });
+        }
+        
+        // For assignment type, require title
+        if (contentType === 'assignment' && (!assignmentTitle || assignmentTitle.trim().length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Assignment title is required for assignment generation'
+            });
+        }
+        
+        const parsedRubric = parseRequestRubric(req.body.rubric);
+        if (parsedRubric.error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid rubric',
+                details: parsedRubric.error
+            });
+        }
+        const params = { ...req.body, rubric: parsedRubric.rubric };
+        
+        // Validate user plan and calculate credits
+        const planValidation = await planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+        
+        if (!planValidation.isValid) {
+            return res.status(403).json({
+                success: false,
+                error: planValidation.error || 'Plan validation failed'
+            });
+        }
+        
+        // Premium quality tier is now available to all users with 2x credit cost
+        
+        // Calculate credits needed based on quality tier
+        // Standard: 1 credit per 3 words, Premium: 2x credits (2 credits per 3 words)
+        // A resumed generation pays only for the words it still has to write
+        const wordsToGenerate = params.resumeFrom ? wordCount - params.resumeFrom.wordCount : wordCount;
+        let baseCreditsNeeded = atomicCreditSystem.calculateRequiredCredits(wordsToGenerate, 'writing', null, language);
+        const creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
+        
+        // Deduct credits atomically
+        const creditResult = await atomicCreditSystem.deductCreditsAtomic(
+            userId,
+            creditsNeeded,
+            planValidation.userPlan.planType,
+            'writing'
+        );
+        
+        if (!creditResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: `Insufficient credits. Need ${creditsNeeded}, available: ${creditResult.previousBalance || 0}`
+            });
+        }
+        
+        // Queue as a background job; the worker releases the reserved credits if it fails
+        if (wantsBackgroundJob(req)) {
+            try {
+                const job = await jobQueue.submit(userId, 'writer.generate', {
+                    params,
+                    planType: planValidation.userPlan.planType,
+                    creditsNeeded,
+                    remainingCredits: creditResult.newBalance ?? null
+                }, {
+                    credits: {
+                        transactionId: creditResult.transactionId || null,
+                        creditsHeld: creditResult.creditsDeducted || creditsNeeded,
+                        wordsAllocated: creditResult.wordsAllocated || wordsToGenerate
+                    }
+                });
+                return sendJobAccepted(res, job);
+            } catch (submitError) {
+                console.error('Failed to queue writer job, rolling back credits:', submitError);
+                if (creditResult.transactionId) {
+                    await atomicCreditSystem.rollbackTransaction(
+                        userId,
+                        creditResult.transactionId,
+                        creditResult.creditsDeducted,
+                        creditResult.wordsAllocated || wordsToGenerate
+                    );
+                }
+                throw submitError;
+            }
+        }
+        
+        // Switch to an event stream once credits are reserved so earlier failures keep their HTTP status
+        const stream = wantsEventStream(req) ? createEventStream(res) : null;
+        const onProgress = stream ? createProgressReporter(stream, creditsNeeded, qualityTier, language) : null;
+        // Closing the tab (or the stream) stops every LLM and detection call still to come
+        const disconnect = abortOnDisconnect(res);
+        const creditsCharged = creditResult.creditsDeducted ?? creditsNeeded;
+        const interruption = {
+            userId,
+            params,
+            creditsCharged,
+            transactionId: creditResult.transactionId || null
+        };
+        
+        try {
+            const payload = await runWriterGeneration({
+                userId,
+                params,
+                planType: planValidation.userPlan.planType,
+                creditsNeeded,
+                remainingCredits: creditResult.newBalance,
+                transactionId: creditResult.transactionId || null,
+                signal: disconnect.signal,
+                onProgress
+            });
+            
+            // Finished just as the client left: keep the text as a draft since nobody will receive it
+            if (disconnect.signal.aborted && !params.resumeFrom) {
+                await handleInterruptedGeneration({
+                    ...interruption,
+                    partialContent: payload.content,
+                    creditsAlreadyRefunded: payload.lengthTargeting?.credits?.creditsRefunded || 0
+                });
+                return;
+            }
+            
+            sendGenerationResponse(res, stream, 200, payload);
+            
+        } catch (generationError) {
+            if (isAbortError(generationError)) {
+                await handleInterruptedGeneration({
+                    ...interruption,
+                    partialContent: generationError.partialContent,
+                    creditsAlreadyRefunded: generationError.creditsRefunded || 0
+                });
+                return;
+            }
+            
+            console.error('Content generation failed, rolling back credits:', generationError);
+            
+            // Rollback credits on generation failure
+            try {
+                await atomicCreditSystem.refundCredits(userId, creditsCharged, creditResult.transactionId || null);
+            } catch (rollbackError) {
+                console.error('Credit rollback failed:', rollbackError);
+            }
+            
+            return sendGenerationResponse(res, stream, 500, {
+                success: false,
+                error: 'Content generation failed',
+                details: generationError.message
+            });
+        }
+        
+    } catch (error) {
+        console.error('Error in writer generate endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * Generate one batch item as its own paid request
+ * Credits are charged when the item starts, so cancelling a batch never refunds items that
+ * already finished. Finished text is saved as a draft; a failed item is refunded in full and a
+ * cancelled one is handled like a disconnected /generate (interrupted draft, unwritten words refunded).
+ * An entry that already holds a transactionId was charged by an earlier run of the batch and is
+ * not charged again.
+ * @param {Object} options - { userId, planType, item, entry (status record, updated in place), signal,
+ *   onCharged (called once the charge is recorded on the entry, so it can be persisted) }
+ */
+const runBatchItem = async ({ userId, planType, item, entry, signal, onCharged = () => {} }) => {
+    const params = {
+        prompt: item.prompt,
+        wordCount: item.wordCount,
+        style: item.style,
+        tone: item.tone,
+        citationStyle: item.citationStyle,
+        qualityTier: item.qualityTier,
+        language: item.language,
+        assignmentTitle: item.title
+    };
+    
+    const baseCreditsNeeded = atomicCreditSystem.calculateRequiredCredits(item.wordCount, 'writing', null, item.language);
+    const creditsNeeded = item.qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
+    let creditResult = { newBalance: null };
+    if (!entry.transactionId) {
+        try {
+            creditResult = await atomicCreditSystem.deductCreditsAtomic(userId, creditsNeeded, planType, 'writing');
+        } catch (creditError) {
+            entry.status = 'failed';
+            entry.error = creditError.message;
+            return;
+        }
+        if (!creditResult.success) {
+            entry.status = 'failed';
+            entry.error = `Insufficient credits. Need ${creditsNeeded}, available: ${creditResult.previousBalance || 0}`;
+            return;
+        }
+        entry.creditsUsed = creditResult.creditsDeducted ?? creditsNeeded;
+        entry.transactionId = creditResult.transactionId || null;
+        onCharged();
+    }
+    const creditsCharged = entry.creditsUsed;
+    const transactionId = entry.transactionId;
+    entry.error = null;
+    
+    try {
+        const payload = await runWriterGeneration({
+            userId,
+            params,
+            planType,
+            creditsNeeded,
+            remainingCredits: creditResult.newBalance,
+            transactionId,
+            signal
+        });
+        
+        const saved = await draftManager.createDraft({
+            title: item.title,
+            content: payload.content,
+            prompt: item.prompt,
+            style: item.style,
+            tone: item.tone,
+            targetWordCount: item.wordCount,
+            language: item.language
+        }, userId);
+        
+        entry.status = 'completed';
+        entry.wordCount = languageSupport.countWords(payload.content);
+        entry.creditsUsed = creditsCharged - (payload.lengthTargeting?.credits?.creditsRefunded || 0);
+        entry.draftId = saved.draftId;
+    } catch (error) {
+        if (isAbortError(error)) {
+            const alreadyRefunded = error.creditsRefunded || 0;
+            const interrupted = await handleInterruptedGeneration({
+                userId,
+                params,
+                creditsCharged,
+                transactionId,
+                partialContent: error.partialContent,
+                creditsAlreadyRefunded: alreadyRefunded
+            });
+            entry.status = 'interrupted';
+            entry.wordCount = interrupted.deliveredWords;
+            entry.creditsUsed = creditsCharged - alreadyRefunded - interrupted.creditsRefunded;
+            entry.draftId = interrupted.draftId;
+            return;
+        }
+        
+        console.error(`Batch item ${item.index} failed, refunding credits:`, error);
+        try {
+            await atomicCreditSystem.refundCredits(userId, creditsCharged, transactionId);
+            // Nothing is held any more, so a rerun of the batch charges the item afresh
+            entry.creditsUsed = 0;
+            entry.transactionId = null;
+        } catch (refundError) {
+            console.error('Credit refund for failed batch item failed:', refundError);
+        }
+        entry.status = 'failed';
+        entry.error = error.message;
+    }
+};
+
+// Background execution of /batch uploads; per-item status is published as job progress.
+// A recovered or retried job starts from the saved statuses: finished items are not generated
+// (or charged) again, and items charged before the interruption keep their charge.
+jobQueue.registerHandler('writer.batch', async (job, context) => {
+    const { items, planType, exportFormat } = job.payload;
+    const saved = new Map((job.progress?.items || []).map(entry => [entry.index, entry]));
+    const statuses = items.map(item => ({ ...writerBatchService.createItemStatus(item), ...saved.get(item.index) }));
+    const pending = items.filter(item => !writerBatchService.isItemFinished(statuses.find(status => status.index === item.index)));
+    
+    // Item transitions are written straight away so pollers and downloads see every finished draft
+    const report = () => {
+        const summary = writerBatchService.summarize(statuses);
+        context.reportProgress({
+            stage: context.isCancelled() ? 'cancelled' : 'generating',
+            percent: Math.min(99, Math.round((summary.completed + summary.failed + summary.interrupted) / summary.total * 100)),
+            summary,
+            items: statuses.map(entry => ({ ...entry }))
+        }, { immediate: true });
+    };
+    
+    await writerBatchService.runItems(pending, async (item) => {
+        const entry = statuses.find(status => status.index === item.index);
+        entry.status = 'running';
+        report();
+        await runBatchItem({ userId: job.userId, planType, item, entry, signal: context.signal, onCharged: report });
+        report();
+    }, { signal: context.signal });
+    
+    return {
+        exportFormat,
+        summary: writerBatchService.summarize(statuses),
+        items: statuses
+    };
+});
+
+/**
+ * Latest per-item status of a batch job
+ * @param {Object} job - 'writer.batch' job
+ * @returns {Array<Object>} Item status records
+ */
+const getBatchItems = (job) => {
+    if (job.status === 'completed' && job.result) {
+        return job.result.items;
+    }
+    return job.progress?.items || job.payload.items.map(item => writerBatchService.createItemStatus(item));
+};
+
+const loadBatchJob = async (batchId, userId) => {
+    const job = await jobQueue.getJob(batchId, userId);
+    if (job.type !== 'writer.batch') {
+        const error = new Error('Batch not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return job;
+};
+
+/**
+ * POST /api/writer/batch
+ * Queue many writer requests at once.
+ * Upload a .csv or .json `file`, or send `items` as a JSON array. Each request takes prompt,
+ * wordCount, style, tone, citationStyle and optionally title, language and qualityTier; CSV
+ * files name these in a header row. `exportFormat` (docx, txt, html, pdf) sets the format of
+ * the ZIP download. Plan limits and the combined credit cost are checked before anything runs;
+ * each item is then charged when it starts. Cancel with DELETE /api/jobs/:batchId.
+ */
+router.post('/batch', unifiedAuth, batchUpload.single('file'), asyncErrorHandler(async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const exportFormat = String(req.body.exportFormat || 'docx').toLowerCase();
+        if (!writerBatchService.EXPORT_FORMATS.includes(exportFormat)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported export format: ${exportFormat}`,
+                supportedFormats: writerBatchService.EXPORT_FORMATS
+            });
+        }
+        
+        const requests = writerBatchService.readRequests({ file: req.file, items: req.body.items });
+        const { items, errors } = writerBatchService.normalizeRequests(requests);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Some batch requests are invalid',
+                itemErrors: errors
+            });
+        }
+        
+        const planValidation = await planValidator.validateBatchRequest(userId, items, 'writing');
+        if (!planValidation.isValid) {
+            return res.status(planValidation.errorCode === 'INSUFFICIENT_CREDITS' ? 400 : 403).json({
+                success: false,
+                error: planValidation.error || 'Plan validation failed',
+                errorCode: planValidation.errorCode,
+                itemErrors: planValidation.itemErrors,
+                estimatedCredits: planValidation.estimatedCredits,
+                availableCredits: planValidation.availableCredits
+            });
+        }
+        
+        const job = await jobQueue.submit(userId, 'writer.batch', {
+            items,
+            planType: planValidation.userPlan.planType,
+            exportFormat
+        });
+        
+        res.status(202)
+            .location(`/api/writer/batch/${job.jobId}`)
+            .json({
+                success: true,
+                batchId: job.jobId,
+                status: job.status,
+                itemCount: items.length,
+                estimatedCredits: planValidation.estimatedCredits,
+                exportFormat,
+                statusUrl: `/api/writer/batch/${job.jobId}`,
+                downloadUrl: `/api/writer/batch/${job.jobId}/download`
+            });
+    } catch (error) {
+        if (!error.statusCode) {
+            console.error('Error in writer batch endpoint:', error);
+        }
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to queue batch',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * GET /api/writer/batch/:batchId
+ * Batch status with a summary and the status of every item
+ */
+router.get('/batch/:batchId', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const job = await loadBatchJob(req.params.batchId, req.user.userId);
+        const items = getBatchItems(job);
+        
+        res.json({
+            success: true,
+            batch: {
+                batchId: job.jobId,
+                status: job.status,
+                exportFormat: job.payload.exportFormat,
+                summary: writerBatchService.summarize(items),
+                items,
+                error: job.error,
+                createdAt: job.createdAt,
+                startedAt: job.startedAt,
+                completedAt: job.completedAt
+            }
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to fetch batch',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * GET /api/writer/batch/:batchId/download
+ * ZIP of every output of a finished (or cancelled) batch plus a manifest.csv of item statuses.
+ * `format` overrides the export format chosen at upload. Outputs are read from the saved
+ * drafts, so edits made since generation are included.
+ */
+router.get('/batch/:batchId/download', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const job = await loadBatchJob(req.params.batchId, userId);
+        const format = String(req.query.format || job.payload.exportFormat || 'docx').toLowerCase();
+        
+        if (!writerBatchService.EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported export format: ${format}`,
+                supportedFormats: writerBatchService.EXPORT_FORMATS
+            });
+        }
+        if (['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Batch is still running',
+                status: job.status
+            });
+        }
+        
+        const outputs = [];
+        for (const entry of getBatchItems(job)) {
+            let content = null;
+            const status = { ...entry };
+            if (entry.draftId) {
+                const draft = await draftManager.getDraft(entry.draftId, userId);
+                if (draft) {
+                    content = draft.content;
+                } else {
+                    status.error = 'Draft has been deleted';
+                }
+            }
+            outputs.push({ status, content });
+        }
+        
+        if (!outputs.some(output => output.content)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch has no outputs to download'
+            });
+        }
+        
+        const archive = await writerBatchService.buildArchive(outputs, format);
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="batch_${job.jobId}_${format}.zip"`);
+        res.send(archive);
+    } catch (error) {
+        const statusCode = error.message === 'Access denied' ? 403 : error.statusCode || 500;
+        res.status(statusCode).json({
+            success: false,
+            error: statusCode < 500 ? error.message : 'Failed to build batch download',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * Save outline-based generation results to a draft
+ * Updates the given draft (as a new version) or creates one. Failures are logged and
+ * reported in the response rather than discarding text the user has paid for.
+ * @param {string} userId - User ID
+ * @param {Object} data - { draftId, title, prompt, style, tone, outline, generation }
+ * @returns {Promise<Object>} { draftId, error }
+ */
+const saveOutlineDraft = async (userId, { draftId, title, prompt, style, tone, outline, generation, language }) => {
+    const sections = generation.sections.map(({ id, heading, type, schemaSection, targetWords, content, wordCount }) => ({
+        id, heading, type, schemaSection, targetWords, content, wordCount
+    }));
+    
+    try {
+        if (draftId) {
+            await draftManager.updateDraft(draftId, {
+                content: generation.content,
+                outline,
+                sections,
+                targetWordCount: outline.totalWordCount,
+                language,
+                changeSummary: 'Generated from outline'
+            }, userId, true);
+            return { draftId, error: null };
+        }
+        
+        const created = await draftManager.createDraft({
+            title: title || outline.title || 'Untitled Draft',
+            content: generation.content,
+            prompt,
+            style,
+            tone,
+            targetWordCount: outline.totalWordCount,
+            language,
+            outline,
+            sections
+        }, userId);
+        return { draftId: created.draftId, error: null };
+    } catch (error) {
+        console.error('Failed to save outline draft:', error);
+        return { draftId: draftId || null, error: error.message };
+    }
+};
+
+/**
+ * POST /api/writer/outline
+ * Generate an editable outline: sections with target word counts and key points.
+ * `assignmentType` (see /assignment-types) selects the section schema; essays by default.
+ * Outlines are a planning step and do not consume credits.
+ */
+router.post('/outline', unifiedAuth, validateWriterInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
+    try {
+        const {
+            prompt,
+            style = 'Academic',
+            tone = 'Formal',
+            wordCount = 500,
+            qualityTier = 'standard',
+            language = languageSupport.DEFAULT_LANGUAGE
+        } = req.body;
+        const userId = req.user.userId;
+        
+        const planValidation = await planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+        
+        if (!planValidation.isValid) {
+            return res.status(403).json({
+                success: false,
+                error: planValidation.error || 'Plan validation failed'
+            });
+        }
+        
+        const outline = await contentProcessor.generateStructuredOutline(prompt, {
+            style,
+            tone,
+            wordCount: parseInt(wordCount),
+            qualityTier,
+            userPlan: planValidation.userPlan.planType,
+            usage: { userId, feature: 'writer.outline' },
+            language,
+            assignmentType: req.body.assignmentType
+        });
+        
+        res.json({
+            success: true,
+            outline
+        });
+    } catch (error) {
+        console.error('Error in writer outline endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate outline',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * POST /api/writer/rubric
+ * Parse an uploaded (`rubricFile`: any format from /supported-formats) or pasted (`rubric`) marking rubric into
+ * criteria, weights and band descriptors. The returned rubric can be edited and sent as
+ * `rubric` with /generate, /upload-and-generate or /generate-from-outline.
+ */
+router.post('/rubric', unifiedAuth, upload.single('rubricFile'), asyncErrorHandler(async (req, res) => {
+    try {
+        let rubricInput = req.body.rubric;
+        
+        if (req.file) {
+            const [extracted] = await fileProcessingService.extractContent([req.file]);
+            if (!extracted || extracted.error || !extracted.content.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Could not read rubric file',
+                    details: extracted && extracted.error ? extracted.error : 'File is empty'
+                });
+            }
+            rubricInput = extracted.content;
+        }
+        
+        if (!rubricInput) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide a rubric file or pasted rubric text'
+            });
+        }
+        
+        const { rubric, error } = parseRequestRubric(rubricInput);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid rubric',
+                details: error
+            });
+        }
+        
+        res.json({
+            success: true,
+            rubric
+        });
+    } catch (error) {
+        console.error('Error in writer rubric endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to parse rubric',
+            details: error.message
+        });
+    }
+}));
+
+/**
+ * Gather style samples from uploaded files and pasted text
+ * Multipart forms send pasted `samples` as a JSON array or a single string.
+ * @returns {Promise<Object>} { samples, error } - samples is undefined when none were sent
+ */
+const collectStyleSamples = async (req) => {
+    let pasted = req.body.samples;
+    if (typeof pasted === 'string' && pasted.trim().startsWith('[')) {
+        try {
+            pasted = JSON.parse(pasted);
+        } catch (error) {
+            return { error: 'samples must be a JSON array of texts' };
+        }
+    }
+    const samples = pasted === undefined || pasted === '' ? [] : [].concat(pasted);
+    
+    if (req.files && req.files.length > 0) {
+        const extracted = await fileProcessingService.extractContent(req.files);
+        for (const file of extracted) {
+            if (file.error || !file.content || !file.content.trim()) {
+                return { error: `Could not read ${file.filename}: ${file.error || 'file is empty'}` };
+            }
+            samples.push({ text: file.content, source: file.filename });
+        }
+    }
+    
+    return { samples: samples.length > 0 ? samples : undefined };
+};
 
-## References
+const sendStyleProfileError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : fallbackMessage,
+        details: error.message
+    });
+};
 
-${citationStyle === 'APA' ? 
-`Smith, J. (2023). Academic Writing in the Digital Age. Journal of Modern Education, 45(2), 123-145.
+/**
+ * GET /api/writer/style-profiles
+ * List the user's writing-style profiles
+ */
+router.get('/style-profiles', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const profiles = await styleProfileService.listProfiles(req.user.userId);
+        res.json({ success: true, profiles });
+    } catch (error) {
+        sendStyleProfileError(res, error, 'Failed to list style profiles');
+    }
+}));
 
-Johnson, M. & Brown, A. (2022). Research Methodologies for Students. Academic Press.` :
-citationStyle === 'MLA' ?
-`Smith, John. "Academic Writing in the Digital Age." Journal of Modern Education, vol. 45, no. 2, 2023, pp. 123-145.
+/**
+ * POST /api/writer/style-profiles
+ * Learn a style profile from the user's own writing.
+ * Body: { name, samples } with samples as pasted texts and/or up to 5 `samples` file uploads.
+ * Samples are analyzed, not stored.
+ */
+router.post('/style-profiles', unifiedAuth, upload.array('samples', 5), asyncErrorHandler(async (req, res) => {
+    try {
+        const { samples, error } = await collectStyleSamples(req);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const profile = await styleProfileService.createProfile(req.user.userId, {
+            name: req.body.name,
+            samples
+        });
+        res.status(201).json({
+            success: true,
+            profile,
+            guidance: styleProfileService.buildStyleGuidance(profile.profile)
+        });
+    } catch (error) {
+        sendStyleProfileError(res, error, 'Failed to create style profile');
+    }
+}));
 
-Johnson, Mary, and Anne Brown. Research Methodologies for Students. Academic Press, 2022.` :
-`Smith, J. (2023). Academic Writing in the Digital Age. Journal of Modern Education 45, no. 2: 123-145.
+/**
+ * GET /api/writer/style-profiles/:profileId
+ * A profile with the guidance it adds to prompts
+ */
+router.get('/style-profiles/:profileId', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const { profile, guidance } = await styleProfileService.resolveGuidance(req.params.profileId, req.user.userId);
+        res.json({ success: true, profile, guidance });
+    } catch (error) {
+        sendStyleProfileError(res, error, 'Failed to load style profile');
+    }
+}));
 
-Johnson, M., and A. Brown. Research Methodologies for Students. Academic Press, 2022.`}
-    `.trim();
+/**
+ * PUT /api/writer/style-profiles/:profileId
+ * Rename a profile and/or relearn it from new samples (replacing the old analysis)
+ */
+router.put('/style-profiles/:profileId', unifiedAuth, upload.array('samples', 5), asyncErrorHandler(async (req, res) => {
+    try {
+        const { samples, error } = await collectStyleSamples(req);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const profile = await styleProfileService.updateProfile(req.params.profileId, req.user.userId, {
+            name: req.body.name,
+            samples
+        });
+        res.json({
+            success: true,
+            profile,
+            guidance: styleProfileService.buildStyleGuidance(profile.profile)
+        });
+    } catch (error) {
+        sendStyleProfileError(res, error, 'Failed to update style profile');
+    }
+}));
 
-        return fallbackContent;
+/**
+ * DELETE /api/writer/style-profiles/:profileId
+ */
+router.delete('/style-profiles/:profileId', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const result = await styleProfileService.deleteProfile(req.params.profileId, req.user.userId);
+        res.json(result);
+    } catch (error) {
+        sendStyleProfileError(res, error, 'Failed to delete style profile');
     }
-};
+}));
 
 /**
- * POST /api/writer/generate
- * Generate content from text prompt or assignment
+ * POST /api/writer/generate-from-outline
+ * Write each section of an approved (possibly edited or reordered) outline.
+ * Sections without a targetWords value get the default introduction/body/conclusion split
+ * of `wordCount`. The outline and per-section text are saved with the draft (`draftId`
+ * updates an existing draft, otherwise a new one is created).
+ * Supports the same event-stream mode as /generate.
  */
-router.post('/generate', unifiedAuth, validateWriterInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
+router.post('/generate-from-outline', unifiedAuth, resolveStyleProfile, validateWriterInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
     try {
-        const { 
-            prompt, 
-            style = 'Academic', 
-            tone = 'Formal', 
-            wordCount = 500, 
+        const {
+            prompt,
+            outline: submittedOutline,
+            wordCount,
+            style = 'Academic',
+            tone = 'Formal',
             qualityTier = 'standard',
-            contentType = 'general', // 'general' or 'assignment'
-            assignmentTitle,
-            citationStyle = 'APA'
+            draftId = null,
+            title,
+            rubric: submittedRubric
         } = req.body;
         const userId = req.user.userId;
+        // An outline from /outline remembers its language
+        const requestedLanguage = req.body.language || submittedOutline?.language;
+        const language = languageSupport.normalizeLanguage(requestedLanguage);
+        if (!language) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported language: ${requestedLanguage}`
+            });
+        }
         
-        if (!prompt || prompt.trim().length === 0) {
+        let outline;
+        try {
+            outline = contentProcessor.normalizeOutline(
+                submittedOutline,
+                wordCount ? parseInt(wordCount) : null,
+                req.body.assignmentType
+            );
+        } catch (outlineError) {
             return res.status(400).json({
                 success: false,
-                error: 'Prompt is required'
+                error: 'Invalid outline',
+                details: outlineError.message
             });
         }
         
-        if (wordCount < 100 || wordCount > 2000) {
+        const lengthLimits = languageSupport.lengthRange(100, 2000, language);
+        if (outline.totalWordCount < lengthLimits.min || outline.totalWordCount > lengthLimits.max) {
             return res.status(400).json({
                 success: false,
-                error: 'Word count must be between 100 and 2000'
+                error: `Outline word count must be between ${lengthLimits.min} and ${lengthLimits.max} ${lengthLimits.unit}`,
+                details: `Outline totals ${outline.totalWordCount} ${lengthLimits.unit}`
             });
         }
         
-        // For assignment type, require title
-        if (contentType === 'assignment' && (!assignmentTitle || assignmentTitle.trim().length === 0)) {
+        const { rubric, error: rubricError } = parseRequestRubric(submittedRubric);
+        if (rubricError) {
             return res.status(400).json({
                 success: false,
-                error: 'Assignment title is required for assignment generation'
+                error: 'Invalid rubric',
+                details: rubricError
             });
         }
+        const lengthOptions = parseLengthTargeting(req.body);
         
-        // Validate user plan and calculate credits
         const planValidation = await planValidator.validateUserPlan(userId, {
             toolType: 'writing',
             requestType: 'generation'
@@ -175,14 +1757,9 @@ router.post('/generate', unifiedAuth, validateWriterInput, handleValidationError
             });
         }
         
-        // Premium quality tier is now available to all users with 2x credit cost
-        
-        // Calculate credits needed based on quality tier
-        // Standard: 1 credit per 3 words, Premium: 2x credits (2 credits per 3 words)
-        let baseCreditsNeeded = atomicCreditSystem.calculateRequiredCredits(wordCount, 'writing');
+        const baseCreditsNeeded = atomicCreditSystem.calculateRequiredCredits(outline.totalWordCount, 'writing', null, language);
         const creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
         
-        // Deduct credits atomically
         const creditResult = await atomicCreditSystem.deductCreditsAtomic(
             userId,
             creditsNeeded,
@@ -197,224 +1774,139 @@ router.post('/generate', unifiedAuth, validateWriterInput, handleValidationError
             });
         }
         
+        const stream = wantsEventStream(req) ? createEventStream(res) : null;
+        const onProgress = stream ? createProgressReporter(stream, creditsNeeded, qualityTier, language) : null;
+        
+        const creditsCharged = creditResult.creditsDeducted ?? creditsNeeded;
+        let generation;
+        let lengthTargeting = null;
+        let response;
+        // Everything that can fail after the charge (generation, length targeting, rubric
+        // assessment, saving the draft) gives the credits back and reports through the stream
         try {
-            let result;
-            let contentSource = 'new_generation';
-            
-            // Determine if multi-part generation is needed
-            // Use multi-part for requests > 800 words or when user plan supports it
-            const useMultiPart = wordCount > 800 || 
-                               (planValidation.userPlan.planType !== 'freemium' && wordCount > 500);
-            
-            // Enable 2-loop refinement system for premium quality tier
-            const enableRefinement = qualityTier === 'premium';
+            generation = await contentProcessor.generateFromOutline(outline, {
+                prompt,
+                style,
+                tone,
+                qualityTier,
+                userPlan: planValidation.userPlan.planType,
+                rubricGuidance: rubricService.buildRubricGuidance(rubric),
+                styleGuidance: req.body.styleGuidance || '',
+                onProgress,
+                usage: { userId, feature: 'writer.fromOutline' },
+                language
+            });
             
-            // Handle assignment generation with premium features integration
-            if (contentType === 'assignment') {
-                console.log(`Generating assignment: ${assignmentTitle} (Quality: ${qualityTier})`);
-                
-                if (qualityTier === 'premium' && (useMultiPart || enableRefinement)) {
-                    // Use multi-part generation with refinement for premium assignments
-                    console.log('Using premium multi-part generation for assignment');
-                    
-                    result = await multiPartGenerator.generateMultiPartContent({
-                        userId,
-                        prompt: `Assignment Title: ${assignmentTitle}\n\nInstructions: ${prompt}`,
-                        requestedWordCount: wordCount,
-                        userPlan: planValidation.userPlan.planType,
-                        style,
-                        tone,
-                        subject: assignmentTitle,
-                        additionalInstructions: `Generate academic assignment with ${citationStyle} citations`,
-                        requiresCitations: true,
-                        citationStyle: citationStyle,
-                        qualityTier: qualityTier,
-                        enableRefinement: enableRefinement
-                    });
-                    
-                    contentSource = result.usedSimilarContent ? 'assignment_multipart_optimized' : 'assignment_multipart_new';
-                } else {
-                    // Use standard assignment generation for standard quality
-                    const assignmentContent = await generateAssignmentContent(
-                        assignmentTitle,
-                        prompt,
-                        wordCount,
-                        citationStyle,
-                        style,
-                        tone
-                    );
-                    
-                    // Apply 2-loop refinement for premium quality even in single generation
-                    let finalContent = assignmentContent;
-                    let refinementCycles = 0;
-                    
-                    if (enableRefinement) {
-                        console.log('Applying 2-loop refinement to assignment');
-                        try {
-                            const refinedContent = await llmService.generateContent(
-                                `Refine and improve this assignment content:\n\n${assignmentContent}\n\nMake it more academic, add depth, and ensure ${citationStyle} citation format.`,
-                                style,
-                                tone,
-                                wordCount,
-                                'premium'
-                            );
-                            finalContent = refinedContent.content;
-                            refinementCycles = 1;
-                        } catch (refinementError) {
-                            console.warn('Refinement failed, using original content:', refinementError);
-                        }
-                    }
-                    
-                    result = {
-                        content: finalContent,
-                        wordCount: finalContent.split(/\s+/).length,
-                        generationTime: enableRefinement ? 3500 : 2000,
-                        source: 'assignment_generation',
-                        refinementCycles: refinementCycles,
-                        chunksGenerated: 1
-                    };
-                    contentSource = enableRefinement ? 'assignment_refined' : 'assignment_new';
-                }
-            } else if (useMultiPart) {
-                console.log(`Using multi-part generation for ${wordCount} words`);
-                
-                // Use MultiPartGenerator for chunk-based generation with iterative detection
-                result = await multiPartGenerator.generateMultiPartContent({
+            if (lengthOptions) {
+                const targeted = await applyLengthTargeting({
                     userId,
-                    prompt,
-                    requestedWordCount: wordCount,
-                    userPlan: planValidation.userPlan.planType,
+                    content: generation.content,
+                    targetWords: outline.totalWordCount,
+                    options: lengthOptions,
+                    qualityTier,
+                    planType: planValidation.userPlan.planType,
+                    usage: { userId, feature: 'writer.fromOutline' },
+                    language,
                     style,
                     tone,
-                    subject: req.body.subject || '',
-                    additionalInstructions: req.body.additionalInstructions || '',
-                    requiresCitations: req.body.requiresCitations || false,
-                    citationStyle: req.body.citationStyle || 'apa',
-                    qualityTier: qualityTier,
-                    enableRefinement: enableRefinement
+                    creditsCharged: creditsNeeded,
+                    transactionId: creditResult.transactionId || null,
+                    onProgress
                 });
-                
-                contentSource = result.usedSimilarContent ? 'multipart_optimized' : 'multipart_new';
-            } else {
-                // Use traditional single-generation for smaller content
-                console.log(`Using single generation for ${wordCount} words`);
-                
-                // Check for similar content in database (80%+ matching)
-                const similarContent = await contentDatabase.findSimilarContent(prompt, style, tone, wordCount);
-                
-                if (similarContent && similarContent.length > 0) {
-                    // Use existing similar content as base for polishing
-                    console.log(`Found ${similarContent.length} similar content matches`);
-                    const bestMatch = similarContent[0]; // Highest similarity score
-                    
-                    // Get content for polishing and refinement
-                    const polishingContent = await contentDatabase.getContentForPolishing(bestMatch.contentId, wordCount);
-                    
-                    if (polishingContent && polishingContent.sections) {
-                        // Use existing content as base, polish to match new requirements
-                        result = await llmService.polishExistingContent(
-                            polishingContent.sections,
-                            prompt,
-                            style,
-                            tone,
-                            wordCount,
-                            qualityTier
-                        );
-                        contentSource = 'optimized_existing';
-                        
-                        // Update access statistics for the reused content
-                        await contentDatabase.updateAccessStatistics([bestMatch.contentId]);
-                    } else {
-                        // Fallback to new generation if polishing fails
-                        result = await llmService.generateContent(prompt, style, tone, wordCount, qualityTier);
-                    }
+                lengthTargeting = targeted.report;
+            
+                // The combined text has one "## heading" block per outline section, so adjusted blocks map back by position
+                const blocks = lengthTargeter.splitBlocks(targeted.content);
+                if (blocks.length === generation.sections.length) {
+                    generation = {
+                        ...generation,
+                        content: targeted.content,
+                        wordCount: languageSupport.countWords(targeted.content),
+                        sections: generation.sections.map((section, index) => ({
+                            ...section,
+                            content: blocks[index].body,
+                            wordCount: languageSupport.countWords(blocks[index].body)
+                        }))
+                    };
                 } else {
-                    // No similar content found, generate new content
-                    console.log('No similar content found, generating new content');
-                    result = await llmService.generateContent(prompt, style, tone, wordCount, qualityTier);
-                }
-                
-                // Store the new/polished content in database for future optimization
-                if (result && result.content) {
-                    await contentDatabase.storeContent(userId, prompt, result.content, {
-                        style,
-                        tone,
-                        generationTime: result.generationTime,
-                        source: contentSource,
-                        wordCount: wordCount
-                    });
+                    generation = { ...generation, content: targeted.content, wordCount: languageSupport.countWords(targeted.content) };
                 }
             }
             
-            res.json({
+            const rubricAssessment = rubric
+                ? await rubricService.assessContent(generation.content, rubric, { userPlan: planValidation.userPlan.planType, userId })
+                : null;
+            const structure = contentValidator.validateAssignmentStructure(generation.content, outline.assignmentType, outline.totalWordCount);
+            
+            const savedDraft = await saveOutlineDraft(userId, {
+                draftId,
+                title,
+                prompt,
+                style,
+                tone,
+                outline,
+                generation,
+                language
+            });
+            
+            response = {
                 success: true,
-                content: result.content,
+                content: generation.content,
+                outline,
+                sections: generation.sections,
+                rubricAssessment,
+                structure,
+                lengthTargeting,
+                draftId: savedDraft.draftId,
+                draftSaveError: savedDraft.error,
                 metadata: {
-                    source: result.source || 'multipart_generation',
-                    generationTime: result.generationTime,
-                    fallbackUsed: result.fallbackUsed,
-                    contentSource: contentSource,
-                    similarContentFound: result.usedSimilarContent || false,
-                    style: style,
-                    tone: tone,
-                    wordCount: result.wordCount || wordCount,
+                    source: 'outline_generation',
+                    generationTime: generation.generationTime,
+                    fallbackUsed: generation.fallbackUsed,
+                    style,
+                    tone,
+                    wordCount: generation.wordCount,
+                    targetWordCount: outline.totalWordCount,
+                    language,
+                    lengthUnit: lengthLimits.unit,
+                    styleProfile: req.body.styleProfile || null,
+                    assignmentType: outline.assignmentType,
+                    sectionsGenerated: generation.sections.length,
                     creditsUsed: creditsNeeded,
                     remainingCredits: creditResult.newBalance,
-                    qualityTier: qualityTier,
-                    enabledRefinement: enableRefinement,
-                    // Content type specific metadata
-                    contentType: contentType,
-                    isAssignment: contentType === 'assignment',
-                    assignmentTitle: contentType === 'assignment' ? assignmentTitle : null,
-                    citationStyle: contentType === 'assignment' ? citationStyle : null,
-                    // Multi-part specific metadata
-                    isMultiPart: contentType === 'assignment' ? 
-                        (qualityTier === 'premium' && (useMultiPart || enableRefinement) && result.chunksGenerated > 1) : 
-                        useMultiPart,
-                    chunksGenerated: result.chunksGenerated || 1,
-                    refinementCycles: result.refinementCycles || 0,
-                    contentId: result.contentId,
-                    requiresCitations: contentType === 'assignment' ? true : (result.citationData?.requiresCitations || false),
-                    citationCount: result.citationData?.citationCount || 0,
-                    citationStyle: contentType === 'assignment' ? citationStyle : (result.citationData?.style || null),
-                    bibliography: result.citationData?.bibliography || [],
-                    inTextCitations: result.citationData?.inTextCitations || [],
-                    // Final detection results
-                    originalityScore: result.finalDetectionResults?.originalityScore || null,
-                    aiDetectionScore: result.finalDetectionResults?.aiDetectionScore || null,
-                    plagiarismScore: result.finalDetectionResults?.plagiarismScore || null,
-                    qualityScore: result.finalDetectionResults?.qualityScore || null,
-                    requiresReview: result.finalDetectionResults?.requiresReview || false,
-                    isAcceptable: result.finalDetectionResults?.isAcceptable || true,
-                    detectionConfidence: result.finalDetectionResults?.confidence || null,
-                    detectionRecommendations: result.finalDetectionResults?.recommendations || []
+                    qualityTier
                 }
-            });
-            
+            };
         } catch (generationError) {
-            console.error('Content generation failed, rolling back credits:', generationError);
+            console.error('Outline generation failed, returning credits:', generationError);
             
-            // Rollback credits on generation failure
+            const creditsRefunded = lengthTargeting?.credits?.creditsRefunded || 0;
             try {
-                await atomicCreditSystem.refundCreditsAtomic(
-                    userId,
-                    creditsNeeded,
-                    planValidation.userPlan.planType,
-                    'writing_rollback'
-                );
+                if (creditsRefunded > 0) {
+                    // Length targeting already refunded part of the charge for short text
+                    await atomicCreditSystem.refundCredits(userId, creditsCharged - creditsRefunded, creditResult.transactionId || null);
+                } else if (creditResult.transactionId) {
+                    await atomicCreditSystem.rollbackTransaction(
+                        userId,
+                        creditResult.transactionId,
+                        creditResult.creditsDeducted,
+                        creditResult.wordsAllocated || outline.totalWordCount
+                    );
+                }
             } catch (rollbackError) {
                 console.error('Credit rollback failed:', rollbackError);
             }
             
-            return res.status(500).json({
+            return sendGenerationResponse(res, stream, 500, {
                 success: false,
                 error: 'Content generation failed',
                 details: generationError.message
             });
         }
         
+        sendGenerationResponse(res, stream, 200, response);
     } catch (error) {
-        console.error('Error in writer generate endpoint:', error);
+        console.error('Error in writer generate-from-outline endpoint:', error);
         res.status(500).json({
             success: false,
             error: 'Internal server error',
@@ -426,10 +1918,15 @@ router.post('/generate', unifiedAuth, validateWriterInput, handleValidationError
 /**
  * POST /api/writer/upload-and-generate
  * Upload files and generate content based on file contents
+ * Supports the same event-stream mode as /generate
+ * With `onlyMySources` the uploads are the only allowed sources: the text cites them by page or
+ * paragraph in `citationStyle`, and `sourceGrounding` lists each citation with its supporting
+ * excerpt plus any unsupported claims. Optional `sourceMetadata` ([{ filename, author, year, title }])
+ * fills in the bibliographic details used in citations.
  */
-router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), validateWriterInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
+router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), resolveStyleProfile, validateWriterInput, handleValidationErrors, asyncErrorHandler(async (req, res) => {
     try {
-        const { additionalPrompt = '', style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard' } = req.body;
+        const { additionalPrompt = '', style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard', language = languageSupport.DEFAULT_LANGUAGE } = req.body;
         const files = req.files;
         const userId = req.user.userId;
         
@@ -440,12 +1937,41 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
             });
         }
         
-        if (wordCount < 100 || wordCount > 2000) {
+        const lengthLimits = languageSupport.lengthRange(100, 2000, language);
+        if (wordCount < lengthLimits.min || wordCount > lengthLimits.max) {
+            return res.status(400).json({
+                success: false,
+                error: `Word count must be between ${lengthLimits.min} and ${lengthLimits.max} ${lengthLimits.unit}`
+            });
+        }
+        
+        // Multipart forms send the rubric as pasted text or a JSON string
+        const { rubric, error: rubricError } = parseRequestRubric(req.body.rubric);
+        if (rubricError) {
             return res.status(400).json({
                 success: false,
-                error: 'Word count must be between 100 and 2000'
+                error: 'Invalid rubric',
+                details: rubricError
             });
         }
+        const rubricGuidance = rubricService.buildRubricGuidance(rubric);
+        const styleGuidance = req.body.styleGuidance || '';
+        
+        // "Only use my sources": cite uploaded files by page/paragraph and flag unsupported claims
+        const onlyMySources = req.body.onlyMySources === true || req.body.onlyMySources === 'true';
+        const citationStyle = String(req.body.citationStyle || 'APA').toLowerCase();
+        let sourceMetadata = [];
+        if (onlyMySources) {
+            try {
+                sourceMetadata = sourceGroundingService.normalizeSourceMetadata(req.body.sourceMetadata);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid source metadata',
+                    details: error.message
+                });
+            }
+        }
         
         // Validate user plan and calculate credits
         const planValidation = await planValidator.validateUserPlan(userId, {
@@ -462,7 +1988,7 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
         
         // Calculate credits needed based on quality tier
         // Standard: 1 credit per 3 words, Premium: 2x credits (2 credits per 3 words)
-        let baseCreditsNeeded = atomicCreditSystem.calculateRequiredCredits(wordCount, 'writing');
+        let baseCreditsNeeded = atomicCreditSystem.calculateRequiredCredits(wordCount, 'writing', null, language);
         const creditsNeeded = qualityTier === 'premium' ? baseCreditsNeeded * 2 : baseCreditsNeeded;
         
         // Deduct credits atomically
@@ -480,6 +2006,10 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
             });
         }
         
+        // Switch to an event stream once credits are reserved so earlier failures keep their HTTP status
+        const stream = wantsEventStream(req) ? createEventStream(res) : null;
+        const onProgress = stream ? createProgressReporter(stream, creditsNeeded, qualityTier, language) : null;
+        
         try {
         
         // Process files and generate content
@@ -493,29 +2023,66 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
             if (!result.success) {
                 // Rollback credits on file processing failure
                 try {
-                    await atomicCreditSystem.refundCreditsAtomic(
-                        userId,
-                        creditsNeeded,
-                        planValidation.userPlan.planType,
-                        'writing_rollback'
-                    );
+                    await atomicCreditSystem.refundCredits(userId, creditResult.creditsDeducted ?? creditsNeeded, creditResult.transactionId || null);
                 } catch (rollbackError) {
                     console.error('Credit rollback failed:', rollbackError);
                 }
-                return res.status(400).json(result);
+                return sendGenerationResponse(res, stream, 400, result);
             }
             
             let llmResult;
             let contentSource = 'new_generation';
+            let reusedMatch = null;
+            let generatedPrompt = result.prompt;
+            const usage = { userId, feature: onlyMySources ? 'writer.upload.grounded' : 'writer.upload' };
+            let sourceGrounding = null;
+            const steeredPrompt = [result.prompt, rubricGuidance, styleGuidance].filter(Boolean).join('\n\n');
             
             // Determine if multi-part generation is needed for file-based content
-            const useMultiPart = wordCount > 800 || 
-                               (planValidation.userPlan.planType !== 'freemium' && wordCount > 500);
+            // Grounded generation is always single-pass: chunk prompts and reused content would lose the passage markers
+            const lengthInWords = languageSupport.toWordEquivalents(wordCount, language);
+            const useMultiPart = !onlyMySources && (lengthInWords > 800 || 
+                               (planValidation.userPlan.planType !== 'freemium' && lengthInWords > 500));
             
             // Enable 2-loop refinement system for premium quality tier
             const enableRefinement = qualityTier === 'premium';
             
-            if (useMultiPart) {
+            if (onlyMySources) {
+                const library = sourceGroundingService.buildSourceLibrary(result.extractedContent, sourceMetadata);
+                const grounded = sourceGroundingService.buildGroundedPrompt(library, {
+                    additionalPrompt,
+                    style,
+                    tone,
+                    wordCount
+                });
+                generatedPrompt = grounded.prompt;
+                
+                llmResult = await llmService.generateContent(
+                    [grounded.prompt, rubricGuidance, styleGuidance].filter(Boolean).join('\n\n'),
+                    style,
+                    tone,
+                    wordCount,
+                    qualityTier,
+                    planValidation.userPlan.planType,
+                    usage,
+                    language
+                );
+                
+                const resolved = sourceGroundingService.resolveCitations(llmResult.content, library, citationStyle);
+                llmResult.content = resolved.content;
+                contentSource = 'grounded_files';
+                sourceGrounding = {
+                    citationStyle: resolved.citationStyle,
+                    sources: sourceGroundingService.describeSources(library),
+                    passagesInPrompt: grounded.passageIds.length,
+                    citations: resolved.citations,
+                    unsupportedClaims: resolved.unsupportedClaims,
+                    references: resolved.references,
+                    summary: resolved.summary
+                };
+                
+                reportSingleGeneration(onProgress, llmResult.content, wordCount);
+            } else if (useMultiPart) {
                 console.log(`Using multi-part generation for file-based content: ${wordCount} words`);
                 
                 // Use MultiPartGenerator for chunk-based generation with iterative detection
@@ -531,7 +2098,12 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
                     requiresCitations: req.body.requiresCitations || false,
                     citationStyle: req.body.citationStyle || 'apa',
                     qualityTier: qualityTier,
-                    enableRefinement: enableRefinement
+                    enableRefinement: enableRefinement,
+                    rubric,
+                    styleGuidance,
+                    feature: usage.feature,
+                    language,
+                    onProgress
                 });
                 
                 contentSource = llmResult.usedSimilarContent ? 'multipart_optimized_files' : 'multipart_new_files';
@@ -539,8 +2111,10 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
                 // Use traditional single-generation for smaller file-based content
                 console.log(`Using single generation for file-based content: ${wordCount} words`);
                 
-                // Check for similar content in database (80%+ matching) using the generated prompt
-                const similarContent = await contentDatabase.findSimilarContent(result.prompt, style, tone, wordCount);
+                // Check for stored content with a closely matching prompt, using the generated prompt
+                const similarContent = language === languageSupport.DEFAULT_LANGUAGE
+                    ? await contentDatabase.findSimilarContent(result.prompt, style, tone, wordCount, userId)
+                    : [];
                 
                 if (similarContent && similarContent.length > 0) {
                     // Use existing similar content as base for polishing
@@ -554,38 +2128,50 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
                         // Use existing content as base, polish to match new requirements
                         llmResult = await llmService.polishExistingContent(
                             polishingContent.sections,
-                            result.prompt,
+                            steeredPrompt,
                             style,
                             tone,
                             wordCount,
-                            qualityTier
+                            qualityTier,
+                            planValidation.userPlan.planType,
+                            usage,
+                            language
                         );
                         contentSource = 'optimized_existing';
+                        reusedMatch = bestMatch;
                         
                         // Update access statistics for the reused content
                         await contentDatabase.updateAccessStatistics([bestMatch.contentId]);
                     } else {
                         // Fallback to new generation if polishing fails
                         llmResult = await llmService.generateContent(
-                            result.prompt,
+                            steeredPrompt,
                             style,
                             tone,
                             wordCount,
-                            qualityTier
+                            qualityTier,
+                            planValidation.userPlan.planType,
+                            usage,
+                            language
                         );
                     }
                 } else {
                     // No similar content found, generate new content
                     console.log('No similar content found for file-based prompt, generating new content');
                     llmResult = await llmService.generateContent(
-                        result.prompt,
+                        steeredPrompt,
                         style,
                         tone,
                         wordCount,
-                        qualityTier
+                        qualityTier,
+                        planValidation.userPlan.planType,
+                        usage,
+                        language
                     );
                 }
                 
+                reportSingleGeneration(onProgress, llmResult && llmResult.content, wordCount);
+                
                 // Store the new/polished content in database for future optimization
                 if (llmResult && llmResult.content) {
                     await contentDatabase.storeContent(userId, result.prompt, llmResult.content, {
@@ -600,12 +2186,18 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
                 }
             }
             
+            const rubricAssessment = rubric && llmResult && llmResult.content
+                ? await rubricService.assessContent(llmResult.content, rubric, { userPlan: planValidation.userPlan.planType, userId })
+                : null;
+            
             // Prepare response with multi-part metadata if applicable
             const response = {
                 success: true,
                 content: llmResult.content,
+                rubricAssessment,
+                sourceGrounding,
                 extractedContent: result.extractedContent,
-                generatedPrompt: result.prompt,
+                generatedPrompt: generatedPrompt,
                 metadata: {
                     ...result.metadata,
                     llmSource: llmResult.source,
@@ -617,7 +2209,12 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
                     qualityTier: qualityTier,
                     enabledRefinement: enableRefinement,
                     basedOnFiles: true,
-                    fileCount: files.length
+                    fileCount: files.length,
+                    onlyMySources,
+                    language,
+                    lengthUnit: lengthLimits.unit,
+                    styleProfile: req.body.styleProfile || null,
+                    contentReuse: llmResult.reuse || contentDatabase.describeReuse(reusedMatch, userId)
                 }
             };
             
@@ -648,24 +2245,19 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
                 response.metadata.similarContentFound = contentSource === 'optimized_existing';
             }
             
-            res.json(response);
+            sendGenerationResponse(res, stream, 200, response);
             
         } catch (generationError) {
             console.error('Content generation failed, rolling back credits:', generationError);
             
             // Rollback credits on generation failure
             try {
-                await atomicCreditSystem.refundCreditsAtomic(
-                    userId,
-                    creditsNeeded,
-                    planValidation.userPlan.planType,
-                    'writing_rollback'
-                );
+                await atomicCreditSystem.refundCredits(userId, creditResult.creditsDeducted ?? creditsNeeded, creditResult.transactionId || null);
             } catch (rollbackError) {
                 console.error('Credit rollback failed:', rollbackError);
             }
             
-            return res.status(500).json({
+            return sendGenerationResponse(res, stream, 500, {
                 success: false,
                 error: 'Content generation failed',
                 details: generationError.message
@@ -708,31 +2300,60 @@ router.post('/upload-and-generate', unifiedAuth, upload.array('files', 10), vali
 router.get('/supported-formats', (req, res) => {
     res.json({
         success: true,
-        formats: [
-            {
-                extension: '.pdf',
-                description: 'Portable Document Format',
-                maxSize: '10MB'
-            },
-            {
-                extension: '.docx',
-                description: 'Microsoft Word Document',
-                maxSize: '10MB'
-            },
-            {
-                extension: '.txt',
-                description: 'Plain Text File',
-                maxSize: '10MB'
-            }
-        ],
+        formats: fileProcessingService.getSupportedFormats(),
         limits: {
-            maxFiles: 5,
-            maxFileSize: '10MB',
+            maxFiles: fileProcessingService.maxFiles,
+            maxFileSize: `${fileProcessingService.maxFileSize / (1024 * 1024)}MB`,
             totalMaxSize: '50MB'
         }
     });
 });
 
+/**
+ * GET /api/writer/supported-languages
+ * Output languages accepted by `language`, with the unit wordCount is given in
+ */
+router.get('/supported-languages', (req, res) => {
+    res.json({
+        success: true,
+        defaultLanguage: languageSupport.DEFAULT_LANGUAGE,
+        languages: languageSupport.getSupportedLanguages()
+    });
+});
+
+/**
+ * GET /api/writer/assignment-types
+ * Assignment types for `assignmentType`, with their sections and default word-count shares
+ */
+router.get('/assignment-types', (req, res) => {
+    res.json({
+        success: true,
+        defaultType: assignmentTypes.DEFAULT_TYPE,
+        assignmentTypes: assignmentTypes.listTypes()
+    });
+});
+
+/**
+ * GET /api/writer/traces/:id
+ * Provenance trace of a multi-part generation (chunk prompts, context, models, detection and
+ * refinement decisions, reused content, timings). Visible to the user who generated it and to admins.
+ */
+router.get('/traces/:id', unifiedAuth, asyncErrorHandler(async (req, res) => {
+    try {
+        const trace = await generationTraceService.getTrace(req.params.id, {
+            userId: req.user.userId,
+            isAdmin: req.user.admin === true
+        });
+        res.json({ success: true, trace });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to load generation trace',
+            details: error.message
+        });
+    }
+}));
+
 /**
  * POST /api/writer/validate-files
  * Validate files before upload
@@ -813,11 +2434,11 @@ router.use((error, req, res, next) => {
 
 /**
  * POST /api/writer/download
- * Download content as .docx file
+ * Download content as .docx (default), .odt, .epub, .txt, .html, .md, a LaTeX project ZIP (latex) or print-ready HTML (pdf)
  */
 router.post('/download', asyncErrorHandler(async (req, res) => {
     try {
-        const { title, content, format = 'docx' } = req.body;
+        const { title, content, format = 'docx', documentOptions = {} } = req.body;
         
         if (!title || !content) {
             return res.status(400).json({
@@ -827,41 +2448,31 @@ router.post('/download', asyncErrorHandler(async (req, res) => {
         }
         
         if (format === 'docx') {
-            // Create a simple HTML structure for docx conversion
-            const htmlContent = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="utf-8">
-                    <title>${title}</title>
-                    <style>
-                        body { font-family: 'Times New Roman', serif; font-size: 12pt; line-height: 1.5; margin: 1in; }
-                        h1 { font-size: 16pt; font-weight: bold; text-align: center; margin-bottom: 1em; }
-                        p { margin-bottom: 1em; text-align: justify; }
-                        .citation { font-size: 10pt; vertical-align: super; }
-                    </style>
-                </head>
-                <body>
-                    <h1>${title}</h1>
-                    <div>${content.replace(/\n/g, '</p><p>')}</div>
-                </body>
-                </html>
-            `;
-            
-            // Set headers for docx download
-            const filename = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.docx`;
-            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            // documentOptions: author, institution, course, instructor, date, includeTitlePage,
+            // fontFamily, fontSize, lineSpacing, alignment, pageSize
+            const docxBuffer = docxWriter.createDocument(content, {
+                ...(typeof documentOptions === 'object' && documentOptions !== null ? documentOptions : {}),
+                title
+            });
             
-            // For now, we'll send the HTML content as a simple text file with .docx extension
-            // In a production environment, you'd want to use a library like docx or html-docx-js
-            res.send(htmlContent);
-        } else {
-            // Default to text format
-            const filename = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.txt`;
-            res.setHeader('Content-Type', 'text/plain');
+            const filename = docxWriter.buildFilename(title, 'docx');
+            res.setHeader('Content-Type', docxWriter.MIME_TYPE);
             res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-            res.send(content);
+            res.setHeader('Content-Length', docxBuffer.length);
+            res.send(docxBuffer);
+        } else {
+            // Other formats render from the same document tree as the DOCX; unknown formats fall back to text
+            const requested = String(format).toLowerCase();
+            const exportFormat = contentFormatter.getSupportedFormats().includes(requested) ? requested : 'txt';
+            const result = await contentFormatter.formatContent(content, exportFormat, {
+                ...(typeof documentOptions === 'object' && documentOptions !== null ? documentOptions : {}),
+                title,
+                filename: docxWriter.buildFilename(title, contentFormatter.getFileExtension(exportFormat))
+            });
+
+            res.setHeader('Content-Type', contentFormatter.getMimeType(exportFormat));
+            res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+            res.send(result.content);
         }
         
     } catch (error) {
@@ -19,6 +19,8 @@ require('./config/firebase'); // Initialize Firebase
 const path = require('path');
 const fs = require('fs');
 const { CreditScheduler } = require('./services/creditScheduler');
+const { ContentRetentionScheduler } = require('./services/contentRetentionScheduler');
+const jobQueue = require('./services/jobQueue');
 
 // Load environment variables
 require('dotenv').config();
@@ -136,7 +138,9 @@ app.use('/api/writer', rateLimiters.generation, require('./routes/writer'));
 app.use('/api/history', require('./routes/history'));
 app.use('/api/zotero', require('./routes/zotero'));
 app.use('/api/citations', require('./routes/citations'));
+app.use('/api/jobs', require('./routes/jobs').router);
 app.use('/api/credit-test', require('./routes/creditTest'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -151,6 +155,7 @@ app.use(globalErrorHandler); // Global error handler
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down gracefully...');
+    jobQueue.stop();
     // Firebase connections are managed automatically
     process.exit(0);
 });
@@ -177,6 +182,16 @@ app.listen(PORT, () => {
     creditScheduler.start();
     console.log('✓ Monthly credit refresh scheduler started');
     
+    // Delete stored content past its retention window once a day
+    const contentRetentionScheduler = new ContentRetentionScheduler();
+    contentRetentionScheduler.start();
+    console.log('✓ Daily content retention scheduler started');
+    
+    // Start the in-process worker for background jobs (routes register their handlers on load)
+    jobQueue.start().then(() => {
+        console.log('✓ Background job worker started');
+    });
+    
     // Log API key status (without exposing actual keys)
     console.log('API Keys Status:');
     console.log(`- Gemini: ${process.env.GEMINI_API_KEY ? '✓ Configured' : '✗ Missing'}`);
@@ -0,0 +1,430 @@
+const languageSupport = require('../utils/languageSupport');
+
+/**
+ * Assignment Type Registry
+ * Section schemas for each kind of assignment: the sections in order, their default share
+ * of the word count, which are required, and the validation rules for the type. The outline
+ * planner, the writer prompts and ContentValidator all read their structure from here.
+ *
+ * Section fields:
+ * - id: stable key used in outlines (`schemaSection`) and validation reports
+ * - role: introduction, body or conclusion (how outline code positions the section)
+ * - share: default fraction of the total word count
+ * - required: a missing section is a validation issue rather than a warning
+ * - repeatable: the section may be split across several headings; headings that match no
+ *   other section count towards it
+ * - matches: heading keywords that identify the section in generated text
+ * - guidance: what the section has to contain
+ */
+class AssignmentTypeRegistry {
+    constructor() {
+        this.DEFAULT_TYPE = 'essay';
+        this.SECTION_ROLES = ['introduction', 'body', 'conclusion'];
+        this.DEFAULT_RULES = {
+            headings: true,
+            thinSectionRatio: 0.5,
+            allowFirstPerson: false,
+            minCitationsPer1000Words: 0
+        };
+
+        this.types = new Map();
+        this.aliases = new Map();
+
+        this.register({
+            id: 'essay',
+            name: 'Essay',
+            description: 'Introduction, argument in body paragraphs, conclusion',
+            // Values the assignment validator has always accepted; they share the essay structure
+            aliases: ['research', 'report', 'analysis', 'creative', 'technical', 'argumentative_essay'],
+            rules: { headings: false },
+            sections: [
+                {
+                    id: 'introduction', heading: 'Introduction', role: 'introduction', share: 0.15, required: true,
+                    matches: ['introduction', 'overview'],
+                    guidance: 'Set out the context and end with a clear thesis statement.'
+                },
+                {
+                    id: 'body', heading: 'Main Body', role: 'body', share: 0.70, required: true, repeatable: true,
+                    matches: [],
+                    guidance: 'Develop the argument in paragraphs, each built around one point with evidence.'
+                },
+                {
+                    id: 'conclusion', heading: 'Conclusion', role: 'conclusion', share: 0.15, required: true,
+                    matches: ['conclusion', 'conclusions', 'concluding remarks', 'summary'],
+                    guidance: 'Draw the argument together and answer the question; add no new evidence.'
+                }
+            ]
+        });
+
+        this.register({
+            id: 'lab_report',
+            name: 'Lab Report',
+            description: 'Abstract, Introduction, Methods, Results, Discussion, Conclusion',
+            aliases: ['lab', 'laboratory_report', 'practical_report'],
+            rules: { minCitationsPer1000Words: 2 },
+            sections: [
+                {
+                    id: 'abstract', heading: 'Abstract', role: 'introduction', share: 0.07, required: true,
+                    matches: ['abstract', 'summary'],
+                    guidance: 'Summarise aim, method, key results and conclusion in one paragraph.'
+                },
+                {
+                    id: 'introduction', heading: 'Introduction', role: 'introduction', share: 0.15, required: true,
+                    matches: ['introduction', 'background', 'aim', 'aims', 'objective', 'objectives', 'hypothesis'],
+                    guidance: 'Give the scientific background, the aim and the hypothesis being tested.'
+                },
+                {
+                    id: 'methods', heading: 'Methods', role: 'body', share: 0.20, required: true,
+                    matches: ['method', 'methods', 'methodology', 'materials', 'procedure', 'experimental'],
+                    guidance: 'Describe materials, apparatus and procedure in the past tense so the experiment could be repeated.'
+                },
+                {
+                    id: 'results', heading: 'Results', role: 'body', share: 0.20, required: true,
+                    matches: ['results', 'findings', 'observations', 'data'],
+                    guidance: 'Report the measurements and statistics without interpreting them.'
+                },
+                {
+                    id: 'discussion', heading: 'Discussion', role: 'body', share: 0.28, required: true,
+                    matches: ['discussion', 'interpretation', 'evaluation', 'error analysis'],
+                    guidance: 'Interpret the results against the hypothesis and the literature, and discuss sources of error.'
+                },
+                {
+                    id: 'conclusion', heading: 'Conclusion', role: 'conclusion', share: 0.10, required: false,
+                    matches: ['conclusion', 'conclusions'],
+                    guidance: 'State whether the aim was met and what the results show.'
+                }
+            ]
+        });
+
+        this.register({
+            id: 'literature_review',
+            name: 'Literature Review',
+            description: 'Scope, thematic synthesis of the literature, gaps, conclusion',
+            aliases: ['lit_review', 'review'],
+            rules: { minCitationsPer1000Words: 8 },
+            sections: [
+                {
+                    id: 'introduction', heading: 'Introduction', role: 'introduction', share: 0.12, required: true,
+                    matches: ['introduction', 'scope', 'overview'],
+                    guidance: 'Define the topic, the scope of the review and how sources were selected.'
+                },
+                {
+                    id: 'themes', heading: 'Thematic Review', role: 'body', share: 0.58, required: true, repeatable: true,
+                    matches: ['theme', 'themes', 'thematic', 'literature', 'debate', 'debates', 'perspectives', 'approaches'],
+                    guidance: 'Synthesise sources by theme, comparing and contrasting findings rather than summarising one source at a time.'
+                },
+                {
+                    id: 'gaps', heading: 'Gaps and Future Research', role: 'body', share: 0.15, required: true,
+                    matches: ['gap', 'gaps', 'future research', 'limitations', 'research agenda', 'unresolved'],
+                    guidance: 'Identify what the literature has not settled and where further research is needed.'
+                },
+                {
+                    id: 'conclusion', heading: 'Conclusion', role: 'conclusion', share: 0.15, required: true,
+                    matches: ['conclusion', 'conclusions', 'summary'],
+                    guidance: 'Summarise the state of knowledge and its implications.'
+                }
+            ]
+        });
+
+        this.register({
+            id: 'case_study',
+            name: 'Case Study',
+            description: 'Background, problem identification, analysis, recommendations',
+            aliases: ['case', 'case_analysis'],
+            rules: { minCitationsPer1000Words: 1 },
+            sections: [
+                {
+                    id: 'introduction', heading: 'Introduction', role: 'introduction', share: 0.10, required: true,
+                    matches: ['introduction', 'overview', 'executive summary'],
+                    guidance: 'Introduce the case and the purpose of the analysis.'
+                },
+                {
+                    id: 'background', heading: 'Case Background', role: 'body', share: 0.15, required: true,
+                    matches: ['background', 'case description', 'context', 'case overview', 'company profile'],
+                    guidance: 'Give the facts of the case needed to follow the analysis.'
+                },
+                {
+                    id: 'problems', heading: 'Problem Identification', role: 'body', share: 0.15, required: true,
+                    matches: ['problem', 'problems', 'issue', 'issues', 'challenge', 'challenges'],
+                    guidance: 'Identify the central problem and its contributing issues.'
+                },
+                {
+                    id: 'analysis', heading: 'Analysis', role: 'body', share: 0.30, required: true, repeatable: true,
+                    matches: ['analysis', 'evaluation', 'discussion', 'application', 'swot', 'pestle'],
+                    guidance: 'Analyse the problems using relevant theory or frameworks and evidence from the case.'
+                },
+                {
+                    id: 'recommendations', heading: 'Recommendations', role: 'body', share: 0.20, required: true,
+                    matches: ['recommendation', 'recommendations', 'solution', 'solutions', 'alternatives', 'implementation'],
+                    guidance: 'Propose justified, practical actions and how they would be implemented.'
+                },
+                {
+                    id: 'conclusion', heading: 'Conclusion', role: 'conclusion', share: 0.10, required: true,
+                    matches: ['conclusion', 'conclusions', 'summary'],
+                    guidance: 'Summarise the analysis and the recommended course of action.'
+                }
+            ]
+        });
+
+        this.register({
+            id: 'reflective_essay',
+            name: 'Reflective Essay (Gibbs cycle)',
+            description: 'Description, Feelings, Evaluation, Analysis, Conclusion, Action Plan',
+            aliases: ['reflection', 'reflective', 'gibbs'],
+            rules: { allowFirstPerson: true },
+            sections: [
+                {
+                    id: 'description', heading: 'Description', role: 'introduction', share: 0.15, required: true,
+                    matches: ['description', 'what happened', 'the experience', 'the event', 'introduction'],
+                    guidance: 'Describe what happened, factually and briefly.'
+                },
+                {
+                    id: 'feelings', heading: 'Feelings', role: 'body', share: 0.10, required: true,
+                    matches: ['feelings', 'feeling', 'thoughts', 'emotions'],
+                    guidance: 'Explain what you were thinking and feeling at the time.'
+                },
+                {
+                    id: 'evaluation', heading: 'Evaluation', role: 'body', share: 0.15, required: true,
+                    matches: ['evaluation', 'what went well', 'good and bad'],
+                    guidance: 'Weigh up what went well and what did not.'
+                },
+                {
+                    id: 'analysis', heading: 'Analysis', role: 'body', share: 0.25, required: true,
+                    matches: ['analysis', 'making sense', 'why'],
+                    guidance: 'Make sense of the experience, drawing on theory or literature.'
+                },
+                {
+                    id: 'conclusion', heading: 'Conclusion', role: 'body', share: 0.15, required: true,
+                    matches: ['conclusion', 'conclusions', 'what i learned', 'lessons learned', 'learning'],
+                    guidance: 'Conclude what you learned and what you could have done differently.'
+                },
+                {
+                    id: 'action_plan', heading: 'Action Plan', role: 'conclusion', share: 0.20, required: true,
+                    matches: ['action plan', 'action', 'next time', 'future practice', 'development plan'],
+                    guidance: 'Set out what you will do differently next time and how.'
+                }
+            ]
+        });
+    }
+
+    /**
+     * Add an assignment type
+     * Shares are rescaled to sum to 1 so definitions only need to get the proportions right.
+     * @param {Object} definition - { id, name, description, aliases, rules, sections }
+     */
+    register(definition) {
+        if (!definition || !definition.id || !Array.isArray(definition.sections) || definition.sections.length === 0) {
+            throw new Error('Assignment type needs an id and at least one section');
+        }
+
+        const ids = new Set();
+        definition.sections.forEach(section => {
+            if (!section.id || ids.has(section.id)) {
+                throw new Error(`Assignment type ${definition.id} has a missing or duplicate section id`);
+            }
+            if (!this.SECTION_ROLES.includes(section.role)) {
+                throw new Error(`Section ${section.id} of ${definition.id} has an unknown role: ${section.role}`);
+            }
+            ids.add(section.id);
+        });
+
+        const totalShare = definition.sections.reduce((sum, section) => sum + section.share, 0);
+        const type = {
+            ...definition,
+            aliases: definition.aliases || [],
+            rules: { ...this.DEFAULT_RULES, ...(definition.rules || {}) },
+            sections: definition.sections.map(section => ({
+                required: false,
+                repeatable: false,
+                matches: [],
+                ...section,
+                share: section.share / totalShare
+            }))
+        };
+
+        this.types.set(type.id, type);
+        type.aliases.forEach(alias => this.aliases.set(alias, type.id));
+    }
+
+    /**
+     * Resolve a type id or alias ("Lab Report", "lab-report" and "lab" all work)
+     * @returns {string|null} Registered type id, the default for an empty value, null if unknown
+     */
+    resolveTypeId(value) {
+        if (value === undefined || value === null || value === '') {
+            return this.DEFAULT_TYPE;
+        }
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (this.types.has(key)) {
+            return key;
+        }
+        return this.aliases.get(key) || null;
+    }
+
+    isKnownType(value) {
+        return this.resolveTypeId(value) !== null;
+    }
+
+    /**
+     * @returns {Object} Type definition
+     */
+    getType(value) {
+        const typeId = this.resolveTypeId(value);
+        if (!typeId) {
+            const error = new Error(`Unknown assignment type: ${value}. Supported types: ${[...this.types.keys()].join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return this.types.get(typeId);
+    }
+
+    listTypes() {
+        return [...this.types.values()].map(type => ({
+            id: type.id,
+            name: type.name,
+            description: type.description,
+            aliases: type.aliases,
+            allowFirstPerson: type.rules.allowFirstPerson,
+            sections: type.sections.map(section => ({
+                id: section.id,
+                heading: section.heading,
+                role: section.role,
+                share: Math.round(section.share * 100) / 100,
+                required: section.required,
+                repeatable: section.repeatable
+            }))
+        }));
+    }
+
+    /**
+     * Default words per schema section
+     * @returns {Object} Words keyed by section id
+     */
+    calculateSectionWordCounts(assignmentType, totalWordCount) {
+        const counts = {};
+        this.getType(assignmentType).sections.forEach(section => {
+            // The epsilon keeps rescaled shares such as 0.07 from flooring to one word short
+            counts[section.id] = Math.floor(totalWordCount * section.share + 1e-9);
+        });
+        return counts;
+    }
+
+    /**
+     * Find the schema section an outline section or text heading belongs to
+     * Order: an explicit schemaSection, then heading keywords, then the section's role where the
+     * schema has a section with that id, then the type's repeatable section. A heading match to an
+     * introduction or conclusion section is ignored when the section is explicitly typed as
+     * something else, so a body section headed "Overview of ..." stays in the body.
+     * @param {string} assignmentType - Type id or alias
+     * @param {Object} section - { heading, type, schemaSection }
+     * @returns {Object|null} Schema section
+     */
+    matchSection(assignmentType, section = {}) {
+        const type = this.getType(assignmentType);
+
+        if (section.schemaSection) {
+            const explicit = type.sections.find(candidate => candidate.id === section.schemaSection);
+            if (explicit) {
+                return explicit;
+            }
+        }
+
+        const typed = this.SECTION_ROLES.includes(section.type);
+        const byHeading = this.matchHeading(type.id, section.heading, candidate =>
+            !typed || candidate.role === 'body' || candidate.role === section.type
+        );
+        if (byHeading) {
+            return byHeading;
+        }
+
+        const byRole = type.sections.find(candidate => candidate.id === section.type);
+        if (byRole) {
+            return byRole;
+        }
+
+        return type.sections.find(candidate => candidate.repeatable) || null;
+    }
+
+    /**
+     * First schema section whose heading keywords appear in a heading
+     * @param {string} assignmentType - Type id or alias
+     * @param {string} heading - Heading text
+     * @param {Function} accept - Optional filter on candidate sections
+     * @returns {Object|null} Schema section
+     */
+    matchHeading(assignmentType, heading, accept = () => true) {
+        const normalized = this.normalizeHeading(heading);
+        if (!normalized) {
+            return null;
+        }
+        return this.getType(assignmentType).sections.find(candidate =>
+            accept(candidate) && candidate.matches.some(keyword => new RegExp(`\\b${keyword}\\b`).test(normalized))
+        ) || null;
+    }
+
+    /**
+     * Lower-case a heading and drop numbering such as "2.1" or "Part III:"
+     */
+    normalizeHeading(heading) {
+        if (typeof heading !== 'string') {
+            return '';
+        }
+        return heading
+            .toLowerCase()
+            .replace(/^\s*(?:(?:part|section|stage)\s+)?(?:\d+(?:\.\d+)*|[ivx]+)[.):]?\s+/, '')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Outline used when the model returns nothing usable: one section per schema section
+     */
+    buildDefaultOutline(assignmentType, title) {
+        const type = this.getType(assignmentType);
+        return {
+            title,
+            assignmentType: type.id,
+            sections: type.sections.map(section => ({
+                heading: section.heading,
+                type: section.role,
+                schemaSection: section.id,
+                keyPoints: [section.guidance]
+            }))
+        };
+    }
+
+    /**
+     * Prompt text describing the required structure and section lengths
+     * @param {string} assignmentType - Type id or alias
+     * @param {number} totalWordCount - Total length in the language's unit
+     * @param {string} language - Output language code
+     * @returns {string} Guidance ('' for the plain essay, which prompts already describe)
+     */
+    buildStructureGuidance(assignmentType, totalWordCount, language = languageSupport.DEFAULT_LANGUAGE) {
+        const type = this.getType(assignmentType);
+        if (type.id === this.DEFAULT_TYPE) {
+            return '';
+        }
+
+        const counts = this.calculateSectionWordCounts(type.id, totalWordCount);
+        const lines = type.sections.map(section =>
+            `- ${section.heading}${section.required ? '' : ' (optional)'}: about ${languageSupport.describeLength(counts[section.id], language)}. ${section.guidance}`
+        );
+        const notes = [];
+        if (type.rules.allowFirstPerson) {
+            notes.push('Write in the first person.');
+        }
+        if (type.rules.minCitationsPer1000Words > 0) {
+            notes.push('Support claims with in-text citations.');
+        }
+
+        return `Structure this as a ${type.name.toLowerCase()} with these sections, in order, each under its own heading:
+${lines.join('\n')}${notes.length > 0 ? `\n${notes.join(' ')}` : ''}`;
+    }
+}
+
+module.exports = new AssignmentTypeRegistry();
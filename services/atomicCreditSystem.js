@@ -1,5 +1,6 @@
 const { admin, db, isInitialized } = require('../config/firebase');
 const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
 
 /**
  * AtomicCreditSystem class for handling credit calculations and atomic Firestore transactions
@@ -25,12 +26,17 @@ class AtomicCreditSystem {
      * @param {number} requestedAmount - Total words requested
      * @param {string} toolType - Type of tool ('writing', 'research', 'detector', 'detector_generation', 'prompt')
      * @param {string} operation - For detector: 'detection' or 'generation'
+     * @param {string} language - Language the amount is counted in; character counts
+     *   (Chinese, Japanese) are priced by their English word equivalent
      * @returns {number} Required credits
      */
-    calculateRequiredCredits(requestedAmount, toolType = 'writing', operation = null) {
+    calculateRequiredCredits(requestedAmount, toolType = 'writing', operation = null, language = null) {
         if (!requestedAmount || requestedAmount <= 0) {
             throw new Error('Invalid amount for credit calculation');
         }
+        if (language) {
+            requestedAmount = languageSupport.toWordEquivalents(requestedAmount, language);
+        }
         
         // Special handling for detector tool
         if (toolType === 'detector') {
@@ -112,7 +118,7 @@ class AtomicCreditSystem {
         let attempt = 0;
         while (attempt < this.MAX_RETRY_ATTEMPTS) {
             try {
-                const result = await this.executeTransaction(userId, requiredCredits, wordCount, planType);
+                const result = await this.executeTransaction(userId, requiredCredits, wordCount, planType, toolType);
                 logger.info('Atomic credit deduction successful', {
                     service: 'AtomicCreditSystem',
                     method: 'deductCreditsAtomic',
@@ -157,9 +163,10 @@ class AtomicCreditSystem {
      * @param {number} requiredCredits - Credits to deduct
      * @param {number} requestedWordCount - Words to add to monthly counter
      * @param {string} planType - User's plan type
+     * @param {string} toolType - Tool the credits are charged for (recorded for cost/margin reports)
      * @returns {Promise<Object>} Transaction result
      */
-    async executeTransaction(userId, requiredCredits, requestedWordCount, planType) {
+    async executeTransaction(userId, requiredCredits, requestedWordCount, planType, toolType = 'writing') {
         return await this.db.runTransaction(async (transaction) => {
             // References
             const userRef = this.db.collection('users').doc(userId);
@@ -219,6 +226,7 @@ class AtomicCreditSystem {
                 amount: requiredCredits,
                 wordCount: requestedWordCount,
                 planType,
+                toolType,
                 timestamp: new Date(),
                 previousBalance: currentCredits,
                 newBalance: newCreditBalance,
@@ -428,6 +436,42 @@ class AtomicCreditSystem {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Credits to give back when length targeting leaves the text short of the requested length
+     * The final length is priced like a new request; running over the target is never charged extra.
+     * @param {number} creditsCharged - Credits charged for the requested length
+     * @param {number} finalWordCount - Length of the delivered text, in the language's unit
+     * @param {string} qualityTier - 'standard' or 'premium' (charged double)
+     * @param {string} language - Language the length is counted in
+     * @returns {Object} { creditsForFinalLength, creditDifference }
+     */
+    calculateShortfallRefund(creditsCharged, finalWordCount, qualityTier = 'standard', language = null) {
+        const multiplier = qualityTier === 'premium' ? 2 : 1;
+        const creditsForFinalLength = Math.min(
+            creditsCharged,
+            this.calculateRequiredCredits(finalWordCount, 'writing', null, language) * multiplier
+        );
+        return {
+            creditsForFinalLength,
+            creditDifference: creditsCharged - creditsForFinalLength
+        };
+    }
+
+    /**
+     * Credits to give back for the words an interrupted generation never wrote
+     * @param {number} creditsCharged - Credits charged for the generation
+     * @param {number} wordsToGenerate - Words the generation was asked to write
+     * @param {number} deliveredWords - Words written before the interruption
+     * @param {number} creditsAlreadyRefunded - Part of the charge refunded earlier
+     * @returns {number} Credits to refund (never negative)
+     */
+    calculateUndeliveredRefund(creditsCharged, wordsToGenerate, deliveredWords, creditsAlreadyRefunded = 0) {
+        if (!wordsToGenerate || wordsToGenerate <= 0) return 0;
+        const delivered = Math.min(Math.max(0, deliveredWords), wordsToGenerate);
+        const undeliveredShare = (wordsToGenerate - delivered) / wordsToGenerate;
+        return Math.max(0, Math.floor(creditsCharged * undeliveredShare) - creditsAlreadyRefunded);
+    }
+
     /**
      * Refund credits to user account
      * @param {string} userId - User ID
@@ -474,7 +518,7 @@ class AtomicCreditSystem {
                 return {
                     success: true,
                     transactionId: refundTransactionData.transactionId,
-                    creditsRefunded,
+                    creditsRefunded: creditsToRefund,
                     previousBalance: currentCredits,
                     newBalance: newCreditBalance,
                     timestamp: refundTransactionData.timestamp
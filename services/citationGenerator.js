@@ -234,12 +234,24 @@ class CitationGenerator {
       metadata.url = urlMatch[1];
     }
     
-    // Extract journal information
-    const journalMatch = citation.match(/([A-Z][^,]+),\s*(\d+)(?:\((\d+)\))?/);
+    // Extract journal information: "Journal, 12(3), 45-67"; in APA references the journal is the
+    // italic part and the article title sits between the year and the journal
+    const journalMatch = citation.match(/([A-Z][^,.()*]+)\*?,\s*(\d+)(?:\((\d+)\))?(?:,\s*(\d+(?:\s*[-–]+\s*\d+)?)\b)?/);
     if (journalMatch) {
       metadata.journal = journalMatch[1].trim();
       metadata.volume = journalMatch[2];
       metadata.issue = journalMatch[3];
+      if (journalMatch[4]) {
+        metadata.pages = journalMatch[4].replace(/\s+/g, '');
+      }
+      if (yearMatch && (!metadata.title || metadata.title === metadata.journal)) {
+        const articleTitle = citation
+          .substring(yearMatch.index + yearMatch[0].length, journalMatch.index)
+          .replace(/^[\s.]+|[\s.*]+$/g, '');
+        if (articleTitle) {
+          metadata.title = articleTitle;
+        }
+      }
     }
     
     // Extract pages
@@ -626,19 +638,32 @@ class CitationGenerator {
   }
 
   /**
-   * Export as BibTeX (basic implementation)
+   * Export as BibTeX
+   * Keys are author-year (smith2020, smith2020a, ...) and are returned in source order
+   * so callers can cite the entries.
    */
   exportAsBibTeX(citations) {
+    const usedKeys = new Set();
+    const keys = [];
     const entries = citations.sources.map((source, index) => {
+      const metadata = source.metadata || {};
       const type = this.getBibTeXType(source.type);
-      const key = `source${index + 1}`;
+      const key = this.getBibTeXKey(metadata, index, usedKeys);
+      keys.push(key);
       
       const fields = [];
-      if (source.metadata.author) fields.push(`  author = {${source.metadata.author}}`);
-      if (source.metadata.title) fields.push(`  title = {${source.metadata.title}}`);
-      if (source.metadata.year) fields.push(`  year = {${source.metadata.year}}`);
-      if (source.metadata.journal) fields.push(`  journal = {${source.metadata.journal}}`);
-      if (source.metadata.url) fields.push(`  url = {${source.metadata.url}}`);
+      if (metadata.author) fields.push(`  author = {${this.formatBibTeXAuthors(metadata.author)}}`);
+      if (metadata.title) fields.push(`  title = {${this.escapeBibTeX(metadata.title)}}`);
+      if (metadata.year) fields.push(`  year = {${metadata.year}}`);
+      if (metadata.journal) fields.push(`  journal = {${this.escapeBibTeX(metadata.journal)}}`);
+      if (metadata.volume) fields.push(`  volume = {${this.escapeBibTeX(metadata.volume)}}`);
+      if (metadata.issue) fields.push(`  number = {${this.escapeBibTeX(metadata.issue)}}`);
+      if (metadata.pages) fields.push(`  pages = {${String(metadata.pages).replace(/[-–]+/, '--')}}`);
+      if (metadata.publisher) fields.push(`  publisher = {${this.escapeBibTeX(metadata.publisher)}}`);
+      if (metadata.doi) fields.push(`  doi = {${metadata.doi}}`);
+      if (metadata.url) fields.push(`  url = {${metadata.url}}`);
+      // Entries the parser could not break down still carry the full reference text
+      if (!metadata.title && source.originalCitation) fields.push(`  note = {${this.escapeBibTeX(source.originalCitation)}}`);
       
       return `@${type}{${key},\n${fields.join(',\n')}\n}`;
     });
@@ -647,10 +672,75 @@ class CitationGenerator {
       success: true,
       format: 'bibtex',
       content: entries.join('\n\n'),
+      keys,
       filename: `bibliography_${Date.now()}.bib`
     };
   }
 
+  /**
+   * Build a citations object (as used by the export methods) from reference list entries
+   * @param {Array<string>} references - Formatted reference entries
+   * @returns {Object} { sources: [{ index, originalCitation, type, metadata }] }
+   */
+  citationsFromReferences(references) {
+    return {
+      sources: references.map((citation, index) => {
+        const source = { citation };
+        const metadata = this.extractSourceMetadata(source);
+        return {
+          index: index + 1,
+          originalCitation: citation,
+          type: this.determineSourceType(source, metadata),
+          metadata
+        };
+      })
+    };
+  }
+
+  /**
+   * BibTeX key from the first author's surname and the year, made unique with a letter suffix
+   */
+  getBibTeXKey(metadata, index, usedKeys) {
+    const surname = metadata.author
+      ? this.formatAuthorLastName(metadata.author).normalize('NFD').replace(/[^A-Za-z]/g, '').toLowerCase()
+      : '';
+    const base = surname ? `${surname}${metadata.year || 'nd'}` : `source${index + 1}`;
+    
+    let key = base;
+    for (let suffix = 0; usedKeys.has(key); suffix++) {
+      key = `${base}${String.fromCharCode(97 + (suffix % 26))}${suffix >= 26 ? Math.floor(suffix / 26) : ''}`;
+    }
+    usedKeys.add(key);
+    return key;
+  }
+
+  /**
+   * Convert an author list ("Smith, J., Jones, K., & Lee, M.") to BibTeX form
+   * ("Smith, J. and Jones, K. and Lee, M."); organisations are braced so BibTeX keeps them whole
+   */
+  formatBibTeXAuthors(author) {
+    return String(author)
+      .split(/\s*,?\s*(?:&|\band\b)\s*|(?<=\.),\s+(?=[^\s,]+,)/)
+      .map(name => name.trim().replace(/,$/, ''))
+      .filter(Boolean)
+      .map(name => (!name.includes(',') && name.split(/\s+/).length > 2
+        ? `{${this.escapeBibTeX(name)}}`
+        : this.escapeBibTeX(name)))
+      .join(' and ');
+  }
+
+  /**
+   * Escape LaTeX special characters in a BibTeX field value
+   */
+  escapeBibTeX(value) {
+    return String(value)
+      .replace(/[{}]/g, '')
+      .replace(/\\/g, '')
+      .replace(/([&%$#_])/g, '\\$1')
+      .replace(/~/g, '\\textasciitilde{}')
+      .replace(/\^/g, '\\textasciicircum{}');
+  }
+
   /**
    * Export as RIS format (basic implementation)
    */
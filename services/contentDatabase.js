@@ -1,8 +1,24 @@
 const admin = require('firebase-admin');
+const SimilarityIndex = require('./similarityIndex');
+const contentPrivacy = require('./contentPrivacyService');
+
+// One prompt index per process, shared by every ContentDatabase instance
+const promptIndex = new SimilarityIndex();
+const indexState = {
+    loading: null,
+    loadedAt: 0,
+    newestCreatedAt: null
+};
 
 /**
  * ContentDatabase class for content optimization and similarity matching
- * Handles 80%+ content matching and retrieval for efficient content reuse
+ * Stored prompts are kept in an in-process TF-IDF index (see similarityIndex.js) that is loaded
+ * from Firestore on first use, refreshed with newer documents periodically and updated on every
+ * store, so finding reusable content needs no per-candidate reads.
+ *
+ * Reuse follows each user's content privacy settings (contentPrivacyService): text is only
+ * stored for users who share it, only offered to users who accept reused text, never crosses
+ * an organization boundary, and is deleted when its retention window ends.
  */
 class ContentDatabase {
     constructor() {
@@ -13,19 +29,24 @@ class ContentDatabase {
             console.warn('⚠️  Firebase not initialized, using mock database for content database');
             this.db = null;
         }
-        this.SIMILARITY_THRESHOLD = 0.8; // 80% similarity threshold
+        // TF-IDF cosine runs lower than word overlap: 0.65 keeps close paraphrases and drops prompts that only share a topic
+        this.SIMILARITY_THRESHOLD = 0.65;
         this.MAX_SEARCH_RESULTS = 10;
+        this.LENGTH_TOLERANCE = 0.5; // Reuse content within ±50% of the requested length
+        this.INDEX_LOAD_LIMIT = 5000;
+        this.INDEX_REFRESH_MS = 10 * 60 * 1000;
         this.CONTENT_COLLECTION = 'generatedContent';
-        this.KEYWORDS_COLLECTION = 'contentKeywords';
+        this.PURGE_BATCH_SIZE = 400;
     }
 
     /**
      * Store generated content with metadata and keywords
+     * Nothing is stored for users (or organizations) that opted out of contributing content.
      * @param {string} userId - User ID
      * @param {string} prompt - Original prompt
      * @param {string} content - Generated content
      * @param {Object} metadata - Content metadata
-     * @returns {Promise<string>} Content document ID
+     * @returns {Promise<string|null>} Content document ID, or null when the user does not share content
      */
     async storeContent(userId, prompt, content, metadata = {}) {
         try {
@@ -35,6 +56,12 @@ class ContentDatabase {
                 return 'mock-content-id-' + Date.now();
             }
             
+            const privacy = await contentPrivacy.resolve(userId);
+            if (!privacy.shareContent) {
+                return null;
+            }
+            
+            const createdAt = new Date();
             const keywords = this.extractKeywords(prompt);
             const contentHash = this.generateContentHash(content);
             
@@ -52,8 +79,10 @@ class ContentDatabase {
                     source: metadata.source || 'primary',
                     ...metadata
                 },
-                createdAt: new Date(),
-                lastAccessed: new Date(),
+                tenantId: privacy.tenantId,
+                expiresAt: this.calculateExpiry(createdAt, privacy.retentionDays),
+                createdAt,
+                lastAccessed: createdAt,
                 accessCount: 0,
                 similarityScore: 1.0, // Perfect match with itself
                 isActive: true
@@ -61,8 +90,7 @@ class ContentDatabase {
             
             const docRef = await this.db.collection(this.CONTENT_COLLECTION).add(contentDoc);
             
-            // Store keywords separately for efficient searching
-            await this.storeKeywords(docRef.id, keywords, prompt);
+            this.indexContent(docRef.id, contentDoc);
             
             console.log(`Content stored with ID: ${docRef.id}, Keywords: ${keywords.join(', ')}`);
             return docRef.id;
@@ -73,77 +101,101 @@ class ContentDatabase {
     }
 
     /**
-     * Search for similar content based on prompt and keywords
+     * Find stored content whose prompt is close to the given one
+     * Nearest neighbours come from the prompt index, filtered to the requesting user's tenant,
+     * the same style and tone and a similar length; only the matches above the threshold are
+     * read from Firestore, in one call. Users who opted out of reuse get no matches.
      * @param {string} prompt - Search prompt
      * @param {string} style - Content style
      * @param {string} tone - Content tone
      * @param {number} targetWordCount - Target word count
-     * @returns {Promise<Array>} Similar content matches
+     * @param {string} userId - Requesting user (required; anonymous searches find nothing)
+     * @returns {Promise<Array>} Similar content matches, best first
      */
-    async findSimilarContent(prompt, style = 'Academic', tone = 'Formal', targetWordCount = 1000) {
+    async findSimilarContent(prompt, style = 'Academic', tone = 'Formal', targetWordCount = 1000, userId = null) {
         try {
             // Handle mock mode
             if (!this.db) {
                 console.log('🔍 Mock: Would search for similar content with prompt:', prompt.substring(0, 50) + '...');
                 return [];
             }
+            if (!userId) {
+                return [];
+            }
             
-            const searchKeywords = this.extractKeywords(prompt);
-            const promptLower = prompt.toLowerCase().trim();
+            const privacy = await contentPrivacy.resolve(userId);
+            if (!privacy.reuseContent) {
+                return [];
+            }
             
-            console.log(`Searching for similar content with keywords: ${searchKeywords.join(', ')}`);
+            await this.ensureIndex();
             
-            // Step 1: Find content with matching keywords
-            const keywordMatches = await this.searchByKeywords(searchKeywords);
+            const neighbours = promptIndex.search(prompt, {
+                k: this.MAX_SEARCH_RESULTS,
+                style,
+                tone,
+                wordCount: targetWordCount,
+                lengthTolerance: this.LENGTH_TOLERANCE,
+                match: { tenantId: privacy.tenantId }
+            });
             
-            // Step 2: Calculate similarity scores
+            const scored = neighbours
+                .map(({ id, score, attributes }) => {
+                    const wordCountSimilarity = this.calculateWordCountSimilarity(targetWordCount, attributes.wordCount || targetWordCount);
+                    return {
+                        id,
+                        promptSimilarity: score,
+                        wordCountSimilarity,
+                        similarityScore: score * 0.85 + wordCountSimilarity * 0.15
+                    };
+                })
+                .filter(match => match.similarityScore >= this.SIMILARITY_THRESHOLD);
+            
+            if (scored.length === 0) {
+                return [];
+            }
+            
+            const contentDocs = await this.db.getAll(
+                ...scored.map(match => this.db.collection(this.CONTENT_COLLECTION).doc(match.id))
+            );
+            const searchKeywords = this.extractKeywords(prompt);
             const similarityResults = [];
+            const now = new Date();
             
-            for (const match of keywordMatches) {
-                const contentDoc = await this.db.collection(this.CONTENT_COLLECTION).doc(match.contentId).get();
-                
-                if (!contentDoc.exists || !contentDoc.data().isActive) {
-                    continue;
+            contentDocs.forEach((contentDoc, index) => {
+                const contentData = contentDoc.exists ? contentDoc.data() : null;
+                const expiresAt = contentData?.expiresAt?.toDate ? contentData.expiresAt.toDate() : contentData?.expiresAt;
+                if (!contentData || !contentData.isActive || (expiresAt && expiresAt <= now)) {
+                    // Deleted, deactivated or expired since the index was loaded
+                    promptIndex.remove(contentDoc.id);
+                    return;
                 }
-                
-                const contentData = contentDoc.data();
-                
-                // Calculate various similarity metrics
-                const promptSimilarity = this.calculateTextSimilarity(promptLower, contentData.prompt);
-                const keywordSimilarity = this.calculateKeywordSimilarity(searchKeywords, contentData.keywords);
-                const styleToneMatch = this.calculateStyleToneMatch(style, tone, contentData.metadata);
-                const wordCountSimilarity = this.calculateWordCountSimilarity(targetWordCount, contentData.wordCount);
-                
-                // Weighted overall similarity score
-                const overallSimilarity = (
-                    promptSimilarity * 0.4 +
-                    keywordSimilarity * 0.3 +
-                    styleToneMatch * 0.2 +
-                    wordCountSimilarity * 0.1
-                );
-                
-                if (overallSimilarity >= this.SIMILARITY_THRESHOLD) {
-                    similarityResults.push({
-                        contentId: contentDoc.id,
-                        content: contentData.content,
-                        prompt: contentData.prompt,
-                        keywords: contentData.keywords,
-                        metadata: contentData.metadata,
-                        wordCount: contentData.wordCount,
-                        similarityScore: overallSimilarity,
-                        promptSimilarity,
-                        keywordSimilarity,
-                        styleToneMatch,
-                        wordCountSimilarity,
-                        createdAt: contentData.createdAt?.toDate(),
-                        lastAccessed: contentData.lastAccessed?.toDate(),
-                        accessCount: contentData.accessCount || 0
-                    });
+                if ((contentData.tenantId || null) !== privacy.tenantId) {
+                    // Re-tagged to another tenant by another instance since the index was loaded
+                    promptIndex.remove(contentDoc.id);
+                    return;
                 }
-            }
-            
-            // Sort by similarity score (highest first)
-            similarityResults.sort((a, b) => b.similarityScore - a.similarityScore);
+                
+                const match = scored[index];
+                similarityResults.push({
+                    contentId: contentDoc.id,
+                    userId: contentData.userId || null,
+                    tenantId: contentData.tenantId || null,
+                    content: contentData.content,
+                    prompt: contentData.prompt,
+                    keywords: contentData.keywords,
+                    metadata: contentData.metadata,
+                    wordCount: contentData.wordCount,
+                    similarityScore: match.similarityScore,
+                    promptSimilarity: match.promptSimilarity,
+                    keywordSimilarity: this.calculateKeywordSimilarity(searchKeywords, contentData.keywords || []),
+                    styleToneMatch: this.calculateStyleToneMatch(style, tone, contentData.metadata || {}),
+                    wordCountSimilarity: match.wordCountSimilarity,
+                    createdAt: contentData.createdAt?.toDate(),
+                    lastAccessed: contentData.lastAccessed?.toDate(),
+                    accessCount: contentData.accessCount || 0
+                });
+            });
             
             // Update access statistics for found content
             if (similarityResults.length > 0) {
@@ -152,13 +204,82 @@ class ContentDatabase {
             
             console.log(`Found ${similarityResults.length} similar content matches above ${this.SIMILARITY_THRESHOLD * 100}% threshold`);
             
-            return similarityResults.slice(0, this.MAX_SEARCH_RESULTS);
+            return similarityResults;
         } catch (error) {
             console.error('Error finding similar content:', error);
             return [];
         }
     }
 
+    /**
+     * Add a stored content document to the prompt index
+     * @param {string} contentId - Content document ID
+     * @param {Object} contentData - Document data (prompt, wordCount, metadata, createdAt)
+     */
+    indexContent(contentId, contentData) {
+        promptIndex.add(contentId, contentData.prompt || '', {
+            style: contentData.metadata?.style,
+            tone: contentData.metadata?.tone,
+            wordCount: contentData.wordCount,
+            tenantId: contentData.tenantId || null
+        });
+        
+        const createdAt = contentData.createdAt?.toDate ? contentData.createdAt.toDate() : contentData.createdAt;
+        if (createdAt instanceof Date && (!indexState.newestCreatedAt || createdAt > indexState.newestCreatedAt)) {
+            indexState.newestCreatedAt = createdAt;
+        }
+    }
+
+    /**
+     * Load the prompt index on first use, then pick up content stored by other instances
+     * every INDEX_REFRESH_MS. Concurrent callers share one load.
+     * @returns {Promise<void>}
+     */
+    async ensureIndex() {
+        const stale = Date.now() - indexState.loadedAt > this.INDEX_REFRESH_MS;
+        if (!indexState.loading && (indexState.loadedAt === 0 || stale)) {
+            indexState.loading = this.loadIndex(indexState.loadedAt === 0 ? null : indexState.newestCreatedAt)
+                .catch(error => console.error('Error loading content index:', error))
+                .finally(() => {
+                    indexState.loadedAt = Date.now();
+                    indexState.loading = null;
+                });
+        }
+        
+        // Only the first load is waited for; refreshes run in the background
+        if (indexState.loading && promptIndex.size === 0) {
+            await indexState.loading;
+        }
+    }
+
+    /**
+     * Read content documents into the prompt index
+     * @param {Date|null} since - Only documents created after this date (null loads the newest INDEX_LOAD_LIMIT)
+     * @returns {Promise<number>} Number of documents indexed
+     */
+    async loadIndex(since = null) {
+        let query = this.db.collection(this.CONTENT_COLLECTION);
+        query = since
+            ? query.where('createdAt', '>', since).orderBy('createdAt', 'desc')
+            : query.orderBy('createdAt', 'desc');
+        const snapshot = await query.limit(this.INDEX_LOAD_LIMIT).get();
+        
+        let indexed = 0;
+        // Oldest first, so index eviction order matches creation order
+        const now = new Date();
+        [...snapshot.docs].reverse().forEach(doc => {
+            const data = doc.data();
+            const expiresAt = data.expiresAt?.toDate ? data.expiresAt.toDate() : data.expiresAt;
+            if (data.isActive && !(expiresAt && expiresAt <= now)) {
+                this.indexContent(doc.id, data);
+                indexed++;
+            }
+        });
+        
+        console.log(`Content index: ${indexed} documents loaded, ${promptIndex.size} indexed`);
+        return indexed;
+    }
+
     /**
      * Get content sections for polishing and refinement
      * @param {string} contentId - Content document ID
@@ -237,96 +358,6 @@ class ContentDatabase {
             .map(([word]) => word);
     }
 
-    /**
-     * Store keywords for efficient searching
-     * @param {string} contentId - Content document ID
-     * @param {Array<string>} keywords - Keywords to store
-     * @param {string} prompt - Original prompt
-     * @returns {Promise<void>}
-     */
-    async storeKeywords(contentId, keywords, prompt) {
-        try {
-            const keywordDoc = {
-                contentId,
-                keywords,
-                prompt: prompt.toLowerCase().trim(),
-                createdAt: new Date()
-            };
-            
-            await this.db.collection(this.KEYWORDS_COLLECTION).add(keywordDoc);
-        } catch (error) {
-            console.error('Error storing keywords:', error);
-        }
-    }
-
-    /**
-     * Search content by keywords
-     * @param {Array<string>} keywords - Keywords to search
-     * @returns {Promise<Array>} Matching content IDs
-     */
-    async searchByKeywords(keywords) {
-        try {
-            const matches = [];
-            
-            // Search for content that contains any of the keywords
-            for (const keyword of keywords) {
-                const keywordQuery = await this.db.collection(this.KEYWORDS_COLLECTION)
-                    .where('keywords', 'array-contains', keyword)
-                    .limit(50)
-                    .get();
-                
-                keywordQuery.docs.forEach(doc => {
-                    const data = doc.data();
-                    matches.push({
-                        contentId: data.contentId,
-                        matchedKeyword: keyword,
-                        allKeywords: data.keywords
-                    });
-                });
-            }
-            
-            // Remove duplicates and count keyword matches
-            const contentMatches = {};
-            matches.forEach(match => {
-                if (!contentMatches[match.contentId]) {
-                    contentMatches[match.contentId] = {
-                        contentId: match.contentId,
-                        matchedKeywords: [],
-                        matchCount: 0
-                    };
-                }
-                
-                if (!contentMatches[match.contentId].matchedKeywords.includes(match.matchedKeyword)) {
-                    contentMatches[match.contentId].matchedKeywords.push(match.matchedKeyword);
-                    contentMatches[match.contentId].matchCount++;
-                }
-            });
-            
-            // Sort by number of keyword matches
-            return Object.values(contentMatches)
-                .sort((a, b) => b.matchCount - a.matchCount);
-        } catch (error) {
-            console.error('Error searching by keywords:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Calculate text similarity using Jaccard similarity
-     * @param {string} text1 - First text
-     * @param {string} text2 - Second text
-     * @returns {number} Similarity score (0-1)
-     */
-    calculateTextSimilarity(text1, text2) {
-        const words1 = new Set(text1.toLowerCase().split(/\s+/));
-        const words2 = new Set(text2.toLowerCase().split(/\s+/));
-        
-        const intersection = new Set([...words1].filter(x => words2.has(x)));
-        const union = new Set([...words1, ...words2]);
-        
-        return union.size > 0 ? intersection.size / union.size : 0;
-    }
-
     /**
      * Calculate keyword similarity
      * @param {Array<string>} keywords1 - First set of keywords
@@ -444,12 +475,173 @@ class ContentDatabase {
         return hash.toString(36);
     }
 
+    /**
+     * Describe where a reused match came from, for the response of the generation that used it
+     * Other users are never identified; their text is reported as organization or shared content.
+     * @param {Object|null} match - Result from findSimilarContent that was used as a base, or null
+     * @param {string} userId - User the response is for
+     * @returns {Object} { reused, contentId, source, similarityScore, originalCreatedAt }
+     */
+    describeReuse(match, userId) {
+        if (!match) {
+            return { reused: false, contentId: null, source: null, similarityScore: null, originalCreatedAt: null };
+        }
+        
+        let source = 'shared_pool';
+        if (match.userId && match.userId === userId) {
+            source = 'own_content';
+        } else if (match.tenantId) {
+            source = 'organization';
+        }
+        
+        return {
+            reused: true,
+            contentId: match.contentId,
+            source,
+            similarityScore: Math.round(match.similarityScore * 1000) / 1000,
+            originalCreatedAt: match.createdAt || null
+        };
+    }
+
+    /**
+     * When stored content expires under a retention window
+     * @param {Date} createdAt - When the content was generated
+     * @param {number|null} retentionDays - Retention window
+     * @returns {Date|null} Expiry, or null to keep it until the regular cleanup
+     */
+    calculateExpiry(createdAt, retentionDays) {
+        if (!Number.isInteger(retentionDays)) {
+            return null;
+        }
+        return new Date(createdAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Bring stored content in line with changed privacy settings
+     * Run after a user's or an organization's settings (or membership) change: content whose
+     * author no longer shares is deleted, expiry dates follow the new retention window, and
+     * content stored before its author joined an organization moves into that organization.
+     * Content never moves out of an organization.
+     * @param {Object} scope - { userId } or { tenantId }
+     * @returns {Promise<Object>} { deleted, updated }
+     */
+    async reapplyPrivacy(scope) {
+        if (!this.db) {
+            return { deleted: 0, updated: 0 };
+        }
+        
+        const [field, value] = scope.userId ? ['userId', scope.userId] : ['tenantId', scope.tenantId];
+        const settingsByUser = new Map();
+        let deleted = 0;
+        let updated = 0;
+        let lastDoc = null;
+        
+        for (;;) {
+            let query = this.db.collection(this.CONTENT_COLLECTION)
+                .where(field, '==', value)
+                .limit(this.PURGE_BATCH_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                break;
+            }
+            
+            const batch = this.db.batch();
+            for (const doc of snapshot.docs) {
+                const data = doc.data();
+                if (!settingsByUser.has(data.userId)) {
+                    // Read settings directly: resolve() fails closed, which here would delete content on a lookup error
+                    const { effective } = await contentPrivacy.getSettings(data.userId);
+                    settingsByUser.set(data.userId, effective);
+                }
+                const privacy = settingsByUser.get(data.userId);
+                
+                if (!privacy.shareContent) {
+                    batch.delete(doc.ref);
+                    promptIndex.remove(doc.id);
+                    deleted++;
+                    continue;
+                }
+                
+                const createdAt = data.createdAt?.toDate ? data.createdAt.toDate() : new Date(data.createdAt);
+                const tenantId = data.tenantId || privacy.tenantId || null;
+                batch.update(doc.ref, {
+                    tenantId,
+                    expiresAt: this.calculateExpiry(createdAt, privacy.retentionDays)
+                });
+                if (promptIndex.has(doc.id)) {
+                    this.indexContent(doc.id, { ...data, tenantId });
+                }
+                updated++;
+            }
+            await batch.commit();
+            
+            if (snapshot.docs.length < this.PURGE_BATCH_SIZE) {
+                break;
+            }
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+        
+        console.log(`Content privacy reapplied for ${field} ${value}: ${deleted} deleted, ${updated} updated`);
+        return { deleted, updated };
+    }
+
+    /**
+     * Delete content whose retention window has ended
+     * @returns {Promise<number>} Number of documents deleted
+     */
+    async purgeExpiredContent() {
+        let purged = 0;
+        
+        for (;;) {
+            const expired = await this.db.collection(this.CONTENT_COLLECTION)
+                .where('expiresAt', '<=', new Date())
+                .limit(this.PURGE_BATCH_SIZE)
+                .get();
+            if (expired.empty) {
+                break;
+            }
+            
+            const batch = this.db.batch();
+            expired.docs.forEach(doc => {
+                batch.delete(doc.ref);
+                promptIndex.remove(doc.id);
+            });
+            await batch.commit();
+            purged += expired.docs.length;
+            
+            if (expired.docs.length < this.PURGE_BATCH_SIZE) {
+                break;
+            }
+        }
+        
+        return purged;
+    }
+
     /**
      * Clean up old or unused content
+     * Deletes content past its retention window, then deactivates content nobody has
+     * reused within daysOld. Run on a schedule by ContentRetentionScheduler.
      * @param {number} daysOld - Days old threshold
-     * @returns {Promise<number>} Number of documents cleaned
+     * @returns {Promise<Object>} { purged, deactivated }
      */
     async cleanupOldContent(daysOld = 90) {
+        if (!this.db) {
+            return { purged: 0, deactivated: 0 };
+        }
+        
+        let purged = 0;
+        try {
+            purged = await this.purgeExpiredContent();
+            if (purged > 0) {
+                console.log(`Purged ${purged} content documents past their retention window`);
+            }
+        } catch (error) {
+            console.error('Error purging expired content:', error);
+        }
+        
         try {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - daysOld);
@@ -465,6 +657,7 @@ class ContentDatabase {
             
             oldContentQuery.docs.forEach(doc => {
                 batch.update(doc.ref, { isActive: false });
+                promptIndex.remove(doc.id);
                 cleanedCount++;
             });
             
@@ -473,10 +666,10 @@ class ContentDatabase {
                 console.log(`Cleaned up ${cleanedCount} old content documents`);
             }
             
-            return cleanedCount;
+            return { purged, deactivated: cleanedCount };
         } catch (error) {
             console.error('Error cleaning up old content:', error);
-            return 0;
+            return { purged, deactivated: 0 };
         }
     }
 }
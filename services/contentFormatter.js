@@ -1,14 +1,51 @@
 const fs = require('fs').promises;
 const path = require('path');
+const DocxWriter = require('./docxWriter');
+const LatexExporter = require('./latexExporter');
+const EpubWriter = require('./epubWriter');
+const OdtWriter = require('./odtWriter');
+const { parseDocument } = require('../utils/documentModel');
+const renderers = require('../utils/documentRenderers');
 
 /**
  * ContentFormatter class handles content formatting and export capabilities
- * Supports PDF, DOCX, and TXT formats
+ * Supports PDF, DOCX, ODT, EPUB, TXT, HTML, Markdown and LaTeX (a .tex + .bib project ZIP) formats
+ * Every format is rendered from the same document tree (utils/documentModel), so headings,
+ * lists, tables, quotes, footnotes and citations come out the same way in each.
+ * LaTeX math ($...$, $$...$$, \[...\], equation environments) is rendered as MathML in
+ * HTML/PDF/EPUB, as native equations in DOCX and as formula objects in ODT; TXT and
+ * Markdown keep the TeX as written.
  */
 class ContentFormatter {
     constructor() {
-        this.supportedFormats = ['pdf', 'docx', 'txt', 'html'];
+        this.supportedFormats = ['pdf', 'docx', 'odt', 'epub', 'txt', 'html', 'md', 'latex'];
         this.exportDirectory = path.join(__dirname, '..', 'exports');
+        this.docxWriter = new DocxWriter();
+        this.latexExporter = new LatexExporter();
+        this.epubWriter = new EpubWriter();
+        this.odtWriter = new OdtWriter();
+        this.mimeTypes = {
+            // 'pdf' is print-ready HTML until a PDF renderer is wired in
+            pdf: 'text/html; charset=utf-8',
+            docx: this.docxWriter.MIME_TYPE,
+            odt: this.odtWriter.MIME_TYPE,
+            epub: this.epubWriter.MIME_TYPE,
+            txt: 'text/plain; charset=utf-8',
+            html: 'text/html; charset=utf-8',
+            md: 'text/markdown; charset=utf-8',
+            latex: this.latexExporter.MIME_TYPE
+        };
+        this.fileExtensions = { pdf: 'html', latex: 'zip' };
+        this.formatDescriptions = {
+            pdf: 'Print-ready HTML (save as PDF from the browser)',
+            docx: 'Microsoft Word document',
+            odt: 'OpenDocument text (LibreOffice, Google Docs)',
+            epub: 'EPUB 3 e-book with a table of contents',
+            txt: 'Plain text',
+            html: 'Web page',
+            md: 'Markdown',
+            latex: 'LaTeX project (main.tex + references.bib) for Overleaf'
+        };
         this.ensureExportDirectory();
     }
 
@@ -26,7 +63,7 @@ class ContentFormatter {
     /**
      * Format content for export
      * @param {string} content - The content to format
-     * @param {string} format - Export format (pdf, docx, txt, html)
+     * @param {string} format - Export format (pdf, docx, odt, epub, txt, html, md, latex)
      * @param {Object} options - Formatting options
      * @returns {Object} Formatted content information
      */
@@ -41,7 +78,7 @@ class ContentFormatter {
         }
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = options.filename || `content_${timestamp}.${format}`;
+        const filename = options.filename || `content_${timestamp}.${this.getFileExtension(format)}`;
         const filepath = path.join(this.exportDirectory, filename);
 
         const formattedContent = await this[formatMethod](content, options);
@@ -51,7 +88,7 @@ class ContentFormatter {
             filename,
             filepath,
             format,
-            size: Buffer.byteLength(formattedContent, 'utf8'),
+            size: Buffer.isBuffer(formattedContent) ? formattedContent.length : Buffer.byteLength(formattedContent, 'utf8'),
             timestamp: new Date().toISOString()
         };
     }
@@ -81,9 +118,7 @@ class ContentFormatter {
             formattedContent += `${headerLine}\n\n`;
         }
 
-        // Add content with word wrapping
-        const wrappedContent = this.wrapText(content, lineWidth);
-        formattedContent += wrappedContent;
+        formattedContent += renderers.toText(parseDocument(content, { title }), { width: lineWidth });
 
         // Add footer
         if (includeFooter) {
@@ -111,24 +146,24 @@ class ContentFormatter {
         } = options;
 
         const css = includeCSS ? this.getHTMLCSS(theme) : '';
-        const paragraphs = content.split('\n\n').map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('\n');
+        const body = renderers.toHtml(parseDocument(content, { title }));
 
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
+    <title>${this.escapeHTML(title)}</title>
     ${css ? `<style>${css}</style>` : ''}
 </head>
 <body>
     <div class="container">
         <header>
-            <h1>${title}</h1>
+            <h1>${this.escapeHTML(title)}</h1>
             <p class="meta">Generated on ${new Date().toLocaleString()}</p>
         </header>
         <main>
-            ${paragraphs}
+            ${body}
         </main>
         <footer>
             <p>Word Count: ${this.countWords(content)} | Character Count: ${content.length}</p>
@@ -189,22 +224,23 @@ class ContentFormatter {
                 font-size: 10pt;
                 text-align: center;
             }
+            ${this.getDocumentCSS()}
         `;
 
-        const paragraphs = content.split('\n\n').map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('\n');
+        const body = renderers.toHtml(parseDocument(content, { title }));
 
         return `<!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
-    <title>${title}</title>
+    <title>${this.escapeHTML(title)}</title>
     <style>${pdfCSS}</style>
 </head>
 <body>
     <div class="container">
-        <h1>${title}</h1>
+        <h1>${this.escapeHTML(title)}</h1>
         <p class="meta">Generated on ${new Date().toLocaleString()}</p>
-        ${paragraphs}
+        ${body}
         <footer>
             <p>Word Count: ${this.countWords(content)} | Character Count: ${content.length}</p>
             <p>Generated by AssignSavvy AI Writer</p>
@@ -215,10 +251,33 @@ class ContentFormatter {
     }
 
     /**
-     * Format content as DOCX (simplified - returns structured data)
-     * @param {string} content - Content to format
+     * Format content as Markdown
+     * The body is normalized through the document tree; math is kept exactly as written.
+     * @param {string} content - Markdown-style content
      * @param {Object} options - Formatting options
-     * @returns {Object} Structured data for DOCX generation
+     * @returns {string} Markdown document
+     */
+    async formatMD(content, options = {}) {
+        const { title = 'Generated Content', includeHeader = true } = options;
+        const body = renderers.toMarkdown(parseDocument(content, { title: includeHeader ? title : '' }));
+
+        return includeHeader ? `# ${title}\n\n${body}\n` : `${body}\n`;
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return renderers.escapeHtml(text);
+    }
+
+    /**
+     * Format content as a Word document
+     * @param {string} content - Markdown-style content to format
+     * @param {Object} options - Formatting options (see DocxWriter.createDocument)
+     * @returns {Buffer} .docx file contents
      */
     async formatDOCX(content, options = {}) {
         const {
@@ -227,58 +286,60 @@ class ContentFormatter {
             fontFamily = 'Times New Roman'
         } = options;
 
-        const paragraphs = content.split('\n\n').map(p => ({
-            type: 'paragraph',
-            text: p.replace(/\n/g, ' '),
-            formatting: {
-                fontSize,
-                fontFamily,
-                alignment: 'justify'
-            }
-        }));
+        return this.docxWriter.createDocument(content, {
+            ...options,
+            title,
+            fontSize,
+            fontFamily
+        });
+    }
 
-        return {
+    /**
+     * Format content as an OpenDocument text file
+     * @param {string} content - Markdown-style content to format
+     * @param {Object} options - Formatting options (see OdtWriter.createDocument)
+     * @returns {Buffer} .odt file contents
+     */
+    async formatODT(content, options = {}) {
+        const { title = 'Generated Content' } = options;
+
+        return this.odtWriter.createDocument(content, {
+            ...options,
+            title
+        });
+    }
+
+    /**
+     * Format content as an EPUB 3 book
+     * @param {string} content - Markdown-style content to format
+     * @param {Object} options - Formatting options (see EpubWriter.createBook); `theme`
+     *   picks the stylesheet, as for HTML
+     * @returns {Buffer} .epub file contents
+     */
+    async formatEPUB(content, options = {}) {
+        const { title = 'Generated Content', theme = 'default' } = options;
+
+        return this.epubWriter.createBook(content, {
+            ...options,
             title,
-            metadata: {
-                creator: 'AssignSavvy AI Writer',
-                created: new Date().toISOString(),
-                wordCount: this.countWords(content),
-                characterCount: content.length
-            },
-            content: [
-                {
-                    type: 'heading',
-                    text: title,
-                    level: 1,
-                    formatting: {
-                        fontSize: fontSize + 4,
-                        fontFamily,
-                        alignment: 'center',
-                        bold: true
-                    }
-                },
-                {
-                    type: 'paragraph',
-                    text: `Generated on ${new Date().toLocaleString()}`,
-                    formatting: {
-                        fontSize: fontSize - 1,
-                        fontFamily,
-                        alignment: 'center',
-                        italic: true
-                    }
-                },
-                ...paragraphs,
-                {
-                    type: 'paragraph',
-                    text: `Word Count: ${this.countWords(content)} | Character Count: ${content.length}`,
-                    formatting: {
-                        fontSize: fontSize - 1,
-                        fontFamily,
-                        alignment: 'center'
-                    }
-                }
-            ]
-        };
+            css: this.getHTMLCSS(theme)
+        });
+    }
+
+    /**
+     * Format content as a LaTeX project
+     * @param {string} content - Markdown-style content to format
+     * @param {Object} options - Formatting options (see LatexExporter.createProject; `template`
+     *   picks article, apa7 or ieeetran)
+     * @returns {Buffer} ZIP with main.tex and references.bib
+     */
+    async formatLATEX(content, options = {}) {
+        const { title = 'Generated Content' } = options;
+
+        return this.latexExporter.createProject(content, {
+            ...options,
+            title
+        });
     }
 
     /**
@@ -288,7 +349,11 @@ class ContentFormatter {
      */
     async saveToFile(formattedResult) {
         try {
-            await fs.writeFile(formattedResult.filepath, formattedResult.content, 'utf8');
+            await this.ensureExportDirectory();
+
+            // Binary formats (DOCX) are written as-is
+            const encoding = Buffer.isBuffer(formattedResult.content) ? undefined : 'utf8';
+            await fs.writeFile(formattedResult.filepath, formattedResult.content, encoding);
             
             return {
                 success: true,
@@ -311,32 +376,35 @@ class ContentFormatter {
     }
 
     /**
-     * Wrap text to specified width
-     * @param {string} text - Text to wrap
-     * @param {number} width - Line width
-     * @returns {string} Wrapped text
+     * Describe every export format for format pickers
+     * @returns {Array<Object>} { format, description, mimeType, extension } per format
      */
-    wrapText(text, width) {
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
-
-        for (const word of words) {
-            if ((currentLine + word).length <= width) {
-                currentLine += (currentLine ? ' ' : '') + word;
-            } else {
-                if (currentLine) {
-                    lines.push(currentLine);
-                }
-                currentLine = word;
-            }
-        }
+    getFormatDetails() {
+        return this.supportedFormats.map(format => ({
+            format,
+            description: this.formatDescriptions[format],
+            mimeType: this.getMimeType(format),
+            extension: this.getFileExtension(format)
+        }));
+    }
 
-        if (currentLine) {
-            lines.push(currentLine);
-        }
+    /**
+     * Get the Content-Type for an export format
+     * @param {string} format - Export format
+     * @returns {string} MIME type
+     */
+    getMimeType(format) {
+        return this.mimeTypes[String(format).toLowerCase()] || 'application/octet-stream';
+    }
 
-        return lines.join('\n');
+    /**
+     * Get the file extension for an export format ('pdf' is print-ready HTML, 'latex' a ZIP)
+     * @param {string} format - Export format
+     * @returns {string} Extension without the dot
+     */
+    getFileExtension(format) {
+        const key = String(format).toLowerCase();
+        return this.fileExtensions[key] || key;
     }
 
     /**
@@ -393,6 +461,7 @@ class ContentFormatter {
                     color: #95a5a6;
                     font-size: 0.9em;
                 }
+                ${this.getDocumentCSS()}
             `,
             academic: `
                 body {
@@ -426,11 +495,20 @@ class ContentFormatter {
                     text-align: center;
                     font-size: 0.8em;
                 }
+                ${this.getDocumentCSS()}
             `
         };
 
         return themes[theme] || themes.default;
     }
+
+    /**
+     * CSS for rendered document elements (tables, quotes, references, footnotes, MathML)
+     * @returns {string} CSS styles
+     */
+    getDocumentCSS() {
+        return renderers.DOCUMENT_CSS;
+    }
 }
 
 module.exports = ContentFormatter;
\ No newline at end of file
@@ -0,0 +1,269 @@
+const { admin, db } = require('../config/firebase');
+const { logger } = require('../utils/logger');
+
+/**
+ * ContentPrivacyService
+ * Per-user and per-organization control over how generated text is kept and reused:
+ * - shareContent: store the user's generated text so it can seed other generations
+ * - reuseContent: let the user's generations start from stored text
+ * - retentionDays: delete stored text this many days after it was generated (null keeps it
+ *   until the regular cleanup deactivates it)
+ *
+ * Settings live on `users/{uid}.contentPrivacy` and `organizations/{orgId}.contentPrivacy`;
+ * a user belongs to at most one organization (`users/{uid}.organizationId`). The effective
+ * setting is the stricter of the two, so an organization's opt-out cannot be overridden by
+ * its members. Organizations are also tenants: their members' text is only ever reused
+ * within the organization, and they never receive text from outside it.
+ */
+class ContentPrivacyService {
+    constructor() {
+        this.usersCollection = 'users';
+        this.organizationsCollection = 'organizations';
+        this.DEFAULTS = {
+            shareContent: true,
+            reuseContent: true,
+            retentionDays: null
+        };
+        this.MAX_RETENTION_DAYS = 3650;
+        this.CACHE_TTL_MS = 60 * 1000;
+        this.cache = new Map();
+    }
+
+    requireDb() {
+        if (!db) {
+            throw this.createError(503, 'Privacy settings storage is not available');
+        }
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Validate a settings update; fields that are not given are left out
+     * @param {Object} input - { shareContent, reuseContent, retentionDays }
+     * @returns {Object} Validated fields
+     */
+    normalizeSettings(input = {}) {
+        const settings = {};
+        ['shareContent', 'reuseContent'].forEach(field => {
+            if (input[field] === undefined) return;
+            if (typeof input[field] !== 'boolean') {
+                throw this.createError(400, `${field} must be a boolean`);
+            }
+            settings[field] = input[field];
+        });
+
+        if (input.retentionDays !== undefined) {
+            const days = input.retentionDays === null ? null : Number(input.retentionDays);
+            if (days !== null && (!Number.isInteger(days) || days < 1 || days > this.MAX_RETENTION_DAYS)) {
+                throw this.createError(400, `retentionDays must be null or a whole number of days between 1 and ${this.MAX_RETENTION_DAYS}`);
+            }
+            settings.retentionDays = days;
+        }
+
+        if (Object.keys(settings).length === 0) {
+            throw this.createError(400, 'Provide shareContent, reuseContent or retentionDays');
+        }
+        return settings;
+    }
+
+    /**
+     * Stricter of a user's and their organization's settings
+     */
+    combine(userSettings = {}, organizationSettings = null) {
+        const user = { ...this.DEFAULTS, ...userSettings };
+        const organization = { ...this.DEFAULTS, ...(organizationSettings || {}) };
+        const retention = [user.retentionDays, organization.retentionDays].filter(days => Number.isInteger(days));
+
+        return {
+            shareContent: user.shareContent !== false && organization.shareContent !== false,
+            reuseContent: user.reuseContent !== false && organization.reuseContent !== false,
+            retentionDays: retention.length > 0 ? Math.min(...retention) : null
+        };
+    }
+
+    /**
+     * A user's own settings, their organization's and the effective combination
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { user, organization, effective }
+     */
+    async getSettings(userId) {
+        if (!db || !userId) {
+            return {
+                user: { ...this.DEFAULTS },
+                organization: null,
+                effective: { ...this.DEFAULTS, tenantId: null }
+            };
+        }
+
+        const userDoc = await db.collection(this.usersCollection).doc(userId).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
+        let organization = null;
+
+        if (userData.organizationId) {
+            const orgDoc = await db.collection(this.organizationsCollection).doc(userData.organizationId).get();
+            if (orgDoc.exists) {
+                const orgData = orgDoc.data();
+                organization = {
+                    id: orgDoc.id,
+                    name: orgData.name || null,
+                    settings: { ...this.DEFAULTS, ...(orgData.contentPrivacy || {}) }
+                };
+            }
+        }
+
+        return {
+            user: { ...this.DEFAULTS, ...(userData.contentPrivacy || {}) },
+            organization,
+            effective: {
+                ...this.combine(userData.contentPrivacy, organization?.settings),
+                tenantId: organization ? organization.id : null
+            }
+        };
+    }
+
+    /**
+     * Effective settings for a user, cached briefly since every generation asks
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { shareContent, reuseContent, retentionDays, tenantId }
+     */
+    async resolve(userId) {
+        const cached = this.cache.get(userId);
+        if (cached && Date.now() - cached.at < this.CACHE_TTL_MS) {
+            return cached.settings;
+        }
+
+        try {
+            const { effective } = await this.getSettings(userId);
+            this.cache.set(userId, { settings: effective, at: Date.now() });
+            return effective;
+        } catch (error) {
+            // Fail closed: without settings nothing is shared or reused
+            logger.error('Failed to resolve content privacy settings', {
+                service: 'ContentPrivacyService',
+                method: 'resolve',
+                userId,
+                error: error.message
+            });
+            return { shareContent: false, reuseContent: false, retentionDays: null, tenantId: null };
+        }
+    }
+
+    /**
+     * Update a user's own settings
+     * @param {string} userId - User ID
+     * @param {Object} input - { shareContent, reuseContent, retentionDays }
+     * @returns {Promise<Object>} Settings after the update (as getSettings)
+     */
+    async updateUserSettings(userId, input) {
+        this.requireDb();
+        const changes = this.normalizeSettings(input);
+        const userDoc = await db.collection(this.usersCollection).doc(userId).get();
+        const current = userDoc.exists ? userDoc.data().contentPrivacy || {} : {};
+
+        await db.collection(this.usersCollection).doc(userId).set({
+            contentPrivacy: { ...current, ...changes },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        this.cache.delete(userId);
+        return this.getSettings(userId);
+    }
+
+    /**
+     * Get an organization with its settings and member count
+     * @param {string} organizationId - Organization ID
+     * @returns {Promise<Object>} { id, name, settings, memberCount }
+     */
+    async getOrganization(organizationId) {
+        this.requireDb();
+        const orgDoc = await db.collection(this.organizationsCollection).doc(organizationId).get();
+        if (!orgDoc.exists) {
+            throw this.createError(404, 'Organization not found');
+        }
+
+        const members = await db.collection(this.usersCollection)
+            .where('organizationId', '==', organizationId)
+            .get();
+        const data = orgDoc.data();
+        return {
+            id: orgDoc.id,
+            name: data.name || null,
+            settings: { ...this.DEFAULTS, ...(data.contentPrivacy || {}) },
+            memberCount: members.size
+        };
+    }
+
+    /**
+     * Create or update an organization's name and settings
+     * @param {string} organizationId - Organization ID
+     * @param {Object} input - { name, contentPrivacy }
+     * @returns {Promise<Object>} Organization (as getOrganization)
+     */
+    async saveOrganization(organizationId, input = {}) {
+        this.requireDb();
+        const ref = db.collection(this.organizationsCollection).doc(organizationId);
+        const existing = await ref.get();
+        const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+        if (input.name !== undefined) {
+            if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 200) {
+                throw this.createError(400, 'Organization name must be 1-200 characters');
+            }
+            update.name = input.name.trim();
+        } else if (!existing.exists) {
+            throw this.createError(400, 'A name is required to create an organization');
+        }
+
+        if (input.contentPrivacy !== undefined) {
+            const current = existing.exists ? existing.data().contentPrivacy || {} : {};
+            update.contentPrivacy = { ...current, ...this.normalizeSettings(input.contentPrivacy) };
+        }
+        if (!existing.exists) {
+            update.createdAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+
+        await ref.set(update, { merge: true });
+        // Member settings depend on the organization's; drop them all rather than look members up
+        this.cache.clear();
+        return this.getOrganization(organizationId);
+    }
+
+    /**
+     * Add a user to an organization or remove them from it
+     * @param {string} organizationId - Organization ID
+     * @param {string} userId - User ID
+     * @param {boolean} isMember - true to add, false to remove
+     */
+    async setMembership(organizationId, userId, isMember) {
+        this.requireDb();
+        const orgDoc = await db.collection(this.organizationsCollection).doc(organizationId).get();
+        if (!orgDoc.exists) {
+            throw this.createError(404, 'Organization not found');
+        }
+
+        const userRef = db.collection(this.usersCollection).doc(userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) {
+            throw this.createError(404, 'User not found');
+        }
+
+        const currentOrganization = userDoc.data().organizationId || null;
+        if (isMember) {
+            if (currentOrganization && currentOrganization !== organizationId) {
+                throw this.createError(409, 'User already belongs to another organization');
+            }
+            await userRef.update({ organizationId });
+        } else if (currentOrganization === organizationId) {
+            await userRef.update({ organizationId: admin.firestore.FieldValue.delete() });
+        }
+
+        this.cache.delete(userId);
+        return { organizationId, userId, isMember };
+    }
+}
+
+module.exports = new ContentPrivacyService();
@@ -1,12 +1,11 @@
 const llmService = require('./llmService');
+const languageSupport = require('../utils/languageSupport');
+const latexMath = require('../utils/latexMath');
+const assignmentTypes = require('./assignmentTypes');
 
 class ContentProcessor {
     constructor() {
-        this.sectionWeights = {
-            introduction: 0.15,  // 15% of total word count
-            body: 0.70,          // 70% of total word count
-            conclusion: 0.15     // 15% of total word count
-        };
+        this.maxOutlineSections = 20;
     }
 
     /**
@@ -69,14 +68,14 @@ class ContentProcessor {
     }
 
     /**
-     * Calculate word counts for each section
+     * Calculate word counts for each section of an assignment type's schema
+     * The default essay schema gives { introduction, body, conclusion } (15/70/15).
+     * @param {number} totalWordCount - Total target words
+     * @param {string} assignmentType - Assignment type id or alias
+     * @returns {Object} Words keyed by schema section id
      */
-    calculateSectionWordCounts(totalWordCount) {
-        return {
-            introduction: Math.floor(totalWordCount * this.sectionWeights.introduction),
-            body: Math.floor(totalWordCount * this.sectionWeights.body),
-            conclusion: Math.floor(totalWordCount * this.sectionWeights.conclusion)
-        };
+    calculateSectionWordCounts(totalWordCount, assignmentType = assignmentTypes.DEFAULT_TYPE) {
+        return assignmentTypes.calculateSectionWordCounts(assignmentType, totalWordCount);
     }
 
     /**
@@ -222,9 +221,12 @@ class ContentProcessor {
 
     /**
      * Improve content formatting
+     * Math spans are swapped for placeholders first so blank lines inside display
+     * equations and `#` in TeX are not mistaken for paragraph or heading structure.
      */
     improveFormatting(content, style) {
-        let formatted = content;
+        const { text, spans } = latexMath.protectMath(content);
+        let formatted = text;
         
         // Ensure proper paragraph spacing
         formatted = formatted.replace(/\n{3,}/g, '\n\n');
@@ -246,7 +248,7 @@ class ContentProcessor {
             }
         }
         
-        return formatted;
+        return latexMath.restoreMath(formatted, spans);
     }
 
     /**
@@ -264,16 +266,415 @@ class ContentProcessor {
     }
 
     /**
-     * Count words in text
+     * Count words in text (characters for Chinese and Japanese)
      */
     countWords(text) {
         if (!text || typeof text !== 'string') return 0;
         
-        return text
-            .replace(/[^\w\s]/g, ' ')  // Replace punctuation with spaces
-            .split(/\s+/)              // Split on whitespace
-            .filter(word => word.length > 0)  // Filter empty strings
-            .length;
+        // Replace punctuation with spaces, keeping letters of every script
+        return languageSupport.countWords(text.replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' '));
+    }
+
+    /**
+     * Generate a structured, editable outline
+     * Sections follow the schema of `assignmentType` (introduction/body/conclusion for essays).
+     * Falls back to the schema's default outline when the model does not return usable JSON.
+     * @param {string} prompt - User's writing request
+     * @param {Object} options - { style, tone, wordCount, qualityTier, userPlan, usage, language, assignmentType }
+     * @returns {Promise<Object>} Outline with sections, target word counts and key points
+     */
+    async generateStructuredOutline(prompt, options = {}) {
+        const {
+            style = 'Academic',
+            tone = 'Formal',
+            wordCount = 1000,
+            qualityTier = 'standard',
+            userPlan = null,
+            usage = {},
+            language = 'en'
+        } = options;
+        const type = assignmentTypes.getType(options.assignmentType);
+        const languageNote = languageSupport.languageInstruction(language);
+
+        const structureRules = type.id === assignmentTypes.DEFAULT_TYPE
+            ? `- "type" is one of "introduction", "body" or "conclusion"
+- Start with one introduction section and end with one conclusion section
+- Use between 2 and 5 body sections in between`
+            : `- This is a ${type.name.toLowerCase()}. Use these sections in order, giving each its "schemaSection" id:
+${type.sections.map(section => `  - "${section.id}" (${section.heading}${section.required ? '' : ', optional'}): ${section.guidance}`).join('\n')}
+${type.sections.some(section => section.repeatable) ? '- A section marked repeatable may be split into several themed sections with the same "schemaSection"\n' : ''}- "type" is "introduction", "body" or "conclusion" according to the section's position`;
+
+        const outlinePrompt = `Create an outline for a ${style.toLowerCase()} piece of ${languageSupport.describeLength(wordCount, language)} with a ${tone.toLowerCase()} tone about: ${prompt}
+
+Respond with JSON only, in this shape:
+{"title": "Working title", "sections": [{"heading": "Section heading", "type": "introduction", ${type.id === assignmentTypes.DEFAULT_TYPE ? '' : '"schemaSection": "section id", '}"keyPoints": ["Point one", "Point two"]}]}
+
+Rules:
+${structureRules}
+- Give 2-4 concise key points per section${languageNote ? `\n- ${languageNote} Keep the JSON keys, "type" and "schemaSection" values in English.` : ''}`;
+
+        let parsedOutline = null;
+        let source = 'fallback';
+        try {
+            const client = llmService.getClient(qualityTier, userPlan);
+            if (client.isAvailable()) {
+                const result = await client.generate(outlinePrompt, { temperature: 0.4, usage });
+                parsedOutline = this.parseOutlineResponse(result.text);
+                source = parsedOutline ? `${result.provider}:${result.model}` : 'fallback';
+            }
+        } catch (error) {
+            console.error('Outline generation error:', error);
+        }
+
+        const outline = this.normalizeOutline(
+            parsedOutline || this.buildDefaultOutline(prompt, type.id),
+            wordCount,
+            type.id
+        );
+
+        return {
+            ...outline,
+            prompt,
+            style,
+            tone,
+            language,
+            source
+        };
+    }
+
+    /**
+     * Parse the JSON outline returned by the model
+     * @param {string} text - Raw model output
+     * @returns {Object|null} Parsed outline or null if unusable
+     */
+    parseOutlineResponse(text) {
+        const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+        if (!jsonMatch) return null;
+
+        try {
+            const parsed = JSON.parse(jsonMatch[0]);
+            return Array.isArray(parsed.sections) && parsed.sections.length > 0 ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Default outline: introduction/body/conclusion for essays, otherwise one section
+     * per section of the assignment type's schema
+     */
+    buildDefaultOutline(prompt, assignmentType = assignmentTypes.DEFAULT_TYPE) {
+        const title = prompt.length > 80 ? `${prompt.substring(0, 77)}...` : prompt;
+        if (assignmentTypes.resolveTypeId(assignmentType) !== assignmentTypes.DEFAULT_TYPE) {
+            return assignmentTypes.buildDefaultOutline(assignmentType, title);
+        }
+
+        return {
+            title,
+            sections: [
+                {
+                    heading: 'Introduction',
+                    type: 'introduction',
+                    keyPoints: ['Background and context', 'Thesis statement']
+                },
+                {
+                    heading: 'Main Analysis',
+                    type: 'body',
+                    keyPoints: ['Key arguments and evidence', 'Examples and supporting detail']
+                },
+                {
+                    heading: 'Discussion',
+                    type: 'body',
+                    keyPoints: ['Counterarguments and limitations', 'Implications']
+                },
+                {
+                    heading: 'Conclusion',
+                    type: 'conclusion',
+                    keyPoints: ['Summary of main points', 'Final insight']
+                }
+            ]
+        };
+    }
+
+    /**
+     * Validate a generated or user-edited outline and fill in defaults
+     * Sections keep their order and are matched to a section of the assignment type's
+     * schema (`schemaSection`); missing target word counts are allocated from the schema's
+     * shares, split evenly across outline sections matched to the same schema section.
+     * @param {Object} outline - Outline with a sections array
+     * @param {number} totalWordCount - Total words used for default allocation
+     * @param {string} assignmentType - Assignment type id or alias (defaults to outline.assignmentType, then essay)
+     * @returns {Object} Normalized outline
+     */
+    normalizeOutline(outline, totalWordCount = null, assignmentType = null) {
+        if (!outline || !Array.isArray(outline.sections) || outline.sections.length === 0) {
+            throw new Error('Outline must contain at least one section');
+        }
+
+        if (outline.sections.length > this.maxOutlineSections) {
+            throw new Error(`Outline cannot have more than ${this.maxOutlineSections} sections`);
+        }
+
+        const type = assignmentTypes.getType(assignmentType || outline.assignmentType);
+
+        // Keep existing ids stable across edits so drafts can regenerate sections later;
+        // new sections get the next free section_N id
+        const usedIds = new Set();
+        const explicitIds = outline.sections.map(section =>
+            section && typeof section.id === 'string' && section.id.trim() ? section.id.trim() : null
+        );
+        let nextId = 1;
+        const sections = outline.sections.map((section, index) => {
+            const heading = section && typeof section.heading === 'string' ? section.heading.trim() : '';
+            if (!heading) {
+                throw new Error(`Section ${index + 1} is missing a heading`);
+            }
+
+            let id = explicitIds[index];
+            if (!id || usedIds.has(id)) {
+                do {
+                    id = `section_${nextId++}`;
+                } while (usedIds.has(id) || explicitIds.includes(id));
+            }
+            usedIds.add(id);
+
+            const targetWords = parseInt(section.targetWords);
+            const schemaSection = assignmentTypes.matchSection(type.id, {
+                heading,
+                type: section.type,
+                schemaSection: section.schemaSection
+            });
+            const sectionType = assignmentTypes.SECTION_ROLES.includes(section.type)
+                ? section.type
+                : (schemaSection ? schemaSection.role : 'body');
+
+            return {
+                id,
+                heading: heading.substring(0, 200),
+                type: sectionType,
+                schemaSection: schemaSection ? schemaSection.id : null,
+                targetWords: targetWords > 0 ? targetWords : null,
+                keyPoints: Array.isArray(section.keyPoints)
+                    ? section.keyPoints
+                        .filter(point => typeof point === 'string' && point.trim())
+                        .map(point => point.trim())
+                        .slice(0, 10)
+                    : []
+            };
+        });
+
+        const allocation = this.allocateOutlineWordCounts(
+            sections,
+            totalWordCount || parseInt(outline.totalWordCount) || 1000,
+            type.id
+        );
+        sections.forEach(section => {
+            if (!section.targetWords) {
+                section.targetWords = allocation[section.schemaSection || section.type];
+            }
+        });
+
+        return {
+            title: typeof outline.title === 'string' ? outline.title.trim().substring(0, 200) : '',
+            assignmentType: type.id,
+            sections,
+            totalWordCount: sections.reduce((sum, section) => sum + section.targetWords, 0)
+        };
+    }
+
+    /**
+     * Default per-section word counts for an outline
+     * Sections are grouped by schema section (or by type when they match none). Shares of
+     * schema sections the outline leaves out go to the schema's repeatable section, or are
+     * spread over the groups that are present.
+     * @param {Array} sections - Normalized sections
+     * @param {number} totalWordCount - Total target words
+     * @param {string} assignmentType - Assignment type id
+     * @returns {Object} Words per section, keyed by schema section id (or type for unmatched sections)
+     */
+    allocateOutlineWordCounts(sections, totalWordCount, assignmentType = assignmentTypes.DEFAULT_TYPE) {
+        const schema = assignmentTypes.getType(assignmentType);
+        const shares = this.calculateSectionWordCounts(totalWordCount, schema.id);
+        const counts = {};
+        sections.forEach(section => {
+            const key = section.schemaSection || section.type;
+            counts[key] = (counts[key] || 0) + 1;
+            if (shares[key] === undefined) {
+                shares[key] = 0;
+            }
+        });
+
+        const overflow = schema.sections.find(section => section.repeatable && counts[section.id] > 0);
+        const presentKeys = Object.keys(counts);
+        Object.keys(shares).forEach(key => {
+            if (!counts[key]) {
+                const receivers = overflow ? [overflow.id] : presentKeys;
+                receivers.forEach(receiver => {
+                    shares[receiver] += Math.floor(shares[key] / receivers.length);
+                });
+                shares[key] = 0;
+            }
+        });
+
+        const allocation = {};
+        presentKeys.forEach(key => {
+            allocation[key] = Math.max(50, Math.floor(shares[key] / counts[key]));
+        });
+        return allocation;
+    }
+
+    /**
+     * What an outline section has to do within its assignment type ('' for essays)
+     */
+    describeSchemaSection(section, outline) {
+        const typeId = assignmentTypes.resolveTypeId(outline.assignmentType);
+        if (!section.schemaSection || !typeId || typeId === assignmentTypes.DEFAULT_TYPE) {
+            return '';
+        }
+        const type = assignmentTypes.getType(typeId);
+        const schemaSection = type.sections.find(candidate => candidate.id === section.schemaSection);
+        if (!schemaSection) {
+            return '';
+        }
+        const voice = type.rules.allowFirstPerson ? ' Write in the first person.' : '';
+        return `This is the ${schemaSection.heading} part of a ${type.name.toLowerCase()}: ${schemaSection.guidance}${voice}`;
+    }
+
+    /**
+     * Write every section of an approved outline, in order
+     * @param {Object} outline - Normalized outline
+     * @param {Object} options - { prompt, style, tone, qualityTier, userPlan, rubricGuidance, styleGuidance, onProgress, usage, language }
+     * @returns {Promise<Object>} Combined content and per-section results
+     */
+    async generateFromOutline(outline, options = {}) {
+        const {
+            prompt = '',
+            style = 'Academic',
+            tone = 'Formal',
+            qualityTier = 'standard',
+            userPlan = null,
+            rubricGuidance = '',
+            styleGuidance = '',
+            onProgress = null,
+            usage = {},
+            language = 'en'
+        } = options;
+
+        const startTime = Date.now();
+        const sections = [];
+        let totalWords = 0;
+        let previousContent = '';
+
+        for (const [index, section] of outline.sections.entries()) {
+            const result = await this.generateOutlineSection(section, outline, {
+                prompt,
+                style,
+                tone,
+                qualityTier,
+                userPlan,
+                rubricGuidance,
+                styleGuidance,
+                previousContent,
+                usage,
+                language
+            });
+
+            const wordCount = this.countWords(result.content);
+            totalWords += wordCount;
+            previousContent = result.content;
+
+            sections.push({
+                id: section.id,
+                heading: section.heading,
+                type: section.type,
+                schemaSection: section.schemaSection || null,
+                targetWords: section.targetWords,
+                content: result.content,
+                wordCount,
+                source: result.source
+            });
+
+            if (onProgress) {
+                onProgress('section_generated', {
+                    sectionId: section.id,
+                    sectionIndex: index,
+                    heading: section.heading,
+                    content: result.content,
+                    wordCount,
+                    totalWords,
+                    targetWords: outline.totalWordCount
+                });
+            }
+        }
+
+        const content = this.combineOutlineSections(sections);
+
+        if (onProgress) {
+            onProgress('combined', {
+                content,
+                totalWords,
+                sectionsGenerated: sections.length,
+                targetWords: outline.totalWordCount
+            });
+        }
+
+        return {
+            content,
+            sections,
+            wordCount: this.countWords(content),
+            generationTime: Date.now() - startTime,
+            fallbackUsed: sections.some(section => section.source === 'fallback')
+        };
+    }
+
+    /**
+     * Write one outline section
+     * @param {Object} section - Outline section
+     * @param {Object} outline - Full outline (for title and neighbouring headings)
+     * @param {Object} options - { prompt, style, tone, qualityTier, userPlan, rubricGuidance, styleGuidance, previousContent, usage, language }
+     * @returns {Promise<Object>} llmService result
+     */
+    async generateOutlineSection(section, outline, options = {}) {
+        const { prompt = '', style, tone, qualityTier = 'standard', userPlan = null, rubricGuidance = '', styleGuidance = '', previousContent = '', usage = {}, language = 'en' } = options;
+
+        const headings = outline.sections.map(s => s.heading).join(' | ');
+        const keyPoints = section.keyPoints.length > 0
+            ? `Cover these key points:\n${section.keyPoints.map(point => `- ${point}`).join('\n')}`
+            : '';
+        const schemaNote = this.describeSchemaSection(section, outline);
+        const previousTail = previousContent
+            ? `The previous section ended with:\n"${previousContent.split(/\s+/).slice(-120).join(' ')}"\nContinue naturally from it without repeating it.`
+            : '';
+
+        const sectionPrompt = `Write the "${section.heading}" section (${section.type}) of a piece about: ${prompt}
+${outline.title ? `Title: ${outline.title}` : ''}
+Full outline: ${headings}
+${schemaNote}
+${keyPoints}
+${previousTail}
+${rubricGuidance ? `${rubricGuidance}\nFocus on the criteria this section is responsible for.` : ''}
+${styleGuidance}
+Do not include the section heading itself. Target length: ${languageSupport.describeLength(section.targetWords, language)}.`;
+
+        return await llmService.generateContent(
+            sectionPrompt.replace(/\n{2,}/g, '\n'),
+            style,
+            tone,
+            section.targetWords,
+            qualityTier,
+            userPlan,
+            usage,
+            language
+        );
+    }
+
+    /**
+     * Combine generated outline sections under their headings
+     */
+    combineOutlineSections(sections) {
+        return sections
+            .map(section => `## ${section.heading}\n\n${section.content.trim()}`)
+            .join('\n\n');
     }
 
     /**
@@ -0,0 +1,76 @@
+const ContentDatabase = require('./contentDatabase');
+
+/**
+ * Daily enforcement of stored-content retention
+ * Runs ContentDatabase.cleanupOldContent, which deletes content past its owner's retention
+ * window and deactivates content that has not been reused. The first run happens shortly
+ * after startup so a restarted server does not wait a day to catch up.
+ */
+class ContentRetentionScheduler {
+    constructor() {
+        this.contentDatabase = new ContentDatabase();
+        this.isRunning = false;
+        this.INTERVAL_MS = 24 * 60 * 60 * 1000;
+        this.STARTUP_DELAY_MS = 5 * 60 * 1000;
+        this.UNUSED_CONTENT_DAYS = 90;
+    }
+
+    /**
+     * Start the daily retention run
+     */
+    start() {
+        if (this.isRunning) {
+            console.log('Content retention scheduler is already running');
+            return;
+        }
+
+        this.isRunning = true;
+        this.startupTimeout = setTimeout(() => {
+            this.executeRetention();
+            this.dailyInterval = setInterval(() => {
+                this.executeRetention();
+            }, this.INTERVAL_MS);
+        }, this.STARTUP_DELAY_MS);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        clearTimeout(this.startupTimeout);
+        if (this.dailyInterval) {
+            clearInterval(this.dailyInterval);
+            this.dailyInterval = null;
+        }
+        this.isRunning = false;
+        console.log('Content retention scheduler stopped');
+    }
+
+    /**
+     * Purge expired content and deactivate unused content
+     * @returns {Promise<Object>} { purged, deactivated }
+     */
+    async executeRetention() {
+        try {
+            const startTime = Date.now();
+            const result = await this.contentDatabase.cleanupOldContent(this.UNUSED_CONTENT_DAYS);
+            console.log(`Content retention completed in ${Date.now() - startTime}ms: ${result.purged} purged, ${result.deactivated} deactivated`);
+            return result;
+        } catch (error) {
+            console.error('Error during content retention run:', error);
+            return { purged: 0, deactivated: 0 };
+        }
+    }
+
+    /**
+     * Get scheduler status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            hasInterval: !!this.dailyInterval
+        };
+    }
+}
+
+module.exports = { ContentRetentionScheduler };
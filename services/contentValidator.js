@@ -3,6 +3,9 @@
  * Provides quality assurance checks for generated content
  */
 
+const languageSupport = require('../utils/languageSupport');
+const assignmentTypes = require('./assignmentTypes');
+
 class ContentValidator {
     constructor() {
         this.minWordThreshold = 0.8; // Content should be at least 80% of requested length
@@ -12,7 +15,8 @@ class ContentValidator {
     /**
      * Validate generated content for quality and requirements
      * @param {string} content - The generated content
-     * @param {Object} requirements - Original requirements
+     * @param {Object} requirements - Original requirements (wordCount is in the language's unit;
+     *   assignmentType checks the sections its schema requires)
      * @returns {Object} Validation result
      */
     validateContent(content, requirements) {
@@ -34,6 +38,11 @@ class ContentValidator {
             // Structure validation
             this._validateStructure(content, validation);
             
+            // Sections required by the assignment type
+            if (requirements.assignmentType) {
+                this._validateAssignmentSections(content, requirements, validation);
+            }
+            
             // Content quality checks
             this._validateQuality(content, validation);
             
@@ -41,7 +50,7 @@ class ContentValidator {
             this._validateStyleAndTone(content, requirements, validation);
 
             // Calculate overall metrics
-            validation.metrics = this._calculateMetrics(content);
+            validation.metrics = this._calculateMetrics(content, requirements.language);
 
         } catch (error) {
             validation.isValid = false;
@@ -130,6 +139,148 @@ class ContentValidator {
         }
     }
 
+    /**
+     * Validate sections against the assignment type's schema
+     * Missing required sections make the content invalid; thin or missing optional sections
+     * and a low citation rate are warnings.
+     */
+    _validateAssignmentSections(content, requirements, validation) {
+        const report = this.validateAssignmentStructure(content, requirements.assignmentType, requirements.wordCount);
+
+        validation.structure = report;
+        if (report.issues.length > 0) {
+            validation.isValid = false;
+            validation.issues.push(...report.issues);
+        }
+        validation.warnings.push(...report.warnings);
+        report.thinSections.forEach(id => {
+            const section = report.sections.find(entry => entry.id === id);
+            validation.suggestions.push(`Expand the ${section.heading} section towards ${section.expectedWords} words`);
+        });
+    }
+
+    /**
+     * Check which of an assignment type's sections the content contains and how long each is
+     * Sections are found by their headings; for types that do not use headings (essays) and
+     * unheaded text, the first and last paragraphs stand for the opening and closing sections.
+     * @param {string} content - Content to check
+     * @param {string} assignmentType - Assignment type id or alias
+     * @param {number} targetWordCount - Requested length (defaults to the content's length)
+     * @returns {Object} { assignmentType, sections, missingSections, thinSections, citationCount, issues, warnings }
+     */
+    validateAssignmentStructure(content, assignmentType, targetWordCount = null) {
+        const type = assignmentTypes.getType(assignmentType);
+        const text = content || '';
+        const totalWords = this._countWords(text);
+        const expected = assignmentTypes.calculateSectionWordCounts(type.id, targetWordCount || totalWords);
+        const found = {};
+        const blocks = this._splitByHeadings(text, type.id);
+        const headed = blocks.some(block => block.heading);
+
+        if (headed) {
+            blocks.forEach(block => {
+                const section = block.heading ? assignmentTypes.matchSection(type.id, { heading: block.heading }) : null;
+                if (!section) {
+                    return;
+                }
+                found[section.id] = found[section.id] || { headings: [], wordCount: 0 };
+                found[section.id].headings.push(block.heading);
+                found[section.id].wordCount += this._countWords(block.body);
+            });
+        } else if (!type.rules.headings) {
+            const paragraphs = text.split(/\n\s*\n/).filter(paragraph => paragraph.trim());
+            const first = type.sections[0];
+            const last = type.sections[type.sections.length - 1];
+            const middle = type.sections.find(section => section.repeatable) || type.sections[1];
+            paragraphs.forEach((paragraph, index) => {
+                const section = index === 0 ? first : (index === paragraphs.length - 1 && paragraphs.length > 1 ? last : middle);
+                found[section.id] = found[section.id] || { headings: [], wordCount: 0 };
+                found[section.id].wordCount += this._countWords(paragraph);
+            });
+        }
+
+        const issues = [];
+        const warnings = [];
+        const sections = type.sections.map(section => {
+            const entry = found[section.id];
+            const expectedWords = expected[section.id];
+            let status = 'ok';
+            if (!entry || entry.wordCount === 0) {
+                status = 'missing';
+            } else if (entry.wordCount < expectedWords * type.rules.thinSectionRatio) {
+                status = 'thin';
+            }
+            return {
+                id: section.id,
+                heading: section.heading,
+                required: section.required,
+                status,
+                foundHeadings: entry ? entry.headings : [],
+                wordCount: entry ? entry.wordCount : 0,
+                expectedWords
+            };
+        });
+
+        const missing = sections.filter(section => section.status === 'missing');
+        const missingRequired = missing.filter(section => section.required);
+        if (missingRequired.length > 0) {
+            issues.push(`${type.name} is missing required section(s): ${missingRequired.map(section => section.heading).join(', ')}`);
+        }
+        missing.filter(section => !section.required).forEach(section => {
+            warnings.push(`${type.name} has no ${section.heading} section`);
+        });
+        sections.filter(section => section.status === 'thin').forEach(section => {
+            warnings.push(`${section.heading} section is thin: ${section.wordCount} words (expected about ${section.expectedWords})`);
+        });
+
+        const citationCount = this._countCitations(text);
+        const citationsPer1000Words = totalWords > 0 ? Math.round((citationCount / totalWords) * 10000) / 10 : 0;
+        if (type.rules.minCitationsPer1000Words > 0 && citationsPer1000Words < type.rules.minCitationsPer1000Words) {
+            warnings.push(`${type.name} cites ${citationCount} source(s); expected at least ${type.rules.minCitationsPer1000Words} citations per 1000 words`);
+        }
+
+        return {
+            assignmentType: type.id,
+            sections,
+            missingSections: missing.map(section => section.id),
+            thinSections: sections.filter(section => section.status === 'thin').map(section => section.id),
+            citationCount,
+            citationsPer1000Words,
+            issues,
+            warnings
+        };
+    }
+
+    /**
+     * Split text into { heading, body } blocks
+     * Markdown and bold-line headings always count; a short plain line without final
+     * punctuation only counts when it names one of the assignment type's sections.
+     */
+    _splitByHeadings(content, assignmentType) {
+        const blocks = [{ heading: null, body: '' }];
+        content.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            const markdown = trimmed.match(/^#{1,6}\s+(.+?)\s*#*$/) || trimmed.match(/^\*\*(.+?)\*\*:?$/);
+            const plain = !markdown && trimmed.length > 0 && trimmed.length <= 60 && !/[.!?,;]$/.test(trimmed) &&
+                trimmed.split(/\s+/).length <= 6 && assignmentTypes.matchHeading(assignmentType, trimmed);
+            if (markdown || plain) {
+                blocks.push({ heading: markdown ? markdown[1].trim() : trimmed, body: '' });
+            } else {
+                blocks[blocks.length - 1].body += `${line}\n`;
+            }
+        });
+        return blocks;
+    }
+
+    /**
+     * Count in-text citations: (Author, 2020), (Author et al., 2020, p. 4) and [1] or [2-4]
+     */
+    _countCitations(content) {
+        const authorYear = content.match(/\([^()]*?[A-Z][\p{L}'-]+[^()]*?,?\s*\d{4}[a-z]?[^()]*\)/gu) || [];
+        const numeric = content.match(/\[\d+(?:\s*[-–,]\s*\d+)*\]/g) || [];
+        return authorYear.length + numeric.length;
+    }
+
     /**
      * Validate content quality
      */
@@ -168,8 +319,11 @@ class ContentValidator {
         const style = requirements.style || 'Academic';
         const tone = requirements.tone || 'Formal';
 
-        // Academic style checks
-        if (style === 'Academic') {
+        // Academic style checks (reflective assignments are written in the first person)
+        const firstPersonAllowed = requirements.assignmentType &&
+            assignmentTypes.isKnownType(requirements.assignmentType) &&
+            assignmentTypes.getType(requirements.assignmentType).rules.allowFirstPerson;
+        if (style === 'Academic' && !firstPersonAllowed) {
             const hasThirdPerson = !/\b(I|we|you|your)\b/i.test(content);
             if (!hasThirdPerson) {
                 validation.warnings.push('Academic style should avoid first/second person');
@@ -205,12 +359,28 @@ class ContentValidator {
     /**
      * Calculate content metrics
      */
-    _calculateMetrics(content) {
+    _calculateMetrics(content, language = null) {
         const words = this._countWords(content);
         const characters = content.length;
-        const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
         const paragraphs = content.split('\n\n').filter(p => p.trim().length > 0).length;
 
+        // Non-English content is scored with the formula suited to its language
+        const code = language ? languageSupport.normalizeLanguage(language) : languageSupport.detectLanguage(content);
+        if (code && code !== languageSupport.DEFAULT_LANGUAGE) {
+            const readability = languageSupport.analyzeReadability(content, code);
+            return {
+                wordCount: words,
+                characterCount: characters,
+                sentenceCount: readability.sentenceCount,
+                paragraphCount: paragraphs,
+                averageWordsPerSentence: Math.round(readability.averageSentenceLength),
+                averageWordsPerParagraph: paragraphs > 0 ? Math.round(words / paragraphs) : 0,
+                readabilityScore: readability.readingEase,
+                readability
+            };
+        }
+
+        const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
         return {
             wordCount: words,
             characterCount: characters,
@@ -226,7 +396,7 @@ class ContentValidator {
      * Count words in text
      */
     _countWords(text) {
-        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+        return languageSupport.countWords(text);
     }
 
     /**
@@ -1,9 +1,12 @@
 const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const admin = require('firebase-admin');
 const AtomicCreditSystem = require('./atomicCreditSystem');
 const PlanValidator = require('./planValidator');
 const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
+const { isAbortError, throwIfAborted } = require('../utils/cancellation');
+const latexMath = require('../utils/latexMath');
 
 class DetectorService {
   constructor() {
@@ -12,10 +15,8 @@ class DetectorService {
     this.originalityApiKey = process.env.ORIGINALITY_API_KEY; // Add your Originality.ai API key
     this.originalityBaseUrl = 'https://api.originality.ai/api/v1';
     
-    // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-    // Required for Gemini 2.5 Pro model used in content improvement
-    this.geminiApiKey = process.env.GEMINI_API_KEY; // Add your Gemini API key
-    this.genAI = new GoogleGenerativeAI(this.geminiApiKey);
+    // Content improvement model is routed via config/serviceConfig.js (llm.tools.detector)
+    this.llmProvider = llmProvider;
     this.atomicCredit = new AtomicCreditSystem();
     this.planValidator = new PlanValidator();
     
@@ -36,24 +37,31 @@ class DetectorService {
   }
 
   /**
-   * Calculate word count from text
+   * Calculate word count from text (characters for Chinese and Japanese)
    */
   calculateWordCount(text) {
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    return languageSupport.countWords(text);
+  }
+
+  /**
+   * Language of the content: the requested one, else guessed from its script, else English
+   */
+  resolveLanguage(content, options = {}) {
+    return languageSupport.normalizeLanguage(options.language || languageSupport.detectLanguage(content));
   }
 
   /**
    * Calculate detection credits needed
    */
-  calculateDetectionCredits(wordCount) {
-    return this.atomicCredit.calculateRequiredCredits(wordCount, 'detector', 'detection');
+  calculateDetectionCredits(wordCount, language = null) {
+    return this.atomicCredit.calculateRequiredCredits(wordCount, 'detector', 'detection', language);
   }
 
   /**
    * Calculate generation credits needed
    */
-  calculateGenerationCredits(wordCount) {
-    return this.atomicCredit.calculateRequiredCredits(wordCount, 'detector', 'generation');
+  calculateGenerationCredits(wordCount, language = null) {
+    return this.atomicCredit.calculateRequiredCredits(wordCount, 'detector', 'generation', language);
   }
 
   /**
@@ -71,8 +79,9 @@ class DetectorService {
         throw new Error(planValidation.error || 'Plan validation failed');
       }
 
+      const language = this.resolveLanguage(content, options);
       const wordCount = this.calculateWordCount(content);
-      const creditsNeeded = this.calculateDetectionCredits(wordCount);
+      const creditsNeeded = this.calculateDetectionCredits(wordCount, language);
 
       // Deduct credits atomically
       const creditResult = await this.atomicCredit.deductCreditsAtomic(
@@ -99,7 +108,7 @@ class DetectorService {
         }
 
         if (options.readabilityAnalysis !== false) {
-          analysisResults.readability = await this.analyzeReadability(content);
+          analysisResults.readability = await this.analyzeReadability(content, language);
         }
 
         // Store analysis result
@@ -116,6 +125,8 @@ class DetectorService {
           success: true,
           analysisId,
           wordCount,
+          language,
+          lengthUnit: languageSupport.getLanguage(language).unit,
           creditsUsed: creditsNeeded,
           results: analysisResults
         };
@@ -235,8 +246,13 @@ class DetectorService {
 
   /**
    * Analyze readability using Originality.ai
+   * Originality.ai scores English only; other languages use the formula suited to the language.
    */
-  async analyzeReadability(content) {
+  async analyzeReadability(content, language = 'en') {
+    if (language && language !== languageSupport.DEFAULT_LANGUAGE) {
+      return languageSupport.analyzeReadability(content, language);
+    }
+
     try {
       const response = await axios.post(
         `${this.originalityBaseUrl}/scan/readability`,
@@ -326,7 +342,9 @@ class DetectorService {
   }
 
   /**
-   * Remove detected issues using Gemini 2.5 Pro
+   * Remove detected issues with the detector's configured model
+   * `options.signal` cancels the rewrite; the credits are then refunded in full and the
+   * abort error is rethrown as is.
    */
   async removeDetectedIssues(userId, content, detectionResults, options = {}) {
     try {
@@ -340,8 +358,9 @@ class DetectorService {
         throw new Error(planValidation.error || 'Plan validation failed');
       }
 
+      const language = this.resolveLanguage(content, options);
       const wordCount = this.calculateWordCount(content);
-      const creditsNeeded = this.calculateGenerationCredits(wordCount);
+      const creditsNeeded = this.calculateGenerationCredits(wordCount, language);
 
       // Deduct credits atomically for content generation
       const creditResult = await this.atomicCredit.deductCreditsAtomic(
@@ -356,12 +375,12 @@ class DetectorService {
       }
 
       try {
-        const model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-        
-        const prompt = this.buildRemovalPrompt(content, detectionResults, options);
+        const model = this.llmProvider.forTool('detector', planValidation.userPlan.planType);
         
-        const result = await model.generateContent(prompt);
-        const improvedContent = result.response.text();
+        const improvedContent = await this.rewriteContent(model, content, detectionResults, { ...options, language }, {
+          usage: { userId, feature: 'detector.rewrite' },
+          signal: options.signal || null
+        });
 
         // Store removal result
         await this.storeDetectorRemoval({
@@ -383,6 +402,11 @@ class DetectorService {
         };
 
       } catch (generationError) {
+        if (isAbortError(generationError)) {
+          // The rewrite is a single call, so nothing was delivered
+          await this.atomicCredit.refundCredits(userId, creditResult.creditsDeducted, creditResult.transactionId);
+          throw generationError;
+        }
         // Rollback credits on failure
         await this.atomicCredit.rollbackTransaction(
           userId,
@@ -394,6 +418,14 @@ class DetectorService {
       }
 
     } catch (error) {
+      if (isAbortError(error)) {
+        logger.info('Content removal cancelled by client disconnect', {
+          service: 'DetectorService',
+          method: 'removeDetectedIssues',
+          userId
+        });
+        throw error;
+      }
       logger.error('Content removal failed', {
         service: 'DetectorService',
         method: 'removeDetectedIssues',
@@ -420,7 +452,7 @@ class DetectorService {
       prompt += `- AI CONTENT DETECTED (${detectionResults.aiContent.score}%): Humanize the writing style, add personal touches, and vary sentence structure.\n`;
     }
     
-    if (detectionResults.readability && detectionResults.readability.fleschKincaidGrade > 12) {
+    if (this.hasReadabilityIssue(detectionResults.readability)) {
       prompt += `- READABILITY ISSUES: Simplify complex sentences and use more accessible language.\n`;
     }
     
@@ -430,7 +462,18 @@ class DetectorService {
     prompt += `2. Ensure the content is completely original and human-like\n`;
     prompt += `3. Improve readability while preserving professionalism\n`;
     prompt += `4. Keep the same approximate length\n`;
-    prompt += `5. Return only the improved content without explanations\n\n`;
+    prompt += `5. Return only the improved content without explanations\n`;
+    if (options.mathPlaceholders) {
+      prompt += `6. ${latexMath.placeholderInstruction(options.mathPlaceholders)}\n`;
+    }
+    prompt += `\n`;
+    const languageNote = languageSupport.languageInstruction(options.language);
+    if (languageNote) {
+      prompt += `${languageNote} Do not translate the content into another language.\n\n`;
+    }
+    if (options.styleGuidance) {
+      prompt += `${options.styleGuidance}\n\n`;
+    }
     prompt += `Improved Content:`;
     
     return prompt;
@@ -495,11 +538,15 @@ class DetectorService {
   /**
    * Complete workflow: Detect and remove issues with two-cycle loop
    * Charges only 1:10 ratio for total detected words regardless of cycles
+   * `options.signal` cancels the workflow between steps and stops the rewrite in progress;
+   * the removal credits are then refunded and the abort error is rethrown as is.
    */
   async detectAndRemoveWorkflow(userId, content, options = {}) {
+    const signal = options.signal || null;
     try {
       // Step 1: Initial detection (charges 100 credits per 1000 words - 1:10 ratio)
       const initialDetection = await this.analyzeContent(userId, content, options);
+      throwIfAborted(signal);
       
       if (!this.hasDetectedIssues(initialDetection.results)) {
         return {
@@ -513,8 +560,9 @@ class DetectorService {
       }
 
       // Calculate total detected words for credit charging
+      const language = initialDetection.language;
       const detectedWordCount = this.calculateDetectedWords(content, initialDetection.results);
-      const generationCredits = this.calculateGenerationCredits(detectedWordCount);
+      const generationCredits = this.calculateGenerationCredits(detectedWordCount, language);
 
       // Validate user plan for removal
       const planValidation = await this.planValidator.validateUserPlan(userId, {
@@ -546,14 +594,24 @@ class DetectorService {
 
         // Two-cycle loop for content improvement
         while (cycleCount < maxCycles && this.hasDetectedIssues(currentDetection)) {
+          throwIfAborted(signal);
           cycleCount++;
           
-          // Generate improved content using Gemini 2.5 Pro
-          const improvedContent = await this.generateImprovedContent(currentContent, currentDetection, options);
+          // Generate improved content with the detector's configured model
+          let improvedContent;
+          try {
+            improvedContent = await this.generateImprovedContent(currentContent, currentDetection, { ...options, language }, planValidation.userPlan.planType, userId, signal);
+          } catch (rewriteError) {
+            // A later cycle that mangles equations leaves the previous cycle's result standing
+            if (rewriteError.code !== 'MATH_NOT_PRESERVED' || cycleCount === 1) {
+              throw rewriteError;
+            }
+            break;
+          }
           currentContent = improvedContent;
 
           // Re-detect issues in improved content (no additional detection charges)
-          const reDetection = await this.performDetectionOnly(currentContent, options);
+          const reDetection = await this.performDetectionOnly(currentContent, { ...options, language });
           currentDetection = reDetection;
 
           // If no issues found after first cycle, break
@@ -563,6 +621,7 @@ class DetectorService {
         }
 
         // Store the complete workflow result
+        throwIfAborted(signal);
         await this.storeWorkflowResult({
           userId,
           originalContent: content,
@@ -587,6 +646,11 @@ class DetectorService {
         };
 
       } catch (workflowError) {
+        if (isAbortError(workflowError)) {
+          // A cancelled workflow delivers nothing, so the removal charge is refunded in full
+          await this.atomicCredit.refundCredits(userId, removalCreditResult.creditsDeducted, removalCreditResult.transactionId);
+          throw workflowError;
+        }
         // Rollback removal credits on failure
         await this.atomicCredit.rollbackTransaction(
           userId,
@@ -598,6 +662,14 @@ class DetectorService {
       }
 
     } catch (error) {
+      if (isAbortError(error)) {
+        logger.info('Detect and remove workflow cancelled', {
+          service: 'DetectorService',
+          method: 'detectAndRemoveWorkflow',
+          userId
+        });
+        throw error;
+      }
       logger.error('Detect and remove workflow failed', {
         service: 'DetectorService',
         method: 'detectAndRemoveWorkflow',
@@ -621,10 +693,22 @@ class DetectorService {
     return (
       (detectionResults.plagiarism && detectionResults.plagiarism.score > plagiarismThreshold) ||
       (detectionResults.aiContent && detectionResults.aiContent.score > aiContentThreshold) ||
-      (detectionResults.readability && detectionResults.readability.fleschKincaidGrade > readabilityThreshold)
+      (detectionResults.readability && this.hasReadabilityIssue(detectionResults.readability, readabilityThreshold))
     );
   }
 
+  /**
+   * Whether readability results call for simplification
+   * English results carry a Flesch-Kincaid grade; other languages only report a reading level.
+   */
+  hasReadabilityIssue(readability, gradeThreshold = 12) {
+    if (!readability) return false;
+    if (typeof readability.fleschKincaidGrade === 'number') {
+      return readability.fleschKincaidGrade > gradeThreshold;
+    }
+    return readability.readingLevel === 'Graduate';
+  }
+
   /**
    * Calculate detected words based on detection results
    */
@@ -642,7 +726,7 @@ class DetectorService {
     }
 
     // For readability, assume 50% of content needs improvement if threshold exceeded
-    if (detectionResults.readability && detectionResults.readability.fleschKincaidGrade > 12) {
+    if (this.hasReadabilityIssue(detectionResults.readability)) {
       detectedPercentage = Math.max(detectedPercentage, 0.5);
     }
 
@@ -650,14 +734,33 @@ class DetectorService {
   }
 
   /**
-   * Generate improved content using Gemini 2.5 Pro
+   * Generate improved content with the detector's configured model
    */
-  async generateImprovedContent(content, detectionResults, options) {
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-    const prompt = this.buildRemovalPrompt(content, detectionResults, options);
-    
-    const result = await model.generateContent(prompt);
-    return result.response.text();
+  async generateImprovedContent(content, detectionResults, options, planType = null, userId = null, signal = null) {
+    const model = this.llmProvider.forTool('detector', planType);
+    return this.rewriteContent(model, content, detectionResults, options, {
+      usage: { userId, feature: 'detector.workflow' },
+      signal
+    });
+  }
+
+  /**
+   * Run the removal rewrite with LaTeX math shielded
+   * Equations reach the model as placeholders and are put back verbatim afterwards. A
+   * rewrite that drops, repeats or invents a placeholder is rejected (code MATH_NOT_PRESERVED)
+   * instead of being returned with altered math.
+   */
+  async rewriteContent(model, content, detectionResults, options, generateOptions) {
+    const { text, spans } = latexMath.protectMath(content);
+    const prompt = this.buildRemovalPrompt(text, detectionResults, { ...options, mathPlaceholders: spans.length });
+
+    const result = await model.generate(prompt, generateOptions);
+    if (!latexMath.placeholdersIntact(result.text, spans)) {
+      const error = new Error(`Rewrite did not keep the ${spans.length} equation(s) intact`);
+      error.code = 'MATH_NOT_PRESERVED';
+      throw error;
+    }
+    return latexMath.restoreMath(result.text, spans);
   }
 
   /**
@@ -676,7 +779,7 @@ class DetectorService {
     }
 
     if (options.readabilityAnalysis !== false) {
-      analysisResults.readability = await this.analyzeReadability(content);
+      analysisResults.readability = await this.analyzeReadability(content, options.language);
     }
 
     return analysisResults;
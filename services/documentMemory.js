@@ -0,0 +1,493 @@
+const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
+const { isAbortError } = require('../utils/cancellation');
+
+/**
+ * Running memory of a document written chunk by chunk
+ * Holds what later chunks must stay consistent with: the thesis, the claims already made,
+ * the terms already defined, the sources already cited and a summary of each section.
+ */
+class DocumentMemory {
+    constructor(limits) {
+        this.limits = limits;
+        this.thesis = '';
+        this.claims = [];
+        this.terms = [];
+        this.citations = [];
+        this.sections = [];
+        this.updates = [];
+    }
+
+    /**
+     * Merge what one chunk added
+     * @param {Object} update - { thesis, claims, terms, citations, summary }
+     * @param {number} chunkIndex - Chunk the update came from
+     * @param {string} method - 'llm' or 'heuristic'
+     */
+    merge(update, chunkIndex, method) {
+        if (!this.thesis && update.thesis) {
+            this.thesis = update.thesis;
+        }
+
+        const known = (list, key) => new Set(list.map(entry => key(entry).toLowerCase()));
+
+        const seenClaims = known(this.claims, claim => claim.text);
+        for (const text of update.claims || []) {
+            if (!seenClaims.has(text.toLowerCase())) {
+                this.claims.push({ text, chunkIndex });
+                seenClaims.add(text.toLowerCase());
+            }
+        }
+
+        const seenTerms = known(this.terms, term => term.term);
+        for (const { term, definition } of update.terms || []) {
+            if (!seenTerms.has(term.toLowerCase())) {
+                this.terms.push({ term, definition, chunkIndex });
+                seenTerms.add(term.toLowerCase());
+            }
+        }
+
+        const seenCitations = known(this.citations, citation => citation);
+        for (const citation of update.citations || []) {
+            if (!seenCitations.has(citation.toLowerCase())) {
+                this.citations.push(citation);
+                seenCitations.add(citation.toLowerCase());
+            }
+        }
+
+        if (update.summary) {
+            this.sections.push({ chunkIndex, summary: update.summary });
+        }
+
+        // Oldest entries go first; the thesis and section summaries keep the early chunks in view
+        this.claims = this.claims.slice(-this.limits.maxClaims);
+        this.terms = this.terms.slice(-this.limits.maxTerms);
+        this.citations = this.citations.slice(-this.limits.maxCitations);
+        this.updates.push({ chunkIndex, method });
+    }
+
+    isEmpty() {
+        return !this.thesis && this.claims.length === 0 && this.terms.length === 0 &&
+            this.citations.length === 0 && this.sections.length === 0;
+    }
+
+    /**
+     * Render the memory for the next chunk prompt
+     * @returns {string} Memory block, empty when nothing has been recorded
+     */
+    toPromptContext() {
+        if (this.isEmpty()) return '';
+
+        const lines = ['Document memory (what earlier sections already established):'];
+        if (this.thesis) {
+            lines.push(`Thesis: ${this.thesis}`);
+        }
+        if (this.sections.length > 0) {
+            lines.push('Sections so far:');
+            this.sections.forEach(section => lines.push(`- Section ${section.chunkIndex + 1}: ${section.summary}`));
+        }
+        if (this.claims.length > 0) {
+            lines.push('Claims already made (do not repeat them; build on them or move on):');
+            this.claims.forEach(claim => lines.push(`- ${claim.text}`));
+        }
+        if (this.terms.length > 0) {
+            lines.push('Terms already defined (use them as defined; do not define them again):');
+            this.terms.forEach(term => lines.push(`- ${term.term}: ${term.definition}`));
+        }
+        if (this.citations.length > 0) {
+            lines.push(`Sources already cited: ${this.citations.join('; ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    toJSON() {
+        return {
+            thesis: this.thesis,
+            claims: this.claims,
+            terms: this.terms,
+            citations: this.citations,
+            sections: this.sections,
+            updates: this.updates
+        };
+    }
+}
+
+/**
+ * Document Memory Service
+ * Updates a DocumentMemory after each generated chunk (model extraction, with a heuristic
+ * fallback when the model is unavailable or answers badly) and runs the consistency pass
+ * over the combined text: near-duplicate paragraphs are removed, contradicting claims are
+ * reported.
+ */
+class DocumentMemoryService {
+    constructor() {
+        this.LIMITS = {
+            maxClaims: 30,
+            maxTerms: 30,
+            maxCitations: 40
+        };
+        this.MAX_CLAIMS_PER_CHUNK = 8;
+        this.MAX_SUMMARY_WORDS = 60;
+        this.MAX_CHUNK_CHARS = 24000;
+        this.DUPLICATE_SIMILARITY = 0.8;
+        this.MIN_PARAGRAPH_WORDS = 12;
+        this.CONTRADICTION_OVERLAP = 0.5;
+
+        this.NEGATIONS = ['not', 'no', 'never', 'cannot', "can't", "doesn't", "don't", "isn't", "aren't", 'neither', 'nor', 'without', 'fails', 'lacks', 'unlikely'];
+        this.STOPWORDS = new Set(['the', 'and', 'that', 'this', 'with', 'from', 'have', 'which', 'their', 'there', 'these', 'those', 'been', 'were', 'what', 'when', 'where', 'while', 'about', 'into', 'more', 'than', 'also', 'such', 'they', 'them', 'its', 'for', 'are', 'was', 'has', 'had', 'but', 'our', 'can', 'may', 'will', 'would', 'could', 'should']);
+    }
+
+    /**
+     * Start an empty memory for one generation
+     * @returns {DocumentMemory}
+     */
+    create() {
+        return new DocumentMemory(this.LIMITS);
+    }
+
+    /**
+     * Record what a newly written chunk adds to the memory
+     * @param {DocumentMemory} memory - Memory to update in place
+     * @param {string} chunk - Chunk text
+     * @param {number} chunkIndex - Chunk position
+     * @param {Object} options - { model (LLMClient), language }
+     * @returns {Promise<string>} Method used: 'llm' or 'heuristic'
+     */
+    async update(memory, chunk, chunkIndex, { model = null, language = 'en' } = {}) {
+        let update = null;
+
+        if (model && model.isAvailable()) {
+            try {
+                const result = await model.generate(this.buildUpdatePrompt(memory, chunk, chunkIndex, language), { temperature: 0.2 });
+                update = this.parseUpdateResponse(result.text);
+            } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
+                logger.warn('Document memory extraction failed, using heuristics', {
+                    service: 'DocumentMemoryService',
+                    method: 'update',
+                    chunkIndex,
+                    error: error.message
+                });
+            }
+        }
+
+        const method = update ? 'llm' : 'heuristic';
+        memory.merge(update || this.extractHeuristically(chunk, chunkIndex === 0 && !memory.thesis), chunkIndex, method);
+        return method;
+    }
+
+    buildUpdatePrompt(memory, chunk, chunkIndex, language) {
+        const text = chunk.length > this.MAX_CHUNK_CHARS ? chunk.substring(0, this.MAX_CHUNK_CHARS) : chunk;
+        const current = memory.toPromptContext();
+
+        return `You keep notes on a document that is being written section by section.
+${current ? `\n${current}\n` : ''}
+Section ${chunkIndex + 1}, just written:
+"""
+${text}
+"""
+
+Respond with a JSON object only:
+{"thesis": "${memory.thesis ? '' : 'the central thesis of the document in one sentence'}", "claims": ["each distinct claim this section makes, one sentence each"], "terms": [{"term": "a term this section defines", "definition": "its definition, in a few words"}], "citations": ["each source this section cites, as written"], "summary": "this section in at most two sentences"}
+List at most ${this.MAX_CLAIMS_PER_CHUNK} claims. Use empty lists when a section defines or cites nothing. Write the values in the language of the section${language && language !== languageSupport.DEFAULT_LANGUAGE ? ` (${languageSupport.getLanguage(language).name})` : ''}.`;
+    }
+
+    /**
+     * Parse the model's memory update, or null when it is unusable
+     */
+    parseUpdateResponse(text) {
+        const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+        if (!jsonMatch) return null;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            return null;
+        }
+
+        const strings = (value) => (Array.isArray(value) ? value : [])
+            .filter(entry => typeof entry === 'string' && entry.trim())
+            .map(entry => entry.trim());
+        const update = {
+            thesis: typeof parsed.thesis === 'string' ? parsed.thesis.trim() : '',
+            claims: strings(parsed.claims).slice(0, this.MAX_CLAIMS_PER_CHUNK),
+            terms: (Array.isArray(parsed.terms) ? parsed.terms : [])
+                .filter(entry => entry && typeof entry.term === 'string' && entry.term.trim())
+                .map(entry => ({ term: entry.term.trim(), definition: String(entry.definition || '').trim() })),
+            citations: strings(parsed.citations),
+            summary: typeof parsed.summary === 'string' ? this.clipWords(parsed.summary.trim()) : ''
+        };
+
+        // An answer without claims or a summary says nothing about the section
+        return update.claims.length > 0 || update.summary ? update : null;
+    }
+
+    /**
+     * Pattern-based memory update
+     * Claims are paragraph topic sentences; terms come from defining phrases; citations from
+     * author-year and numeric citation markers.
+     * @param {string} chunk - Chunk text
+     * @param {boolean} findThesis - Whether to look for the thesis (opening chunk only)
+     * @returns {Object} Update in the shape merge() takes
+     */
+    extractHeuristically(chunk, findThesis = false) {
+        const paragraphs = this.splitParagraphs(chunk).filter(paragraph => !this.isHeading(paragraph));
+        const topicSentences = paragraphs
+            .map(paragraph => this.splitSentences(paragraph)[0])
+            .filter(Boolean);
+
+        let thesis = '';
+        if (findThesis && paragraphs.length > 0) {
+            const sentences = this.splitSentences(paragraphs.slice(0, 2).join(' '));
+            thesis = sentences.find(sentence => /\b(argues?|contends?|this (essay|paper|report|assignment) (will )?(show|examine|demonstrate)s?|thesis|I argue|we argue)\b/i.test(sentence)) ||
+                this.splitSentences(paragraphs[0]).slice(-1)[0] || '';
+        }
+
+        const terms = [];
+        const definitionPattern = /\b((?:[A-Za-z][\w-]*\s){0,3}[A-Za-z][\w-]*)\s+(?:is defined as|are defined as|refers to|refer to|is known as|can be defined as|denotes)\s+([^.;:]{3,160})/g;
+        for (const match of chunk.matchAll(definitionPattern)) {
+            const term = match[1].replace(/^(the|a|an|this|that)\s+/i, '').trim();
+            if (term.length > 2) {
+                terms.push({ term, definition: match[2].trim() });
+            }
+        }
+
+        const citations = [
+            ...chunk.matchAll(/\(([A-Z][A-Za-z'-]+(?: et al\.)?(?: (?:and|&) [A-Z][A-Za-z'-]+)?,? \d{4}[a-z]?)\)/g),
+            ...chunk.matchAll(/\b([A-Z][A-Za-z'-]+(?: et al\.)? \(\d{4}[a-z]?\))/g),
+            ...chunk.matchAll(/(\[\d+(?:[,–-]\s*\d+)*\])/g)
+        ].map(match => match[1]);
+
+        return {
+            thesis,
+            claims: topicSentences.slice(0, this.MAX_CLAIMS_PER_CHUNK),
+            terms,
+            citations: [...new Set(citations)],
+            summary: this.clipWords(topicSentences.slice(0, 2).join(' '))
+        };
+    }
+
+    /**
+     * Consistency pass over the combined document
+     * Near-duplicate paragraphs (typically a later chunk restating an earlier one) are removed;
+     * contradictions between recorded claims are reported for review, not rewritten.
+     * @param {string} content - Combined content
+     * @param {DocumentMemory} memory - Memory built during generation
+     * @param {Object} options - { model (LLMClient) }
+     * @returns {Promise<Object>} { content, duplicatesRemoved, contradictions, method }
+     */
+    async checkConsistency(content, memory, { model = null } = {}) {
+        const { content: deduplicated, duplicatesRemoved } = this.removeDuplicateParagraphs(content);
+        const { contradictions, method } = await this.findContradictions(memory, model);
+
+        return {
+            content: deduplicated,
+            duplicatesRemoved,
+            contradictions,
+            method
+        };
+    }
+
+    /**
+     * Drop paragraphs that repeat an earlier paragraph almost word for word
+     * @param {string} content - Text with blank-line separated paragraphs
+     * @returns {Object} { content, duplicatesRemoved: [{ paragraph, duplicateOf, similarity, excerpt }] }
+     */
+    removeDuplicateParagraphs(content) {
+        const paragraphs = content.split(/\n\s*\n/);
+        const kept = [];
+        const keptShingles = [];
+        const duplicatesRemoved = [];
+
+        paragraphs.forEach((paragraph, index) => {
+            const words = this.normalizeWords(paragraph);
+            if (this.isHeading(paragraph) || words.length < this.MIN_PARAGRAPH_WORDS) {
+                kept.push(paragraph);
+                return;
+            }
+
+            const shingles = this.shingles(words);
+            const match = keptShingles
+                .map(entry => ({ ...entry, similarity: this.jaccard(shingles, entry.shingles) }))
+                .find(entry => entry.similarity >= this.DUPLICATE_SIMILARITY);
+
+            if (match) {
+                duplicatesRemoved.push({
+                    paragraph: index,
+                    duplicateOf: match.index,
+                    similarity: Math.round(match.similarity * 100) / 100,
+                    excerpt: this.clipWords(paragraph.trim(), 25)
+                });
+                return;
+            }
+
+            kept.push(paragraph);
+            keptShingles.push({ index, shingles });
+        });
+
+        return {
+            content: duplicatesRemoved.length > 0 ? kept.join('\n\n') : content,
+            duplicatesRemoved
+        };
+    }
+
+    /**
+     * Find pairs of recorded claims that cannot both hold
+     * @returns {Promise<Object>} { contradictions: [{ claim, conflictsWith, sections, explanation }], method }
+     */
+    async findContradictions(memory, model) {
+        // The thesis is checked like any other claim: later sections most often drift from it
+        const claims = memory.thesis && !memory.claims.some(claim => claim.text === memory.thesis)
+            ? [{ text: memory.thesis, chunkIndex: 0 }, ...memory.claims]
+            : memory.claims;
+        if (claims.length < 2) {
+            return { contradictions: [], method: 'none' };
+        }
+
+        if (model && model.isAvailable()) {
+            try {
+                const result = await model.generate(this.buildContradictionPrompt(claims, memory.thesis), { temperature: 0.1 });
+                const pairs = this.parseContradictionResponse(result.text, claims.length);
+                if (pairs) {
+                    return {
+                        contradictions: pairs.map(pair => this.describeContradiction(claims, pair)),
+                        method: 'llm'
+                    };
+                }
+            } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
+                logger.warn('Contradiction check failed, using heuristics', {
+                    service: 'DocumentMemoryService',
+                    method: 'findContradictions',
+                    error: error.message
+                });
+            }
+        }
+
+        return {
+            contradictions: this.findContradictionsHeuristically(claims).map(pair => this.describeContradiction(claims, pair)),
+            method: 'heuristic'
+        };
+    }
+
+    buildContradictionPrompt(claims, thesis) {
+        const numbered = claims.map((claim, index) => `${index + 1}. [section ${claim.chunkIndex + 1}] ${claim.text}`).join('\n');
+
+        return `These claims were made in different sections of one document${thesis ? ` whose thesis is: ${thesis}` : ''}.
+
+${numbered}
+
+Identify pairs of claims that contradict each other (both cannot be true, or one reverses the other's position). Differences of emphasis or scope are not contradictions.
+Respond with a JSON array only, one object per contradiction, or [] if there are none:
+[{"first": claim number, "second": claim number, "explanation": "one sentence"}]`;
+    }
+
+    /**
+     * Parse the model's contradiction pairs, or null when the answer is unusable
+     */
+    parseContradictionResponse(text, claimCount) {
+        const jsonMatch = (text || '').match(/\[[\s\S]*\]/);
+        if (!jsonMatch) return null;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            return null;
+        }
+        if (!Array.isArray(parsed)) return null;
+
+        return parsed
+            .map(entry => ({
+                first: parseInt(entry && entry.first) - 1,
+                second: parseInt(entry && entry.second) - 1,
+                explanation: entry && typeof entry.explanation === 'string' ? entry.explanation : ''
+            }))
+            .filter(pair => pair.first >= 0 && pair.second >= 0 && pair.first < claimCount && pair.second < claimCount && pair.first !== pair.second);
+    }
+
+    /**
+     * Claims about the same thing where exactly one is negated
+     */
+    findContradictionsHeuristically(claims) {
+        const analyzed = claims.map(claim => {
+            const words = this.normalizeWords(claim.text);
+            return {
+                negated: words.some(word => this.NEGATIONS.includes(word)),
+                terms: new Set(words.filter(word => word.length > 3 && !this.STOPWORDS.has(word) && !this.NEGATIONS.includes(word)))
+            };
+        });
+
+        const pairs = [];
+        for (let first = 0; first < analyzed.length; first++) {
+            for (let second = first + 1; second < analyzed.length; second++) {
+                if (analyzed[first].negated === analyzed[second].negated) continue;
+                const overlap = this.jaccard(analyzed[first].terms, analyzed[second].terms);
+                if (overlap >= this.CONTRADICTION_OVERLAP) {
+                    pairs.push({ first, second, explanation: 'One claim negates a closely matching claim' });
+                }
+            }
+        }
+        return pairs;
+    }
+
+    describeContradiction(claims, pair) {
+        return {
+            claim: claims[pair.first].text,
+            conflictsWith: claims[pair.second].text,
+            sections: [claims[pair.first].chunkIndex + 1, claims[pair.second].chunkIndex + 1],
+            explanation: pair.explanation
+        };
+    }
+
+    splitParagraphs(text) {
+        return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    }
+
+    splitSentences(text) {
+        // Abbreviation dots (et al., e.g.) are swapped for a lookalike so they do not end a sentence
+        const protectedText = text.replace(/\s+/g, ' ').replace(/\b(et al|e\.g|i\.e|etc|vs|cf|Dr|Mr|Mrs|Ms|Fig|No)\./g, '$1\u2024');
+        return (protectedText.match(/[^.!?。！？]+[.!?。！？]+["')\]」]*|[^.!?。！？]+$/g) || [])
+            .map(sentence => sentence.trim().replace(/\u2024/g, '.'))
+            .filter(sentence => languageSupport.countWords(sentence) >= 4);
+    }
+
+    isHeading(paragraph) {
+        const trimmed = paragraph.trim();
+        return /^#{1,6}\s/.test(trimmed) || (!/[.!?:]$/.test(trimmed) && trimmed.split(/\s+/).length <= 10 && !trimmed.includes('\n'));
+    }
+
+    normalizeWords(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').split(/\s+/).filter(Boolean);
+    }
+
+    shingles(words, size = 3) {
+        const set = new Set();
+        for (let i = 0; i + size <= words.length; i++) {
+            set.add(words.slice(i, i + size).join(' '));
+        }
+        return set;
+    }
+
+    jaccard(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        for (const item of a) {
+            if (b.has(item)) shared++;
+        }
+        return shared / (a.size + b.size - shared);
+    }
+
+    clipWords(text, maxWords = this.MAX_SUMMARY_WORDS) {
+        const words = text.split(/\s+/).filter(Boolean);
+        return words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}…` : words.join(' ');
+    }
+}
+
+module.exports = new DocumentMemoryService();
+module.exports.DocumentMemory = DocumentMemory;
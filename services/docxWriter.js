@@ -0,0 +1,399 @@
+const { createZip } = require('../utils/zipArchive');
+const latexMath = require('../utils/latexMath');
+const { parseDocument, inlineRuns } = require('../utils/documentModel');
+
+/**
+ * DocxWriter
+ * Builds real Office Open XML (.docx) files from the shared document tree
+ * (utils/documentModel): headings, paragraphs, bold/italic, lists, pipe tables,
+ * block quotes, footnotes ([^1] references with [^1]: definitions), a title
+ * page, page numbers and a hanging-indent reference list. LaTeX math becomes native Word
+ * equations (Office Math), so it stays editable in Word's equation editor.
+ */
+class DocxWriter {
+    constructor() {
+        this.MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+        this.PAGE_SIZES = {
+            A4: { width: 11906, height: 16838 },
+            Letter: { width: 12240, height: 15840 }
+        };
+        this.MARGIN = 1440; // 1 inch in twentieths of a point
+        this.MAX_LIST_LEVEL = 2;
+
+        this.NS = {
+            w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+            r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+            m: 'http://schemas.openxmlformats.org/officeDocument/2006/math'
+        };
+    }
+
+    /**
+     * Build a .docx file
+     * @param {string|Object} content - Markdown-style document text, or a tree from documentModel.parseDocument
+     * @param {Object} options - Document options
+     * @param {string} options.title - Document title
+     * @param {string} options.subtitle - Optional subtitle for the title page
+     * @param {string} options.author - Author name
+     * @param {string} options.institution - Institution name
+     * @param {string} options.course - Course name or code
+     * @param {string} options.instructor - Instructor name
+     * @param {string} options.date - Date line (defaults to today)
+     * @param {boolean} options.includeTitlePage - Render a separate title page (default true when a title is given)
+     * @param {boolean} options.pageNumbers - Page numbers in the footer (default true)
+     * @param {boolean} options.referencesOnNewPage - Start the reference list on a new page (default true)
+     * @param {string} options.fontFamily - Body font (default Times New Roman)
+     * @param {number} options.fontSize - Body font size in points (default 12)
+     * @param {number} options.lineSpacing - Line spacing multiple (default 1.5)
+     * @param {string} options.alignment - 'justify' or 'left' (default justify)
+     * @param {string} options.pageSize - 'A4' or 'Letter' (default A4)
+     * @returns {Buffer} .docx file contents
+     */
+    createDocument(content, options = {}) {
+        const settings = {
+            title: options.title ? String(options.title).trim() : '',
+            subtitle: options.subtitle || '',
+            author: options.author || '',
+            institution: options.institution || '',
+            course: options.course || '',
+            instructor: options.instructor || '',
+            date: options.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+            pageNumbers: options.pageNumbers !== false,
+            referencesOnNewPage: options.referencesOnNewPage !== false,
+            fontFamily: options.fontFamily || 'Times New Roman',
+            fontSize: Number(options.fontSize) > 0 ? Number(options.fontSize) : 12,
+            lineSpacing: Number(options.lineSpacing) > 0 ? Number(options.lineSpacing) : 1.5,
+            alignment: options.alignment === 'left' ? 'left' : 'both',
+            pageSize: this.PAGE_SIZES[options.pageSize] || this.PAGE_SIZES.A4
+        };
+        settings.includeTitlePage = options.includeTitlePage !== undefined
+            ? !!options.includeTitlePage && !!settings.title
+            : !!settings.title;
+
+        const document = content && content.type === 'document'
+            ? content
+            : parseDocument(content, { title: settings.title });
+        const state = { footnotes: document.footnotes, footnoteOrder: [], lists: [] };
+
+        const documentXml = this.buildDocumentXml(document.children, settings, state);
+        const files = [
+            { name: '[Content_Types].xml', data: this.buildContentTypesXml(settings) },
+            { name: '_rels/.rels', data: this.buildRootRelsXml() },
+            { name: 'docProps/core.xml', data: this.buildCoreXml(settings) },
+            { name: 'docProps/app.xml', data: this.buildAppXml() },
+            { name: 'word/document.xml', data: documentXml },
+            { name: 'word/styles.xml', data: this.buildStylesXml(settings) },
+            { name: 'word/numbering.xml', data: this.buildNumberingXml(state.lists) },
+            { name: 'word/footnotes.xml', data: this.buildFootnotesXml(state) },
+            { name: 'word/settings.xml', data: this.buildSettingsXml() },
+            { name: 'word/_rels/document.xml.rels', data: this.buildDocumentRelsXml(settings) }
+        ];
+
+        if (settings.pageNumbers) {
+            files.push({ name: 'word/footer1.xml', data: this.buildFooterXml() });
+        }
+
+        return createZip(files);
+    }
+
+    /**
+     * Build word/document.xml
+     */
+    buildDocumentXml(blocks, settings, state) {
+        const body = [];
+
+        if (settings.includeTitlePage) {
+            body.push(...this.buildTitlePage(settings));
+        } else if (settings.title) {
+            body.push(this.paragraph(this.runsXml([{ text: settings.title }], state), { style: 'Title' }));
+        }
+
+        body.push(...this.buildBlocks(blocks, settings, state, body.length > 0));
+
+        // Word expects a paragraph (not a table) immediately before the final section properties
+        if (body.length === 0 || body[body.length - 1].startsWith('<w:tbl>')) {
+            body.push('<w:p/>');
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${this.NS.w}" xmlns:r="${this.NS.r}" xmlns:m="${this.NS.m}"><w:body>${body.join('')}${this.sectionProperties(settings, { footer: settings.pageNumbers, restartNumbering: true })}</w:body></w:document>`;
+    }
+
+    /**
+     * Body XML for block nodes
+     * @param {boolean} hasPrecedingContent - Whether anything comes before these blocks (for page breaks)
+     * @param {string} paragraphStyle - Style for plain paragraphs (block quotes use Quote)
+     */
+    buildBlocks(blocks, settings, state, hasPrecedingContent = false, paragraphStyle = null) {
+        const body = [];
+
+        for (const block of blocks) {
+            switch (block.type) {
+                case 'heading':
+                    body.push(this.paragraph(this.runsXml(inlineRuns(block.children), state), {
+                        style: `Heading${Math.min(block.level, 3)}`,
+                        pageBreakBefore: block.references && settings.referencesOnNewPage && (hasPrecedingContent || body.length > 0)
+                    }));
+                    break;
+                case 'list':
+                    body.push(...this.buildList(block, state));
+                    break;
+                case 'table':
+                    body.push(this.buildTable(block, state, settings));
+                    break;
+                case 'reference':
+                    body.push(this.paragraph(this.runsXml(inlineRuns(block.children), state), { style: 'Bibliography' }));
+                    break;
+                case 'blockquote':
+                    body.push(...this.buildBlocks(block.children, settings, state, true, 'Quote'));
+                    break;
+                case 'math':
+                    body.push(this.paragraph(this.runsXml([{ math: block, text: block.raw }], state), { style: paragraphStyle }));
+                    break;
+                case 'code':
+                    body.push(...block.text.split('\n').map(line =>
+                        this.paragraph(this.textRun(line, { code: true }), { style: 'SourceCode' })));
+                    break;
+                case 'rule':
+                    break;
+                default:
+                    body.push(this.paragraph(this.runsXml(inlineRuns(block.children), state), { style: paragraphStyle }));
+            }
+        }
+
+        return body;
+    }
+
+    /**
+     * Title page paragraphs; the last one closes a section without a footer so
+     * page numbering starts at 1 on the first page of the body
+     */
+    buildTitlePage(settings) {
+        const details = [settings.author, settings.institution, settings.course, settings.instructor, settings.date]
+            .filter(Boolean)
+            .map(text => String(text).trim());
+        const paragraphs = [
+            this.paragraph(this.runsXml([{ text: settings.title }]), { style: 'Title', spacingBefore: 2880 })
+        ];
+
+        if (settings.subtitle) {
+            paragraphs.push(this.paragraph(this.runsXml([{ text: String(settings.subtitle) }]), { style: 'Subtitle' }));
+        }
+
+        details.forEach((text, index) => {
+            paragraphs.push(this.paragraph(this.runsXml([{ text }]), {
+                style: 'TitlePageDetail',
+                spacingBefore: index === 0 ? 720 : 0
+            }));
+        });
+
+        const last = paragraphs.pop();
+        paragraphs.push(last.replace('</w:pPr>', `${this.sectionProperties(settings, { footer: false })}</w:pPr>`));
+        return paragraphs;
+    }
+
+    buildList(block, state) {
+        const bulletNumId = this.registerList(state, false);
+        const orderedNumId = block.items.some(item => item.ordered) ? this.registerList(state, true) : null;
+
+        return block.items.map(item => this.paragraph(this.runsXml(inlineRuns(item.children), state), {
+            style: 'ListParagraph',
+            numbering: { numId: item.ordered ? orderedNumId : bulletNumId, level: Math.min(item.level, this.MAX_LIST_LEVEL) }
+        }));
+    }
+
+    /**
+     * Allocate a numbering instance; every ordered list gets its own so numbering restarts at 1
+     * @returns {number} numId
+     */
+    registerList(state, ordered) {
+        state.lists.push({ ordered });
+        return state.lists.length;
+    }
+
+    buildTable(block, state, settings) {
+        const columnCount = Math.max(...block.rows.map(row => row.length));
+        const tableWidth = settings.pageSize.width - this.MARGIN * 2;
+        const columnWidth = Math.floor(tableWidth / columnCount);
+        const grid = Array.from({ length: columnCount }, () => `<w:gridCol w:w="${columnWidth}"/>`).join('');
+
+        const rows = block.rows.map((row, rowIndex) => {
+            const header = rowIndex === 0;
+            const cells = Array.from({ length: columnCount }, (_, cellIndex) => {
+                const runs = inlineRuns(row[cellIndex] || [], { bold: header, italic: false });
+                return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth}" w:type="dxa"/></w:tcPr>${this.paragraph(this.runsXml(runs, state), { style: 'TableText' })}</w:tc>`;
+            }).join('');
+            return `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+        }).join('');
+
+        return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${tableWidth}" w:type="dxa"/><w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${rows}</w:tbl>`;
+    }
+
+    /**
+     * Build a <w:p> element
+     * @param {string} runs - Run XML
+     * @param {Object} options - { style, pageBreakBefore, spacingBefore, numbering: { numId, level } }
+     */
+    paragraph(runs, options = {}) {
+        const properties = [];
+        if (options.style) properties.push(`<w:pStyle w:val="${options.style}"/>`);
+        if (options.pageBreakBefore) properties.push('<w:pageBreakBefore/>');
+        if (options.numbering) {
+            properties.push(`<w:numPr><w:ilvl w:val="${options.numbering.level}"/><w:numId w:val="${options.numbering.numId}"/></w:numPr>`);
+        }
+        if (options.spacingBefore) properties.push(`<w:spacing w:before="${options.spacingBefore}"/>`);
+
+        return `<w:p><w:pPr>${properties.join('')}</w:pPr>${runs}</w:p>`;
+    }
+
+    /**
+     * Convert runs to XML, turning known footnote references into Word footnotes
+     * and math placeholders into Office Math (literal TeX if it cannot be parsed)
+     */
+    runsXml(runs, state = null) {
+        return runs.map(run => {
+            if (run.math !== undefined) {
+                return latexMath.toOMML(run.math.tex, { display: run.math.display }) || this.textRun(run.text, {});
+            }
+            if (run.footnote !== undefined) {
+                if (state && state.footnotes[run.footnote]) {
+                    let index = state.footnoteOrder.indexOf(run.footnote);
+                    if (index < 0) {
+                        state.footnoteOrder.push(run.footnote);
+                        index = state.footnoteOrder.length - 1;
+                    }
+                    return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${index + 1}"/></w:r>`;
+                }
+                return this.textRun(run.text, {});
+            }
+            return this.textRun(run.text, run);
+        }).join('');
+    }
+
+    textRun(text, format) {
+        if (!text) return '';
+        const properties = `${format.code ? '<w:rStyle w:val="SourceCodeChar"/>' : ''}${format.bold ? '<w:b/>' : ''}${format.italic ? '<w:i/>' : ''}`;
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`;
+    }
+
+    sectionProperties(settings, { footer, restartNumbering = false }) {
+        const { width, height } = settings.pageSize;
+        return `<w:sectPr>${footer ? '<w:footerReference w:type="default" r:id="rId5"/>' : ''}<w:pgSz w:w="${width}" w:h="${height}"/><w:pgMar w:top="${this.MARGIN}" w:right="${this.MARGIN}" w:bottom="${this.MARGIN}" w:left="${this.MARGIN}" w:header="720" w:footer="720" w:gutter="0"/>${restartNumbering ? '<w:pgNumType w:start="1"/>' : ''}</w:sectPr>`;
+    }
+
+    buildStylesXml(settings) {
+        const size = Math.round(settings.fontSize * 2);
+        const line = Math.round(240 * settings.lineSpacing);
+        const font = this.escapeXml(settings.fontFamily);
+        const heading = (level, sizeDelta, extra = '') => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:jc w:val="left"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/>${extra}<w:sz w:val="${size + sizeDelta}"/><w:szCs w:val="${size + sizeDelta}"/></w:rPr></w:style>`;
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${this.NS.w}"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="${line}" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>`
+            + `<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/><w:pPr><w:jc w:val="${settings.alignment}"/></w:pPr></w:style>`
+            + `<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/><w:jc w:val="center"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size + 12}"/><w:szCs w:val="${size + 12}"/></w:rPr></w:style>`
+            + `<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/><w:jc w:val="center"/></w:pPr><w:rPr><w:i/><w:sz w:val="${size + 4}"/><w:szCs w:val="${size + 4}"/></w:rPr></w:style>`
+            + `<w:style w:type="paragraph" w:customStyle="1" w:styleId="TitlePageDetail"><w:name w:val="Title Page Detail"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/><w:jc w:val="center"/></w:pPr></w:style>`
+            + heading(1, 8)
+            + heading(2, 4)
+            + heading(3, 2, '<w:i/>')
+            + `<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="34"/><w:qFormat/><w:pPr><w:spacing w:after="80"/><w:contextualSpacing/><w:jc w:val="left"/></w:pPr></w:style>`
+            + `<w:style w:type="paragraph" w:styleId="Bibliography"><w:name w:val="Bibliography"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="37"/><w:pPr><w:ind w:left="720" w:hanging="720"/><w:jc w:val="left"/></w:pPr></w:style>`
+            + `<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="29"/><w:qFormat/><w:pPr><w:ind w:left="720" w:right="720"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>`
+            + `<w:style w:type="paragraph" w:customStyle="1" w:styleId="SourceCode"><w:name w:val="Source Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:jc w:val="left"/></w:pPr></w:style>`
+            + `<w:style w:type="character" w:customStyle="1" w:styleId="SourceCodeChar"><w:name w:val="Source Code Char"/><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="${size - 2}"/><w:szCs w:val="${size - 2}"/></w:rPr></w:style>`
+            + `<w:style w:type="paragraph" w:customStyle="1" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:jc w:val="left"/></w:pPr></w:style>`
+            + `<w:style w:type="paragraph" w:styleId="FootnoteText"><w:name w:val="footnote text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:jc w:val="left"/></w:pPr><w:rPr><w:sz w:val="${size - 4}"/><w:szCs w:val="${size - 4}"/></w:rPr></w:style>`
+            + `<w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>`
+            + `<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/><w:jc w:val="center"/></w:pPr></w:style>`
+            + `<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>`
+            + `<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:left w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:right w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="auto"/></w:tblBorders></w:tblPr></w:style>`
+            + '</w:styles>';
+    }
+
+    buildNumberingXml(lists) {
+        const bulletLevels = ['•', '◦', '▪'].map((symbol, level) =>
+            `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="${symbol}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+        ).join('');
+        const orderedLevels = [['decimal', '%1.'], ['lowerLetter', '%2.'], ['lowerRoman', '%3.']].map(([format, text], level) =>
+            `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+        ).join('');
+
+        const instances = lists.map((list, index) => list.ordered
+            ? `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+            : `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="0"/></w:num>`
+        ).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${this.NS.w}"><w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${bulletLevels}</w:abstractNum><w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${orderedLevels}</w:abstractNum>${instances}</w:numbering>`;
+    }
+
+    buildFootnotesXml(state) {
+        const notes = state.footnoteOrder.map((key, index) => {
+            // Footnote text gets the document's math but cannot reference further footnotes
+            const runs = this.runsXml(inlineRuns(state.footnotes[key]), { ...state, footnotes: {} });
+            return `<w:footnote w:id="${index + 1}"><w:p><w:pPr><w:pStyle w:val="FootnoteText"/></w:pPr><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r><w:r><w:t xml:space="preserve"> </w:t></w:r>${runs}</w:p></w:footnote>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:footnotes xmlns:w="${this.NS.w}" xmlns:r="${this.NS.r}" xmlns:m="${this.NS.m}"><w:footnote w:type="separator" w:id="-1"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:separator/></w:r></w:p></w:footnote><w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>${notes}</w:footnotes>`;
+    }
+
+    buildFooterXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="${this.NS.w}" xmlns:r="${this.NS.r}"><w:p><w:pPr><w:pStyle w:val="Footer"/></w:pPr><w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r></w:p></w:ftr>`;
+    }
+
+    buildSettingsXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="${this.NS.w}"><w:defaultTabStop w:val="720"/><w:characterSpacingControl w:val="doNotCompress"/><w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr><w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat></w:settings>`;
+    }
+
+    buildContentTypesXml(settings) {
+        const main = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="${main}.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="${main}.styles+xml"/><Override PartName="/word/numbering.xml" ContentType="${main}.numbering+xml"/><Override PartName="/word/footnotes.xml" ContentType="${main}.footnotes+xml"/><Override PartName="/word/settings.xml" ContentType="${main}.settings+xml"/>${settings.pageNumbers ? `<Override PartName="/word/footer1.xml" ContentType="${main}.footer+xml"/>` : ''}<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/><Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/></Types>`;
+    }
+
+    buildRootRelsXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/></Relationships>`;
+    }
+
+    buildDocumentRelsXml(settings) {
+        const base = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${base}/styles" Target="styles.xml"/><Relationship Id="rId2" Type="${base}/numbering" Target="numbering.xml"/><Relationship Id="rId3" Type="${base}/footnotes" Target="footnotes.xml"/><Relationship Id="rId4" Type="${base}/settings" Target="settings.xml"/>${settings.pageNumbers ? `<Relationship Id="rId5" Type="${base}/footer" Target="footer1.xml"/>` : ''}</Relationships>`;
+    }
+
+    buildCoreXml(settings) {
+        const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${this.escapeXml(settings.title)}</dc:title><dc:creator>${this.escapeXml(settings.author || 'AssignSavvy AI Writer')}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified></cp:coreProperties>`;
+    }
+
+    buildAppXml() {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>AssignSavvy AI Writer</Application></Properties>`;
+    }
+
+    /**
+     * Escape text for XML and drop characters XML 1.0 does not allow
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Safe download file name for a title
+     */
+    buildFilename(title, extension = 'docx') {
+        const base = String(title || 'document').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase().substring(0, 80);
+        return `${base || 'document'}.${extension}`;
+    }
+}
+
+module.exports = DocxWriter;
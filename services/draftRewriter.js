@@ -0,0 +1,548 @@
+const FirebaseDraftManager = require('./firebaseDraftManager');
+const MultiPartGenerator = require('./multiPartGenerator');
+const AtomicCreditSystem = require('./atomicCreditSystem');
+const PlanValidator = require('./planValidator');
+const llmService = require('./llmService');
+const languageSupport = require('../utils/languageSupport');
+const { logger } = require('../utils/logger');
+
+/**
+ * DraftRewriter
+ * Rewrites one section or character range of a saved draft in place, charging
+ * credits only for the rewritten words and saving the result as a new draft version.
+ * Also translates whole drafts into a new draft in another language.
+ */
+class DraftRewriter {
+    constructor() {
+        this.draftManager = new FirebaseDraftManager();
+        this.multiPartGenerator = new MultiPartGenerator();
+        this.atomicCreditSystem = new AtomicCreditSystem();
+        this.planValidator = new PlanValidator();
+
+        this.INSTRUCTIONS = ['regenerate', 'expand', 'condense', 'tone'];
+        this.TONES = ['Formal', 'Informal', 'Persuasive', 'Informative', 'Conversational'];
+        this.MAX_TARGET_WORDS = 2000;
+        this.DEFAULT_CONDENSE_RATIO = 0.5;
+        // Translation limits, in English word equivalents
+        this.MAX_TRANSLATE_WORDS = 6000;
+        this.TRANSLATE_CHUNK_WORDS = 600;
+    }
+
+    /**
+     * Rewrite a section or character range of a draft
+     * @param {string} userId - User ID
+     * @param {string} draftId - Draft ID
+     * @param {Object} options - Rewrite options
+     * @param {string} options.instruction - 'regenerate' | 'expand' | 'condense' | 'tone'
+     * @param {string} options.sectionId - Outline section to rewrite (drafts generated from an outline)
+     * @param {number} options.start - Start offset into draft content (when no sectionId)
+     * @param {number} options.end - End offset into draft content, exclusive
+     * @param {number} options.targetWords - Word target for expand/condense
+     * @param {string} options.tone - New tone for 'tone'
+     * @param {string} options.qualityTier - Quality tier ('standard' or 'premium')
+     * @param {string} options.notes - Optional extra guidance for the rewrite
+     * @returns {Promise<Object>} Rewrite result
+     */
+    async rewriteSpan(userId, draftId, options = {}) {
+        const { instruction, qualityTier = 'standard', notes = '' } = options;
+
+        if (!this.INSTRUCTIONS.includes(instruction)) {
+            throw this.createError(400, `Instruction must be one of: ${this.INSTRUCTIONS.join(', ')}`);
+        }
+
+        const draft = await this.loadDraft(draftId, userId);
+        const span = this.resolveSpan(draft, options);
+        const originalWords = this.countWords(span.text);
+        const targetWords = this.resolveTargetWords(instruction, originalWords, options);
+        const tone = instruction === 'tone' ? options.tone : (draft.tone || 'Formal');
+        const style = draft.style || 'Academic';
+        const language = this.resolveDraftLanguage(draft);
+
+        const planValidation = await this.planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+
+        if (!planValidation.isValid) {
+            throw this.createError(403, planValidation.error || 'Plan validation failed');
+        }
+
+        // Only the rewritten span is charged, at the normal writer rate
+        const baseCredits = this.atomicCreditSystem.calculateRequiredCredits(targetWords, 'writing', null, language);
+        const creditsNeeded = qualityTier === 'premium' ? baseCredits * 2 : baseCredits;
+
+        const creditResult = await this.atomicCreditSystem.deductCreditsAtomic(
+            userId,
+            creditsNeeded,
+            planValidation.userPlan.planType,
+            'writing'
+        );
+
+        if (!creditResult.success) {
+            throw this.createError(400, `Insufficient credits. Need ${creditsNeeded}, available: ${creditResult.previousBalance || 0}`);
+        }
+
+        try {
+            const before = draft.content.substring(0, span.start);
+            const after = draft.content.substring(span.end);
+            const context = this.multiPartGenerator.extractSurroundingContext(before, after);
+
+            const prompt = this.buildRewritePrompt({
+                instruction,
+                text: span.text,
+                context,
+                targetWords,
+                tone,
+                heading: span.section ? span.section.heading : null,
+                notes,
+                language
+            });
+
+            const result = await llmService.generateContent(
+                prompt,
+                style,
+                tone,
+                targetWords,
+                qualityTier,
+                planValidation.userPlan.planType,
+                { userId, feature: 'writer.rewrite' },
+                language
+            );
+
+            // Never splice template fallback text into a user's draft
+            if (result.fallbackUsed) {
+                throw this.createError(503, 'AI rewriting is temporarily unavailable. Please try again later.');
+            }
+
+            const rewrittenText = this.matchSpanWhitespace(span.text, result.content.trim());
+            const updatedContent = before + rewrittenText + after;
+            const updates = {
+                content: updatedContent,
+                changeSummary: this.describeChange(instruction, span, targetWords, tone)
+            };
+
+            if (span.section && Array.isArray(draft.sections)) {
+                updates.sections = draft.sections.map(section => section.id === span.section.id
+                    ? { ...section, content: rewrittenText.trim(), wordCount: this.countWords(rewrittenText) }
+                    : section);
+            }
+
+            await this.draftManager.updateDraft(draftId, updates, userId, true);
+
+            logger.info('Draft span rewritten', {
+                service: 'DraftRewriter',
+                method: 'rewriteSpan',
+                userId,
+                draftId,
+                instruction,
+                originalWords,
+                targetWords,
+                creditsUsed: creditsNeeded
+            });
+
+            return {
+                success: true,
+                draftId,
+                instruction,
+                sectionId: span.section ? span.section.id : null,
+                span: {
+                    start: span.start,
+                    end: span.start + rewrittenText.length,
+                    originalEnd: span.end
+                },
+                originalText: span.text,
+                rewrittenText,
+                content: updatedContent,
+                wordCount: this.countWords(rewrittenText),
+                originalWordCount: originalWords,
+                targetWords,
+                creditsUsed: creditsNeeded,
+                remainingCredits: creditResult.newBalance
+            };
+        } catch (error) {
+            logger.error('Draft rewrite failed, rolling back credits', {
+                service: 'DraftRewriter',
+                method: 'rewriteSpan',
+                userId,
+                draftId,
+                error: error.message
+            });
+
+            if (creditResult.transactionId) {
+                await this.atomicCreditSystem.rollbackTransaction(
+                    userId,
+                    creditResult.transactionId,
+                    creditResult.creditsDeducted,
+                    creditResult.wordsAllocated || targetWords
+                );
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Translate a whole draft into another language, saved as a new draft
+     * The source is translated in paragraph-aligned chunks so headings and Markdown survive,
+     * and credits are charged at the writer rate for the source length in word equivalents.
+     * @param {string} userId - User ID
+     * @param {string} draftId - Draft to translate
+     * @param {Object} options - { targetLanguage, qualityTier }
+     * @returns {Promise<Object>} Translation result with the new draft id
+     */
+    async translateDraft(userId, draftId, options = {}) {
+        const { qualityTier = 'standard' } = options;
+        const targetLanguage = languageSupport.normalizeLanguage(options.targetLanguage);
+
+        if (!options.targetLanguage || !targetLanguage) {
+            const codes = languageSupport.getSupportedLanguages().map(language => language.code);
+            throw this.createError(400, `targetLanguage must be one of: ${codes.join(', ')}`);
+        }
+
+        const draft = await this.loadDraft(draftId, userId);
+        const sourceLanguage = this.resolveDraftLanguage(draft);
+        if (sourceLanguage === targetLanguage) {
+            throw this.createError(400, `Draft is already in ${languageSupport.getLanguage(targetLanguage).name}`);
+        }
+
+        const sourceWords = languageSupport.wordEquivalents(draft.content, sourceLanguage);
+        if (sourceWords > this.MAX_TRANSLATE_WORDS) {
+            throw this.createError(400, `Drafts longer than ${this.MAX_TRANSLATE_WORDS} words cannot be translated`);
+        }
+
+        const planValidation = await this.planValidator.validateUserPlan(userId, {
+            toolType: 'writing',
+            requestType: 'generation'
+        });
+
+        if (!planValidation.isValid) {
+            throw this.createError(403, planValidation.error || 'Plan validation failed');
+        }
+
+        const client = llmService.getClient(qualityTier, planValidation.userPlan.planType);
+        if (!client.isAvailable()) {
+            throw this.createError(503, 'AI translation is temporarily unavailable. Please try again later.');
+        }
+
+        const baseCredits = this.atomicCreditSystem.calculateRequiredCredits(sourceWords, 'writing');
+        const creditsNeeded = qualityTier === 'premium' ? baseCredits * 2 : baseCredits;
+
+        const creditResult = await this.atomicCreditSystem.deductCreditsAtomic(
+            userId,
+            creditsNeeded,
+            planValidation.userPlan.planType,
+            'writing'
+        );
+
+        if (!creditResult.success) {
+            throw this.createError(400, `Insufficient credits. Need ${creditsNeeded}, available: ${creditResult.previousBalance || 0}`);
+        }
+
+        try {
+            const chunks = this.splitForTranslation(draft.content, sourceLanguage);
+            const translatedChunks = [];
+            for (const chunk of chunks) {
+                const result = await client.generate(this.buildTranslationPrompt(chunk, sourceLanguage, targetLanguage), {
+                    temperature: 0.2,
+                    usage: { userId, feature: 'writer.translate', plan: planValidation.userPlan.planType }
+                });
+                const translated = (result.text || '').trim();
+                if (!translated) {
+                    throw this.createError(502, 'Translation returned no text');
+                }
+                translatedChunks.push(translated);
+            }
+
+            const content = translatedChunks.join('\n\n');
+            const target = languageSupport.getLanguage(targetLanguage);
+            const created = await this.draftManager.createDraft({
+                title: `${draft.title || 'Untitled Draft'} (${target.name})`,
+                content,
+                prompt: draft.prompt || '',
+                style: draft.style,
+                tone: draft.tone,
+                targetWordCount: this.countWords(content),
+                language: targetLanguage,
+                parentDraftId: draftId
+            }, userId);
+
+            logger.info('Draft translated', {
+                service: 'DraftRewriter',
+                method: 'translateDraft',
+                userId,
+                draftId,
+                translatedDraftId: created.draftId,
+                sourceLanguage,
+                targetLanguage,
+                chunks: chunks.length,
+                creditsUsed: creditsNeeded
+            });
+
+            return {
+                success: true,
+                draftId: created.draftId,
+                sourceDraftId: draftId,
+                sourceLanguage,
+                targetLanguage,
+                content,
+                wordCount: this.countWords(content),
+                lengthUnit: target.unit,
+                sourceWordEquivalents: sourceWords,
+                chunksTranslated: chunks.length,
+                creditsUsed: creditsNeeded,
+                remainingCredits: creditResult.newBalance
+            };
+        } catch (error) {
+            logger.error('Draft translation failed, rolling back credits', {
+                service: 'DraftRewriter',
+                method: 'translateDraft',
+                userId,
+                draftId,
+                error: error.message
+            });
+
+            if (creditResult.transactionId) {
+                await this.atomicCreditSystem.rollbackTransaction(
+                    userId,
+                    creditResult.transactionId,
+                    creditResult.creditsDeducted,
+                    creditResult.wordsAllocated || sourceWords
+                );
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Language of a saved draft; drafts saved before languages existed are detected from the text
+     */
+    resolveDraftLanguage(draft) {
+        return languageSupport.normalizeLanguage(draft.language)
+            || languageSupport.detectLanguage(draft.content)
+            || languageSupport.DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Split draft text into chunks of whole blocks (paragraphs, headings, lists)
+     * A heading always starts a new chunk when the current one is already half full,
+     * and is never left at the end of a chunk without the text under it.
+     * @returns {Array<string>} Chunks in document order
+     */
+    splitForTranslation(content, language) {
+        const isHeading = (block) => /^#{1,6}\s/.test(block);
+        const blocks = content.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+        const chunks = [];
+        let current = [];
+        let currentWords = 0;
+
+        blocks.forEach(block => {
+            const words = languageSupport.wordEquivalents(block, language);
+            const full = currentWords + words > this.TRANSLATE_CHUNK_WORDS
+                || (isHeading(block) && currentWords > this.TRANSLATE_CHUNK_WORDS / 2);
+
+            if (current.length > 0 && full && !isHeading(current[current.length - 1])) {
+                chunks.push(current.join('\n\n'));
+                current = [];
+                currentWords = 0;
+            }
+            current.push(block);
+            currentWords += words;
+        });
+
+        if (current.length > 0) {
+            chunks.push(current.join('\n\n'));
+        }
+        return chunks;
+    }
+
+    buildTranslationPrompt(text, sourceLanguage, targetLanguage) {
+        const source = languageSupport.getLanguage(sourceLanguage);
+        const target = languageSupport.getLanguage(targetLanguage);
+
+        return `Translate the following ${source.name} text into ${target.name} (${target.nativeName}).
+
+Rules:
+- Translate headings, lists and body text; keep the Markdown formatting exactly
+- Keep author names, years, page numbers, URLs and DOIs in citations and references unchanged
+- Keep the academic register and meaning; do not summarize, add or omit content
+- Use punctuation and conventions that are natural for ${target.name}
+- Return only the translation
+
+Text:
+"""
+${text}
+"""`;
+    }
+
+    /**
+     * Load a draft and map manager errors to HTTP status codes
+     */
+    async loadDraft(draftId, userId) {
+        let draft;
+        try {
+            draft = await this.draftManager.getDraft(draftId, userId);
+        } catch (error) {
+            if (error.message === 'Access denied') {
+                throw this.createError(403, 'Access denied');
+            }
+            throw error;
+        }
+
+        if (!draft) {
+            throw this.createError(404, 'Draft not found');
+        }
+
+        if (!draft.content || typeof draft.content !== 'string') {
+            throw this.createError(400, 'Draft has no content to rewrite');
+        }
+
+        return draft;
+    }
+
+    /**
+     * Resolve the span to rewrite from a section id or a character range
+     * @param {Object} draft - Draft document
+     * @param {Object} options - { sectionId, start, end }
+     * @returns {Object} { start, end, text, section }
+     */
+    resolveSpan(draft, options) {
+        const { sectionId } = options;
+        const content = draft.content;
+
+        if (sectionId) {
+            const section = Array.isArray(draft.sections)
+                ? draft.sections.find(s => s.id === sectionId)
+                : null;
+            if (!section) {
+                throw this.createError(404, `Section ${sectionId} not found in draft`);
+            }
+
+            // Prefer the stored section text; fall back to the text under its heading if the draft was edited
+            let start = section.content ? content.indexOf(section.content.trim()) : -1;
+            let end = start >= 0 ? start + section.content.trim().length : -1;
+
+            if (start < 0) {
+                const headingMatch = content.match(new RegExp(`^#{1,6}\\s*${this.escapeRegExp(section.heading)}\\s*$`, 'm'));
+                if (!headingMatch) {
+                    throw this.createError(409, `Section ${sectionId} could not be located in the current draft text`);
+                }
+                start = headingMatch.index + headingMatch[0].length;
+                const nextHeading = content.substring(start).search(/^#{1,6}\s/m);
+                end = nextHeading >= 0 ? start + nextHeading : content.length;
+            }
+
+            const text = content.substring(start, end);
+            if (!text.trim()) {
+                throw this.createError(400, 'Selected section is empty');
+            }
+            return { start, end, text, section };
+        }
+
+        const start = parseInt(options.start);
+        const end = parseInt(options.end);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > content.length || start >= end) {
+            throw this.createError(400, `A sectionId or a valid range (0 <= start < end <= ${content.length}) is required`);
+        }
+
+        const text = content.substring(start, end);
+        if (!text.trim()) {
+            throw this.createError(400, 'Selected range is empty');
+        }
+        return { start, end, text, section: null };
+    }
+
+    /**
+     * Work out how many words the rewrite should produce
+     */
+    resolveTargetWords(instruction, originalWords, options) {
+        const requested = parseInt(options.targetWords);
+
+        if (originalWords > this.MAX_TARGET_WORDS) {
+            throw this.createError(400, `Selected text is ${originalWords} words; rewrites are limited to ${this.MAX_TARGET_WORDS} words`);
+        }
+
+        switch (instruction) {
+            case 'expand':
+                if (!requested || requested <= originalWords) {
+                    throw this.createError(400, `targetWords must be greater than the current ${originalWords} words to expand`);
+                }
+                if (requested > this.MAX_TARGET_WORDS) {
+                    throw this.createError(400, `targetWords cannot exceed ${this.MAX_TARGET_WORDS}`);
+                }
+                return requested;
+            case 'condense':
+                if (requested && requested >= originalWords) {
+                    throw this.createError(400, `targetWords must be less than the current ${originalWords} words to condense`);
+                }
+                return requested || Math.max(1, Math.round(originalWords * this.DEFAULT_CONDENSE_RATIO));
+            case 'tone':
+                if (!this.TONES.includes(options.tone)) {
+                    throw this.createError(400, `Tone must be one of: ${this.TONES.join(', ')}`);
+                }
+                return originalWords;
+            default:
+                return originalWords;
+        }
+    }
+
+    /**
+     * Build the rewrite prompt for a span
+     */
+    buildRewritePrompt({ instruction, text, context, targetWords, tone, heading, notes, language = 'en' }) {
+        const length = languageSupport.describeLength(targetWords, language);
+        const tasks = {
+            regenerate: `Rewrite the passage with fresh wording and structure while keeping its meaning. Target length: ${length}.`,
+            expand: `Expand the passage to ${length}, adding depth, evidence and examples that fit the surrounding text.`,
+            condense: `Condense the passage to about ${length}, keeping its key points and removing repetition.`,
+            tone: `Rewrite the passage in a ${tone.toLowerCase()} tone, keeping its meaning. Target length: ${length}.`
+        };
+
+        return `${tasks[instruction]}
+${heading ? `The passage is the "${heading}" section of a larger document.` : 'The passage sits inside a larger document.'}
+
+Context from the surrounding text:
+${context || 'None'}
+
+Passage to rewrite:
+"""
+${text.trim()}
+"""
+${notes ? `\nAdditional guidance: ${notes}\n` : ''}
+Return only the rewritten passage. It must read naturally between the surrounding text; do not repeat the context or add a heading.`;
+    }
+
+    /**
+     * Keep the leading/trailing whitespace of the original span so paragraphs stay separated
+     */
+    matchSpanWhitespace(originalText, rewrittenText) {
+        const leading = originalText.match(/^\s*/)[0];
+        const trailing = originalText.match(/\s*$/)[0];
+        return leading + rewrittenText + trailing;
+    }
+
+    describeChange(instruction, span, targetWords, tone) {
+        const target = span.section ? `section "${span.section.heading}"` : `characters ${span.start}-${span.end}`;
+        const actions = {
+            regenerate: 'Regenerated',
+            expand: `Expanded to ${targetWords} words:`,
+            condense: `Condensed to ${targetWords} words:`,
+            tone: `Changed tone to ${tone}:`
+        };
+        return `${actions[instruction]} ${target}`;
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    countWords(text) {
+        return this.draftManager.countWords(text);
+    }
+}
+
+module.exports = DraftRewriter;
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { createZip } = require('../utils/zipArchive');
+const { parseDocument, outline } = require('../utils/documentModel');
+const { toHtml, escapeHtml, DOCUMENT_CSS } = require('../utils/documentRenderers');
+
+/**
+ * EpubWriter
+ * Builds EPUB 3 books from the shared document tree: one XHTML content document
+ * (MathML kept as is, which EPUB 3 readers render), a navigation document built
+ * from the headings, an embedded stylesheet and Dublin Core metadata.
+ */
+class EpubWriter {
+    constructor() {
+        this.MIME_TYPE = 'application/epub+zip';
+    }
+
+    /**
+     * Build an .epub file
+     * @param {string|Object} content - Markdown-style document text, or a tree from documentModel.parseDocument
+     * @param {Object} options - Book options
+     * @param {string} options.title - Book title
+     * @param {string} options.subtitle - Optional subtitle
+     * @param {string} options.author - Author name
+     * @param {string} options.language - BCP 47 language tag (default en)
+     * @param {string} options.date - Publication date (ISO date; defaults to today)
+     * @param {string} options.css - Stylesheet, e.g. ContentFormatter.getHTMLCSS(theme) (defaults to the document element styles)
+     * @returns {Buffer} .epub file contents
+     */
+    createBook(content, options = {}) {
+        const settings = {
+            title: options.title ? String(options.title).trim() : 'Untitled',
+            subtitle: options.subtitle || '',
+            author: options.author || '',
+            language: options.language || 'en',
+            date: options.date || new Date().toISOString().substring(0, 10),
+            css: options.css || DOCUMENT_CSS,
+            identifier: `urn:uuid:${crypto.randomUUID()}`
+        };
+
+        const document = content && content.type === 'document'
+            ? content
+            : parseDocument(content, { title: settings.title });
+        const body = toHtml(document, { headingIds: true });
+
+        // The mimetype entry must come first and be stored uncompressed
+        return createZip([
+            { name: 'mimetype', data: this.MIME_TYPE, store: true },
+            { name: 'META-INF/container.xml', data: this.buildContainerXml() },
+            { name: 'OEBPS/content.opf', data: this.buildPackageXml(settings, { mathml: body.includes('<math') }) },
+            { name: 'OEBPS/nav.xhtml', data: this.buildNavXhtml(outline(document), settings) },
+            { name: 'OEBPS/styles.css', data: settings.css },
+            { name: 'OEBPS/text.xhtml', data: this.buildTextXhtml(body, settings) }
+        ]);
+    }
+
+    buildContainerXml() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`;
+    }
+
+    buildPackageXml(settings, { mathml }) {
+        const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeHtml(settings.language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${settings.identifier}</dc:identifier>
+<dc:title>${escapeHtml(settings.title)}</dc:title>
+<dc:language>${escapeHtml(settings.language)}</dc:language>
+<dc:creator>${escapeHtml(settings.author || 'AssignSavvy AI Writer')}</dc:creator>
+<dc:date>${escapeHtml(settings.date)}</dc:date>
+${settings.subtitle ? `<dc:description>${escapeHtml(settings.subtitle)}</dc:description>\n` : ''}<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="css" href="styles.css" media-type="text/css"/>
+<item id="text" href="text.xhtml" media-type="application/xhtml+xml"${mathml ? ' properties="mathml"' : ''}/>
+</manifest>
+<spine>
+<itemref idref="text"/>
+</spine>
+</package>`;
+    }
+
+    /**
+     * Navigation document; heading levels are nested, and a jump of more than one level
+     * nests only one deeper so the list stays valid
+     * @param {Array<Object>} headings - documentModel.outline() entries
+     */
+    buildNavXhtml(headings, settings) {
+        let items = '';
+        const levels = [];
+
+        headings.forEach((heading, index) => {
+            if (levels.length === 0) {
+                items += '<ol>';
+                levels.push(heading.level);
+            } else if (heading.level > levels[levels.length - 1]) {
+                items += '<ol>';
+                levels.push(heading.level);
+            } else {
+                items += '</li>';
+                while (levels.length > 1 && heading.level < levels[levels.length - 1]) {
+                    items += '</ol></li>';
+                    levels.pop();
+                }
+            }
+            items += `<li><a href="text.xhtml#section-${index + 1}">${escapeHtml(heading.text)}</a>`;
+        });
+        while (levels.length > 0) {
+            items += '</li></ol>';
+            levels.pop();
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeHtml(settings.language)}" lang="${escapeHtml(settings.language)}">
+<head><title>${escapeHtml(settings.title)}</title></head>
+<body>
+<nav epub:type="toc" id="toc"><h1>Contents</h1>${items || `<ol><li><a href="text.xhtml">${escapeHtml(settings.title)}</a></li></ol>`}</nav>
+</body>
+</html>`;
+    }
+
+    buildTextXhtml(body, settings) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeHtml(settings.language)}" lang="${escapeHtml(settings.language)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeHtml(settings.title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+<div class="container">
+<header>
+<h1>${escapeHtml(settings.title)}</h1>
+${[settings.subtitle, settings.author].filter(Boolean).map(line => `<p class="meta">${escapeHtml(line)}</p>`).join('\n')}
+</header>
+<main>
+${body}
+</main>
+</div>
+</body>
+</html>`;
+    }
+}
+
+module.exports = EpubWriter;
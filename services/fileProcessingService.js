@@ -1,17 +1,45 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { readZip } = require('../utils/zipArchive');
+const { parseXml, childElements, findElement, findElements } = require('../utils/xmlReader');
+const PdfTextExtractor = require('./pdfTextExtractor');
+const RtfTextExtractor = require('./rtfTextExtractor');
 
 /**
  * File Processing Service
- * Handles extraction of content from uploaded files (PDF, DOCX, TXT)
- * and generates prompts for AI content generation
+ * Handles extraction of content from uploaded files (PDF, DOCX, ODT, RTF, Markdown, TXT)
+ * into structured documents and generates prompts for AI content generation
  */
 class FileProcessingService {
     constructor() {
-        this.supportedTypes = ['.pdf', '.docx', '.txt'];
+        this.formats = {
+            '.pdf': 'PDF documents with a text layer (scanned images are not OCR\'d)',
+            '.docx': 'Microsoft Word documents',
+            '.odt': 'OpenDocument text documents',
+            '.rtf': 'Rich Text Format documents',
+            '.md': 'Markdown files',
+            '.markdown': 'Markdown files',
+            '.txt': 'Plain text files'
+        };
+        this.supportedTypes = Object.keys(this.formats);
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
         this.maxFiles = 5;
+        this.maxHeadingLevel = 6;
+        this.pdfTextExtractor = new PdfTextExtractor();
+        this.rtfTextExtractor = new RtfTextExtractor();
+    }
+
+    /**
+     * Formats that extractContent can actually read
+     * @returns {Array<Object>} [{ extension, description, maxSize }]
+     */
+    getSupportedFormats() {
+        return this.supportedTypes.map(extension => ({
+            extension,
+            description: this.formats[extension],
+            maxSize: `${this.maxFileSize / (1024 * 1024)}MB`
+        }));
     }
 
     /**
@@ -39,7 +67,7 @@ class FileProcessingService {
             // Check file type
             const ext = path.extname(file.originalname).toLowerCase();
             if (!this.supportedTypes.includes(ext)) {
-                errors.push(`File ${index + 1} (${file.originalname}) has unsupported format. Supported: PDF, DOCX, TXT`);
+                errors.push(`File ${index + 1} (${file.originalname}) has unsupported format. Supported: ${this.supportedTypes.join(', ')}`);
             }
         });
         
@@ -51,39 +79,64 @@ class FileProcessingService {
 
     /**
      * Extract content from uploaded files
+     * Each entry keeps the flat `content` text (headings, lists and tables rendered as
+     * markdown) plus a `document` structure with the section tree and page anchors.
      * @param {Array} files - Array of uploaded files
      * @returns {Promise<Array>} Array of extracted content
      */
     async extractContent(files) {
         const extractedContent = [];
-        
+
         for (const file of files) {
             try {
                 const ext = path.extname(file.originalname).toLowerCase();
-                let content = '';
-                
+                let extracted;
+
                 switch (ext) {
                     case '.txt':
-                        content = await this.extractTextContent(file);
+                        extracted = await this.extractTextContent(file);
+                        break;
+                    case '.md':
+                    case '.markdown':
+                        extracted = await this.extractMarkdownContent(file);
                         break;
                     case '.pdf':
-                        content = await this.extractPDFContent(file);
+                        extracted = await this.extractPDFContent(file);
                         break;
                     case '.docx':
-                        content = await this.extractDocxContent(file);
+                        extracted = await this.extractDocxContent(file);
+                        break;
+                    case '.odt':
+                        extracted = await this.extractOdtContent(file);
+                        break;
+                    case '.rtf':
+                        extracted = await this.extractRtfContent(file);
                         break;
                     default:
                         throw new Error(`Unsupported file type: ${ext}`);
                 }
-                
+
+                const { content, document } = this.buildStructuredDocument(extracted.blocks, {
+                    format: ext.substring(1),
+                    title: extracted.title,
+                    pageCount: extracted.pageCount
+                });
+
+                if (!content.trim()) {
+                    throw new Error(ext === '.pdf'
+                        ? 'No extractable text found (the PDF may be scanned images)'
+                        : 'No text found in file');
+                }
+
                 extractedContent.push({
                     filename: file.originalname,
                     type: ext,
                     content: content,
+                    document: document,
                     size: file.size,
                     extractedAt: new Date().toISOString()
                 });
-                
+
             } catch (error) {
                 console.error(`Error extracting content from ${file.originalname}:`, error);
                 extractedContent.push({
@@ -96,58 +149,751 @@ class FileProcessingService {
                 });
             }
         }
-        
+
         return extractedContent;
     }
 
     /**
      * Extract content from text files
+     * Form feeds (common in text exported from PDFs) are treated as page breaks
      * @param {Object} file - Uploaded file object
-     * @returns {Promise<string>} Extracted text content
+     * @returns {Promise<Object>} { blocks, pageCount }
      */
     async extractTextContent(file) {
-        return new Promise((resolve, reject) => {
-            try {
-                const content = file.buffer.toString('utf8');
-                resolve(content);
-            } catch (error) {
-                reject(new Error(`Failed to read text file: ${error.message}`));
-            }
+        const text = this.decodeText(file.buffer);
+        const blocks = [];
+        const pages = text.split('\f');
+
+        pages.forEach((pageText, index) => {
+            pageText.split(/\n\s*\n/).forEach(paragraph => {
+                const content = paragraph.replace(/\s+/g, ' ').trim();
+                if (content) {
+                    blocks.push({ type: 'paragraph', text: content, page: index + 1 });
+                }
+            });
         });
+
+        return { blocks, pageCount: pages.length };
     }
 
     /**
-     * Extract content from PDF files
-     * Note: This is a simplified implementation. In production, you'd use a library like pdf-parse
+     * Extract content from Markdown files
      * @param {Object} file - Uploaded file object
-     * @returns {Promise<string>} Extracted text content
+     * @returns {Promise<Object>} { blocks, pageCount }
+     */
+    async extractMarkdownContent(file) {
+        return { blocks: this.parseMarkdownBlocks(this.decodeText(file.buffer)), pageCount: 1 };
+    }
+
+    /**
+     * Extract content from PDF files, keeping page numbers
+     * Headings are inferred from font size, running headers/footers and page numbers are dropped
+     * @param {Object} file - Uploaded file object
+     * @returns {Promise<Object>} { blocks, pageCount, title }
      */
     async extractPDFContent(file) {
-        // For now, return a simulated extraction
-        // In production, you would use a library like pdf-parse:
-        // const pdfParse = require('pdf-parse');
-        // const data = await pdfParse(file.buffer);
-        // return data.text;
-        
-        // TODO: Implement actual PDF parsing using pdf-parse library
-        throw new Error('PDF extraction requires backend integration with pdf-parse library');
+        const pdf = this.pdfTextExtractor.extract(file.buffer);
+        return {
+            blocks: this.pdfLinesToBlocks(pdf.pages),
+            pageCount: pdf.pageCount,
+            title: pdf.title
+        };
     }
 
     /**
-     * Extract content from DOCX files
-     * Note: This is a simplified implementation. In production, you'd use a library like mammoth
+     * Extract content from DOCX files, keeping headings, lists and tables
+     * Page numbers come from Word's rendered page breaks when present, otherwise explicit breaks
      * @param {Object} file - Uploaded file object
-     * @returns {Promise<string>} Extracted text content
+     * @returns {Promise<Object>} { blocks, pageCount, title }
      */
     async extractDocxContent(file) {
-        // For now, return a simulated extraction
-        // In production, you would use a library like mammoth:
-        // const mammoth = require('mammoth');
-        // const result = await mammoth.extractRawText({buffer: file.buffer});
-        // return result.value;
-        
-        // TODO: Implement actual DOCX parsing using mammoth library
-        throw new Error('DOCX extraction requires backend integration with mammoth library');
+        const entries = readZip(file.buffer);
+        const documentXml = entries.get('word/document.xml');
+        if (!documentXml) {
+            throw new Error('Not a valid DOCX file (word/document.xml missing)');
+        }
+
+        const styles = this.readDocxStyles(entries.get('word/styles.xml'));
+        const numbering = this.readDocxNumbering(entries.get('word/numbering.xml'));
+        const body = findElement(parseXml(documentXml), 'w:body');
+        const useRenderedBreaks = documentXml.includes('w:lastRenderedPageBreak');
+        const context = { page: 1, useRenderedBreaks, styles, numbering, title: null };
+        const blocks = [];
+
+        this.walkDocxBody(body, blocks, context);
+
+        return { blocks, pageCount: context.page, title: context.title };
+    }
+
+    /**
+     * Extract content from OpenDocument Text files
+     * Page numbers come from the soft page breaks office suites store when saving
+     * @param {Object} file - Uploaded file object
+     * @returns {Promise<Object>} { blocks, pageCount, title }
+     */
+    async extractOdtContent(file) {
+        const entries = readZip(file.buffer);
+        const contentXml = entries.get('content.xml');
+        if (!contentXml) {
+            throw new Error('Not a valid ODT file (content.xml missing)');
+        }
+
+        const content = parseXml(contentXml);
+        const stylesXml = entries.get('styles.xml');
+        const listStyles = this.readOdtListStyles([content, stylesXml ? parseXml(stylesXml) : null]);
+        const paragraphStyles = this.readOdtParagraphStyles(content);
+        const officeText = findElement(content, 'office:text');
+        const context = { page: 1, listStyles, paragraphStyles, title: null };
+        const blocks = [];
+
+        this.walkOdtElements(childElements(officeText), blocks, context, null, 0);
+
+        return { blocks, pageCount: context.page, title: context.title };
+    }
+
+    /**
+     * Extract content from RTF files
+     * @param {Object} file - Uploaded file object
+     * @returns {Promise<Object>} { blocks, pageCount }
+     */
+    async extractRtfContent(file) {
+        return this.rtfTextExtractor.extract(file.buffer);
+    }
+
+    /**
+     * Decode a text buffer (UTF-8, or UTF-16 with a byte order mark)
+     */
+    decodeText(buffer) {
+        if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            return buffer.toString('utf16le', 2);
+        }
+        if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+            return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+        }
+        return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    }
+
+    /**
+     * Parse Markdown into headings, paragraphs, list items and tables
+     * @param {string} text - Markdown source
+     * @returns {Array<Object>} Blocks
+     */
+    parseMarkdownBlocks(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let inFence = false;
+        let fence = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push({ type: 'paragraph', text: paragraph.join(' '), page: 1 });
+                paragraph = [];
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            if (/^(```|~~~)/.test(trimmed)) {
+                if (inFence) {
+                    blocks.push({ type: 'paragraph', text: fence.join('\n'), page: 1 });
+                    fence = [];
+                } else {
+                    flushParagraph();
+                }
+                inFence = !inFence;
+                continue;
+            }
+            if (inFence) {
+                fence.push(line);
+                continue;
+            }
+
+            if (!trimmed) {
+                flushParagraph();
+                continue;
+            }
+
+            // Skip YAML front matter
+            if (i === 0 && trimmed === '---') {
+                const end = lines.findIndex((candidate, index) => index > 0 && candidate.trim() === '---');
+                if (end > 0) {
+                    i = end;
+                    continue;
+                }
+            }
+
+            const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flushParagraph();
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2], page: 1 });
+                continue;
+            }
+
+            // Setext headings: a paragraph line underlined with === or ---
+            if (paragraph.length === 1 && /^(=+|-+)$/.test(trimmed)) {
+                blocks.push({ type: 'heading', level: trimmed[0] === '=' ? 1 : 2, text: paragraph[0], page: 1 });
+                paragraph = [];
+                continue;
+            }
+
+            if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+                flushParagraph();
+                continue;
+            }
+
+            if (trimmed.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+                flushParagraph();
+                const rows = [this.splitMarkdownRow(trimmed)];
+                i += 2;
+                while (i < lines.length && lines[i].trim().includes('|')) {
+                    rows.push(this.splitMarkdownRow(lines[i].trim()));
+                    i++;
+                }
+                i--;
+                blocks.push({ type: 'table', rows, page: 1 });
+                continue;
+            }
+
+            const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+            if (listItem) {
+                flushParagraph();
+                const indent = listItem[1].replace(/\t/g, '    ').length;
+                blocks.push({
+                    type: 'list_item',
+                    level: Math.min(Math.floor(indent / 2), 2),
+                    ordered: /\d/.test(listItem[2]),
+                    text: listItem[3].trim(),
+                    page: 1
+                });
+                continue;
+            }
+
+            // Indented continuation of a list item
+            const previous = blocks[blocks.length - 1];
+            if (paragraph.length === 0 && previous && previous.type === 'list_item' && /^\s+/.test(line)) {
+                previous.text += ` ${trimmed}`;
+                continue;
+            }
+
+            paragraph.push(trimmed.replace(/^>\s?/, ''));
+        }
+
+        if (inFence && fence.length > 0) {
+            blocks.push({ type: 'paragraph', text: fence.join('\n'), page: 1 });
+        }
+        flushParagraph();
+
+        return blocks;
+    }
+
+    splitMarkdownRow(line) {
+        return line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    /**
+     * Group positioned PDF lines into headings, list items and paragraphs
+     * @param {Array<Object>} pages - [{ number, lines: [{ text, fontSize, x, y }] }]
+     * @returns {Array<Object>} Blocks
+     */
+    pdfLinesToBlocks(pages) {
+        const allLines = pages.flatMap(page => page.lines);
+        if (allLines.length === 0) {
+            return [];
+        }
+
+        // Body text size is the size most characters are set in
+        const sizeWeights = new Map();
+        allLines.forEach(line => sizeWeights.set(line.fontSize, (sizeWeights.get(line.fontSize) || 0) + line.text.length));
+        const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+        const headingSizes = [...sizeWeights.keys()].filter(size => size >= bodySize * 1.15);
+
+        const repeated = this.findRepeatedPdfLines(pages);
+        const bulletPattern = /^([•◦▪‣○●■□–\-*]|\(?\d{1,2}[.)]|\(?[a-z][.)])\s+/;
+        const blocks = [];
+
+        for (const page of pages) {
+            let current = null;
+            let previousLine = null;
+
+            const flush = () => {
+                if (current) blocks.push(current);
+                current = null;
+            };
+
+            page.lines.forEach((line, index) => {
+                const isEdge = index < 2 || index >= page.lines.length - 2;
+                if (isEdge && (repeated.has(line.text) || /^(page\s+)?\d{1,4}(\s+of\s+\d{1,4})?$/i.test(line.text))) {
+                    return;
+                }
+
+                const gap = previousLine ? previousLine.y - line.y : 0;
+                const lineHeight = Math.max(line.fontSize, previousLine ? previousLine.fontSize : 0) * 1.6;
+                const continues = previousLine && gap > 0 && gap <= lineHeight;
+                previousLine = line;
+
+                if (headingSizes.includes(line.fontSize) && line.text.length <= 150) {
+                    if (current && current.type === 'heading' && current.size === line.fontSize && continues) {
+                        current.text += ` ${line.text}`;
+                        return;
+                    }
+                    flush();
+                    current = { type: 'heading', text: line.text, page: page.number, size: line.fontSize };
+                    return;
+                }
+
+                const bullet = line.text.match(bulletPattern);
+                if (bullet) {
+                    flush();
+                    current = {
+                        type: 'list_item',
+                        level: 0,
+                        ordered: /[\da-z]/i.test(bullet[1]),
+                        text: line.text.substring(bullet[0].length),
+                        page: page.number
+                    };
+                    return;
+                }
+
+                if (current && current.type !== 'heading' && continues) {
+                    // Re-join words hyphenated across lines
+                    current.text = /[a-z]-$/.test(current.text) && /^[a-z]/.test(line.text)
+                        ? current.text.slice(0, -1) + line.text
+                        : `${current.text} ${line.text}`;
+                    return;
+                }
+
+                flush();
+                current = { type: 'paragraph', text: line.text, page: page.number };
+            });
+
+            flush();
+        }
+
+        // Rank the sizes headings actually use; font sizes only distinguish a few levels reliably
+        const usedSizes = [...new Set(blocks.filter(block => block.type === 'heading').map(block => block.size))]
+            .sort((a, b) => b - a);
+        return blocks.map(({ size, ...block }) => block.type === 'heading'
+            ? { ...block, level: Math.min(usedSizes.indexOf(size) + 1, 3) }
+            : block);
+    }
+
+    /**
+     * Lines repeated at the top or bottom of most pages (running headers and footers)
+     */
+    findRepeatedPdfLines(pages) {
+        const repeated = new Set();
+        if (pages.length < 3) {
+            return repeated;
+        }
+
+        const counts = new Map();
+        pages.forEach(page => {
+            const edges = new Set([...page.lines.slice(0, 2), ...page.lines.slice(-2)].map(line => line.text));
+            edges.forEach(text => counts.set(text, (counts.get(text) || 0) + 1));
+        });
+        counts.forEach((count, text) => {
+            if (count >= pages.length * 0.5) repeated.add(text);
+        });
+        return repeated;
+    }
+
+    /**
+     * Map DOCX style ids to heading levels and list numbering
+     */
+    readDocxStyles(stylesXml) {
+        const styles = new Map();
+        if (!stylesXml) {
+            return styles;
+        }
+
+        for (const style of findElements(parseXml(stylesXml), 'w:style')) {
+            const id = style.attrs['w:styleId'];
+            const name = findElement(style, 'w:name');
+            const outline = findElement(style, 'w:outlineLvl');
+            const numId = findElement(style, 'w:numId');
+            styles.set(id, {
+                name: name ? name.attrs['w:val'] : id,
+                outlineLevel: outline ? parseInt(outline.attrs['w:val']) : null,
+                numId: numId ? numId.attrs['w:val'] : null,
+                basedOn: findElement(style, 'w:basedOn')?.attrs['w:val'] || null
+            });
+        }
+        return styles;
+    }
+
+    /**
+     * Map DOCX numbering instances to per-level formats (bullet vs ordered)
+     */
+    readDocxNumbering(numberingXml) {
+        const numbering = new Map();
+        if (!numberingXml) {
+            return numbering;
+        }
+
+        const root = parseXml(numberingXml);
+        const abstractFormats = new Map();
+        for (const abstract of findElements(root, 'w:abstractNum')) {
+            const levels = new Map();
+            for (const level of childElements(abstract, 'w:lvl')) {
+                const format = findElement(level, 'w:numFmt');
+                levels.set(parseInt(level.attrs['w:ilvl']), format ? format.attrs['w:val'] : 'bullet');
+            }
+            abstractFormats.set(abstract.attrs['w:abstractNumId'], levels);
+        }
+        for (const num of findElements(root, 'w:num')) {
+            const abstractId = findElement(num, 'w:abstractNumId');
+            numbering.set(num.attrs['w:numId'], abstractFormats.get(abstractId ? abstractId.attrs['w:val'] : null) || new Map());
+        }
+        return numbering;
+    }
+
+    walkDocxBody(node, blocks, context) {
+        for (const child of childElements(node)) {
+            if (child.name === 'w:p') {
+                const block = this.docxParagraphToBlock(child, context);
+                if (block) blocks.push(block);
+            } else if (child.name === 'w:tbl') {
+                const rows = childElements(child, 'w:tr').map(row =>
+                    childElements(row, 'w:tc').map(cell =>
+                        findElements(cell, 'w:p').map(p => this.docxText(p, context)).join(' ').replace(/\s+/g, ' ').trim()
+                    )
+                ).filter(row => row.some(cell => cell));
+                if (rows.length > 0) {
+                    blocks.push({ type: 'table', rows, page: context.page });
+                }
+            } else if (child.name === 'w:sdt') {
+                this.walkDocxBody(findElement(child, 'w:sdtContent'), blocks, context);
+            }
+        }
+    }
+
+    /**
+     * Classify a DOCX paragraph by its style and numbering
+     */
+    docxParagraphToBlock(paragraph, context) {
+        const properties = findElement(paragraph, 'w:pPr');
+        const styleId = properties ? findElement(properties, 'w:pStyle')?.attrs['w:val'] : null;
+        const style = styleId ? context.styles.get(styleId) : null;
+
+        if (properties && !context.useRenderedBreaks && findElement(properties, 'w:pageBreakBefore')) {
+            context.page++;
+        }
+        const page = context.page;
+        const text = this.docxText(paragraph, context).replace(/\s+/g, ' ').trim();
+
+        // A section break stored in the paragraph properties ends the page after this paragraph
+        const sectionBreak = properties ? findElement(properties, 'w:sectPr') : null;
+        if (sectionBreak && !context.useRenderedBreaks) {
+            const type = findElement(sectionBreak, 'w:type');
+            if (!type || type.attrs['w:val'] === 'nextPage') context.page++;
+        }
+
+        if (!text) {
+            return null;
+        }
+
+        const styleName = style ? style.name.toLowerCase() : '';
+        const headingMatch = styleName.match(/^heading\s*(\d)/);
+        const outline = properties ? findElement(properties, 'w:outlineLvl') : null;
+        const outlineLevel = outline ? parseInt(outline.attrs['w:val']) : style ? style.outlineLevel : null;
+
+        if (styleName === 'title') {
+            context.title = context.title || text;
+            return { type: 'heading', level: 1, text, page };
+        }
+        if (headingMatch || (outlineLevel !== null && outlineLevel < 9)) {
+            const level = headingMatch ? parseInt(headingMatch[1]) : outlineLevel + 1;
+            return { type: 'heading', level: Math.min(level, this.maxHeadingLevel), text, page };
+        }
+
+        const numPr = properties ? findElement(properties, 'w:numPr') : null;
+        const numId = numPr ? findElement(numPr, 'w:numId')?.attrs['w:val'] : style?.numId;
+        if (numId && numId !== '0') {
+            const level = numPr ? parseInt(findElement(numPr, 'w:ilvl')?.attrs['w:val'] || '0') : 0;
+            const format = (context.numbering.get(numId) || new Map()).get(level) || 'bullet';
+            return { type: 'list_item', level: Math.min(level, 2), ordered: !['bullet', 'none'].includes(format), text, page };
+        }
+        if (/^list (bullet|number)/.test(styleName)) {
+            return { type: 'list_item', level: 0, ordered: styleName.startsWith('list number'), text, page };
+        }
+
+        return { type: 'paragraph', text, page };
+    }
+
+    /**
+     * Visible text of a DOCX element, advancing the page counter at page breaks
+     */
+    docxText(node, context) {
+        let text = '';
+        for (const child of node.children || []) {
+            if (typeof child === 'string') continue;
+            switch (child.name) {
+                case 'w:t':
+                    text += child.children.filter(part => typeof part === 'string').join('');
+                    break;
+                case 'w:tab':
+                    text += '\t';
+                    break;
+                case 'w:br':
+                case 'w:cr':
+                    if (child.attrs['w:type'] === 'page') {
+                        if (!context.useRenderedBreaks) context.page++;
+                    } else {
+                        text += ' ';
+                    }
+                    break;
+                case 'w:lastRenderedPageBreak':
+                    if (context.useRenderedBreaks) context.page++;
+                    break;
+                case 'w:noBreakHyphen':
+                    text += '-';
+                    break;
+                // Deleted revisions, field codes, footnote/comment markers and duplicate drawing fallbacks
+                case 'w:del':
+                case 'w:delText':
+                case 'w:instrText':
+                case 'w:pPr':
+                case 'w:rPr':
+                case 'w:footnoteReference':
+                case 'w:endnoteReference':
+                case 'w:commentReference':
+                case 'mc:Fallback':
+                    break;
+                default:
+                    text += this.docxText(child, context);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * List style name -> level -> ordered, from content.xml and styles.xml
+     */
+    readOdtListStyles(roots) {
+        const listStyles = new Map();
+        for (const root of roots.filter(Boolean)) {
+            for (const style of findElements(root, 'text:list-style')) {
+                const levels = new Map();
+                for (const level of childElements(style)) {
+                    const levelNumber = parseInt(level.attrs['text:level'] || '1') - 1;
+                    levels.set(levelNumber, level.name === 'text:list-level-style-number');
+                }
+                listStyles.set(style.attrs['style:name'], levels);
+            }
+        }
+        return listStyles;
+    }
+
+    /**
+     * Automatic paragraph styles that point at a heading or title parent style
+     */
+    readOdtParagraphStyles(content) {
+        const styles = new Map();
+        for (const style of findElements(content, 'style:style')) {
+            styles.set(style.attrs['style:name'], style.attrs['style:parent-style-name'] || null);
+        }
+        return styles;
+    }
+
+    walkOdtElements(elements, blocks, context, listStyle, listLevel) {
+        for (const element of elements) {
+            switch (element.name) {
+                case 'text:h': {
+                    const text = this.odtText(element, context).replace(/\s+/g, ' ').trim();
+                    if (text) {
+                        const level = parseInt(element.attrs['text:outline-level'] || '1');
+                        blocks.push({ type: 'heading', level: Math.min(level, this.maxHeadingLevel), text, page: context.page });
+                    }
+                    break;
+                }
+                case 'text:p': {
+                    const page = context.page;
+                    const text = this.odtText(element, context).replace(/\s+/g, ' ').trim();
+                    if (!text) break;
+                    const styleName = element.attrs['text:style-name'] || '';
+                    const parentStyle = context.paragraphStyles.get(styleName) || styleName;
+                    if (/^title$/i.test(parentStyle)) {
+                        context.title = context.title || text;
+                        blocks.push({ type: 'heading', level: 1, text, page });
+                    } else {
+                        blocks.push({ type: 'paragraph', text, page });
+                    }
+                    break;
+                }
+                case 'text:list': {
+                    const style = element.attrs['text:style-name'] || listStyle;
+                    for (const item of childElements(element)) {
+                        if (item.name !== 'text:list-item' && item.name !== 'text:list-header') continue;
+                        for (const child of childElements(item)) {
+                            if (child.name === 'text:list') {
+                                this.walkOdtElements([child], blocks, context, style, listLevel + 1);
+                            } else if (child.name === 'text:p' || child.name === 'text:h') {
+                                const page = context.page;
+                                const text = this.odtText(child, context).replace(/\s+/g, ' ').trim();
+                                if (!text) continue;
+                                const ordered = (context.listStyles.get(style) || new Map()).get(listLevel) || false;
+                                blocks.push({ type: 'list_item', level: Math.min(listLevel, 2), ordered, text, page });
+                            }
+                        }
+                    }
+                    break;
+                }
+                case 'table:table': {
+                    const rows = findElements(element, 'table:table-row').map(row =>
+                        childElements(row, 'table:table-cell').map(cell =>
+                            this.odtText(cell, context).replace(/\s+/g, ' ').trim()
+                        )
+                    ).filter(row => row.some(cell => cell));
+                    if (rows.length > 0) {
+                        blocks.push({ type: 'table', rows, page: context.page });
+                    }
+                    break;
+                }
+                case 'text:soft-page-break':
+                    context.page++;
+                    break;
+                case 'text:section':
+                case 'text:index-body':
+                    this.walkOdtElements(childElements(element), blocks, context, listStyle, listLevel);
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Visible text of an ODT element
+     */
+    odtText(node, context) {
+        let text = '';
+        for (const child of node.children || []) {
+            if (typeof child === 'string') {
+                text += child;
+                continue;
+            }
+            switch (child.name) {
+                case 'text:s':
+                    text += ' '.repeat(parseInt(child.attrs['text:c'] || '1'));
+                    break;
+                case 'text:tab':
+                    text += '\t';
+                    break;
+                case 'text:line-break':
+                    text += ' ';
+                    break;
+                case 'text:soft-page-break':
+                    context.page++;
+                    break;
+                case 'text:note':
+                case 'office:annotation':
+                case 'draw:frame':
+                    break;
+                case 'text:p':
+                    text += ` ${this.odtText(child, context)}`;
+                    break;
+                default:
+                    text += this.odtText(child, context);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Render blocks to flat text and build the section tree and page anchors
+     * Headings, list items and tables are rendered as markdown so structure survives in `content`.
+     * @param {Array<Object>} blocks - Extracted blocks
+     * @param {Object} meta - { format, title, pageCount }
+     * @returns {Object} { content, document: { format, title, pageCount, wordCount, sections, pages } }
+     */
+    buildStructuredDocument(blocks, meta = {}) {
+        const parts = [];
+        const pages = [];
+        const sections = [];
+        const sectionStack = [];
+        let offset = 0;
+        let sectionCount = 0;
+
+        blocks.forEach((block, index) => {
+            const previous = blocks[index - 1];
+            const separator = index === 0 ? '' : (previous.type === 'list_item' && block.type === 'list_item' ? '\n' : '\n\n');
+            const rendered = this.renderBlock(block);
+            offset += separator.length;
+
+            if (!pages.length || pages[pages.length - 1].number < block.page) {
+                pages.push({ number: block.page, offset });
+            }
+
+            if (block.type === 'heading') {
+                while (sectionStack.length > 0 && sectionStack[sectionStack.length - 1].level >= block.level) {
+                    sectionStack.pop().end = offset - separator.length;
+                }
+                const section = {
+                    id: `section_${++sectionCount}`,
+                    heading: block.text,
+                    level: block.level,
+                    page: block.page,
+                    offset,
+                    end: null,
+                    children: []
+                };
+                (sectionStack.length > 0 ? sectionStack[sectionStack.length - 1].children : sections).push(section);
+                sectionStack.push(section);
+            }
+
+            parts.push(separator + rendered);
+            offset += rendered.length;
+        });
+
+        sectionStack.forEach(section => { section.end = offset; });
+
+        const content = parts.join('');
+        const finalize = (section) => {
+            section.wordCount = this.countWords(content.substring(section.offset, section.end));
+            section.children.forEach(finalize);
+            return section;
+        };
+
+        return {
+            content,
+            document: {
+                format: meta.format || null,
+                title: meta.title || (sections[0] ? sections[0].heading : null),
+                pageCount: meta.pageCount || (pages.length ? pages[pages.length - 1].number : 1),
+                wordCount: this.countWords(content),
+                sections: sections.map(finalize),
+                // Character offsets into `content` where each page starts
+                pages
+            }
+        };
+    }
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'heading':
+                return `${'#'.repeat(block.level)} ${block.text}`;
+            case 'list_item':
+                return `${'  '.repeat(block.level || 0)}${block.ordered ? '1.' : '-'} ${block.text}`;
+            case 'table': {
+                const columns = Math.max(...block.rows.map(row => row.length));
+                const renderRow = (row) => `| ${Array.from({ length: columns }, (_, i) => (row[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+                return [
+                    renderRow(block.rows[0]),
+                    `| ${Array(columns).fill('---').join(' | ')} |`,
+                    ...block.rows.slice(1).map(renderRow)
+                ].join('\n');
+            }
+            default:
+                return block.text;
+        }
+    }
+
+    countWords(text) {
+        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
     }
 
     /**
@@ -165,6 +911,10 @@ class FileProcessingService {
         extractedContent.forEach((file, index) => {
             if (file.content && !file.error) {
                 prompt += `Document ${index + 1}: ${file.filename} (${file.type.toUpperCase()})\n`;
+                const outline = this.describeOutline(file.document);
+                if (outline) {
+                    prompt += `Outline: ${outline}\n`;
+                }
                 prompt += `Content: ${file.content.substring(0, 1000)}${file.content.length > 1000 ? '...' : ''}\n\n`;
             } else if (file.error) {
                 prompt += `Document ${index + 1}: ${file.filename} (${file.type.toUpperCase()}) - Error: ${file.error}\n\n`;
@@ -189,7 +939,23 @@ class FileProcessingService {
     }
 
     /**
-     * Process files and generate content using Gemini 2.5 Flash
+     * One-line outline of a structured document's top-level sections with their pages
+     * @param {Object} document - Structured document from extractContent
+     * @returns {string} Outline, or '' when the document has no headings
+     */
+    describeOutline(document) {
+        if (!document || !document.sections || document.sections.length === 0) {
+            return '';
+        }
+        const multiPage = document.pageCount > 1;
+        return document.sections
+            .slice(0, 20)
+            .map(section => multiPage ? `${section.heading} (p. ${section.page})` : section.heading)
+            .join('; ');
+    }
+
+    /**
+     * Process uploaded files into extracted content and a generation prompt
      * @param {Array} files - Uploaded files
      * @param {string} additionalPrompt - Additional user prompt
      * @param {string} style - Writing style
@@ -211,27 +977,34 @@ class FileProcessingService {
             // Extract content from files
             const extractedContent = await this.extractContent(files);
             
+            const extractedFiles = extractedContent.filter(file => !file.error);
+            if (extractedFiles.length === 0) {
+                return {
+                    success: false,
+                    error: 'No content could be extracted from the uploaded files',
+                    details: extractedContent.map(file => `${file.filename}: ${file.error}`)
+                };
+            }
+
             // Generate prompt
             const prompt = this.generatePromptFromFiles(extractedContent, additionalPrompt, style, tone);
-            
-            // Simulate Gemini 2.5 Flash API call
-            // In production, you would integrate with the actual Gemini API
-            const generatedContent = await this.simulateGeminiGeneration(prompt, extractedContent);
-            
+
             return {
                 success: true,
                 extractedContent: extractedContent,
                 prompt: prompt,
-                generatedContent: generatedContent,
                 metadata: {
                     filesProcessed: files.length,
+                    filesExtracted: extractedFiles.length,
                     totalSize: files.reduce((sum, file) => sum + file.size, 0),
+                    totalPages: extractedFiles.reduce((sum, file) => sum + file.document.pageCount, 0),
+                    totalWords: extractedFiles.reduce((sum, file) => sum + file.document.wordCount, 0),
                     processedAt: new Date().toISOString(),
                     style: style,
                     tone: tone
                 }
             };
-            
+
         } catch (error) {
             console.error('Error processing files:', error);
             return {
@@ -242,23 +1015,6 @@ class FileProcessingService {
         }
     }
 
-    /**
-     * Simulate Gemini 2.5 Flash API call
-     * @param {string} prompt - Generated prompt
-     * @param {Array} extractedContent - Extracted file contents
-     * @returns {Promise<string>} Generated content
-     */
-    async simulateGeminiGeneration(prompt, extractedContent) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        const fileNames = extractedContent.map(f => f.filename).join(', ');
-        const fileTypes = [...new Set(extractedContent.map(f => f.type))].join(', ');
-        
-        // TODO: Replace with actual Gemini API integration
-        throw new Error('Content generation requires backend integration with Gemini API service');
-    }
-
     /**
      * Clean up temporary files
      * @param {Array} files - Files to clean up
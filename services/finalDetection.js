@@ -1,4 +1,5 @@
 const OriginalityDetection = require('./originalityDetection');
+const { isAbortError } = require('../utils/cancellation');
 const admin = require('firebase-admin');
 
 class FinalDetectionService {
@@ -19,14 +20,15 @@ class FinalDetectionService {
    * @param {string} combinedContent - Complete stitched content
    * @param {Array} chunkDetectionResults - Individual chunk detection results
    * @param {Object} metadata - Content metadata
+   * @param {Object} options - { signal } to cancel the detection requests
    * @returns {Object} Comprehensive final detection results
    */
-  async processFinalDetection(combinedContent, chunkDetectionResults = [], metadata = {}) {
+  async processFinalDetection(combinedContent, chunkDetectionResults = [], metadata = {}, options = {}) {
     try {
       const startTime = Date.now();
       
       // Step 1: Run detection on complete combined content
-      const fullContentDetection = await this.originalityDetection.detectContent(combinedContent);
+      const fullContentDetection = await this.originalityDetection.detectContent(combinedContent, { signal: options.signal });
       
       // Step 2: Analyze chunk-level results
       const chunkAnalysis = this.analyzeChunkResults(chunkDetectionResults);
@@ -57,6 +59,9 @@ class FinalDetectionService {
       };
       
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.error('Final detection processing error:', error);
       return {
         success: false,
@@ -2,9 +2,14 @@ const express = require('express');
 const { admin, db } = require('../config/firebase');
 const { verifyFirebaseToken } = require('./firebaseAuth');
 const FirebaseDraftManager = require('./firebaseDraftManager');
+const DraftRewriter = require('./draftRewriter');
+const ContentFormatter = require('./contentFormatter');
+const assignmentTypes = require('./assignmentTypes');
 const router = express.Router();
 
 const draftManager = new FirebaseDraftManager();
+const draftRewriter = new DraftRewriter();
+const contentFormatter = new ContentFormatter();
 
 // Create new assignment
 router.post('/create', verifyFirebaseToken, async (req, res) => {
@@ -14,7 +19,8 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
         wordCount,
         citationStyle = 'APA',
         content = '',
-        creditsUsed = 0
+        creditsUsed = 0,
+        type
     } = req.body;
 
     const userId = req.user.uid;
@@ -23,6 +29,11 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
         return res.status(400).json({ error: 'Title and word count are required' });
     }
 
+    const assignmentType = assignmentTypes.resolveTypeId(type);
+    if (!assignmentType) {
+        return res.status(400).json({ error: `Unknown assignment type: ${type}` });
+    }
+
     try {
         // Check user credits
         const userDoc = await db.collection('users').doc(userId).get();
@@ -42,6 +53,7 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
             description: description || '',
             wordCount: parseInt(wordCount),
             citationStyle: citationStyle,
+            assignmentType,
             content: content,
             originalityScore: null,
             status: 'pending',
@@ -333,6 +345,115 @@ router.post('/drafts/:draftId/restore/:versionNumber', verifyFirebaseToken, asyn
     }
 });
 
+// Rewrite one section or character range of a draft
+// Body: { instruction: 'regenerate'|'expand'|'condense'|'tone', sectionId | start+end, targetWords, tone, qualityTier, notes }
+// Only the rewritten words are charged; the result is saved as a new draft version
+router.post('/drafts/:draftId/rewrite', verifyFirebaseToken, async (req, res) => {
+    const { draftId } = req.params;
+    const { instruction, sectionId, start, end, targetWords, tone, qualityTier = 'standard', notes = '' } = req.body;
+
+    if (!instruction) {
+        return res.status(400).json({ error: 'Instruction is required' });
+    }
+
+    if (!['standard', 'premium'].includes(qualityTier)) {
+        return res.status(400).json({ error: 'Quality tier must be either standard or premium' });
+    }
+
+    try {
+        const result = await draftRewriter.rewriteSpan(req.user.uid, draftId, {
+            instruction,
+            sectionId,
+            start,
+            end,
+            targetWords,
+            tone,
+            qualityTier,
+            notes: typeof notes === 'string' ? notes.substring(0, 1000) : ''
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('Draft rewrite error:', error);
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Translate a whole draft into another language
+// Body: { targetLanguage, qualityTier }
+// Charged at the writer rate for the source length; the translation is saved as a new draft
+router.post('/drafts/:draftId/translate', verifyFirebaseToken, async (req, res) => {
+    const { draftId } = req.params;
+    const { targetLanguage, qualityTier = 'standard' } = req.body;
+
+    if (!['standard', 'premium'].includes(qualityTier)) {
+        return res.status(400).json({ error: 'Quality tier must be either standard or premium' });
+    }
+
+    try {
+        const result = await draftRewriter.translateDraft(req.user.uid, draftId, { targetLanguage, qualityTier });
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Draft translation error:', error);
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Export content or a saved draft as a file download
+// Body: { content, title | draftId, format: 'docx'|'odt'|'epub'|'txt'|'html'|'pdf'|'md'|'latex', options: { author, course, template, theme, ... } }
+router.post('/export', verifyFirebaseToken, async (req, res) => {
+    const { draftId, format = 'docx', options = {} } = req.body;
+    let { content, title } = req.body;
+
+    if (!contentFormatter.getSupportedFormats().includes(String(format).toLowerCase())) {
+        return res.status(400).json({
+            error: `Unsupported format: ${format}`,
+            supportedFormats: contentFormatter.getSupportedFormats()
+        });
+    }
+
+    try {
+        if (draftId) {
+            const draft = await draftManager.getDraft(draftId, req.user.uid);
+            if (!draft) {
+                return res.status(404).json({ error: 'Draft not found' });
+            }
+            content = draft.content;
+            title = title || draft.title;
+        }
+
+        if (!content || typeof content !== 'string') {
+            return res.status(400).json({ error: 'Content or draftId is required for export' });
+        }
+
+        const exportFormat = String(format).toLowerCase();
+        const documentTitle = title || 'Generated Content';
+        const result = await contentFormatter.formatContent(content, exportFormat, {
+            ...(typeof options === 'object' && options !== null ? options : {}),
+            title: documentTitle,
+            filename: contentFormatter.docxWriter.buildFilename(documentTitle, contentFormatter.getFileExtension(exportFormat))
+        });
+
+        res.setHeader('Content-Type', contentFormatter.getMimeType(exportFormat));
+        res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+        res.send(result.content);
+    } catch (error) {
+        console.error('Export error:', error);
+        const status = error.message === 'Access denied' ? 403 : 500;
+        return res.status(status).json({ error: error.message });
+    }
+});
+
+// List export formats with descriptions, MIME types and file extensions
+router.get('/export/formats', (req, res) => {
+    const details = contentFormatter.getFormatDetails();
+    res.json({
+        success: true,
+        formats: details.map(detail => detail.format),
+        descriptions: Object.fromEntries(details.map(detail => [detail.format, detail.description])),
+        details
+    });
+});
+
 // Auto-save endpoints
 router.post('/drafts/:draftId/autosave/session', verifyFirebaseToken, async (req, res) => {
     const { draftId } = req.params;
@@ -1,4 +1,5 @@
 const { admin, db } = require('../config/firebase');
+const languageSupport = require('../utils/languageSupport');
 
 class FirebaseDraftManager {
     constructor() {
@@ -23,9 +24,15 @@ class FirebaseDraftManager {
                 tone: draftData.tone || 'Formal',
                 targetWordCount: draftData.targetWordCount || 0,
                 currentWordCount: this.countWords(draftData.content || ''),
+                language: draftData.language || languageSupport.DEFAULT_LANGUAGE,
                 status: draftData.status || 'draft',
                 version: 1,
                 parentDraftId: draftData.parentDraftId || null,
+                // Approved outline and per-section text, for section-by-section regeneration
+                outline: draftData.outline || null,
+                sections: draftData.sections || null,
+                // Generation settings of an 'interrupted' draft, so /writer/generate can resume it
+                resumeState: draftData.resumeState || null,
                 autoSaved: false,
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -457,8 +464,7 @@ class FirebaseDraftManager {
      * @param {string} text - Text to count
      */
     countWords(text) {
-        if (!text || typeof text !== 'string') return 0;
-        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+        return languageSupport.countWords(text);
     }
 
     /**
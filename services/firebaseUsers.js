@@ -1,7 +1,10 @@
 const express = require('express');
 const { admin, db } = require('../config/firebase');
 const { verifyFirebaseToken } = require('./firebaseAuth');
+const contentPrivacy = require('./contentPrivacyService');
+const ContentDatabase = require('./contentDatabase');
 const router = express.Router();
+const contentDatabase = new ContentDatabase();
 
 // Get user profile with detailed information
 router.get('/profile/:userId', verifyFirebaseToken, async (req, res) => {
@@ -265,6 +268,33 @@ router.get('/stats/:userId', verifyFirebaseToken, async (req, res) => {
     }
 });
 
+// Get content privacy settings: the user's own, their organization's and the effective combination
+router.get('/privacy', verifyFirebaseToken, async (req, res) => {
+    try {
+        const settings = await contentPrivacy.getSettings(req.user.uid);
+        res.json(settings);
+    } catch (error) {
+        console.error('Privacy settings fetch error:', error);
+        return res.status(500).json({ error: 'Error fetching privacy settings' });
+    }
+});
+
+// Update content privacy settings (shareContent, reuseContent, retentionDays)
+// Stored content is brought in line straight away: opting out of sharing deletes it
+router.put('/privacy', verifyFirebaseToken, async (req, res) => {
+    try {
+        const settings = await contentPrivacy.updateUserSettings(req.user.uid, req.body || {});
+        const storedContent = await contentDatabase.reapplyPrivacy({ userId: req.user.uid });
+        res.json({ ...settings, storedContent });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Privacy settings update error:', error);
+        return res.status(500).json({ error: 'Error updating privacy settings' });
+    }
+});
+
 // Test profile endpoint for development
 router.get('/test-profile', (req, res) => {
     res.json({
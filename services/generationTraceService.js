@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const { db, isInitialized } = require('../config/firebase');
+const llmProvider = require('./llmProvider');
+const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
+
+/**
+ * Provenance record for one generation while it runs
+ * Steps are kept in the order they happened: every LLM call (prompt, output, provider, model,
+ * duration) plus the decisions around it (context handed between chunks, detection results,
+ * refinement choices, reused content). Each step carries `atMs`, its offset from the start.
+ */
+class GenerationTrace {
+    constructor({ userId, feature, request }, limits) {
+        this.traceId = `trace_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+        this.userId = userId || null;
+        this.feature = feature;
+        this.request = request;
+        this.limits = limits;
+        this.steps = [];
+        this.startedAt = Date.now();
+        this.droppedSteps = 0;
+    }
+
+    /**
+     * Shorten a string to `limit` characters; clipping already clipped text keeps the
+     * count of characters cut from the original
+     */
+    clip(text, limit = this.limits.maxTextChars) {
+        if (typeof text !== 'string' || text.length <= limit) {
+            return text;
+        }
+        const marker = text.match(/… \[truncated (\d+) characters\]$/);
+        const body = marker ? text.substring(0, marker.index) : text;
+        if (body.length <= limit) {
+            return text;
+        }
+        const originalLength = marker ? body.length + Number(marker[1]) : text.length;
+        return `${body.substring(0, limit)}… [truncated ${originalLength - limit} characters]`;
+    }
+
+    /**
+     * Record a decision or intermediate result
+     * @param {string} type - Step type (chunk_started, detection, refinement_decision, ...)
+     * @param {Object} data - Step details; string values are clipped
+     */
+    record(type, data = {}) {
+        if (this.steps.length >= this.limits.maxSteps) {
+            this.droppedSteps++;
+            return;
+        }
+        const clipped = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, this.clip(value)]));
+        this.steps.push({ type, atMs: Date.now() - this.startedAt, ...clipped });
+    }
+
+    /**
+     * Client that records every generate() call into this trace
+     * @param {LLMClient} client - Client to wrap
+     * @param {Object} labels - Fields added to each call step, e.g. { role: 'draft', chunkIndex: 0 }
+     * @returns {LLMClient} Client with the same interface
+     */
+    wrapClient(client, labels = {}) {
+        const trace = this;
+        const traced = Object.create(client);
+        traced.generate = async (prompt, options = {}) => {
+            const startTime = Date.now();
+            try {
+                const result = await client.generate(prompt, options);
+                trace.record('llm_call', {
+                    ...labels,
+                    tool: client.tool,
+                    provider: result.provider || client.providerName,
+                    model: result.model || client.model,
+                    prompt,
+                    output: result.text,
+                    durationMs: Date.now() - startTime
+                });
+                return result;
+            } catch (error) {
+                trace.record('llm_call', {
+                    ...labels,
+                    tool: client.tool,
+                    provider: client.providerName,
+                    model: client.model,
+                    prompt,
+                    output: null,
+                    error: error.message,
+                    durationMs: Date.now() - startTime
+                });
+                throw error;
+            }
+        };
+        return traced;
+    }
+
+    /**
+     * Wrap a { draft, refine } model pair for one chunk
+     */
+    wrapModels(models, chunkIndex) {
+        return {
+            draft: this.wrapClient(models.draft, { role: 'draft', chunkIndex }),
+            refine: this.wrapClient(models.refine, { role: 'refine', chunkIndex })
+        };
+    }
+
+    toRecord(outcome) {
+        return this.fitRecord({
+            traceId: this.traceId,
+            userId: this.userId,
+            feature: this.feature,
+            request: this.request,
+            steps: this.steps,
+            droppedSteps: this.droppedSteps,
+            outcome,
+            timings: {
+                totalMs: Date.now() - this.startedAt,
+                llmMs: this.steps
+                    .filter(step => step.type === 'llm_call')
+                    .reduce((total, step) => total + (step.durationMs || 0), 0)
+            },
+            createdAt: new Date(this.startedAt)
+        });
+    }
+
+    /**
+     * Keep the stored record under limits.maxRecordBytes (Firestore rejects documents over
+     * 1 MiB): step texts are clipped to half the length per round, down to minTextChars, and
+     * if that is still too much the last steps are dropped and counted in droppedSteps.
+     * `textLimit` on the record is the clip length that was applied.
+     */
+    fitRecord(record) {
+        const sizeOf = (value) => Buffer.byteLength(JSON.stringify(value), 'utf8');
+        const { maxRecordBytes, minTextChars } = this.limits;
+        let textLimit = this.limits.maxTextChars;
+        let steps = record.steps;
+
+        while (sizeOf({ ...record, steps }) > maxRecordBytes && textLimit > minTextChars) {
+            textLimit = Math.max(minTextChars, Math.floor(textLimit / 2));
+            steps = steps.map(step => Object.fromEntries(
+                Object.entries(step).map(([key, value]) => [key, this.clip(value, textLimit)])
+            ));
+        }
+
+        let size = sizeOf({ ...record, steps });
+        let dropped = 0;
+        while (size > maxRecordBytes && steps.length > 0) {
+            // Each array element costs its JSON plus a separating comma
+            size -= sizeOf(steps[steps.length - 1]) + 1;
+            steps = steps.slice(0, -1);
+            dropped++;
+        }
+
+        return {
+            ...record,
+            steps,
+            textLimit,
+            droppedSteps: record.droppedSteps + dropped
+        };
+    }
+}
+
+/**
+ * Generation Trace Service
+ * Stores generation traces in the `generationTraces` Firestore collection (in memory without
+ * Firestore), returns them to their owner or an admin, and replays a trace's LLM calls against
+ * the mock provider or the currently configured one.
+ */
+class GenerationTraceService {
+    constructor() {
+        this.db = isInitialized ? db : null;
+        this.COLLECTION = 'generationTraces';
+        this.MAX_MEMORY_TRACES = 200;
+        this.MAX_REPLAY_CALLS = 20;
+        this.LIMITS = {
+            maxSteps: 150,
+            maxTextChars: 20000,
+            minTextChars: 500,
+            maxRecordBytes: 900 * 1024 // Below Firestore's 1 MiB document limit, leaving room for field overhead
+        };
+        this.memoryTraces = new Map();
+    }
+
+    createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Start a trace for a generation
+     * @param {Object} context - { userId, feature, request } where request holds the generation inputs
+     * @returns {GenerationTrace} Trace to record steps into
+     */
+    start(context) {
+        return new GenerationTrace(context, this.LIMITS);
+    }
+
+    /**
+     * Store a finished trace
+     * A failed write is logged and never fails the generation it describes.
+     * @param {GenerationTrace} trace - Trace to store
+     * @param {Object} outcome - Result summary (word count, chunks, contentId, error)
+     * @returns {Promise<string|null>} Trace ID, or null if it could not be stored
+     */
+    async save(trace, outcome = {}) {
+        const record = trace.toRecord(outcome);
+
+        if (!this.db) {
+            this.memoryTraces.set(record.traceId, record);
+            if (this.memoryTraces.size > this.MAX_MEMORY_TRACES) {
+                this.memoryTraces.delete(this.memoryTraces.keys().next().value);
+            }
+            return record.traceId;
+        }
+
+        try {
+            await this.db.collection(this.COLLECTION).doc(record.traceId).set(record);
+            return record.traceId;
+        } catch (error) {
+            logger.error('Failed to store generation trace', {
+                service: 'GenerationTraceService',
+                method: 'save',
+                traceId: record.traceId,
+                userId: record.userId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Get a trace for its owner or an admin
+     * @param {string} traceId - Trace ID
+     * @param {Object} requester - { userId, isAdmin }
+     * @returns {Promise<Object>} Trace record
+     */
+    async getTrace(traceId, { userId, isAdmin = false }) {
+        let trace;
+        if (!this.db) {
+            trace = this.memoryTraces.get(traceId) || null;
+        } else {
+            const doc = await this.db.collection(this.COLLECTION).doc(traceId).get();
+            trace = doc.exists ? doc.data() : null;
+            if (trace && trace.createdAt && typeof trace.createdAt.toDate === 'function') {
+                trace = { ...trace, createdAt: trace.createdAt.toDate() };
+            }
+        }
+
+        if (!trace) {
+            throw this.createError('Trace not found', 404);
+        }
+        if (!isAdmin && trace.userId !== userId) {
+            throw this.createError('Access denied to this trace', 403);
+        }
+        return trace;
+    }
+
+    /**
+     * Resolve the client a replay runs against
+     * @param {string} provider - 'mock' or 'current'
+     * @param {Object} step - Recorded llm_call step
+     * @param {string} plan - Plan the trace was generated under
+     */
+    getReplayClient(provider, step, plan) {
+        const tool = step.tool || 'multiPartDraft';
+        if (provider === 'mock') {
+            return new llmProvider.LLMClient(llmProvider.getProvider('mock'), 'mock', tool, plan);
+        }
+        return llmProvider.forTool(tool, plan);
+    }
+
+    /**
+     * Re-run a trace's recorded prompts and compare the outputs with the originals
+     * The prompts are replayed exactly as recorded, so differences come from the provider or
+     * model rather than from changes in prompt building.
+     * @param {string} traceId - Trace ID
+     * @param {Object} options - { provider: 'mock' | 'current', steps: optional step indexes, adminId }
+     * @returns {Promise<Object>} { traceId, provider, calls, skippedCalls }
+     */
+    async replay(traceId, { provider = 'mock', steps = null, adminId = null } = {}) {
+        if (!['mock', 'current'].includes(provider)) {
+            throw this.createError('Replay provider must be "mock" or "current"', 400);
+        }
+
+        const trace = await this.getTrace(traceId, { isAdmin: true });
+        const recordedCalls = trace.steps
+            .map((step, index) => ({ step, index }))
+            .filter(({ step, index }) => step.type === 'llm_call' && typeof step.prompt === 'string' &&
+                (!Array.isArray(steps) || steps.includes(index)));
+        const selected = recordedCalls.slice(0, this.MAX_REPLAY_CALLS);
+        const plan = trace.request?.userPlan || null;
+        const calls = [];
+
+        for (const { step, index } of selected) {
+            const client = this.getReplayClient(provider, step, plan);
+            const original = {
+                provider: step.provider,
+                model: step.model,
+                output: step.output,
+                wordCount: step.output ? languageSupport.countWords(step.output) : 0,
+                error: step.error || null
+            };
+
+            try {
+                const result = await client.generate(step.prompt, {
+                    usage: { userId: adminId, feature: 'admin.traceReplay', plan }
+                });
+                calls.push({
+                    stepIndex: index,
+                    chunkIndex: step.chunkIndex ?? null,
+                    role: step.role || null,
+                    original,
+                    replay: {
+                        provider: result.provider || client.providerName,
+                        model: result.model || client.model,
+                        output: result.text,
+                        wordCount: languageSupport.countWords(result.text || ''),
+                        durationMs: result.latencyMs || null,
+                        error: null
+                    }
+                });
+            } catch (error) {
+                calls.push({
+                    stepIndex: index,
+                    chunkIndex: step.chunkIndex ?? null,
+                    role: step.role || null,
+                    original,
+                    replay: {
+                        provider: client.providerName,
+                        model: client.model,
+                        output: null,
+                        wordCount: 0,
+                        durationMs: null,
+                        error: error.message
+                    }
+                });
+            }
+        }
+
+        logger.info('Replayed generation trace', {
+            service: 'GenerationTraceService',
+            method: 'replay',
+            traceId,
+            provider,
+            adminId,
+            calls: calls.length
+        });
+
+        return {
+            traceId,
+            provider,
+            calls,
+            skippedCalls: recordedCalls.length - selected.length
+        };
+    }
+}
+
+module.exports = new GenerationTraceService();
+module.exports.GenerationTrace = GenerationTrace;
@@ -0,0 +1,763 @@
+const crypto = require('crypto');
+const { admin, db, isInitialized } = require('../config/firebase');
+const AtomicCreditSystem = require('./atomicCreditSystem');
+const { logger } = require('../utils/logger');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * JobQueue - durable background jobs for long-running LLM work
+ * Jobs are persisted in Firestore and executed by an in-process worker, so a
+ * dropped HTTP connection no longer loses the result or the credits held for it.
+ * Falls back to in-memory storage when Firebase is not initialized.
+ */
+class JobQueue {
+    constructor() {
+        this.db = isInitialized ? db : null;
+        this.atomicCreditSystem = new AtomicCreditSystem();
+        this.collectionName = 'jobs';
+        this.workerId = `worker_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+        // Worker configuration
+        this.CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+        this.POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 10000;
+        this.MAX_ATTEMPTS = 2; // Jobs interrupted by a restart are retried once
+        this.PROGRESS_WRITE_INTERVAL = 2000; // Throttle progress writes to Firestore
+        // A running job's worker renews its lease every LEASE_DURATION / 4; only jobs whose
+        // lease has run out (the worker died) are taken over by recovery
+        this.LEASE_DURATION = parseInt(process.env.JOB_LEASE_DURATION) || 120000;
+
+        this.handlers = new Map();
+        this.pending = [];
+        this.active = new Map();
+        this.progressCache = new Map();
+        this.memoryJobs = new Map(); // Used when Firestore is unavailable
+        this.pollTimer = null;
+        this.started = false;
+    }
+
+    /**
+     * Register the function that executes a job type
+     * Handlers receive (job, context) and return the result to store.
+     * context.reportProgress(data, { immediate }) records progress; context.isCancelled() reports cancellation
+     * and context.signal fires on it, so handlers can stop the LLM calls they are waiting on.
+     * Handlers that give back part of the held credits themselves call context.recordRefund(credits)
+     * first, so a later failure or cancellation only releases the rest.
+     * @param {string} type - Job type (e.g. 'writer.generate')
+     * @param {Function} handler - Async job handler
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Start the in-process worker and recover jobs left over from a previous process
+     */
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        await this.recoverJobs();
+
+        this.pollTimer = setInterval(() => {
+            this.pollQueuedJobs().catch(error => {
+                logger.error('Job polling failed', {
+                    service: 'JobQueue',
+                    method: 'pollQueuedJobs',
+                    error: error.message
+                });
+            });
+        }, this.POLL_INTERVAL);
+        this.pollTimer.unref();
+
+        logger.info('Job worker started', {
+            service: 'JobQueue',
+            method: 'start',
+            workerId: this.workerId,
+            concurrency: this.CONCURRENCY
+        });
+    }
+
+    /**
+     * Stop polling for new jobs (running jobs are left to finish)
+     */
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.started = false;
+    }
+
+    /**
+     * Submit a new job
+     * @param {string} userId - Owner of the job
+     * @param {string} type - Registered job type
+     * @param {Object} payload - Handler input (must be JSON-serialisable)
+     * @param {Object} options - { credits: { transactionId, creditsHeld, wordsAllocated } }
+     * @returns {Promise<Object>} The created job
+     */
+    async submit(userId, type, payload, options = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const jobId = this.generateJobId();
+        const now = new Date();
+        const job = {
+            jobId,
+            userId,
+            type,
+            status: 'queued',
+            payload,
+            progress: { percent: 0, stage: 'queued' },
+            result: null,
+            error: null,
+            credits: options.credits ? { ...options.credits, released: false } : null,
+            attempts: 0,
+            workerId: null,
+            leaseExpiresAt: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            completedAt: null
+        };
+
+        if (this.db) {
+            await this.db.collection(this.collectionName).doc(jobId).set(job);
+        } else {
+            this.memoryJobs.set(jobId, job);
+        }
+
+        logger.info('Job submitted', {
+            service: 'JobQueue',
+            method: 'submit',
+            jobId,
+            type,
+            userId
+        });
+
+        this.pending.push(jobId);
+        this.drain();
+
+        return job;
+    }
+
+    /**
+     * Get a job owned by the user
+     * @param {string} jobId - Job ID
+     * @param {string} userId - Requesting user
+     * @returns {Promise<Object>} Job document
+     */
+    async getJob(jobId, userId) {
+        const job = await this.loadJob(jobId);
+
+        if (!job) {
+            const error = new Error('Job not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (userId && job.userId !== userId) {
+            const error = new Error('Access denied');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        return job;
+    }
+
+    /**
+     * List a user's recent jobs
+     * @param {string} userId - User ID
+     * @param {Object} options - { limit, status, type }
+     * @returns {Promise<Array>} Jobs, newest first, without payload or result bodies
+     */
+    async getUserJobs(userId, options = {}) {
+        const { limit = 20, status, type } = options;
+        let jobs;
+
+        if (this.db) {
+            let query = this.db.collection(this.collectionName).where('userId', '==', userId);
+            if (status) query = query.where('status', '==', status);
+            if (type) query = query.where('type', '==', type);
+
+            const snapshot = await query.orderBy('createdAt', 'desc').limit(parseInt(limit)).get();
+            jobs = snapshot.docs.map(doc => this.normalizeJob(doc.data()));
+        } else {
+            jobs = Array.from(this.memoryJobs.values())
+                .filter(job => job.userId === userId)
+                .filter(job => !status || job.status === status)
+                .filter(job => !type || job.type === type)
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .slice(0, parseInt(limit));
+        }
+
+        return jobs.map(({ payload, result, ...summary }) => summary);
+    }
+
+    /**
+     * Cancel a queued or running job and release the credits held for it
+     * @param {string} jobId - Job ID
+     * @param {string} userId - Requesting user
+     * @returns {Promise<Object>} Updated job
+     */
+    async cancelJob(jobId, userId) {
+        const job = await this.getJob(jobId, userId);
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            const error = new Error(`Job already ${job.status}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        await this.updateJob(jobId, {
+            status: 'cancelled',
+            completedAt: new Date(),
+            progress: { ...job.progress, stage: 'cancelled' }
+        });
+
+        // Wake up the running handler so the worker slot is freed immediately
+        const running = this.active.get(jobId);
+        if (running) {
+            running.cancel();
+        }
+        this.pending = this.pending.filter(id => id !== jobId);
+
+        await this.releaseCredits(job, 'cancelled');
+
+        logger.info('Job cancelled', {
+            service: 'JobQueue',
+            method: 'cancelJob',
+            jobId,
+            userId
+        });
+
+        return this.getJob(jobId, userId);
+    }
+
+    /**
+     * Start queued jobs while worker slots are free
+     */
+    drain() {
+        while (this.active.size < this.CONCURRENCY && this.pending.length > 0) {
+            const jobId = this.pending.shift();
+            if (this.active.has(jobId)) continue;
+
+            this.runJob(jobId).catch(error => {
+                logger.error('Job execution crashed', {
+                    service: 'JobQueue',
+                    method: 'drain',
+                    jobId,
+                    error: error.message,
+                    stack: error.stack
+                });
+            });
+        }
+    }
+
+    /**
+     * Claim and execute a single job
+     * @param {string} jobId - Job ID
+     */
+    async runJob(jobId) {
+        let cancel;
+        const cancelled = new Promise(resolve => { cancel = resolve; });
+        const abortController = new AbortController();
+        let heartbeat = null;
+        this.active.set(jobId, {
+            cancel: () => {
+                abortController.abort();
+                cancel();
+            }
+        });
+
+        try {
+            const job = await this.claimJob(jobId);
+            if (!job) return;
+
+            heartbeat = setInterval(() => {
+                this.renewLease(jobId).catch(error => {
+                    logger.warn('Failed to renew job lease', {
+                        service: 'JobQueue',
+                        method: 'renewLease',
+                        jobId,
+                        error: error.message
+                    });
+                });
+            }, this.LEASE_DURATION / 4);
+            heartbeat.unref();
+
+            const handler = this.handlers.get(job.type);
+            if (!handler) {
+                throw new Error(`No handler registered for job type: ${job.type}`);
+            }
+
+            let isCancelled = false;
+            cancelled.then(() => { isCancelled = true; });
+
+            const context = {
+                reportProgress: (progress, options) => this.recordProgress(jobId, progress, options),
+                isCancelled: () => isCancelled,
+                signal: abortController.signal,
+                recordRefund: (credits) => this.recordRefund(jobId, credits)
+            };
+
+            const outcome = await Promise.race([
+                handler(job, context).then(result => ({ result })),
+                cancelled.then(() => ({ cancelled: true }))
+            ]);
+
+            if (outcome.cancelled) {
+                // cancelJob already stored the status and released credits
+                return;
+            }
+
+            // A cancellation that raced with completion wins; the result is discarded
+            const current = await this.loadJob(jobId);
+            if (current && current.status === 'cancelled') {
+                return;
+            }
+
+            await this.updateJob(jobId, {
+                status: 'completed',
+                result: outcome.result === undefined ? null : outcome.result,
+                progress: { ...(this.lastProgress(jobId) || {}), percent: 100, stage: 'completed' },
+                completedAt: new Date()
+            });
+
+            logger.info('Job completed', {
+                service: 'JobQueue',
+                method: 'runJob',
+                jobId,
+                type: job.type
+            });
+        } catch (error) {
+            await this.failJob(jobId, error);
+        } finally {
+            if (heartbeat) clearInterval(heartbeat);
+            this.active.delete(jobId);
+            this.progressCache.delete(jobId);
+            this.drain();
+        }
+    }
+
+    /**
+     * Mark a job as failed and release its held credits
+     * @param {string} jobId - Job ID
+     * @param {Error} error - Failure cause
+     */
+    async failJob(jobId, error) {
+        logger.error('Job failed', {
+            service: 'JobQueue',
+            method: 'failJob',
+            jobId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        try {
+            const job = await this.loadJob(jobId);
+            if (!job || job.status === 'cancelled') return;
+
+            await this.updateJob(jobId, {
+                status: 'failed',
+                error: {
+                    message: error.message,
+                    code: error.code || null,
+                    statusCode: error.statusCode || 500
+                },
+                progress: { ...(job.progress || {}), stage: 'failed' },
+                completedAt: new Date()
+            });
+
+            await this.releaseCredits(job, 'failed');
+        } catch (updateError) {
+            logger.error('Failed to record job failure', {
+                service: 'JobQueue',
+                method: 'failJob',
+                jobId,
+                error: updateError.message
+            });
+        }
+    }
+
+    /**
+     * Atomically move a queued job to running for this worker
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Claimed job, or null if another worker has it
+     */
+    async claimJob(jobId) {
+        const claimUpdate = (job) => ({
+            status: 'running',
+            workerId: this.workerId,
+            attempts: (job.attempts || 0) + 1,
+            startedAt: new Date(),
+            updatedAt: new Date(),
+            leaseExpiresAt: new Date(Date.now() + this.LEASE_DURATION),
+            progress: { ...(job.progress || {}), stage: 'running' }
+        });
+
+        if (!this.db) {
+            const job = this.memoryJobs.get(jobId);
+            if (!job || job.status !== 'queued') return null;
+            Object.assign(job, claimUpdate(job));
+            return { ...job };
+        }
+
+        const jobRef = this.db.collection(this.collectionName).doc(jobId);
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            if (!doc.exists || doc.data().status !== 'queued') {
+                return null;
+            }
+
+            const job = doc.data();
+            const update = claimUpdate(job);
+            transaction.update(jobRef, update);
+            return this.normalizeJob({ ...job, ...update });
+        });
+    }
+
+    /**
+     * Extend this worker's lease on a running job
+     * @param {string} jobId - Job ID
+     */
+    async renewLease(jobId) {
+        const leaseExpiresAt = new Date(Date.now() + this.LEASE_DURATION);
+
+        if (!this.db) {
+            const job = this.memoryJobs.get(jobId);
+            if (job && job.status === 'running' && job.workerId === this.workerId) {
+                Object.assign(job, { leaseExpiresAt, updatedAt: new Date() });
+            }
+            return;
+        }
+
+        const jobRef = this.db.collection(this.collectionName).doc(jobId);
+        await this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            // Another worker took the job over after this one missed its lease
+            if (!doc.exists || doc.data().status !== 'running' || doc.data().workerId !== this.workerId) {
+                return;
+            }
+            transaction.update(jobRef, {
+                leaseExpiresAt,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+    }
+
+    /**
+     * Record handler progress, throttling writes to Firestore
+     * @param {string} jobId - Job ID
+     * @param {Object} progress - Progress fields (percent, stage, totals...)
+     * @param {Object} options - { immediate: write now, for milestones a poller must not miss }
+     */
+    recordProgress(jobId, progress, options = {}) {
+        const entry = this.progressCache.get(jobId) || { lastWrite: 0, progress: {} };
+        entry.progress = { ...entry.progress, ...progress };
+        this.progressCache.set(jobId, entry);
+
+        const now = Date.now();
+        if (!options.immediate && now - entry.lastWrite < this.PROGRESS_WRITE_INTERVAL) return;
+        entry.lastWrite = now;
+
+        this.updateJob(jobId, { progress: entry.progress }).catch(error => {
+            logger.warn('Failed to store job progress', {
+                service: 'JobQueue',
+                method: 'recordProgress',
+                jobId,
+                error: error.message
+            });
+        });
+    }
+
+    /**
+     * Latest progress reported by a running job
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Progress fields
+     */
+    lastProgress(jobId) {
+        const entry = this.progressCache.get(jobId);
+        return entry ? entry.progress : null;
+    }
+
+    /**
+     * Give back the credits a job reserved up front (at most once)
+     * @param {Object} job - Job document
+     * @param {string} reason - Why credits are released
+     */
+    async releaseCredits(job, reason) {
+        const credits = job.credits;
+        if (!credits || credits.released || !credits.transactionId || !credits.creditsHeld) {
+            return;
+        }
+
+        try {
+            const claimed = await this.markCreditsReleased(job.jobId);
+            if (!claimed) return;
+
+            // The handler may already have refunded part of the hold
+            const creditsToRestore = credits.creditsHeld - (claimed.refunded || 0);
+            if (creditsToRestore > 0 && this.atomicCreditSystem.isInitialized) {
+                await this.atomicCreditSystem.rollbackTransaction(
+                    job.userId,
+                    credits.transactionId,
+                    creditsToRestore,
+                    credits.wordsAllocated || 0
+                );
+            }
+
+            logger.info('Released job credits', {
+                service: 'JobQueue',
+                method: 'releaseCredits',
+                jobId: job.jobId,
+                userId: job.userId,
+                credits: Math.max(0, creditsToRestore),
+                reason
+            });
+        } catch (error) {
+            logger.error('Failed to release job credits', {
+                service: 'JobQueue',
+                method: 'releaseCredits',
+                jobId: job.jobId,
+                userId: job.userId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Flip the credits.released flag, returning null if it was already set
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} The stored credits record if this caller should perform the release
+     */
+    async markCreditsReleased(jobId) {
+        if (!this.db) {
+            const job = this.memoryJobs.get(jobId);
+            if (!job || !job.credits || job.credits.released) return null;
+            job.credits.released = true;
+            return { ...job.credits };
+        }
+
+        const jobRef = this.db.collection(this.collectionName).doc(jobId);
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            const credits = doc.exists ? doc.data().credits : null;
+            if (!credits || credits.released) return null;
+
+            transaction.update(jobRef, {
+                'credits.released': true,
+                'credits.releasedAt': new Date()
+            });
+            return credits;
+        });
+    }
+
+    /**
+     * Record credits a handler refunds itself, so releaseCredits only restores the rest
+     * Negative amounts undo a recorded refund that could not be paid out.
+     * @param {string} jobId - Job ID
+     * @param {number} credits - Credits refunded
+     * @returns {Promise<boolean>} False if the hold was already released (nothing left to refund)
+     */
+    async recordRefund(jobId, credits) {
+        if (!this.db) {
+            const job = this.memoryJobs.get(jobId);
+            if (!job || !job.credits || job.credits.released) return false;
+            job.credits.refunded = (job.credits.refunded || 0) + credits;
+            return true;
+        }
+
+        const jobRef = this.db.collection(this.collectionName).doc(jobId);
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            const stored = doc.exists ? doc.data().credits : null;
+            if (!stored || stored.released) return false;
+
+            transaction.update(jobRef, {
+                'credits.refunded': (stored.refunded || 0) + credits
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Re-queue running jobs whose worker stopped renewing the lease and enqueue anything
+     * still waiting; jobs other live workers are running are left alone
+     */
+    async recoverJobs() {
+        if (!this.db) return;
+
+        try {
+            const snapshot = await this.db.collection(this.collectionName)
+                .where('status', 'in', ['queued', 'running'])
+                .get();
+
+            for (const doc of snapshot.docs) {
+                const job = this.normalizeJob(doc.data());
+
+                if (job.status === 'running') {
+                    if (!this.isLeaseExpired(job)) continue;
+
+                    if ((job.attempts || 0) >= this.MAX_ATTEMPTS) {
+                        const failed = await this.takeOverExpiredJob(job, {
+                            status: 'failed',
+                            error: { message: 'Job interrupted too many times', code: null, statusCode: 500 },
+                            progress: { ...(job.progress || {}), stage: 'failed' },
+                            completedAt: new Date()
+                        });
+                        if (failed) await this.releaseCredits(job, 'failed');
+                        continue;
+                    }
+
+                    const requeued = await this.takeOverExpiredJob(job, { status: 'queued', workerId: null, leaseExpiresAt: null });
+                    if (!requeued) continue;
+                }
+
+                if (!this.pending.includes(job.jobId)) {
+                    this.pending.push(job.jobId);
+                }
+            }
+
+            logger.info('Recovered background jobs', {
+                service: 'JobQueue',
+                method: 'recoverJobs',
+                count: snapshot.size
+            });
+
+            this.drain();
+        } catch (error) {
+            logger.error('Job recovery failed', {
+                service: 'JobQueue',
+                method: 'recoverJobs',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Whether a running job's worker has stopped renewing its lease
+     * Jobs written before leases existed fall back to updatedAt.
+     * @param {Object} job - Normalized job
+     * @returns {boolean} True if the job can be taken over
+     */
+    isLeaseExpired(job) {
+        const expiresAt = job.leaseExpiresAt
+            ? new Date(job.leaseExpiresAt).getTime()
+            : new Date(job.updatedAt || 0).getTime() + this.LEASE_DURATION;
+        return expiresAt <= Date.now();
+    }
+
+    /**
+     * Update an expired running job, provided nobody touched it since it was read
+     * @param {Object} job - Normalized job as read by recoverJobs
+     * @param {Object} updates - Fields to set (re-queue or fail)
+     * @returns {Promise<boolean>} True if this worker applied the update
+     */
+    async takeOverExpiredJob(job, updates) {
+        const jobRef = this.db.collection(this.collectionName).doc(job.jobId);
+        const time = (value) => new Date(value && typeof value.toDate === 'function' ? value.toDate() : value || 0).getTime();
+
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            if (!doc.exists) return false;
+
+            const current = doc.data();
+            if (current.status !== 'running'
+                || current.workerId !== job.workerId
+                || time(current.updatedAt) !== time(job.updatedAt)) {
+                return false;
+            }
+
+            transaction.update(jobRef, {
+                ...updates,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Pick up queued jobs submitted by other processes
+     */
+    async pollQueuedJobs() {
+        if (!this.db || this.active.size >= this.CONCURRENCY) return;
+
+        const snapshot = await this.db.collection(this.collectionName)
+            .where('status', '==', 'queued')
+            .orderBy('createdAt', 'asc')
+            .limit(this.CONCURRENCY * 2)
+            .get();
+
+        snapshot.docs.forEach(doc => {
+            const { jobId, type } = doc.data();
+            if (this.handlers.has(type) && !this.pending.includes(jobId) && !this.active.has(jobId)) {
+                this.pending.push(jobId);
+            }
+        });
+
+        this.drain();
+    }
+
+    /**
+     * Load a job document
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Job or null
+     */
+    async loadJob(jobId) {
+        if (!this.db) {
+            const job = this.memoryJobs.get(jobId);
+            return job ? { ...job } : null;
+        }
+
+        const doc = await this.db.collection(this.collectionName).doc(jobId).get();
+        return doc.exists ? this.normalizeJob(doc.data()) : null;
+    }
+
+    /**
+     * Apply a partial update to a job
+     * @param {string} jobId - Job ID
+     * @param {Object} updates - Fields to update
+     */
+    async updateJob(jobId, updates) {
+        if (!this.db) {
+            const job = this.memoryJobs.get(jobId);
+            if (job) Object.assign(job, updates, { updatedAt: new Date() });
+            return;
+        }
+
+        await this.db.collection(this.collectionName).doc(jobId).update({
+            ...updates,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    /**
+     * Convert Firestore timestamps to Dates
+     * @param {Object} job - Raw job document
+     * @returns {Object} Normalized job
+     */
+    normalizeJob(job) {
+        const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+        return {
+            ...job,
+            createdAt: toDate(job.createdAt),
+            updatedAt: toDate(job.updatedAt),
+            startedAt: toDate(job.startedAt),
+            completedAt: toDate(job.completedAt),
+            leaseExpiresAt: toDate(job.leaseExpiresAt)
+        };
+    }
+
+    /**
+     * Generate a unique job ID
+     * @returns {string} Job ID
+     */
+    generateJobId() {
+        return `job_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    }
+}
+
+module.exports = new JobQueue();
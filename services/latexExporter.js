@@ -0,0 +1,288 @@
+const { createZip } = require('../utils/zipArchive');
+const { parseDocument } = require('../utils/documentModel');
+const { toLatex, escapeLatex, inlineMarkdown } = require('../utils/documentRenderers');
+const CitationGenerator = require('./citationGenerator');
+
+/**
+ * LatexExporter
+ * Builds a LaTeX project (main.tex + references.bib, zipped) that opens and compiles
+ * in Overleaf. The .tex body is rendered from the shared document tree with one of
+ * three class templates; the .bib comes from CitationGenerator.exportAsBibTeX and
+ * in-text citations ("(Smith, 2020, p. 4)", "Smith (2020)", "[2]") become citation
+ * commands carrying the matching keys. Citations that match no entry stay as text.
+ */
+class LatexExporter {
+    constructor() {
+        this.MIME_TYPE = 'application/zip';
+        this.TEMPLATES = ['article', 'apa7', 'ieeetran'];
+        this.citationGenerator = new CitationGenerator();
+
+        // parenthetical: "(Smith, 2020)"; year: "Smith (2020)" (author left in the text); numeric: "[2]"
+        this.CITE_COMMANDS = {
+            article: { parenthetical: '\\citep', year: '\\citeyearpar', numeric: '\\citep' },
+            apa7: { parenthetical: '\\parencite', year: '\\parencite*', numeric: '\\parencite' },
+            ieeetran: { parenthetical: '\\cite', year: '\\cite', numeric: '\\cite' }
+        };
+    }
+
+    /**
+     * Resolve a requested template name
+     * @param {string} template - article, apa7 or ieeetran (ieee accepted)
+     * @returns {string} Template id (article when unknown)
+     */
+    resolveTemplate(template) {
+        const name = String(template || 'article').toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (name === 'ieee') return 'ieeetran';
+        if (name === 'apa') return 'apa7';
+        return this.TEMPLATES.includes(name) ? name : 'article';
+    }
+
+    /**
+     * Build the project archive
+     * @param {string|Object} content - Markdown-style document text, or a tree from documentModel.parseDocument
+     * @param {Object} options - Project options
+     * @param {string} options.template - article (default), apa7 or ieeetran
+     * @param {string} options.title - Document title
+     * @param {string} options.author - Author name
+     * @param {string} options.institution - Institution name
+     * @param {string} options.course - Course name or code (apa7)
+     * @param {string} options.instructor - Instructor name (apa7)
+     * @param {string} options.date - Date line (defaults to today)
+     * @param {Object} options.citations - CitationGenerator citations object; when omitted the
+     *   document's own reference list (or options.sources) is used
+     * @param {Array<string|Object>} options.sources - Reference strings or { citation } objects
+     * @returns {Buffer} ZIP with main.tex and references.bib
+     */
+    createProject(content, options = {}) {
+        const template = this.resolveTemplate(options.template);
+        const settings = {
+            title: options.title ? String(options.title).trim() : '',
+            author: options.author || '',
+            institution: options.institution || '',
+            course: options.course || '',
+            instructor: options.instructor || '',
+            date: options.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+        };
+
+        const document = content && content.type === 'document'
+            ? content
+            : parseDocument(content, { title: settings.title });
+        const bibliography = this.buildBibliography(document, options);
+
+        let numeric = false;
+        const body = toLatex(document, {
+            skipReferences: bibliography.entries.length > 0,
+            cite: (text, precedingText) => {
+                const cited = this.resolveCitation(text, precedingText, bibliography.entries, template);
+                if (cited && text.startsWith('[')) numeric = true;
+                return cited;
+            }
+        });
+
+        const tex = this.buildTex(template, settings, body, { hasBibliography: bibliography.entries.length > 0, numeric });
+        return createZip([
+            { name: 'main.tex', data: tex },
+            { name: 'references.bib', data: bibliography.bibtex }
+        ]);
+    }
+
+    /**
+     * Build the .bib file and the key for every entry
+     * @returns {Object} { bibtex, entries: [{ key, metadata }] } in reference-list order
+     */
+    buildBibliography(document, options) {
+        let citations = options.citations && Array.isArray(options.citations.sources) && options.citations.sources.length > 0
+            ? options.citations
+            : null;
+
+        if (!citations) {
+            // Markdown keeps the *italic* titles the metadata extractor looks for
+            const references = document.children
+                .filter(block => block.type === 'reference')
+                .map(block => inlineMarkdown(block.children).trim())
+                .filter(Boolean);
+            const supplied = (options.sources || [])
+                .map(source => (typeof source === 'string' ? source : source && source.citation))
+                .filter(Boolean);
+            citations = this.citationGenerator.citationsFromReferences(references.length > 0 ? references : supplied);
+        }
+
+        if (citations.sources.length === 0) {
+            return { bibtex: '', entries: [] };
+        }
+
+        const result = this.citationGenerator.exportAsBibTeX(citations);
+        return {
+            bibtex: `${result.content}\n`,
+            entries: citations.sources.map((source, index) => ({ key: result.keys[index], metadata: source.metadata || {} }))
+        };
+    }
+
+    /**
+     * Turn one in-text citation into a citation command
+     * @param {string} text - Citation as written, e.g. "(Smith & Lee, 2020, p. 4)" or "[1-3]"
+     * @param {string} precedingText - Text just before it (holds the author of narrative citations)
+     * @param {Array<Object>} entries - Bibliography entries
+     * @param {string} template - Template id
+     * @returns {string|null} LaTeX, or null when any cited work has no entry
+     */
+    resolveCitation(text, precedingText, entries, template) {
+        const commands = this.CITE_COMMANDS[template];
+
+        const numeric = text.match(/^\[(.+)\]$/);
+        if (numeric) {
+            const keys = [];
+            for (const part of numeric[1].split(',')) {
+                const [start, end = start] = part.split(/[-–]/).map(number => parseInt(number, 10));
+                for (let number = start; number <= end; number++) {
+                    if (!entries[number - 1]) return null;
+                    keys.push(entries[number - 1].key);
+                }
+            }
+            return `${commands.numeric}{${keys.join(',')}}`;
+        }
+
+        const parts = text.replace(/^\(|\)$/g, '').split(';').map(part => part.trim());
+        const keys = [];
+        let postnote = '';
+        let narrative = false;
+
+        for (const part of parts) {
+            const year = part.match(/\b(\d{4})([a-z]?)\b|\bn\.d\./);
+            if (!year) return null;
+
+            let author = part.substring(0, year.index).replace(/,\s*$/, '').trim();
+            if (!author) {
+                // "Smith (2020)": the author is the end of the preceding sentence
+                const named = precedingText.match(/([\p{Lu}][\p{L}'’-]+)(?:\s+et al\.|\s+(?:and|&)\s+[\p{Lu}][\p{L}'’-]+)?\s*$/u);
+                if (!named || parts.length > 1) return null;
+                author = named[1];
+                narrative = true;
+            }
+
+            const entry = this.findEntry(entries, author, year[1] || null, year[2] || '');
+            if (!entry) return null;
+            keys.push(entry.key);
+
+            const locator = part.substring(year.index + year[0].length).match(/^,\s*((?:pp?|paras?|chap|sec|ch)\.?\s*.+)$/i);
+            if (locator && parts.length === 1) {
+                postnote = escapeLatex(locator[1]).replace(/\.\s*/, '.~');
+            }
+        }
+
+        const command = narrative ? commands.year : commands.parenthetical;
+        return `${command}${postnote ? `[${postnote}]` : ''}{${keys.join(',')}}`;
+    }
+
+    /**
+     * Find the entry for an author-year pair; a year suffix (2020a, 2020b) picks among
+     * several same-author entries from that year in reference-list order
+     */
+    findEntry(entries, author, year, suffix) {
+        const surname = author.split(/,|\s+et al\.?|\s+&\s+|\s+and\s+/)[0].trim().toLowerCase();
+        if (!surname) return null;
+
+        const matches = entries.filter(entry => {
+            const entryAuthor = String(entry.metadata.author || '').toLowerCase();
+            const entryYear = entry.metadata.year ? String(entry.metadata.year) : null;
+            return entryAuthor.includes(surname) && entryYear === year;
+        });
+        const index = suffix ? suffix.charCodeAt(0) - 97 : 0;
+        return matches[index] || matches[0] || null;
+    }
+
+    /**
+     * Assemble main.tex for a template
+     */
+    buildTex(template, settings, body, { hasBibliography, numeric }) {
+        const title = escapeLatex(settings.title || 'Untitled');
+        const author = escapeLatex(settings.author);
+        const institution = escapeLatex(settings.institution);
+        const date = escapeLatex(settings.date);
+        const common = [
+            '\\usepackage{amsmath,amssymb}',
+            '\\usepackage{siunitx}',
+            '\\usepackage{booktabs}'
+        ];
+        let preamble;
+        let titleBlock;
+        let bibliography = '';
+
+        switch (template) {
+            case 'apa7':
+                preamble = [
+                    '% Compile with pdfLaTeX and Biber',
+                    '\\documentclass[stu,12pt,floatsintext]{apa7}',
+                    '\\usepackage[american]{babel}',
+                    '\\usepackage{csquotes}',
+                    ...common,
+                    '\\usepackage[style=apa,sortcites=true,sorting=nyt,backend=biber]{biblatex}',
+                    '\\addbibresource{references.bib}'
+                ];
+                titleBlock = [
+                    `\\title{${title}}`,
+                    `\\shorttitle{${escapeLatex((settings.title || 'Untitled').substring(0, 50))}}`,
+                    `\\authorsnames{${author}}`,
+                    `\\authorsaffiliations{${institution}}`,
+                    `\\course{${escapeLatex(settings.course)}}`,
+                    `\\professor{${escapeLatex(settings.instructor)}}`,
+                    `\\duedate{${date}}`
+                ];
+                if (hasBibliography) {
+                    bibliography = '\\nocite{*}\n\\printbibliography';
+                }
+                break;
+            case 'ieeetran':
+                preamble = [
+                    '% Compile with pdfLaTeX and BibTeX',
+                    '\\documentclass[conference]{IEEEtran}',
+                    '\\usepackage{cite}',
+                    ...common,
+                    '\\usepackage{url}'
+                ];
+                titleBlock = [
+                    `\\title{${title}}`,
+                    `\\author{\\IEEEauthorblockN{${author}}${institution ? `\n\\IEEEauthorblockA{${institution}}` : ''}}`
+                ];
+                if (hasBibliography) {
+                    bibliography = '\\nocite{*}\n\\bibliographystyle{IEEEtran}\n\\bibliography{references}';
+                }
+                break;
+            default:
+                preamble = [
+                    '% Compile with pdfLaTeX and BibTeX',
+                    '\\documentclass[12pt]{article}',
+                    '\\usepackage[T1]{fontenc}',
+                    '\\usepackage[utf8]{inputenc}',
+                    ...common,
+                    `\\usepackage[${numeric ? 'numbers,square' : 'round'}]{natbib}`,
+                    '\\usepackage[hidelinks]{hyperref}'
+                ];
+                titleBlock = [
+                    `\\title{${title}}`,
+                    `\\author{${[author, institution].filter(Boolean).join(' \\\\ ')}}`,
+                    `\\date{${date}}`
+                ];
+                if (hasBibliography) {
+                    bibliography = `\\nocite{*}\n\\bibliographystyle{${numeric ? 'unsrtnat' : 'plainnat'}}\n\\bibliography{references}`;
+                }
+        }
+
+        return [
+            ...preamble,
+            '',
+            ...titleBlock,
+            '',
+            '\\begin{document}',
+            '\\maketitle',
+            '',
+            body,
+            '',
+            ...(bibliography ? [bibliography, ''] : []),
+            '\\end{document}',
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = LatexExporter;
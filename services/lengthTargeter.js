@@ -0,0 +1,334 @@
+const llmService = require('./llmService');
+const languageSupport = require('../utils/languageSupport');
+const latexMath = require('../utils/latexMath');
+const { logger } = require('../utils/logger');
+const { isAbortError } = require('../utils/cancellation');
+
+/**
+ * Length Targeter
+ * Brings generated text to a target length by expanding or trimming individual sections
+ * instead of regenerating the whole piece. Each pass measures the gap, spreads it over
+ * the sections best placed to absorb it, and rewrites only those sections.
+ *
+ * Counting options decide what counts toward the total:
+ * - excludeHeadings: section headings do not count
+ * - excludeReferences: the reference list / bibliography does not count
+ * - excludeCitations: in-text citations such as (Smith, 2020) or [3] do not count
+ */
+class LengthTargeter {
+    constructor() {
+        this.DEFAULT_TOLERANCE = 0.03;
+        this.MIN_TOLERANCE = 0.01;
+        this.MAX_TOLERANCE = 0.2;
+        this.MAX_PASSES = 3;
+        this.MAX_SECTIONS_PER_PASS = 3;
+        // A single rewrite may grow a section by 60% or shrink it by 40%; larger gaps take more passes
+        this.MAX_EXPAND_RATIO = 0.6;
+        this.MAX_TRIM_RATIO = 0.4;
+        this.MIN_ADJUSTABLE_WORDS = 30;
+
+        this.REFERENCE_HEADINGS = /^(references|reference list|bibliography|works cited|sources|literature cited)$/i;
+        this.CITATION_PATTERN = /\([^()]*?\d{4}[a-z]?[^()]*\)|\[\d+(?:\s*[-–,]\s*\d+)*\]/gu;
+    }
+
+    /**
+     * Validate counting options and tolerance from a request
+     * @param {Object} input - { tolerance, excludeHeadings, excludeReferences, excludeCitations }
+     * @returns {Object} Normalized options
+     */
+    normalizeOptions(input = {}) {
+        const tolerance = input.tolerance === undefined || input.tolerance === null || input.tolerance === ''
+            ? this.DEFAULT_TOLERANCE
+            : Number(input.tolerance);
+        if (!Number.isFinite(tolerance) || tolerance < this.MIN_TOLERANCE || tolerance > this.MAX_TOLERANCE) {
+            const error = new Error(`Word count tolerance must be between ${this.MIN_TOLERANCE} and ${this.MAX_TOLERANCE}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const flag = (value) => value === true || value === 'true';
+        return {
+            tolerance,
+            excludeHeadings: flag(input.excludeHeadings),
+            excludeReferences: flag(input.excludeReferences),
+            excludeCitations: flag(input.excludeCitations)
+        };
+    }
+
+    /**
+     * Split text into blocks: one per markdown heading, or one per paragraph when there are none
+     * @returns {Array<Object>} [{ heading, body, isReferences }]
+     */
+    splitBlocks(content) {
+        const text = content || '';
+        const lines = text.split('\n');
+        const hasHeadings = lines.some(line => /^#{1,6}\s+\S/.test(line.trim()));
+
+        if (!hasHeadings) {
+            return text.split(/\n\s*\n/)
+                .filter(paragraph => paragraph.trim())
+                .map(paragraph => ({ heading: null, body: paragraph.trim(), isReferences: false }));
+        }
+
+        const blocks = [];
+        let current = { heading: null, body: '', isReferences: false };
+        let inReferences = false;
+        lines.forEach(line => {
+            const match = line.trim().match(/^(#{1,6})\s+(.+?)\s*#*$/);
+            if (match) {
+                blocks.push(current);
+                const title = match[2].trim();
+                if (this.REFERENCE_HEADINGS.test(title.replace(/[^\p{L}\s]/gu, '').trim())) {
+                    inReferences = true;
+                } else if (inReferences && match[1].length <= 2) {
+                    // A new top-level section (e.g. an appendix) ends the reference list
+                    inReferences = false;
+                }
+                current = { heading: line.trim(), body: '', isReferences: inReferences };
+            } else {
+                current.body += `${line}\n`;
+            }
+        });
+        blocks.push(current);
+
+        return blocks
+            .map(block => ({ ...block, body: block.body.trim() }))
+            .filter(block => block.heading || block.body);
+    }
+
+    joinBlocks(blocks) {
+        return blocks
+            .map(block => (block.heading ? (block.body ? `${block.heading}\n\n${block.body}` : block.heading) : block.body))
+            .join('\n\n');
+    }
+
+    countText(text, options = {}) {
+        const counted = options.excludeCitations ? text.replace(this.CITATION_PATTERN, ' ') : text;
+        // Markdown markup is not a word
+        return languageSupport.countWords(counted.replace(/[#*_>`|]+/g, ' '));
+    }
+
+    countBlock(block, options = {}) {
+        if (block.isReferences && options.excludeReferences) {
+            return 0;
+        }
+        const headingWords = block.heading && !options.excludeHeadings ? this.countText(block.heading, options) : 0;
+        return headingWords + this.countText(block.body, options);
+    }
+
+    /**
+     * Length of text as counted toward the target
+     */
+    countTowardTarget(content, options = {}) {
+        return this.splitBlocks(content).reduce((total, block) => total + this.countBlock(block, options), 0);
+    }
+
+    /**
+     * Expand or trim sections until the counted length is within tolerance of the target
+     * @param {string} content - Generated text
+     * @param {Object} params - Targeting parameters
+     * @param {number} params.targetWords - Target length in the language's unit
+     * @param {Object} params.options - Output of normalizeOptions
+     * @param {string} params.qualityTier - Quality tier for the rewrite model
+     * @param {string} params.userPlan - User plan
+     * @param {Object} params.usage - LLM usage context ({ userId, feature })
+     * @param {string} params.language - Content language code
+     * @param {string} params.style - Writing style
+     * @param {string} params.tone - Writing tone
+     * @param {Function} params.onProgress - Optional progress callback
+     * @returns {Promise<Object>} { content, targetWords, tolerance, initialWordCount, finalWordCount, withinTolerance, passes }
+     */
+    async converge(content, params) {
+        const {
+            targetWords,
+            options = this.normalizeOptions(),
+            qualityTier = 'standard',
+            userPlan = null,
+            usage = {},
+            language = languageSupport.DEFAULT_LANGUAGE,
+            style = 'Academic',
+            tone = 'Formal',
+            onProgress = null
+        } = params;
+
+        const allowance = Math.max(1, Math.round(targetWords * options.tolerance));
+        let blocks = this.splitBlocks(content);
+        let counted = blocks.reduce((total, block) => total + this.countBlock(block, options), 0);
+        const initialWordCount = counted;
+        const passes = [];
+        const client = llmService.getClient(qualityTier, userPlan);
+
+        for (let pass = 1; pass <= this.MAX_PASSES && Math.abs(targetWords - counted) > allowance; pass++) {
+            if (!client.isAvailable()) {
+                break;
+            }
+
+            const gap = targetWords - counted;
+            const plan = this.planAdjustments(blocks, gap, options);
+            if (plan.length === 0) {
+                break;
+            }
+
+            const adjustments = [];
+            for (const { index, fromWords, toWords } of plan) {
+                const block = blocks[index];
+                const action = toWords > fromWords ? 'expand' : 'trim';
+                let newWords = fromWords;
+                let accepted = false;
+
+                try {
+                    // Equations go out as placeholders and must all come back untouched
+                    const shielded = latexMath.protectMath(block.body);
+                    const result = await client.generate(this.buildAdjustmentPrompt({
+                        block: { ...block, body: shielded.text },
+                        blocks,
+                        index,
+                        action,
+                        toWords,
+                        language,
+                        style,
+                        tone,
+                        equations: shielded.spans.length
+                    }), {
+                        temperature: 0.5,
+                        usage: { ...usage, feature: `${usage.feature || 'writer'}.lengthTarget` }
+                    });
+                    const cleaned = this.cleanRewrite(result.text, block);
+                    const mathIntact = latexMath.placeholdersIntact(cleaned, shielded.spans);
+                    const rewritten = latexMath.restoreMath(cleaned, shielded.spans);
+                    const rewrittenWords = this.countText(rewritten, options);
+
+                    // Keep the rewrite only if it moved the section toward its target
+                    if (rewritten && mathIntact && Math.abs(toWords - rewrittenWords) < Math.abs(toWords - fromWords)) {
+                        blocks[index] = { ...block, body: rewritten };
+                        newWords = rewrittenWords;
+                        accepted = true;
+                    }
+                } catch (error) {
+                    if (isAbortError(error)) {
+                        // Hand back the text with the adjustments accepted so far
+                        error.partialContent = this.joinBlocks(blocks);
+                        throw error;
+                    }
+                    logger.warn('Section length adjustment failed', {
+                        service: 'LengthTargeter',
+                        method: 'converge',
+                        pass,
+                        section: block.heading || `paragraph ${index + 1}`,
+                        error: error.message
+                    });
+                }
+
+                adjustments.push({
+                    section: block.heading ? block.heading.replace(/^#+\s*/, '') : `Paragraph ${index + 1}`,
+                    action,
+                    fromWords,
+                    targetWords: toWords,
+                    toWords: newWords,
+                    accepted
+                });
+            }
+
+            const before = counted;
+            counted = blocks.reduce((total, block) => total + this.countBlock(block, options), 0);
+            const passReport = {
+                pass,
+                wordCountBefore: before,
+                wordCountAfter: counted,
+                gapBefore: gap,
+                gapAfter: targetWords - counted,
+                adjustments
+            };
+            passes.push(passReport);
+
+            if (onProgress) {
+                onProgress('length_adjusted', { ...passReport, totalWords: counted, targetWords });
+            }
+
+            if (!adjustments.some(adjustment => adjustment.accepted)) {
+                break;
+            }
+        }
+
+        return {
+            content: passes.length > 0 ? this.joinBlocks(blocks) : content,
+            targetWords,
+            tolerance: options.tolerance,
+            counting: {
+                excludeHeadings: options.excludeHeadings,
+                excludeReferences: options.excludeReferences,
+                excludeCitations: options.excludeCitations
+            },
+            initialWordCount,
+            finalWordCount: counted,
+            withinTolerance: Math.abs(targetWords - counted) <= allowance,
+            passes
+        };
+    }
+
+    /**
+     * Choose the sections to rewrite and the length each should reach
+     * The longest sections carry the argument, so they absorb the gap in proportion to their
+     * length, capped per section so no single rewrite has to change too much. The reference
+     * list and very short blocks are never rewritten.
+     * @returns {Array<Object>} [{ index, fromWords, toWords }]
+     */
+    planAdjustments(blocks, gap, options) {
+        const candidates = blocks
+            .map((block, index) => ({ index, words: this.countText(block.body, options), block }))
+            .filter(({ block, words }) => !block.isReferences && words >= this.MIN_ADJUSTABLE_WORDS)
+            .sort((a, b) => b.words - a.words)
+            .slice(0, this.MAX_SECTIONS_PER_PASS);
+
+        const pool = candidates.reduce((total, candidate) => total + candidate.words, 0);
+        if (pool === 0) {
+            return [];
+        }
+
+        return candidates
+            .map(({ index, words }) => {
+                const share = Math.round(gap * (words / pool));
+                const limit = gap > 0 ? Math.ceil(words * this.MAX_EXPAND_RATIO) : -Math.floor(words * this.MAX_TRIM_RATIO);
+                const change = gap > 0 ? Math.min(share, limit) : Math.max(share, limit);
+                return { index, fromWords: words, toWords: words + change };
+            })
+            .filter(({ fromWords, toWords }) => toWords !== fromWords);
+    }
+
+    buildAdjustmentPrompt({ block, blocks, index, action, toWords, language, style, tone, equations = 0 }) {
+        const length = languageSupport.describeLength(toWords, language);
+        const task = action === 'expand'
+            ? `Expand this section to ${length}. Add depth, evidence, examples or explanation that fit the argument; do not pad with repetition.`
+            : `Trim this section to ${length}. Remove repetition and minor detail; keep every key point, citation and figure.`;
+        const previous = index > 0 ? blocks[index - 1].body.split(/\s+/).slice(-60).join(' ') : '';
+        const next = index < blocks.length - 1 ? blocks[index + 1].body.split(/\s+/).slice(0, 60).join(' ') : '';
+        const languageNote = languageSupport.languageInstruction(language);
+
+        return `${task}
+Keep the ${style.toLowerCase()} style and ${tone.toLowerCase()} tone${block.heading ? ` of the "${block.heading.replace(/^#+\s*/, '')}" section` : ''}.
+${previous ? `\nThe text before it ends:\n"${previous}"\n` : ''}${next ? `\nThe text after it begins:\n"${next}"\n` : ''}
+Section:
+"""
+${block.body}
+"""
+${languageNote ? `\n${languageNote}\n` : ''}${equations > 0 ? `\n${latexMath.placeholderInstruction(equations)}\n` : ''}
+Return only the rewritten section text, without its heading or any commentary.`;
+    }
+
+    /**
+     * Strip wrappers models add around a rewritten section (quotes, a repeated heading)
+     */
+    cleanRewrite(text, block) {
+        let cleaned = (text || '').trim().replace(/^"""\s*|\s*"""$/g, '').trim();
+        if (block.heading) {
+            const headingText = block.heading.replace(/^#+\s*/, '').trim().toLowerCase();
+            const lines = cleaned.split('\n');
+            if (lines[0] && lines[0].replace(/^#+\s*/, '').replace(/[*:]/g, '').trim().toLowerCase() === headingText) {
+                cleaned = lines.slice(1).join('\n').trim();
+            }
+        }
+        return cleaned;
+    }
+}
+
+module.exports = new LengthTargeter();
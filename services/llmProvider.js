@@ -0,0 +1,438 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const serviceConfig = require('../config/serviceConfig');
+const { logger } = require('../utils/logger');
+const usageLedger = require('./llmUsageLedger');
+const { createAbortError, throwIfAborted, raceWithSignal } = require('../utils/cancellation');
+
+/**
+ * LLM Provider abstraction
+ * Every service that talks to a language model goes through this module so the
+ * provider and model can be chosen per tool and per plan in config/serviceConfig.js.
+ *
+ * Adapters:
+ *  - gemini: Google Generative AI SDK
+ *  - openai: any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, llama.cpp server, ...)
+ *  - mock:   deterministic local text for tests and offline development
+ */
+
+/**
+ * Base class for provider adapters
+ */
+class LLMProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    /**
+     * Whether the provider has the credentials/endpoint it needs
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * Generate a completion
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { model, temperature, maxOutputTokens, topK, topP, signal }
+     * @returns {Promise<Object>} { text, usage: { promptTokens, completionTokens, totalTokens, estimated }, model, provider }
+     */
+    async generate(prompt, options = {}) {
+        throw new Error(`Provider ${this.name} does not implement generate()`);
+    }
+
+    /**
+     * Rough token estimate for providers that do not report usage
+     * @param {string} text - Text to measure
+     * @returns {number} Estimated tokens (~4 characters per token)
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+}
+
+/**
+ * Google Gemini adapter
+ */
+class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('gemini', config);
+        this.client = null;
+    }
+
+    isConfigured() {
+        const apiKey = this.config.apiKey;
+        return !!apiKey && !['your-gemini-api-key-here', 'your_gemini_api_key_here'].includes(apiKey);
+    }
+
+    getClient() {
+        if (!this.client) {
+            const { GoogleGenerativeAI } = require('@google/generative-ai');
+            this.client = new GoogleGenerativeAI(this.config.apiKey);
+        }
+        return this.client;
+    }
+
+    async generate(prompt, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('Gemini API key not configured');
+        }
+
+        const model = this.getClient().getGenerativeModel({ model: options.model });
+        const generationConfig = {};
+        if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+        if (options.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = options.maxOutputTokens;
+        if (options.topK !== undefined) generationConfig.topK = options.topK;
+        if (options.topP !== undefined) generationConfig.topP = options.topP;
+
+        const result = await model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig
+        }, options.signal ? { signal: options.signal } : undefined);
+        const response = await result.response;
+        const text = response.text();
+        const usage = response.usageMetadata || {};
+
+        return {
+            text,
+            usage: {
+                promptTokens: usage.promptTokenCount ?? this.estimateTokens(prompt),
+                completionTokens: usage.candidatesTokenCount ?? this.estimateTokens(text),
+                totalTokens: usage.totalTokenCount ?? this.estimateTokens(prompt) + this.estimateTokens(text),
+                estimated: usage.promptTokenCount === undefined
+            },
+            model: options.model,
+            provider: this.name
+        };
+    }
+}
+
+/**
+ * OpenAI-compatible HTTP adapter (chat completions)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('openai', config);
+    }
+
+    isConfigured() {
+        return !!this.config.baseUrl;
+    }
+
+    async generate(prompt, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('OpenAI-compatible endpoint not configured');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers.Authorization = `Bearer ${this.config.apiKey}`;
+        }
+
+        const body = {
+            model: options.model,
+            messages: [{ role: 'user', content: prompt }]
+        };
+        if (options.temperature !== undefined) body.temperature = options.temperature;
+        if (options.maxOutputTokens !== undefined) body.max_tokens = options.maxOutputTokens;
+        if (options.topP !== undefined) body.top_p = options.topP;
+
+        const url = `${this.config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        let response;
+        try {
+            response = await axios.post(url, body, {
+                headers,
+                timeout: this.config.timeout || 120000,
+                signal: options.signal
+            });
+        } catch (error) {
+            // Surface the HTTP status in the message so callers' retry logic can see it
+            const status = error.response?.status;
+            throw new Error(status ? `OpenAI-compatible request failed with status ${status}: ${error.message}` : error.message);
+        }
+
+        const text = response.data?.choices?.[0]?.message?.content || '';
+        const usage = response.data?.usage || {};
+
+        return {
+            text,
+            usage: {
+                promptTokens: usage.prompt_tokens ?? this.estimateTokens(prompt),
+                completionTokens: usage.completion_tokens ?? this.estimateTokens(text),
+                totalTokens: usage.total_tokens ?? this.estimateTokens(prompt) + this.estimateTokens(text),
+                estimated: usage.prompt_tokens === undefined
+            },
+            model: response.data?.model || options.model,
+            provider: this.name
+        };
+    }
+}
+
+/**
+ * Deterministic mock adapter
+ * The same prompt always yields the same text, sized to the word count the prompt asks for.
+ */
+class MockLLMProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('mock', config);
+        this.sentences = [
+            'This section examines the central question and the evidence that bears on it.',
+            'Several perspectives in the literature offer useful points of comparison.',
+            'A closer reading of the sources shows both agreement and notable tension.',
+            'The analysis that follows weighs these positions against the available data.',
+            'Practical implications emerge when the theory is applied to concrete cases.',
+            'Critics have raised objections that deserve careful consideration.',
+            'Taken together, the findings suggest a more nuanced interpretation.',
+            'Further work could test these claims with a broader range of examples.',
+            'The argument therefore rests on a balance of empirical and conceptual support.',
+            'These observations lead naturally to the next stage of the discussion.'
+        ];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async generate(prompt, options = {}) {
+        const text = this.buildText(prompt);
+        return {
+            text,
+            usage: {
+                promptTokens: this.estimateTokens(prompt),
+                completionTokens: this.estimateTokens(text),
+                totalTokens: this.estimateTokens(prompt) + this.estimateTokens(text),
+                estimated: true
+            },
+            model: options.model || 'mock',
+            provider: this.name
+        };
+    }
+
+    buildText(prompt) {
+        // Structured prompts get an empty structure so JSON parsing callers take their default path
+        if (/JSON array/i.test(prompt)) return '[]';
+        if (/\bJSON\b/.test(prompt)) return '{}';
+
+        const match = prompt.match(/(\d{2,5})\s*words/i);
+        const targetWords = Math.min(match ? parseInt(match[1]) : 200, 5000);
+
+        // Seed a small PRNG from the prompt hash so output is stable across runs
+        let seed = parseInt(crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8), 16);
+        const next = () => {
+            seed = (seed * 1664525 + 1013904223) % 4294967296;
+            return seed / 4294967296;
+        };
+
+        const paragraphs = [];
+        let words = 0;
+        let paragraph = [];
+        while (words < targetWords) {
+            const sentence = this.sentences[Math.floor(next() * this.sentences.length)];
+            paragraph.push(sentence);
+            words += sentence.split(/\s+/).length;
+            if (paragraph.length >= 5) {
+                paragraphs.push(paragraph.join(' '));
+                paragraph = [];
+            }
+        }
+        if (paragraph.length > 0) {
+            paragraphs.push(paragraph.join(' '));
+        }
+
+        return paragraphs.join('\n\n');
+    }
+}
+
+/**
+ * A provider bound to a model for one tool
+ */
+class LLMClient {
+    constructor(provider, model, tool, plan = null) {
+        this.provider = provider;
+        this.providerName = provider.name;
+        this.model = model;
+        this.tool = tool;
+        this.plan = plan;
+    }
+
+    isAvailable() {
+        return this.provider.isConfigured();
+    }
+
+    /**
+     * Generate text with the bound provider and model
+     * Every call, successful or not, is recorded in the LLM usage ledger.
+     * The abort signal may also travel in the usage context, which is how services that only
+     * pass usage along (withUsage clients, helpers taking `usage`) become cancellable.
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options (temperature, maxOutputTokens, topK, topP)
+     * @param {Object} options.usage - Accounting context { userId, feature, plan, attempt, signal }
+     * @param {AbortSignal} options.signal - Cancels the call (defaults to options.usage.signal)
+     * @returns {Promise<Object>} { text, usage, model, provider, latencyMs }
+     */
+    async generate(prompt, options = {}) {
+        const { usage: context = {}, signal = context.signal || null, ...generationOptions } = options;
+        throwIfAborted(signal);
+        const startTime = Date.now();
+        let result;
+
+        try {
+            result = await raceWithSignal(
+                this.provider.generate(prompt, { ...generationOptions, model: this.model, signal }),
+                signal
+            );
+        } catch (error) {
+            this.recordUsage(context, {
+                latencyMs: Date.now() - startTime,
+                promptTokens: this.provider.estimateTokens(prompt),
+                completionTokens: 0,
+                estimated: true,
+                success: false,
+                error
+            });
+            // Providers report aborts in their own ways; callers only need to recognize one
+            throw signal && signal.aborted ? createAbortError() : error;
+        }
+
+        const latencyMs = Date.now() - startTime;
+        this.recordUsage(context, {
+            latencyMs,
+            model: result.model,
+            promptTokens: result.usage?.promptTokens || 0,
+            completionTokens: result.usage?.completionTokens || 0,
+            estimated: !!result.usage?.estimated,
+            success: true
+        });
+
+        return {
+            ...result,
+            latencyMs
+        };
+    }
+
+    /**
+     * Client for the same provider and model whose calls are attributed to the given context
+     * Useful when a client is handed through several helpers that each call generate().
+     * @param {Object} context - { userId, feature, plan }
+     * @returns {LLMClient} Bound client
+     */
+    withUsage(context = {}) {
+        const bound = new LLMClient(this.provider, this.model, this.tool, context.plan || this.plan);
+        const baseGenerate = bound.generate.bind(bound);
+        bound.generate = (prompt, options = {}) => baseGenerate(prompt, {
+            ...options,
+            usage: { ...context, ...options.usage }
+        });
+        return bound;
+    }
+
+    recordUsage(context, outcome) {
+        usageLedger.record({
+            tool: this.tool,
+            provider: this.providerName,
+            model: outcome.model || this.model,
+            plan: context.plan || this.plan,
+            userId: context.userId || null,
+            feature: context.feature || this.tool,
+            attempt: context.attempt || 1,
+            ...outcome
+        });
+    }
+}
+
+const PROVIDER_CLASSES = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockLLMProvider
+};
+
+/**
+ * Resolves tool/plan routing from serviceConfig and caches provider instances
+ */
+class LLMProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Get (or create) a provider adapter by name
+     * @param {string} name - Provider name
+     * @returns {LLMProvider} Provider instance
+     */
+    getProvider(name) {
+        if (!this.providers.has(name)) {
+            const ProviderClass = PROVIDER_CLASSES[name];
+            if (!ProviderClass) {
+                throw new Error(`Unknown LLM provider: ${name}`);
+            }
+            const providerConfig = serviceConfig.getConfig('llm', 'providers')?.[name] || {};
+            this.providers.set(name, new ProviderClass(providerConfig));
+        }
+        return this.providers.get(name);
+    }
+
+    /**
+     * Resolve provider and model for a tool and plan
+     * Order: tool default < plan override < LLM_PROVIDER environment override
+     * @param {string} tool - Tool key from serviceConfig llm.tools
+     * @param {string} plan - User plan type (freemium, pro, custom)
+     * @returns {Object} { provider, model }
+     */
+    resolve(tool, plan = null) {
+        const tools = serviceConfig.getConfig('llm', 'tools') || {};
+        const planOverrides = serviceConfig.getConfig('llm', 'planOverrides') || {};
+        const providers = serviceConfig.getConfig('llm', 'providers') || {};
+
+        const toolConfig = tools[tool];
+        if (!toolConfig) {
+            throw new Error(`No LLM routing configured for tool: ${tool}`);
+        }
+
+        const planKey = plan ? String(plan).toLowerCase() : null;
+        const routing = {
+            ...toolConfig,
+            ...(planKey && planOverrides[planKey] ? planOverrides[planKey][tool] : {})
+        };
+
+        const forcedProvider = serviceConfig.getConfig('llm', 'forceProvider');
+        if (forcedProvider && forcedProvider !== routing.provider) {
+            return {
+                provider: forcedProvider,
+                model: providers[forcedProvider]?.defaultModel || routing.model
+            };
+        }
+
+        return routing;
+    }
+
+    /**
+     * Get a client bound to the provider/model configured for a tool
+     * @param {string} tool - Tool key
+     * @param {string} plan - Optional user plan type
+     * @returns {LLMClient} Bound client
+     */
+    forTool(tool, plan = null) {
+        const { provider, model } = this.resolve(tool, plan);
+        const client = new LLMClient(this.getProvider(provider), model, tool, plan);
+
+        logger.debug('Resolved LLM client', {
+            service: 'LLMProvider',
+            method: 'forTool',
+            tool,
+            plan,
+            provider,
+            model
+        });
+
+        return client;
+    }
+}
+
+module.exports = new LLMProviderRegistry();
+module.exports.LLMProvider = LLMProvider;
+module.exports.GeminiProvider = GeminiProvider;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.MockLLMProvider = MockLLMProvider;
+module.exports.LLMClient = LLMClient;
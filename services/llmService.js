@@ -1,5 +1,8 @@
 const axios = require('axios');
+const llmProvider = require('./llmProvider');
 const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
+const { isAbortError } = require('../utils/cancellation');
 
 /**
  * LLM Service for AI Content Generation
@@ -8,12 +11,8 @@ const { logger } = require('../utils/logger');
 
 class LLMService {
     constructor() {
-        // Gemini Configuration
-        this.geminiApiKey = process.env.GEMINI_API_KEY;
-        this.isGeminiConfigured = this.geminiApiKey && this.geminiApiKey !== 'your-gemini-api-key-here';
-        
-        // Service is configured if Gemini is available
-        this.isConfigured = this.isGeminiConfigured;
+        // Provider and model are resolved per call from config/serviceConfig.js (llm.tools)
+        this.llmProvider = llmProvider;
         this.maxRetries = 3;
         this.retryDelay = 1000; // 1 second
         this.fallbackEnabled = true;
@@ -31,11 +30,16 @@ class LLMService {
      * @param {string} tone - Writing tone
      * @param {number} wordCount - Target word count
      * @param {string} qualityTier - Quality tier ('standard' or 'premium')
+     * @param {string} userPlan - Optional plan type used to pick the provider/model
+     * @param {Object} usage - Accounting context for the LLM usage ledger { userId, feature }; a `signal` here cancels the call
+     * @param {string} language - Output language code; wordCount is in that language's unit
      * @returns {Promise<Object>} Generated content with metadata
      */
-    async generateContent(prompt, style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard') {
-        // Check if any LLM service is configured
-        if (!this.isConfigured) {
+    async generateContent(prompt, style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard', userPlan = null, usage = {}, language = 'en') {
+        const client = this.getClient(qualityTier, userPlan);
+        
+        // Check if the configured LLM provider is usable
+        if (!client.isAvailable()) {
             throw new Error('AI content generation service is not configured. Please contact support to enable this feature.');
         }
         
@@ -59,14 +63,16 @@ class LLMService {
             attempt++;
             
             try {
-                const result = await this._attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier);
+                const result = await this._attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier, client, { ...usage, attempt }, language);
                 
                 // Success - reset failure count
                 this._recordSuccess();
                 
                 return {
                     content: result,
-                    source: qualityTier === 'premium' ? 'gemini-pro' : 'gemini-flash',
+                    source: `${client.providerName}:${client.model}`,
+                    provider: client.providerName,
+                    model: client.model,
                     attempt: attempt,
                     generationTime: Date.now() - startTime,
                     fallbackUsed: false,
@@ -74,6 +80,10 @@ class LLMService {
                 };
 
             } catch (error) {
+                // A cancelled request is neither a provider failure nor worth a fallback
+                if (isAbortError(error)) {
+                    throw error;
+                }
                 lastError = error;
                 logger.error('LLM generation attempt failed', {
                     service: 'LLMService',
@@ -112,31 +122,37 @@ class LLMService {
         return this._generateFallbackContent(prompt, style, tone, wordCount, 'llm_failure', lastError);
     }
 
+    /**
+     * Get the LLM client for a quality tier
+     * Standard tier uses the 'writer' tool routing, premium uses 'writerPremium'
+     * @param {string} qualityTier - Quality tier ('standard' or 'premium')
+     * @param {string} userPlan - Optional plan type
+     * @returns {LLMClient} Bound provider client
+     */
+    getClient(qualityTier = 'standard', userPlan = null) {
+        return this.llmProvider.forTool(qualityTier === 'premium' ? 'writerPremium' : 'writer', userPlan);
+    }
+
     /**
      * Attempt LLM generation (single try)
      */
-    async _attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier = 'standard') {
-        // Use Gemini 2.5 Flash for standard tier, Gemini 2.5 Pro for premium
-        if (!this.geminiApiKey) {
-            throw new Error('Gemini API key not configured');
+    async _attemptLLMGeneration(prompt, style, tone, wordCount, qualityTier = 'standard', client = null, usage = {}, language = 'en') {
+        const llmClient = client || this.getClient(qualityTier);
+        if (!llmClient.isAvailable()) {
+            throw new Error(`LLM provider ${llmClient.providerName} not configured`);
         }
-
-        const { GoogleGenerativeAI } = require('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(this.geminiApiKey);
-        
-        // Select model based on quality tier
-        const modelName = qualityTier === 'premium' ? 'gemini-2.5-pro' : 'gemini-2.5-flash';
-        const model = genAI.getGenerativeModel({ model: modelName });
         
-        const systemPrompt = this.buildSystemPrompt(style, tone, wordCount);
-        const userPrompt = this.buildUserPrompt(prompt, wordCount);
+        const systemPrompt = this.buildSystemPrompt(style, tone, wordCount, language);
+        const userPrompt = this.buildUserPrompt(prompt, wordCount, language);
         
         // For standard tier: direct generation without detection
         const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
         
-        const result = await model.generateContent(fullPrompt);
-        const response = await result.response;
-        return response.text();
+        const result = await llmClient.generate(fullPrompt, {
+            temperature: this.getTemperatureForStyle(style),
+            usage
+        });
+        return result.text;
     }
 
     /**
@@ -250,7 +266,7 @@ class LLMService {
     /**
      * Build system prompt based on style and tone
      */
-    buildSystemPrompt(style, tone, wordCount) {
+    buildSystemPrompt(style, tone, wordCount, language = 'en') {
         const styleInstructions = {
             'Academic': 'Write in a scholarly, research-based manner with proper citations and formal language. Use evidence-based arguments and maintain objectivity.',
             'Business': 'Write in a professional business context with clear, actionable insights. Focus on practical applications and strategic thinking.',
@@ -263,21 +279,23 @@ class LLMService {
             'Persuasive': 'Use persuasive language to convince and engage the reader.'
         };
 
-        return `You are an expert writer specializing in ${style.toLowerCase()} writing. ${styleInstructions[style] || styleInstructions['Academic']} ${toneInstructions[tone] || toneInstructions['Formal']} 
+        const languageNote = languageSupport.languageInstruction(language);
+
+        return `You are an expert writer specializing in ${style.toLowerCase()} writing. ${styleInstructions[style] || styleInstructions['Academic']} ${toneInstructions[tone] || toneInstructions['Formal']} ${languageNote}
 
-Target word count: approximately ${wordCount} words. Structure your response with clear sections including an introduction, main body with multiple paragraphs, and a conclusion. Ensure the content is well-researched, original, and meets academic standards.`;
+Target length: approximately ${languageSupport.describeLength(wordCount, language)}. Structure your response with clear sections including an introduction, main body with multiple paragraphs, and a conclusion. Ensure the content is well-researched, original, and meets academic standards.`;
     }
 
     /**
      * Build user prompt with specific requirements
      */
-    buildUserPrompt(prompt, wordCount) {
+    buildUserPrompt(prompt, wordCount, language = 'en') {
         return `Please write a comprehensive piece on the following topic:
 
 ${prompt}
 
 Requirements:
-- Target length: ${wordCount} words
+- Target length: ${languageSupport.describeLength(wordCount, language)}
 - Include proper structure with introduction, body, and conclusion
 - Provide detailed analysis and insights
 - Ensure originality and quality
@@ -326,9 +344,13 @@ Requirements:
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
      * @param {number} wordCount - Target word count
+     * @param {string} qualityTier - Quality tier ('standard' or 'premium')
+     * @param {string} userPlan - Optional plan type
+     * @param {Object} usage - Accounting context for the LLM usage ledger { userId, feature }
+     * @param {string} language - Output language code
      * @returns {Promise<Object>} Polished content with metadata
      */
-    async polishExistingContent(sections, prompt, style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard') {
+    async polishExistingContent(sections, prompt, style = 'Academic', tone = 'Formal', wordCount = 500, qualityTier = 'standard', userPlan = null, usage = {}, language = 'en') {
         const startTime = Date.now();
         
         try {
@@ -343,7 +365,7 @@ ${baseContent}
 
 New Requirements:
 - Prompt: ${prompt}
-- Target word count: ${wordCount} words
+- Target length: ${languageSupport.describeLength(wordCount, language)}
 - Style: ${style}
 - Tone: ${tone}
 
@@ -351,9 +373,10 @@ Instructions:
 1. Maintain the core ideas but adapt to the new prompt
 2. Adjust the content to match the specified style and tone
 3. Ensure the content flows naturally and coherently
-4. Target exactly ${wordCount} words
+4. Target exactly ${languageSupport.describeLength(wordCount, language)}
 5. Make the content original and avoid AI detection patterns
 6. Preserve key information while improving readability
+${languageSupport.languageInstruction(language)}
 
 Polished Content:`;
             
@@ -361,8 +384,11 @@ Polished Content:`;
             let polishedContent;
             
             try {
-                polishedContent = await this._attemptLLMGeneration(polishPrompt, style, tone, wordCount, qualityTier);
+                polishedContent = await this._attemptLLMGeneration(polishPrompt, style, tone, wordCount, qualityTier, this.getClient(qualityTier, userPlan), usage, language);
             } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
                 logger.warn('LLM polishing failed, using enhanced fallback', {
                     service: 'LLMService',
                     method: 'polishExistingContent',
@@ -381,6 +407,9 @@ Polished Content:`;
             };
             
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
             logger.error('Error polishing existing content', {
                 service: 'LLMService',
                 method: 'polishExistingContent',
@@ -409,7 +438,8 @@ Polished Content:`;
             circuitOpen: this.circuitOpen,
             failureCount: this.failureCount,
             lastFailureTime: this.lastFailureTime,
-            apiKeyConfigured: !!this.apiKey,
+            apiKeyConfigured: this.getClient().isAvailable(),
+            provider: this.getClient().providerName,
             fallbackEnabled: this.fallbackEnabled
         };
     }
@@ -0,0 +1,297 @@
+const { db, isInitialized } = require('../config/firebase');
+const serviceConfig = require('../config/serviceConfig');
+const { logger } = require('../utils/logger');
+
+/**
+ * LLM Usage Ledger
+ * Records every LLM call (provider, model, tokens, latency, retries, user, feature and cost)
+ * in the `llmUsage` Firestore collection and aggregates cost against credit revenue for admins.
+ * Without Firestore the most recent records are kept in memory so the report still works locally.
+ */
+class LLMUsageLedger {
+    constructor() {
+        this.db = isInitialized ? db : null;
+        this.isInitialized = isInitialized;
+        this.COLLECTION = 'llmUsage';
+        this.MAX_MEMORY_RECORDS = 5000;
+        this.MAX_REPORT_RECORDS = 50000;
+        this.MAX_REPORT_DAYS = 92;
+        this.memoryRecords = [];
+
+        // LLM tools -> the credit tool type their calls are charged under (atomicCreditSystem toolType)
+        this.BILLING_TOOLS = {
+            writer: 'writing',
+            writerPremium: 'writing',
+            multiPartDraft: 'writing',
+            multiPartRefine: 'writing',
+            rubricAssessment: 'writing',
+            research: 'research',
+            detector: 'detector',
+            promptEngineer: 'prompt',
+            citations: 'writing'
+        };
+        this.CREDIT_TOOL_ALIASES = {
+            detector_generation: 'detector'
+        };
+    }
+
+    /**
+     * Cost of a call in USD from the configured per-million-token prices
+     * @param {string} model - Model name
+     * @param {number} promptTokens - Input tokens
+     * @param {number} completionTokens - Output tokens
+     * @returns {number|null} Cost, or null when the model has no configured price
+     */
+    calculateCost(model, promptTokens, completionTokens) {
+        const pricing = serviceConfig.getConfig('llm', 'pricing') || {};
+        const price = pricing[model];
+        if (!price) {
+            return null;
+        }
+        const cost = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+        return Math.round(cost * 1000000) / 1000000;
+    }
+
+    /**
+     * Record one LLM call
+     * Persisting happens in the background; a failed write is logged and never fails the caller.
+     * @param {Object} call - { tool, provider, model, plan, userId, feature, attempt, promptTokens,
+     *   completionTokens, estimated, latencyMs, success, error }
+     * @returns {Object} The stored record
+     */
+    record(call) {
+        const timestamp = new Date();
+        const promptTokens = Math.max(0, Math.round(call.promptTokens || 0));
+        const completionTokens = Math.max(0, Math.round(call.completionTokens || 0));
+        const attempt = call.attempt || 1;
+
+        const record = {
+            timestamp,
+            day: timestamp.toISOString().substring(0, 10),
+            userId: call.userId || null,
+            plan: call.plan ? String(call.plan).toLowerCase() : 'unknown',
+            tool: call.tool,
+            billingTool: this.BILLING_TOOLS[call.tool] || call.tool,
+            feature: call.feature || call.tool,
+            provider: call.provider,
+            model: call.model,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            tokensEstimated: !!call.estimated,
+            latencyMs: call.latencyMs || 0,
+            attempt,
+            isRetry: attempt > 1,
+            success: call.success !== false,
+            error: call.error ? String(call.error.message || call.error).substring(0, 500) : null,
+            costUsd: this.calculateCost(call.model, promptTokens, completionTokens)
+        };
+
+        logger.aiRequest(record);
+
+        if (!this.db) {
+            this.memoryRecords.push(record);
+            if (this.memoryRecords.length > this.MAX_MEMORY_RECORDS) {
+                this.memoryRecords.shift();
+            }
+            return record;
+        }
+
+        this.db.collection(this.COLLECTION).add(record).catch(error => {
+            logger.error('Failed to store LLM usage record', {
+                service: 'LLMUsageLedger',
+                method: 'record',
+                tool: record.tool,
+                userId: record.userId,
+                error: error.message
+            });
+        });
+
+        return record;
+    }
+
+    /**
+     * Aggregate LLM cost and credit revenue per tool, per plan and per day
+     * Tools are the credit tool types (writing, research, detector, prompt) so cost lines up with
+     * what users are charged; each tool also breaks cost down by the LLM tools behind it.
+     * @param {Object} options - { from, to } as Dates or YYYY-MM-DD strings (default: last 30 days)
+     * @returns {Promise<Object>} { period, totals, byTool, byPlan, byDay }
+     */
+    async aggregate(options = {}) {
+        const { from, to } = this.resolvePeriod(options.from, options.to);
+        const [records, transactions] = await Promise.all([
+            this.loadUsageRecords(from, to),
+            this.loadCreditTransactions(from, to)
+        ]);
+
+        const groups = { totals: {}, byTool: {}, byPlan: {}, byDay: {} };
+        const bucket = (group, key) => {
+            if (!groups[group][key]) groups[group][key] = this.emptyBucket();
+            return groups[group][key];
+        };
+        const totals = this.emptyBucket();
+
+        records.forEach(record => {
+            [totals, bucket('byTool', record.billingTool), bucket('byPlan', record.plan), bucket('byDay', record.day)]
+                .forEach(target => this.addUsage(target, record));
+
+            const toolBucket = bucket('byTool', record.billingTool);
+            const llmTool = toolBucket.llmTools[record.tool] || (toolBucket.llmTools[record.tool] = { calls: 0, totalTokens: 0, costUsd: 0 });
+            llmTool.calls++;
+            llmTool.totalTokens += record.totalTokens;
+            llmTool.costUsd += record.costUsd || 0;
+        });
+
+        const creditValues = serviceConfig.getConfig('llm', 'creditValueUsd') || {};
+        transactions.forEach(transaction => {
+            const tool = this.CREDIT_TOOL_ALIASES[transaction.toolType] || transaction.toolType || 'unattributed';
+            const plan = transaction.planType ? String(transaction.planType).toLowerCase() : 'unknown';
+            const credits = transaction.type === 'refund'
+                ? -(transaction.creditsRefunded || 0)
+                : transaction.amount || 0;
+            const revenue = credits * (creditValues[plan] || 0);
+
+            [totals, bucket('byTool', tool), bucket('byPlan', plan), bucket('byDay', transaction.day)]
+                .forEach(target => {
+                    target.creditsCharged += credits;
+                    target.revenueUsd += revenue;
+                });
+        });
+
+        const finalize = (group) => Object.fromEntries(Object.entries(group)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([key, value]) => [key, this.finalizeBucket(value)]));
+
+        return {
+            period: { from: from.toISOString(), to: to.toISOString() },
+            recordCount: records.length,
+            source: this.db ? 'firestore' : 'memory',
+            totals: this.finalizeBucket(totals),
+            byTool: finalize(groups.byTool),
+            byPlan: finalize(groups.byPlan),
+            byDay: finalize(groups.byDay)
+        };
+    }
+
+    resolvePeriod(fromInput, toInput) {
+        const parse = (value) => {
+            if (!value) return null;
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) {
+                const error = new Error(`Invalid date: ${value}`);
+                error.statusCode = 400;
+                throw error;
+            }
+            return date;
+        };
+
+        const to = parse(toInput) || new Date();
+        // A bare YYYY-MM-DD end date includes that whole day
+        if (typeof toInput === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(toInput)) {
+            to.setUTCDate(to.getUTCDate() + 1);
+        }
+        const from = parse(fromInput) || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        if (from >= to) {
+            const error = new Error('from must be before to');
+            error.statusCode = 400;
+            throw error;
+        }
+        if (to - from > this.MAX_REPORT_DAYS * 24 * 60 * 60 * 1000) {
+            const error = new Error(`Report period cannot exceed ${this.MAX_REPORT_DAYS} days`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return { from, to };
+    }
+
+    async loadUsageRecords(from, to) {
+        if (!this.db) {
+            return this.memoryRecords.filter(record => record.timestamp >= from && record.timestamp < to);
+        }
+
+        const snapshot = await this.db.collection(this.COLLECTION)
+            .where('timestamp', '>=', from)
+            .where('timestamp', '<', to)
+            .limit(this.MAX_REPORT_RECORDS)
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    /**
+     * Credit deductions and refunds in the period, with the day they happened
+     */
+    async loadCreditTransactions(from, to) {
+        if (!this.db) {
+            return [];
+        }
+
+        const snapshot = await this.db.collection('creditTransactions')
+            .where('timestamp', '>=', from)
+            .where('timestamp', '<', to)
+            .limit(this.MAX_REPORT_RECORDS)
+            .get();
+
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(transaction => transaction.type === 'credit_deduction' || transaction.type === 'refund')
+            .map(transaction => {
+                const timestamp = transaction.timestamp?.toDate ? transaction.timestamp.toDate() : new Date(transaction.timestamp);
+                return { ...transaction, day: timestamp.toISOString().substring(0, 10) };
+            });
+    }
+
+    emptyBucket() {
+        return {
+            calls: 0,
+            failedCalls: 0,
+            retries: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            estimatedTokenCalls: 0,
+            unpricedCalls: 0,
+            latencyMs: 0,
+            costUsd: 0,
+            creditsCharged: 0,
+            revenueUsd: 0,
+            llmTools: {}
+        };
+    }
+
+    addUsage(bucket, record) {
+        bucket.calls++;
+        if (!record.success) bucket.failedCalls++;
+        if (record.isRetry) bucket.retries++;
+        if (record.tokensEstimated) bucket.estimatedTokenCalls++;
+        if (record.costUsd === null || record.costUsd === undefined) bucket.unpricedCalls++;
+        bucket.promptTokens += record.promptTokens || 0;
+        bucket.completionTokens += record.completionTokens || 0;
+        bucket.totalTokens += record.totalTokens || 0;
+        bucket.latencyMs += record.latencyMs || 0;
+        bucket.costUsd += record.costUsd || 0;
+    }
+
+    finalizeBucket(bucket) {
+        const round = (value) => Math.round(value * 10000) / 10000;
+        const { latencyMs, llmTools, ...totals } = bucket;
+        const marginUsd = bucket.revenueUsd - bucket.costUsd;
+
+        const result = {
+            ...totals,
+            costUsd: round(bucket.costUsd),
+            revenueUsd: round(bucket.revenueUsd),
+            marginUsd: round(marginUsd),
+            marginPercent: bucket.revenueUsd > 0 ? Math.round((marginUsd / bucket.revenueUsd) * 1000) / 10 : null,
+            avgLatencyMs: bucket.calls > 0 ? Math.round(latencyMs / bucket.calls) : 0
+        };
+
+        if (Object.keys(llmTools).length > 0) {
+            result.llmTools = Object.fromEntries(Object.entries(llmTools)
+                .map(([tool, usage]) => [tool, { ...usage, costUsd: round(usage.costUsd) }]));
+        }
+        return result;
+    }
+}
+
+module.exports = new LLMUsageLedger();
@@ -1,9 +1,15 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const ContentDatabase = require('./contentDatabase');
 const OriginalityDetection = require('./originalityDetection');
 const ZoteroCSLProcessor = require('./zoteroCSL');
 const FinalDetectionService = require('./finalDetection');
+const rubricService = require('./rubricService');
+const generationTraceService = require('./generationTraceService');
+const documentMemory = require('./documentMemory');
 const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
+const latexMath = require('../utils/latexMath');
+const { isAbortError, throwIfAborted } = require('../utils/cancellation');
 
 /**
  * MultiPartGenerator class for chunk-based content generation
@@ -11,31 +17,16 @@ const { logger } = require('../utils/logger');
  */
 class MultiPartGenerator {
     constructor() {
-        // Validate Gemini API key
-        if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your-gemini-api-key-here') {
-            logger.warn('GEMINI_API_KEY not configured. Multi-part generation will use fallback mode.', {
+        // Draft (fast) and refine (strong) models are routed via config/serviceConfig.js
+        this.draftModel = llmProvider.forTool('multiPartDraft');
+        this.refineModel = llmProvider.forTool('multiPartRefine');
+        if (!this.draftModel.isAvailable() || !this.refineModel.isAvailable()) {
+            logger.warn('LLM provider not configured. Multi-part generation will use fallback mode.', {
                 service: 'MultiPartGenerator',
-                method: 'constructor'
+                method: 'constructor',
+                draftProvider: this.draftModel.providerName,
+                refineProvider: this.refineModel.providerName
             });
-            this.genAI = null;
-            this.flashModel = null;
-            this.proModel = null;
-        } else {
-            try {
-                this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-                this.flashModel = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-                this.proModel = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-            } catch (error) {
-                logger.error('Failed to initialize Gemini models', {
-                    service: 'MultiPartGenerator',
-                    method: 'constructor',
-                    error: error.message,
-                    stack: error.stack
-                });
-                this.genAI = null;
-                this.flashModel = null;
-                this.proModel = null;
-            }
         }
         this.contentDatabase = new ContentDatabase();
         this.originalityDetection = new OriginalityDetection();
@@ -57,6 +48,9 @@ class MultiPartGenerator {
 
     /**
      * Generate content in multiple parts with iterative detection and refinement
+     * `signal` cancels the generation: the abort error thrown carries `partialContent`, the
+     * chunks accepted so far. `initialContent` resumes from such a partial text, generating
+     * only the words still missing.
      * @param {Object} params - Generation parameters
      * @returns {Promise<Object>} Generated content with metadata
      */
@@ -73,8 +67,44 @@ class MultiPartGenerator {
             requiresCitations = false,
             citationStyle = 'apa',
             qualityTier = 'standard',
-            enableRefinement = false
+            enableRefinement = false,
+            rubric = null,
+            styleGuidance = '',
+            feature = 'writer.multiPart',
+            language = 'en',
+            initialContent = '',
+            signal = null,
+            onProgress = null
         } = params;
+        // The signal travels with the usage context to every model call
+        const usage = { userId, feature, signal };
+        
+        // Rubric guidance is added to every chunk prompt
+        const rubricGuidance = rubricService.buildRubricGuidance(rubric);
+        
+        // Provenance trace: prompts, chunk context, models, detection and refinement decisions
+        const trace = generationTraceService.start({
+            userId,
+            feature,
+            request: {
+                prompt,
+                requestedWordCount,
+                userPlan,
+                style,
+                tone,
+                subject,
+                additionalInstructions,
+                requiresCitations,
+                citationStyle,
+                qualityTier,
+                enableRefinement,
+                language,
+                rubricGuidance,
+                styleGuidance,
+                resumedWords: initialContent ? languageSupport.countWords(initialContent) : 0
+            }
+        });
+        let generationState = null;
 
         try {
             logger.info('Starting multi-part generation', {
@@ -85,25 +115,66 @@ class MultiPartGenerator {
                 userPlan
             });
             
-            // Check if Gemini models are available
-            if (!this.flashModel || !this.proModel) {
-                logger.warn('Gemini models not available, falling back to single generation', {
+            // Resolve draft/refine models for this user's plan
+            const models = this.getModels(userPlan, usage);
+            
+            // Check if the configured models are available
+            if (!models.draft.isAvailable() || !models.refine.isAvailable()) {
+                logger.warn('LLM models not available, falling back to single generation', {
                     service: 'MultiPartGenerator',
                     method: 'generateMultiPartContent',
                     userId
                 });
                 // Import llmService for fallback
                 const llmService = require('./llmService');
-                const fallbackResult = await llmService.generateContent(prompt, style, tone, requestedWordCount, qualityTier);
+                const fallbackResult = await llmService.generateContent(
+                    [prompt, rubricGuidance, styleGuidance].filter(Boolean).join('\n\n'),
+                    style,
+                    tone,
+                    requestedWordCount,
+                    qualityTier,
+                    userPlan,
+                    usage,
+                    language
+                );
+                const fallbackWordCount = fallbackResult.wordCount || requestedWordCount;
+                trace.record('fallback_single_generation', {
+                    reason: 'Multi-part models not available',
+                    draftProvider: models.draft.providerName,
+                    refineProvider: models.refine.providerName,
+                    output: fallbackResult.content,
+                    wordCount: fallbackWordCount
+                });
+                const fallbackTraceId = await generationTraceService.save(trace, {
+                    wordCount: fallbackWordCount,
+                    chunksGenerated: 1,
+                    fallbackUsed: true
+                });
+                
+                this.emitProgress(onProgress, 'chunk_generated', {
+                    chunkIndex: 0,
+                    content: fallbackResult.content,
+                    wordCount: fallbackWordCount,
+                    totalWords: fallbackWordCount,
+                    targetWords: requestedWordCount
+                });
+                this.emitProgress(onProgress, 'combined', {
+                    content: fallbackResult.content,
+                    totalWords: fallbackWordCount,
+                    chunksGenerated: 1,
+                    targetWords: requestedWordCount
+                });
                 
                 return {
                     content: fallbackResult.content,
-                    wordCount: fallbackResult.wordCount || requestedWordCount,
+                    wordCount: fallbackWordCount,
                     chunksGenerated: 1,
                     refinementCycles: 0,
                     generationTime: fallbackResult.generationTime || 2000,
                     contentId: null,
+                    traceId: fallbackTraceId,
                     usedSimilarContent: false,
+                    reuse: this.contentDatabase.describeReuse(null),
                     citationData: fallbackResult.citationData || {},
                     finalDetectionResults: fallbackResult.finalDetectionResults || {},
                     metadata: {
@@ -112,25 +183,31 @@ class MultiPartGenerator {
                         subject,
                         userPlan,
                         requestedWordCount,
+                        language,
                         requiresCitations,
                         citationStyle: requiresCitations ? citationStyle : null,
-                        fallbackUsed: true
+                        fallbackUsed: true,
+                        traceId: fallbackTraceId
                     }
                 };
             }
             
-            // Initialize generation state
-            const generationState = {
-                finalContentChunks: [],
+            // Initialize generation state; a resumed generation picks up after the text it already has
+            generationState = {
+                finalContentChunks: initialContent ? [initialContent] : [],
                 contextForNextChunk: '',
-                totalWordsGenerated: 0,
-                chunksGenerated: 0,
+                memory: documentMemory.create(),
+                totalWordsGenerated: initialContent ? languageSupport.countWords(initialContent) : 0,
+                chunksGenerated: initialContent ? 1 : 0,
                 refinementCycles: 0,
                 startTime: Date.now()
             };
+            if (initialContent) {
+                await this.rememberChunk(generationState, initialContent, 0, models, trace, language);
+            }
             
             // Determine chunk size based on user plan
-            const chunkSize = this.getChunkSize(userPlan, requestedWordCount);
+            const chunkSize = this.getChunkSize(userPlan, requestedWordCount, language);
             logger.info('Using chunk size', {
                 service: 'MultiPartGenerator',
                 method: 'generateMultiPartContent',
@@ -138,10 +215,10 @@ class MultiPartGenerator {
                 userId
             });
             
-            // Check for similar content in database
-            const similarContent = await this.contentDatabase.findSimilarContent(
-                prompt, style, tone, requestedWordCount
-            );
+            // Check for similar content in database (stored content is English, so only reuse it for English)
+            const similarContent = language === languageSupport.DEFAULT_LANGUAGE && !initialContent
+                ? await this.contentDatabase.findSimilarContent(prompt, style, tone, requestedWordCount, userId)
+                : [];
             
             let baseContent = null;
             if (similarContent.length > 0) {
@@ -156,9 +233,20 @@ class MultiPartGenerator {
                     requestedWordCount
                 );
             }
+            const reuse = this.contentDatabase.describeReuse(baseContent ? similarContent[0] : null, userId);
+            trace.record('similar_content', {
+                matches: similarContent.slice(0, 5).map(match => ({
+                    contentId: match.contentId,
+                    similarity: match.similarityScore ?? null
+                })),
+                reusedContentId: reuse.contentId,
+                reusedFrom: reuse.source,
+                reusedSections: baseContent && baseContent.sections ? baseContent.sections.length : 0
+            });
             
             // Generate content chunks iteratively
             while (generationState.totalWordsGenerated < requestedWordCount) {
+                throwIfAborted(signal);
                 const remainingWords = requestedWordCount - generationState.totalWordsGenerated;
                 const currentChunkTarget = Math.min(chunkSize, remainingWords);
                 
@@ -181,7 +269,19 @@ class MultiPartGenerator {
                     additionalInstructions,
                     baseContent: baseContent ? baseContent.sections[generationState.chunksGenerated] : null,
                     totalTargetWords: requestedWordCount,
-                    enableRefinement: enableRefinement
+                    enableRefinement: enableRefinement,
+                    models: trace.wrapModels(models, generationState.chunksGenerated),
+                    rubricGuidance,
+                    styleGuidance,
+                    language,
+                    trace,
+                    signal,
+                    // Chunk events report running totals including the words already accepted
+                    onProgress: onProgress ? (event, data) => this.emitProgress(onProgress, event, {
+                        ...data,
+                        totalWords: generationState.totalWordsGenerated + (data.wordCount || 0),
+                        targetWords: requestedWordCount
+                    }) : null
                 });
                 
                 // Add refined chunk to final content
@@ -190,11 +290,8 @@ class MultiPartGenerator {
                 generationState.chunksGenerated++;
                 generationState.refinementCycles += chunkResult.refinementCycles;
                 
-                // Update context for next chunk
-                generationState.contextForNextChunk = this.extractContextForNext(
-                    chunkResult.content, 
-                    generationState.finalContentChunks
-                );
+                // Update document memory and context for next chunk
+                await this.rememberChunk(generationState, chunkResult.content, generationState.chunksGenerated - 1, models, trace, language);
                 
                 logger.info('Chunk completed', {
                     service: 'MultiPartGenerator',
@@ -209,7 +306,29 @@ class MultiPartGenerator {
             // Combine all chunks into final content
             let finalContent = this.combineChunks(generationState.finalContentChunks);
             
+            // Consistency pass: drop paragraphs a later chunk repeated, report claims that contradict each other
+            throwIfAborted(signal);
+            const consistency = await documentMemory.checkConsistency(finalContent, generationState.memory, {
+                model: trace.wrapClient(models.refine, { role: 'consistency' })
+            });
+            finalContent = consistency.content;
+            trace.record('consistency', {
+                method: consistency.method,
+                duplicatesRemoved: consistency.duplicatesRemoved,
+                contradictions: consistency.contradictions,
+                memory: generationState.memory.toJSON()
+            });
+            
+            this.emitProgress(onProgress, 'combined', {
+                content: finalContent,
+                totalWords: languageSupport.countWords(finalContent),
+                chunksGenerated: generationState.chunksGenerated,
+                refinementCycles: generationState.refinementCycles,
+                targetWords: requestedWordCount
+            });
+            
             // Process citations if required
+            throwIfAborted(signal);
             let citationData = {
                 requiresCitations: false,
                 processedContent: finalContent,
@@ -228,12 +347,18 @@ class MultiPartGenerator {
                 citationData = await this.zoteroCSLProcessor.processCitations(
                     finalContent,
                     citationStyle,
-                    subject || prompt.substring(0, 100)
+                    subject || prompt.substring(0, 100),
+                    { ...usage, plan: userPlan }
                 );
                 finalContent = citationData.processedContent;
+                trace.record('citations', {
+                    citationStyle,
+                    citationCount: citationData.citationCount || 0
+                });
             }
             
             // Run final comprehensive detection on combined content
+            throwIfAborted(signal);
             logger.info('Running final detection on combined content', {
                 service: 'MultiPartGenerator',
                 method: 'generateMultiPartContent',
@@ -250,12 +375,31 @@ class MultiPartGenerator {
                     generationMethod: 'multi-part',
                     chunksGenerated: generationState.chunksGenerated,
                     refinementCycles: generationState.refinementCycles
-                }
+                },
+                { signal }
             );
             
-            const finalWordCount = finalContent.split(' ').length;
+            const finalWordCount = languageSupport.countWords(finalContent);
+            trace.record('final_detection', {
+                originalityScore: finalDetectionResults.originalityScore ?? null,
+                aiDetectionScore: finalDetectionResults.aiDetectionScore ?? null,
+                plagiarismScore: finalDetectionResults.plagiarismScore ?? null,
+                qualityScore: finalDetectionResults.qualityScore ?? null,
+                requiresReview: finalDetectionResults.requiresReview ?? null,
+                isAcceptable: finalDetectionResults.isAcceptable ?? null
+            });
+            
+            this.emitProgress(onProgress, 'final_detection', {
+                originalityScore: finalDetectionResults.originalityScore,
+                aiDetectionScore: finalDetectionResults.aiDetectionScore,
+                requiresReview: finalDetectionResults.requiresReview,
+                isAcceptable: finalDetectionResults.isAcceptable,
+                totalWords: finalWordCount,
+                targetWords: requestedWordCount
+            });
             
             // Store generated content in database
+            throwIfAborted(signal);
             const contentId = await this.contentDatabase.storeContent(
                 userId,
                 prompt,
@@ -274,11 +418,20 @@ class MultiPartGenerator {
                 }
             );
             
+            const traceId = await generationTraceService.save(trace, {
+                wordCount: finalWordCount,
+                chunksGenerated: generationState.chunksGenerated,
+                refinementCycles: generationState.refinementCycles,
+                contentId,
+                usedSimilarContent: baseContent !== null
+            });
+            
             logger.info('Multi-part generation completed', {
                 service: 'MultiPartGenerator',
                 method: 'generateMultiPartContent',
                 finalWordCount,
                 chunksGenerated: generationState.chunksGenerated,
+                traceId,
                 userId
             });
             
@@ -289,15 +442,24 @@ class MultiPartGenerator {
                 refinementCycles: generationState.refinementCycles,
                 generationTime: Date.now() - generationState.startTime,
                 contentId,
+                traceId,
                 usedSimilarContent: baseContent !== null,
+                reuse,
                 citationData,
                 finalDetectionResults,
+                consistency: {
+                    duplicatesRemoved: consistency.duplicatesRemoved,
+                    contradictions: consistency.contradictions,
+                    method: consistency.method
+                },
                 metadata: {
                     style,
                     tone,
                     subject,
                     userPlan,
                     requestedWordCount,
+                    language,
+                    styleProfileApplied: Boolean(styleGuidance),
                     requiresCitations,
                     citationStyle: requiresCitations ? citationStyle : null,
                     originalityScore: finalDetectionResults.originalityScore,
@@ -305,14 +467,35 @@ class MultiPartGenerator {
                     plagiarismScore: finalDetectionResults.plagiarismScore,
                     qualityScore: finalDetectionResults.qualityScore,
                     requiresReview: finalDetectionResults.requiresReview,
-                    isAcceptable: finalDetectionResults.isAcceptable
+                    isAcceptable: finalDetectionResults.isAcceptable,
+                    traceId
                 }
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                // Keep what was accepted so the caller can save it and refund the rest
+                const partialContent = generationState ? this.combineChunks(generationState.finalContentChunks) : '';
+                error.partialContent = partialContent;
+                error.traceId = await generationTraceService.save(trace, {
+                    aborted: true,
+                    wordCount: languageSupport.countWords(partialContent),
+                    chunksGenerated: generationState ? generationState.chunksGenerated : 0
+                });
+                logger.info('Multi-part generation aborted', {
+                    service: 'MultiPartGenerator',
+                    method: 'generateMultiPartContent',
+                    userId,
+                    traceId: error.traceId,
+                    chunksGenerated: generationState ? generationState.chunksGenerated : 0
+                });
+                throw error;
+            }
+            const traceId = await generationTraceService.save(trace, { error: error.message });
             logger.error('Error in multi-part generation', {
                 service: 'MultiPartGenerator',
                 method: 'generateMultiPartContent',
                 userId,
+                traceId,
                 error: error.message,
                 stack: error.stack
             });
@@ -337,13 +520,28 @@ class MultiPartGenerator {
             additionalInstructions,
             baseContent,
             totalTargetWords,
-            enableRefinement = false
+            enableRefinement = false,
+            models = this.getModels(),
+            rubricGuidance = '',
+            styleGuidance = '',
+            language = 'en',
+            trace = null,
+            signal = null,
+            onProgress = null
         } = params;
 
         try {
             let currentContent = '';
             let refinementCycles = 0;
             let detectionResults = null;
+            const chunkStart = Date.now();
+            
+            trace?.record('chunk_started', {
+                chunkIndex,
+                chunkTarget,
+                source: baseContent && baseContent.content ? 'polish_similar_content' : 'new_generation',
+                context: contextForNextChunk
+            });
             
             // Step A: Generate initial chunk
             if (baseContent && baseContent.content) {
@@ -358,7 +556,9 @@ class MultiPartGenerator {
                     chunkTarget,
                     contextForNextChunk,
                     style,
-                    tone
+                    tone,
+                    models.draft,
+                    language
                 );
             } else {
                 logger.info('Generating new content for chunk with Flash', {
@@ -375,16 +575,43 @@ class MultiPartGenerator {
                     tone,
                     subject,
                     additionalInstructions,
-                    totalTargetWords
+                    totalTargetWords,
+                    models.draft,
+                    rubricGuidance,
+                    language,
+                    styleGuidance
                 );
             }
             
+            this.emitProgress(onProgress, 'chunk_generated', {
+                chunkIndex,
+                content: currentContent,
+                wordCount: languageSupport.countWords(currentContent)
+            });
+            
             // Step B: Originality.ai Detection
             detectionResults = await this.originalityDetection.detectContent(currentContent, {
                 chunkIndex,
-                totalChunks: Math.ceil(totalTargetWords / chunkTarget)
+                totalChunks: Math.ceil(totalTargetWords / chunkTarget),
+                signal
             });
             
+            this.emitProgress(onProgress, 'chunk_detection', this.summarizeDetection(detectionResults, {
+                chunkIndex,
+                cycle: 0,
+                wordCount: languageSupport.countWords(currentContent)
+            }));
+            trace?.record('detection', this.summarizeDetection(detectionResults, { chunkIndex, cycle: 0 }));
+            if (!detectionResults.needsRefinement || !enableRefinement) {
+                trace?.record('refinement_decision', {
+                    chunkIndex,
+                    cycle: 0,
+                    action: detectionResults.needsRefinement ? 'skipped_standard_tier' : 'none',
+                    severity: detectionResults.severity || null,
+                    reason: detectionResults.reason || null
+                });
+            }
+            
             // Step C: Conditional refinement based on detection results and quality tier
             if (detectionResults.needsRefinement && enableRefinement) {
                 logger.info('Chunk needs refinement (Premium tier)', {
@@ -406,6 +633,14 @@ class MultiPartGenerator {
                 
                 for (let cycle = 0; cycle < this.MAX_REFINEMENT_CYCLES && detectionResults.needsRefinement && enableRefinement; cycle++) {
                     refinementCycles++;
+                    trace?.record('refinement_decision', {
+                        chunkIndex,
+                        cycle: cycle + 1,
+                        action: detectionResults.severity === 'high' ? 'regenerate'
+                            : detectionResults.severity === 'medium' ? 'refine_sections' : 'keep',
+                        severity: detectionResults.severity || null,
+                        reason: detectionResults.reason || null
+                    });
                     
                     if (detectionResults.severity === 'high') {
                         // Complete regeneration with Pro model
@@ -415,7 +650,10 @@ class MultiPartGenerator {
                             contextForNextChunk,
                             style,
                             tone,
-                            detectionResults.recommendations
+                            detectionResults.recommendations,
+                            models.refine,
+                            language,
+                            styleGuidance
                         );
                     } else if (detectionResults.severity === 'medium') {
                         // Targeted refinement of problematic sections
@@ -427,15 +665,33 @@ class MultiPartGenerator {
                             problematicSections,
                             chunkTarget,
                             style,
-                            tone
+                            tone,
+                            models.refine,
+                            language
                         );
                     }
                     
+                    this.emitProgress(onProgress, 'chunk_refined', {
+                        chunkIndex,
+                        cycle: cycle + 1,
+                        severity: detectionResults.severity,
+                        content: currentContent,
+                        wordCount: languageSupport.countWords(currentContent)
+                    });
+                    
                     // Re-check after refinement
                     detectionResults = await this.originalityDetection.detectContent(currentContent, {
                         chunkIndex,
-                        totalChunks: Math.ceil(totalTargetWords / chunkTarget)
+                        totalChunks: Math.ceil(totalTargetWords / chunkTarget),
+                        signal
                     });
+                    
+                    this.emitProgress(onProgress, 'chunk_detection', this.summarizeDetection(detectionResults, {
+                        chunkIndex,
+                        cycle: cycle + 1,
+                        wordCount: languageSupport.countWords(currentContent)
+                    }));
+                    trace?.record('detection', this.summarizeDetection(detectionResults, { chunkIndex, cycle: cycle + 1 }));
                     logger.info('Refinement cycle completed for chunk', {
                         service: 'MultiPartGenerator',
                         method: 'generateAndRefineChunk',
@@ -445,7 +701,13 @@ class MultiPartGenerator {
                 }
             }
             
-            const finalWordCount = currentContent.split(' ').length;
+            const finalWordCount = languageSupport.countWords(currentContent);
+            trace?.record('chunk_completed', {
+                chunkIndex,
+                wordCount: finalWordCount,
+                refinementCycles,
+                durationMs: Date.now() - chunkStart
+            });
             
             return {
                 content: currentContent,
@@ -455,6 +717,9 @@ class MultiPartGenerator {
                 chunkIndex
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
             logger.error('Error generating chunk', {
                 service: 'MultiPartGenerator',
                 method: 'generateAndRefineChunk',
@@ -477,12 +742,16 @@ class MultiPartGenerator {
      * @param {string} subject - Subject area
      * @param {string} additionalInstructions - Additional instructions
      * @param {number} totalTargetWords - Total target word count
+     * @param {LLMClient} model - Draft model client
+     * @param {string} rubricGuidance - Marking rubric guidance (optional)
+     * @param {string} language - Output language code
+     * @param {string} styleGuidance - Personal style profile guidance (optional)
      * @returns {Promise<string>} Generated content
      */
-    async generateNewChunk(prompt, chunkTarget, chunkIndex, context, style, tone, subject, additionalInstructions, totalTargetWords) {
+    async generateNewChunk(prompt, chunkTarget, chunkIndex, context, style, tone, subject, additionalInstructions, totalTargetWords, model = this.draftModel, rubricGuidance = '', language = 'en', styleGuidance = '') {
         try {
-            if (!this.flashModel) {
-                throw new Error('Gemini Flash model not available');
+            if (!model.isAvailable()) {
+                throw new Error('Draft model not available');
             }
             
             const chunkPrompt = this.buildChunkPrompt({
@@ -494,13 +763,19 @@ class MultiPartGenerator {
                 tone,
                 subject,
                 additionalInstructions,
-                totalTargetWords
+                totalTargetWords,
+                rubricGuidance,
+                styleGuidance,
+                language
             });
             
-            const result = await this.flashModel.generateContent(chunkPrompt);
-            const response = await result.response;
-            return response.text();
+            const result = await model.generate(chunkPrompt);
+            return result.text;
         } catch (error) {
+            // Template text must not stand in for a cancelled call
+            if (isAbortError(error)) {
+                throw error;
+            }
             logger.error('Error generating new chunk', {
                 service: 'MultiPartGenerator',
                 method: 'generateNewChunk',
@@ -520,12 +795,14 @@ class MultiPartGenerator {
      * @param {string} context - Context for coherence
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
+     * @param {LLMClient} model - Draft model client
+     * @param {string} language - Output language code
      * @returns {Promise<string>} Polished content
      */
-    async polishExistingContent(baseContent, prompt, chunkTarget, context, style, tone) {
+    async polishExistingContent(baseContent, prompt, chunkTarget, context, style, tone, model = this.draftModel, language = 'en') {
         try {
-            if (!this.flashModel) {
-                throw new Error('Gemini Flash model not available');
+            if (!model.isAvailable()) {
+                throw new Error('Draft model not available');
             }
             
             const polishPrompt = `
@@ -536,7 +813,7 @@ ${baseContent}
 
 New Requirements:
 - Prompt: ${prompt}
-- Target word count: ${chunkTarget} words
+- Target length: ${languageSupport.describeLength(chunkTarget, language)}
 - Style: ${style}
 - Tone: ${tone}
 - Context from previous sections: ${context}
@@ -545,15 +822,18 @@ Instructions:
 1. Maintain the core ideas but adapt to the new prompt
 2. Adjust the content to match the specified style and tone
 3. Ensure smooth transition from the provided context
-4. Target exactly ${chunkTarget} words
+4. Target exactly ${languageSupport.describeLength(chunkTarget, language)}
 5. Make the content original and avoid AI detection patterns
+${languageSupport.languageInstruction(language)}
 
 Polished Content:`;
             
-            const result = await this.flashModel.generateContent(polishPrompt);
-            const response = await result.response;
-            return response.text();
+            const result = await model.generate(polishPrompt);
+            return result.text;
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
             logger.error('Error polishing existing content', {
                 service: 'MultiPartGenerator',
                 method: 'polishExistingContent',
@@ -572,9 +852,12 @@ Polished Content:`;
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
      * @param {Array} recommendations - Detection recommendations to follow
+     * @param {LLMClient} model - Refine model client
+     * @param {string} language - Output language code
+     * @param {string} styleGuidance - Personal style profile guidance (optional)
      * @returns {Promise<string>} Regenerated content
      */
-    async regenerateWithPro(prompt, chunkTarget, context, style, tone, recommendations) {
+    async regenerateWithPro(prompt, chunkTarget, context, style, tone, recommendations, model = this.refineModel, language = 'en', styleGuidance = '') {
         try {
             const regenerationPrompt = `
 Regenerate content following these recommendations:
@@ -582,7 +865,7 @@ ${recommendations.join('\n- ')}
 
 Requirements:
 - Prompt: ${prompt}
-- Target word count: ${chunkTarget} words
+- Target length: ${languageSupport.describeLength(chunkTarget, language)}
 - Style: ${style}
 - Tone: ${tone}
 - Context: ${context}
@@ -593,12 +876,13 @@ Instructions:
 3. Use varied sentence structures and vocabulary
 4. Ensure natural flow and human-like writing
 5. Maintain academic rigor and authenticity
+${languageSupport.languageInstruction(language)}
+${styleGuidance}
 
 Regenerated Content:`;
             
-            const result = await this.proModel.generateContent(regenerationPrompt);
-            const response = await result.response;
-            return response.text();
+            const result = await model.generate(regenerationPrompt);
+            return result.text;
         } catch (error) {
             logger.error('Error regenerating with Pro', {
                 service: 'MultiPartGenerator',
@@ -612,34 +896,47 @@ Regenerated Content:`;
 
     /**
      * Refine problematic sections with targeted improvements
+     * LaTeX math is sent as placeholders; if the refinement loses any of them the
+     * unrefined content is kept so equations are never altered.
      * @param {string} content - Current content
      * @param {Array} problematicSections - Sections that need refinement
      * @param {number} chunkTarget - Target word count
      * @param {string} style - Writing style
      * @param {string} tone - Writing tone
+     * @param {LLMClient} model - Refine model client
+     * @param {string} language - Output language code
      * @returns {Promise<string>} Refined content
      */
-    async refineProblematicSections(content, problematicSections, chunkTarget, style, tone) {
+    async refineProblematicSections(content, problematicSections, chunkTarget, style, tone, model = this.refineModel, language = 'en') {
         try {
+            const { text, spans } = latexMath.protectMath(content);
             const refinementPrompt = `
 Refine the following content by improving these problematic sections:
-${problematicSections.map((section, index) => `${index + 1}. ${section}`).join('\n')}
+${problematicSections.map((section, index) => `${index + 1}. ${latexMath.protectMath(section).text}`).join('\n')}
 
 Current Content:
-${content}
+${text}
 
 Instructions:
 1. Rewrite only the problematic sections
 2. Maintain the overall structure and flow
-3. Target word count: ${chunkTarget} words
+3. Target length: ${languageSupport.describeLength(chunkTarget, language)}
 4. Style: ${style}, Tone: ${tone}
 5. Make improvements sound natural and human-written
-
+6. Keep the content in its current language
+${spans.length > 0 ? `7. ${latexMath.placeholderInstruction(spans.length)}\n` : ''}
 Refined Content:`;
             
-            const result = await this.proModel.generateContent(refinementPrompt);
-            const response = await result.response;
-            return response.text();
+            const result = await model.generate(refinementPrompt);
+            if (!latexMath.placeholdersIntact(result.text, spans)) {
+                logger.warn('Refinement altered math placeholders; keeping unrefined content', {
+                    service: 'MultiPartGenerator',
+                    method: 'refineProblematicSections',
+                    equations: spans.length
+                });
+                return content;
+            }
+            return latexMath.restoreMath(result.text, spans);
         } catch (error) {
             logger.error('Error refining problematic sections', {
                 service: 'MultiPartGenerator',
@@ -653,6 +950,45 @@ Refined Content:`;
 
 
 
+    /**
+     * Report generation progress to an optional listener
+     * Listener failures (e.g. a closed stream) must never break generation
+     * @param {Function|null} onProgress - Progress callback (event, data)
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    emitProgress(onProgress, event, data) {
+        if (typeof onProgress !== 'function') return;
+        
+        try {
+            onProgress(event, data);
+        } catch (error) {
+            logger.warn('Progress listener failed', {
+                service: 'MultiPartGenerator',
+                method: 'emitProgress',
+                event,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Reduce detection results to the fields worth streaming to clients
+     * @param {Object} detectionResults - Results from OriginalityDetection
+     * @param {Object} extra - Additional fields to include
+     * @returns {Object} Detection summary
+     */
+    summarizeDetection(detectionResults, extra = {}) {
+        return {
+            ...extra,
+            needsRefinement: detectionResults.needsRefinement,
+            severity: detectionResults.severity,
+            aiScore: detectionResults.aiScore ?? null,
+            plagiarismScore: detectionResults.plagiarismScore ?? null,
+            recommendations: detectionResults.recommendations || []
+        };
+    }
+
     /**
      * Build chunk-specific prompt
      * @param {Object} params - Prompt parameters
@@ -668,7 +1004,10 @@ Refined Content:`;
             tone,
             subject,
             additionalInstructions,
-            totalTargetWords
+            totalTargetWords,
+            rubricGuidance = '',
+            styleGuidance = '',
+            language = 'en'
         } = params;
 
         let chunkRole = '';
@@ -686,32 +1025,73 @@ Write a ${chunkRole} for the following assignment:
 ${originalPrompt}
 
 Requirements:
-- Target word count: ${chunkTarget} words
+- Target length: ${languageSupport.describeLength(chunkTarget, language)}
 - Writing style: ${style}
 - Tone: ${tone}
 - Subject area: ${subject}
 - Additional instructions: ${additionalInstructions}
-
+${this.needsMathNotation(originalPrompt, subject) ? '- Math notation: LaTeX, $...$ inline and $$...$$ for displayed equations\n' : ''}
 ${context ? `Context from previous sections:\n${context}\n` : ''}
-
+${rubricGuidance ? `${rubricGuidance}\nCover the criteria that fit this ${chunkRole}; later sections will cover the rest.\n` : ''}
+${styleGuidance ? `${styleGuidance}\n` : ''}
 Instructions:
-1. Write exactly ${chunkTarget} words
+1. Write exactly ${languageSupport.describeLength(chunkTarget, language)}
 2. Maintain ${style} style with ${tone} tone
 3. Ensure smooth flow ${context ? 'from the provided context' : 'as the opening section'}
 4. Use original thinking and avoid clichés
 5. Include specific examples and evidence where appropriate
 6. Make the writing sound natural and human-authored
+${context && context.includes('Document memory') ? '7. Stay consistent with the thesis and defined terms in the document memory, and advance the argument instead of restating claims already made\n' : ''}${languageSupport.languageInstruction(language)}
 
 Content:`;
     }
 
+    /**
+     * Whether the assignment calls for equations (math already in the prompt or a STEM subject)
+     * @param {string} prompt - Assignment prompt
+     * @param {string} subject - Subject area
+     * @returns {boolean}
+     */
+    needsMathNotation(prompt, subject = '') {
+        return latexMath.hasMath(prompt)
+            || /\b(math\w*|equations?|calculus|algebra|statistic\w*|physics|chemistry|engineering|formula\w*|proofs?|theorem)\b/i.test(`${subject} ${prompt}`);
+    }
+
+    /**
+     * Add a finished chunk to the document memory and rebuild the context for the next chunk
+     * @param {Object} generationState - State with finalContentChunks and memory
+     * @param {string} chunk - Chunk content
+     * @param {number} chunkIndex - Chunk position
+     * @param {Object} models - { draft, refine } clients; the draft model extracts the memory update
+     * @param {GenerationTrace} trace - Trace to record the update in
+     * @param {string} language - Output language code
+     */
+    async rememberChunk(generationState, chunk, chunkIndex, models, trace, language = 'en') {
+        const method = await documentMemory.update(generationState.memory, chunk, chunkIndex, {
+            model: trace.wrapClient(models.draft, { role: 'memory', chunkIndex }),
+            language
+        });
+        const memory = generationState.memory;
+        trace.record('document_memory', {
+            chunkIndex,
+            method,
+            thesis: memory.thesis,
+            claims: memory.claims.length,
+            terms: memory.terms.length,
+            citations: memory.citations.length
+        });
+        
+        generationState.contextForNextChunk = this.extractContextForNext(chunk, generationState.finalContentChunks, memory);
+    }
+
     /**
      * Extract context for next chunk
      * @param {string} currentChunk - Current chunk content
      * @param {Array} allChunks - All previous chunks
+     * @param {DocumentMemory|null} memory - Running document memory to include
      * @returns {string} Context for next chunk
      */
-    extractContextForNext(currentChunk, allChunks) {
+    extractContextForNext(currentChunk, allChunks, memory = null) {
         // Get last few sentences of current chunk
         const sentences = currentChunk.split(/[.!?]+/).filter(s => s.trim().length > 0);
         const lastSentences = sentences.slice(-2).join('. ') + '.';
@@ -720,7 +1100,9 @@ Content:`;
         const allText = allChunks.join(' ');
         const keywords = this.extractKeyThemes(allText);
         
-        return `Previous content ended with: ${lastSentences}\n\nKey themes established: ${keywords.join(', ')}`;
+        const context = `Previous content ended with: ${lastSentences}\n\nKey themes established: ${keywords.join(', ')}`;
+        const memoryContext = memory ? memory.toPromptContext() : '';
+        return memoryContext ? `${context}\n\n${memoryContext}` : context;
     }
 
     /**
@@ -746,6 +1128,35 @@ Content:`;
             .map(([word]) => word);
     }
 
+    /**
+     * Extract context around a span that is being rewritten in place
+     * Same shape as extractContextForNext, plus how the following text begins
+     * @param {string} beforeText - Text preceding the span
+     * @param {string} afterText - Text following the span
+     * @returns {string} Context for the rewrite prompt
+     */
+    extractSurroundingContext(beforeText, afterText) {
+        const toSentences = (text) => text.split(/[.!?]+/).filter(s => s.trim().length > 0).map(s => s.trim());
+        const context = [];
+        
+        const previousSentences = toSentences(beforeText).slice(-2);
+        if (previousSentences.length > 0) {
+            context.push(`Previous content ended with: ${previousSentences.join('. ')}.`);
+        }
+        
+        const followingSentences = toSentences(afterText).slice(0, 2);
+        if (followingSentences.length > 0) {
+            context.push(`Following content begins with: ${followingSentences.join('. ')}.`);
+        }
+        
+        const keywords = this.extractKeyThemes(`${beforeText} ${afterText}`);
+        if (keywords.length > 0) {
+            context.push(`Key themes established: ${keywords.join(', ')}`);
+        }
+        
+        return context.join('\n\n');
+    }
+
     /**
      * Combine chunks into final content
      * @param {Array<string>} chunks - Content chunks
@@ -755,15 +1166,39 @@ Content:`;
         return chunks.join('\n\n');
     }
 
+    /**
+     * Resolve draft and refine model clients for a plan
+     * @param {string} userPlan - User plan type
+     * @param {Object} usage - Optional usage context { userId, feature } the clients' calls are recorded under
+     * @returns {Object} { draft, refine } LLM clients
+     */
+    getModels(userPlan = null, usage = null) {
+        const models = userPlan
+            ? {
+                draft: llmProvider.forTool('multiPartDraft', userPlan),
+                refine: llmProvider.forTool('multiPartRefine', userPlan)
+            }
+            : { draft: this.draftModel, refine: this.refineModel };
+
+        if (!usage) {
+            return models;
+        }
+        return {
+            draft: models.draft.withUsage(usage),
+            refine: models.refine.withUsage(usage)
+        };
+    }
+
     /**
      * Get chunk size based on user plan
      * @param {string} userPlan - User plan type
-     * @param {number} requestedWordCount - Total requested words
+     * @param {number} requestedWordCount - Total requested length in the language's unit
+     * @param {string} language - Output language code; plan chunk limits are in English words
      * @returns {number} Chunk size
      */
-    getChunkSize(userPlan, requestedWordCount) {
+    getChunkSize(userPlan, requestedWordCount, language = 'en') {
         const planLimit = this.CHUNK_LIMITS[userPlan.toLowerCase()] || this.CHUNK_LIMITS.freemium;
-        return Math.min(planLimit, requestedWordCount);
+        return Math.min(languageSupport.fromWordEquivalents(planLimit, language), requestedWordCount);
     }
 
     /**
@@ -827,8 +1262,9 @@ This ${chunkRole.toLowerCase()} section has provided an overview of the key aspe
      * @returns {string} Polished content
      */
     applyBasicPolishing(baseContent, chunkTarget, style, tone) {
-        // Basic text processing for polishing
-        let polished = baseContent
+        // Basic text processing for polishing; math is shielded from the word substitutions
+        const { text, spans } = latexMath.protectMath(baseContent);
+        let polished = text
             .replace(/\b(very|really|quite|rather)\s+/gi, '') // Remove weak modifiers
             .replace(/\b(I think|I believe|In my opinion)\b/gi, '') // Remove subjective phrases
             .replace(/\s+/g, ' ') // Normalize whitespace
@@ -847,7 +1283,7 @@ This ${chunkRole.toLowerCase()} section has provided an overview of the key aspe
             polished = words.slice(0, chunkTarget).join(' ');
         }
         
-        return polished;
+        return latexMath.restoreMath(polished, spans);
     }
 }
 
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { isAbortError, throwIfAborted } = require('../utils/cancellation');
 
 /**
  * OriginalityDetection class for plagiarism and AI detection using Originality.ai
@@ -35,7 +36,7 @@ class OriginalityDetection {
     /**
      * Perform comprehensive detection on content chunk
      * @param {string} content - Content to analyze
-     * @param {Object} options - Detection options
+     * @param {Object} options - Detection options (signal cancels the API requests)
      * @returns {Promise<Object>} Detection results with refinement recommendations
      */
     async detectContent(content, options = {}) {
@@ -43,7 +44,8 @@ class OriginalityDetection {
             includeAI = true,
             includePlagiarism = true,
             chunkIndex = 0,
-            totalChunks = 1
+            totalChunks = 1,
+            signal = null
         } = options;
 
         try {
@@ -51,6 +53,7 @@ class OriginalityDetection {
             
             // Rate limiting
             await this.enforceRateLimit();
+            throwIfAborted(signal);
             
             const detectionResults = {
                 chunkIndex,
@@ -60,12 +63,12 @@ class OriginalityDetection {
             
             // Perform AI detection
             if (includeAI) {
-                detectionResults.aiDetection = await this.performAIDetection(content);
+                detectionResults.aiDetection = await this.performAIDetection(content, signal);
             }
             
             // Perform plagiarism detection
             if (includePlagiarism) {
-                detectionResults.plagiarismDetection = await this.performPlagiarismDetection(content);
+                detectionResults.plagiarismDetection = await this.performPlagiarismDetection(content, signal);
             }
             
             // Analyze results and provide recommendations
@@ -81,6 +84,9 @@ class OriginalityDetection {
                 refinementStrategy: this.determineRefinementStrategy(analysis)
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
             console.error('Error in content detection:', error);
             
             // Return fallback results to prevent blocking generation
@@ -91,15 +97,16 @@ class OriginalityDetection {
     /**
      * Perform AI detection using Originality.ai
      * @param {string} content - Content to analyze
+     * @param {AbortSignal} signal - Optional cancellation signal
      * @returns {Promise<Object>} AI detection results
      */
-    async performAIDetection(content) {
+    async performAIDetection(content, signal = null) {
         try {
             const response = await this.makeAPIRequest('/scan/ai', {
                 content: content,
                 aiModelVersion: 'latest',
                 storeScan: false
-            });
+            }, signal);
             
             return {
                 score: response.score?.ai || 0,
@@ -109,6 +116,9 @@ class OriginalityDetection {
                 patterns: this.identifyAIPatterns(content, response)
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
             console.error('AI detection error:', error);
             return this.getFallbackAIResults(content);
         }
@@ -117,15 +127,16 @@ class OriginalityDetection {
     /**
      * Perform plagiarism detection using Originality.ai
      * @param {string} content - Content to analyze
+     * @param {AbortSignal} signal - Optional cancellation signal
      * @returns {Promise<Object>} Plagiarism detection results
      */
-    async performPlagiarismDetection(content) {
+    async performPlagiarismDetection(content, signal = null) {
         try {
             const response = await this.makeAPIRequest('/scan/plagiarism', {
                 content: content,
                 storeScan: false,
                 webhookUrl: null
-            });
+            }, signal);
             
             return {
                 score: response.score?.plagiarism || 0,
@@ -135,6 +146,9 @@ class OriginalityDetection {
                 matchDetails: response.matches || []
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
             console.error('Plagiarism detection error:', error);
             return this.getFallbackPlagiarismResults(content);
         }
@@ -144,19 +158,22 @@ class OriginalityDetection {
      * Make API request to Originality.ai with retry logic
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Request data
+     * @param {AbortSignal} signal - Optional cancellation signal; an aborted request is not retried
      * @returns {Promise<Object>} API response
      */
-    async makeAPIRequest(endpoint, data) {
+    async makeAPIRequest(endpoint, data, signal = null) {
         let lastError;
         
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            throwIfAborted(signal);
             try {
                 const response = await axios.post(`${this.baseUrl}${endpoint}`, data, {
                     headers: {
                         'X-OAI-API-KEY': this.apiKey,
                         'Content-Type': 'application/json'
                     },
-                    timeout: 30000 // 30 seconds
+                    timeout: 30000, // 30 seconds
+                    signal: signal || undefined
                 });
                 
                 if (response.data && response.data.success) {
@@ -165,6 +182,7 @@ class OriginalityDetection {
                     throw new Error(`API returned unsuccessful response: ${JSON.stringify(response.data)}`);
                 }
             } catch (error) {
+                throwIfAborted(signal);
                 lastError = error;
                 console.warn(`API request attempt ${attempt} failed:`, error.message);
                 
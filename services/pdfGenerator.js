@@ -1,6 +1,9 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { parseDocument } = require('../utils/documentModel');
+const renderers = require('../utils/documentRenderers');
+const { reportMarkdown } = require('../utils/researchReport');
 
 /**
  * PDFGenerator class for creating PDF exports of research data using Puppeteer
@@ -189,6 +192,7 @@ class PDFGenerator {
           font-size: 12px;
           color: #6c757d;
         }
+        ${renderers.DOCUMENT_CSS}
       </style>
     </head>
     <body>
@@ -204,14 +208,14 @@ class PDFGenerator {
       <div class="section">
         <div class="section-title">Research Query</div>
         <div class="query-box">
-          ${research.query || 'No query specified'}
+          ${renderers.escapeHtml(research.query || 'No query specified')}
         </div>
       </div>
 
       <div class="section">
         <div class="section-title">Research Results</div>
         <div class="results">
-          ${research.results || 'No results available'}
+          ${this.renderResults(research)}
         </div>
       </div>
 
@@ -421,6 +425,20 @@ class PDFGenerator {
     `;
   }
 
+  /**
+   * Research findings as HTML, rendered from the same document tree as the other
+   * research exports (MathML for equations, so nothing needs to load before page.pdf())
+   * @param {Object} research - Research data
+   * @returns {string} HTML content
+   */
+  renderResults(research) {
+    const text = reportMarkdown(research, { includeHeader: false, includeSources: false });
+    if (!text.trim()) {
+      return '<p>No results available</p>';
+    }
+    return renderers.toHtml(parseDocument(text), { headingOffset: 1 });
+  }
+
   /**
    * Get PDF metadata
    * @param {Object} research - Research data
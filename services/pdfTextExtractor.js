@@ -0,0 +1,919 @@
+const zlib = require('zlib');
+
+/**
+ * PdfTextExtractor
+ * Pulls positioned text lines out of PDF files page by page without native
+ * dependencies. Handles classic and compressed (object stream) PDFs, Flate,
+ * ASCIIHex and ASCII85 filters, ToUnicode CMaps, WinAnsi encodings and form
+ * XObjects. Scanned (image-only) and encrypted PDFs yield no text.
+ */
+class PdfTextExtractor {
+    constructor() {
+        this.MAX_XOBJECT_DEPTH = 3;
+        this.MAX_PAGES = 2000;
+        // Cap on one decoded stream, so a tiny Flate stream cannot inflate to gigabytes
+        this.MAX_STREAM_SIZE = 50 * 1024 * 1024;
+
+        // WinAnsiEncoding differs from Latin-1 only in 0x80-0x9F
+        this.WIN_ANSI = {
+            0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+            0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+            0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+            0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+        };
+
+        // Glyph names commonly used in /Differences arrays
+        this.GLYPH_NAMES = {
+            space: ' ', quoteright: '’', quoteleft: '‘', quotedblleft: '“', quotedblright: '”',
+            quotesingle: "'", quotedbl: '"', endash: '–', emdash: '—', bullet: '•', ellipsis: '…',
+            hyphen: '-', minus: '−', period: '.', comma: ',', colon: ':', semicolon: ';',
+            parenleft: '(', parenright: ')', bracketleft: '[', bracketright: ']', slash: '/',
+            ampersand: '&', percent: '%', dollar: '$', numbersign: '#', at: '@', question: '?',
+            exclam: '!', asterisk: '*', plus: '+', equal: '=', less: '<', greater: '>',
+            fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', degree: '°', section: '§',
+            paragraph: '¶', copyright: '©', registered: '®', trademark: '™', dagger: '†',
+            zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+            eight: '8', nine: '9'
+        };
+    }
+
+    /**
+     * Extract text lines from every page
+     * @param {Buffer} buffer - PDF file contents
+     * @returns {Object} { pageCount, title, pages: [{ number, lines: [{ text, fontSize, x, y }] }] }
+     */
+    extract(buffer) {
+        const source = buffer.toString('latin1');
+        if (!source.substring(0, 1024).includes('%PDF-')) {
+            throw new Error('Not a PDF file');
+        }
+
+        const objects = this.readObjects(buffer, source);
+        if (this.isEncrypted(source, objects)) {
+            throw new Error('Encrypted PDFs are not supported');
+        }
+
+        const pages = this.findPages(objects).slice(0, this.MAX_PAGES);
+        const info = this.findInfo(source, objects);
+
+        return {
+            pageCount: pages.length,
+            title: info.title || null,
+            pages: pages.map((page, index) => ({
+                number: index + 1,
+                lines: this.extractPageLines(page, objects)
+            }))
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Object parsing
+    // ---------------------------------------------------------------------
+
+    /**
+     * Index every indirect object, including those packed in object streams
+     * @returns {Map<number, Object>} Object number -> { value, stream }
+     */
+    readObjects(buffer, source) {
+        const objects = new Map();
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const number = parseInt(match[1]);
+            let position = this.skipWhitespace(source, pattern.lastIndex);
+            let parsed;
+            try {
+                parsed = this.parseValue(source, position);
+            } catch (error) {
+                continue;
+            }
+            position = this.skipWhitespace(source, parsed.position);
+
+            const entry = { value: parsed.value, stream: null };
+
+            if (source.startsWith('stream', position)) {
+                let dataStart = position + 6;
+                if (source[dataStart] === '\r') dataStart++;
+                if (source[dataStart] === '\n') dataStart++;
+
+                const declaredLength = parsed.value && typeof parsed.value.Length === 'number' ? parsed.value.Length : -1;
+                let dataEnd = dataStart + declaredLength;
+                if (declaredLength < 0 || !/^\s*endstream/.test(source.substr(dataEnd, 20))) {
+                    dataEnd = source.indexOf('endstream', dataStart);
+                    if (dataEnd < 0) continue;
+                    // Trim the end-of-line marker before endstream
+                    if (source[dataEnd - 1] === '\n') dataEnd--;
+                    if (source[dataEnd - 1] === '\r') dataEnd--;
+                }
+
+                entry.stream = buffer.subarray(dataStart, dataEnd);
+                pattern.lastIndex = dataEnd;
+            }
+
+            // Later definitions (incremental updates) replace earlier ones
+            objects.set(number, entry);
+        }
+
+        for (const [, entry] of [...objects]) {
+            if (entry.stream && entry.value && entry.value.Type === '/ObjStm') {
+                this.readObjectStream(entry, objects);
+            }
+        }
+
+        return objects;
+    }
+
+    readObjectStream(entry, objects) {
+        const data = this.decodeStream(entry, objects);
+        if (!data) return;
+
+        const text = data.toString('latin1');
+        const count = entry.value.N || 0;
+        const first = entry.value.First || 0;
+        const header = text.substring(0, first).trim().split(/\s+/).map(Number);
+
+        for (let i = 0; i < count; i++) {
+            const number = header[i * 2];
+            const offset = header[i * 2 + 1];
+            if (!Number.isFinite(number) || !Number.isFinite(offset) || objects.has(number)) continue;
+            try {
+                const parsed = this.parseValue(text, this.skipWhitespace(text, first + offset));
+                objects.set(number, { value: parsed.value, stream: null });
+            } catch (error) {
+                // Skip malformed entries
+            }
+        }
+    }
+
+    skipWhitespace(source, position) {
+        while (position < source.length) {
+            const char = source[position];
+            if (char === '%') {
+                while (position < source.length && source[position] !== '\n' && source[position] !== '\r') position++;
+            } else if (/\s/.test(char) || char === '\0') {
+                position++;
+            } else {
+                break;
+            }
+        }
+        return position;
+    }
+
+    /**
+     * Parse one PDF object value
+     * Names keep their leading slash, strings become { string }, references become { ref }.
+     * @returns {Object} { value, position }
+     */
+    parseValue(source, position) {
+        position = this.skipWhitespace(source, position);
+        const char = source[position];
+
+        if (source.startsWith('<<', position)) {
+            const dict = {};
+            position += 2;
+            while (true) {
+                position = this.skipWhitespace(source, position);
+                if (source.startsWith('>>', position)) return { value: dict, position: position + 2 };
+                if (position >= source.length) throw new Error('Unterminated dictionary');
+                const key = this.parseValue(source, position);
+                const value = this.parseValue(source, key.position);
+                if (typeof key.value === 'string' && key.value[0] === '/') {
+                    dict[key.value.substring(1)] = value.value;
+                }
+                position = value.position;
+            }
+        }
+
+        if (char === '[') {
+            const array = [];
+            position++;
+            while (true) {
+                position = this.skipWhitespace(source, position);
+                if (source[position] === ']') return { value: array, position: position + 1 };
+                if (position >= source.length) throw new Error('Unterminated array');
+                const item = this.parseValue(source, position);
+                array.push(item.value);
+                position = item.position;
+            }
+        }
+
+        if (char === '(') {
+            const literal = this.readLiteralString(source, position);
+            return { value: { string: literal.value }, position: literal.position };
+        }
+
+        if (char === '<') {
+            const end = source.indexOf('>', position);
+            return { value: { string: this.hexToBinary(source.substring(position + 1, end)) }, position: end + 1 };
+        }
+
+        if (char === '/') {
+            const match = source.substring(position, position + 256).match(/^\/[^\s/<>[\]()%{}]*/);
+            return { value: this.decodeName(match[0]), position: position + match[0].length };
+        }
+
+        const numberMatch = source.substring(position, position + 40).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+        if (numberMatch) {
+            const reference = source.substring(position, position + 40).match(/^(\d+)\s+(\d+)\s+R\b/);
+            if (reference) {
+                return { value: { ref: parseInt(reference[1]) }, position: position + reference[0].length };
+            }
+            return { value: parseFloat(numberMatch[0]), position: position + numberMatch[0].length };
+        }
+
+        const keyword = source.substring(position, position + 10).match(/^(true|false|null)/);
+        if (keyword) {
+            const values = { true: true, false: false, null: null };
+            return { value: values[keyword[1]], position: position + keyword[1].length };
+        }
+
+        throw new Error(`Unexpected token at ${position}`);
+    }
+
+    decodeName(name) {
+        return name.replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    /**
+     * Read a literal (parenthesised) string, honouring escapes and nested parentheses
+     * @returns {Object} { value: binary string, position }
+     */
+    readLiteralString(source, position) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        let depth = 1;
+        let value = '';
+        position++;
+
+        while (position < source.length && depth > 0) {
+            const char = source[position];
+            if (char === '\\') {
+                const next = source[position + 1];
+                if (escapes[next] !== undefined) {
+                    value += escapes[next];
+                    position += 2;
+                } else if (/[0-7]/.test(next)) {
+                    const octal = source.substring(position + 1, position + 4).match(/^[0-7]{1,3}/)[0];
+                    value += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+                    position += 1 + octal.length;
+                } else if (next === '\r' || next === '\n') {
+                    // Line continuation
+                    position += source[position + 2] === '\n' && next === '\r' ? 3 : 2;
+                } else {
+                    value += next || '';
+                    position += 2;
+                }
+                continue;
+            }
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (depth > 0) value += char;
+            position++;
+        }
+
+        return { value, position };
+    }
+
+    hexToBinary(hex) {
+        const clean = hex.replace(/[^0-9a-f]/gi, '');
+        const padded = clean.length % 2 ? `${clean}0` : clean;
+        let value = '';
+        for (let i = 0; i < padded.length; i += 2) {
+            value += String.fromCharCode(parseInt(padded.substr(i, 2), 16));
+        }
+        return value;
+    }
+
+    resolve(value, objects) {
+        let current = value;
+        let guard = 0;
+        while (current && typeof current === 'object' && current.ref !== undefined && guard++ < 32) {
+            const entry = objects.get(current.ref);
+            current = entry ? entry.value : null;
+        }
+        return current;
+    }
+
+    resolveEntry(value, objects) {
+        return value && value.ref !== undefined ? objects.get(value.ref) || null : null;
+    }
+
+    /**
+     * Apply a stream's filters
+     * @returns {Buffer|null} Decoded data, or null for unsupported filters (e.g. images)
+     */
+    decodeStream(entry, objects) {
+        if (!entry || !entry.stream) return null;
+        const dict = entry.value || {};
+        let filters = this.resolve(dict.Filter, objects);
+        filters = Array.isArray(filters) ? filters : filters ? [filters] : [];
+
+        let data = entry.stream;
+        for (const filter of filters) {
+            const name = this.resolve(filter, objects);
+            try {
+                if (name === '/FlateDecode' || name === '/Fl') {
+                    data = this.inflate(data);
+                } else if (name === '/ASCIIHexDecode' || name === '/AHx') {
+                    data = Buffer.from(this.hexToBinary(data.toString('latin1').split('>')[0]), 'latin1');
+                } else if (name === '/ASCII85Decode' || name === '/A85') {
+                    data = this.decodeAscii85(data.toString('latin1'));
+                } else {
+                    return null;
+                }
+            } catch (error) {
+                // An oversized stream rejects the whole file; other decode errors skip the stream
+                if (error.code === 'PDF_STREAM_TOO_LARGE') throw error;
+                return null;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Inflate a Flate stream, refusing output beyond MAX_STREAM_SIZE
+     * @throws {Error} code PDF_STREAM_TOO_LARGE when the stream inflates past the cap
+     */
+    inflate(data) {
+        const options = { maxOutputLength: this.MAX_STREAM_SIZE };
+        const tooLarge = (error) => {
+            if (error.code !== 'ERR_BUFFER_TOO_LARGE') return error;
+            const rejected = new Error('PDF contains a compressed stream that is too large to extract');
+            rejected.code = 'PDF_STREAM_TOO_LARGE';
+            return rejected;
+        };
+
+        try {
+            return zlib.inflateSync(data, options);
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(error);
+            // Many PDFs end Flate streams without a proper checksum; take what decodes
+            try {
+                return zlib.inflateSync(data, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            } catch (retryError) {
+                throw tooLarge(retryError);
+            }
+        }
+    }
+
+    decodeAscii85(text) {
+        const clean = text.replace(/^<~/, '').split('~>')[0].replace(/\s/g, '');
+        const bytes = [];
+        let group = [];
+
+        const flush = (chars, count) => {
+            let value = 0;
+            for (const char of chars) value = value * 85 + (char.charCodeAt(0) - 33);
+            const groupBytes = [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+            bytes.push(...groupBytes.slice(0, count));
+        };
+
+        for (const char of clean) {
+            if (char === 'z' && group.length === 0) {
+                bytes.push(0, 0, 0, 0);
+                continue;
+            }
+            group.push(char);
+            if (group.length === 5) {
+                flush(group, 4);
+                group = [];
+            }
+        }
+        if (group.length > 0) {
+            const count = group.length - 1;
+            while (group.length < 5) group.push('u');
+            flush(group, count);
+        }
+        return Buffer.from(bytes);
+    }
+
+    isEncrypted(source, objects) {
+        if (/trailer\s*<<[\s\S]{0,2000}?\/Encrypt\b/.test(source)) return true;
+        for (const [, entry] of objects) {
+            if (entry.value && entry.value.Type === '/XRef' && entry.value.Encrypt) return true;
+        }
+        return false;
+    }
+
+    findInfo(source, objects) {
+        let infoRef = null;
+        const trailer = source.match(/trailer\s*<<[\s\S]*?\/Info\s+(\d+)\s+\d+\s+R/);
+        if (trailer) {
+            infoRef = { ref: parseInt(trailer[1]) };
+        } else {
+            for (const [, entry] of objects) {
+                if (entry.value && entry.value.Type === '/XRef' && entry.value.Info) infoRef = entry.value.Info;
+            }
+        }
+
+        const info = this.resolve(infoRef, objects) || {};
+        const title = this.resolve(info.Title, objects);
+        return { title: title && title.string ? this.decodeTextString(title.string).trim() : null };
+    }
+
+    /**
+     * Decode a PDF text string (UTF-16BE with BOM, or PDFDocEncoding)
+     */
+    decodeTextString(binary) {
+        if (binary.charCodeAt(0) === 0xFE && binary.charCodeAt(1) === 0xFF) {
+            let text = '';
+            for (let i = 2; i + 1 < binary.length; i += 2) {
+                text += String.fromCharCode((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+            }
+            return text;
+        }
+        return binary;
+    }
+
+    // ---------------------------------------------------------------------
+    // Page tree
+    // ---------------------------------------------------------------------
+
+    /**
+     * Pages in reading order, each with inherited resources resolved
+     * @returns {Array<Object>} [{ dict, resources }]
+     */
+    findPages(objects) {
+        let catalog = null;
+        for (const [, entry] of objects) {
+            if (entry.value && entry.value.Type === '/Catalog') catalog = entry.value;
+        }
+
+        const pages = [];
+        const visited = new Set();
+
+        const walk = (nodeRef, inheritedResources) => {
+            const key = nodeRef && nodeRef.ref;
+            if (key !== undefined && visited.has(key)) return;
+            if (key !== undefined) visited.add(key);
+
+            const node = this.resolve(nodeRef, objects);
+            if (!node || typeof node !== 'object' || pages.length >= this.MAX_PAGES) return;
+
+            const resources = node.Resources ? this.resolve(node.Resources, objects) : inheritedResources;
+            if (node.Type === '/Pages' || Array.isArray(node.Kids)) {
+                for (const kid of this.resolve(node.Kids, objects) || []) {
+                    walk(kid, resources);
+                }
+            } else {
+                pages.push({ dict: node, resources: resources || {} });
+            }
+        };
+
+        if (catalog && catalog.Pages) {
+            walk(catalog.Pages, null);
+        }
+
+        // Fall back to every page object in file order when the tree is missing or broken
+        if (pages.length === 0) {
+            const numbers = [...objects.keys()].sort((a, b) => a - b);
+            for (const number of numbers) {
+                const value = objects.get(number).value;
+                if (value && value.Type === '/Page') {
+                    let resources = this.resolve(value.Resources, objects);
+                    let parent = this.resolve(value.Parent, objects);
+                    while (!resources && parent) {
+                        resources = this.resolve(parent.Resources, objects);
+                        parent = this.resolve(parent.Parent, objects);
+                    }
+                    pages.push({ dict: value, resources: resources || {} });
+                }
+            }
+        }
+
+        return pages;
+    }
+
+    // ---------------------------------------------------------------------
+    // Content streams
+    // ---------------------------------------------------------------------
+
+    extractPageLines(page, objects) {
+        const contents = this.resolve(page.dict.Contents, objects);
+        const refs = Array.isArray(contents) ? contents : [page.dict.Contents];
+        const chunks = refs
+            .map(ref => this.decodeStream(this.resolveEntry(ref, objects), objects))
+            .filter(Boolean);
+
+        const collector = { lines: [], current: null };
+        if (chunks.length > 0) {
+            this.runContentStream(Buffer.concat(chunks.flatMap(chunk => [chunk, Buffer.from('\n')])), page.resources, objects, collector, [1, 0, 0, 1, 0, 0], 0);
+        }
+        this.closeLine(collector);
+
+        return collector.lines;
+    }
+
+    /**
+     * Interpret the text operators of a content stream
+     */
+    runContentStream(data, resources, objects, collector, baseMatrix, depth) {
+        const source = data.toString('latin1');
+        const fonts = this.resolve(resources && resources.Font, objects) || {};
+        const xobjects = this.resolve(resources && resources.XObject, objects) || {};
+        const fontCache = new Map();
+
+        const graphicsStack = [];
+        let ctm = baseMatrix.slice();
+        let textMatrix = [1, 0, 0, 1, 0, 0];
+        let lineMatrix = [1, 0, 0, 1, 0, 0];
+        let font = null;
+        let fontSize = 12;
+        let leading = 0;
+        let charSpacing = 0;
+        let wordSpacing = 0;
+        let horizontalScale = 1;
+        let operands = [];
+
+        const getFont = (name) => {
+            if (!fontCache.has(name)) {
+                fontCache.set(name, this.loadFont(this.resolve(fonts[name], objects), objects));
+            }
+            return fontCache.get(name);
+        };
+
+        const showText = (binary) => {
+            if (!font) return;
+            const matrix = this.multiply(textMatrix, ctm);
+            const scale = Math.hypot(matrix[2], matrix[3]) || 1;
+            const size = Math.abs(fontSize * scale);
+            const codes = this.splitCodes(binary, font);
+
+            let text = '';
+            let advance = 0;
+            for (const code of codes) {
+                text += this.decodeCode(code, font);
+                const width = this.glyphWidth(code, font) / 1000 * fontSize;
+                advance += (width + charSpacing + (code === 32 && font.codeBytes === 1 ? wordSpacing : 0)) * horizontalScale;
+            }
+
+            this.addText(collector, text, matrix[4], matrix[5], size, advance * Math.hypot(ctm[0], ctm[1]));
+            textMatrix = this.multiply([1, 0, 0, 1, advance, 0], textMatrix);
+        };
+
+        const pattern = /\s+|%[^\r\n]*|\((?:[^()\\]|\\[\s\S])*?\)|<<|>>|<[0-9a-fA-F\s]*>|\[|\]|\/[^\s/<>[\]()%{}]*|[+-]?(?:\d+\.?\d*|\.\d+)|[A-Za-z'"*]+\d?\*?|[{}]/g;
+        let match;
+        const arrayStack = [];
+
+        while ((match = pattern.exec(source)) !== null) {
+            const token = match[0];
+            const first = token[0];
+
+            if (/\s/.test(first) || first === '%') continue;
+
+            let value;
+            if (first === '(') {
+                // The regex cannot balance nested parentheses; re-read with the proper scanner
+                const literal = this.readLiteralString(source, match.index);
+                pattern.lastIndex = literal.position;
+                value = { string: literal.value };
+            } else if (first === '<' && token !== '<<') {
+                value = { string: this.hexToBinary(token.slice(1, -1)) };
+            } else if (token === '[') {
+                arrayStack.push(operands);
+                operands = [];
+                continue;
+            } else if (token === ']') {
+                const array = operands;
+                operands = arrayStack.pop() || [];
+                operands.push(array);
+                continue;
+            } else if (token === '<<' || token === '>>' || first === '{' || first === '}') {
+                continue;
+            } else if (first === '/') {
+                value = this.decodeName(token);
+            } else if (/[\d+.-]/.test(first)) {
+                value = parseFloat(token);
+            } else {
+                // Operator
+                const op = token;
+                const n = (i) => Number(operands[i]) || 0;
+
+                switch (op) {
+                    case 'BI': {
+                        // Skip inline image data
+                        const end = source.indexOf('EI', pattern.lastIndex);
+                        const imageEnd = source.substring(pattern.lastIndex).search(/\sEI(\s|$)/);
+                        pattern.lastIndex = imageEnd >= 0 ? pattern.lastIndex + imageEnd + 3 : (end >= 0 ? end + 2 : source.length);
+                        break;
+                    }
+                    case 'q':
+                        graphicsStack.push(ctm.slice());
+                        break;
+                    case 'Q':
+                        ctm = graphicsStack.pop() || baseMatrix.slice();
+                        break;
+                    case 'cm':
+                        if (operands.length >= 6) ctm = this.multiply([n(0), n(1), n(2), n(3), n(4), n(5)], ctm);
+                        break;
+                    case 'BT':
+                        textMatrix = [1, 0, 0, 1, 0, 0];
+                        lineMatrix = [1, 0, 0, 1, 0, 0];
+                        break;
+                    case 'ET':
+                        break;
+                    case 'Tf':
+                        font = getFont(String(operands[0] || '').substring(1));
+                        fontSize = n(1) || fontSize;
+                        break;
+                    case 'Tc':
+                        charSpacing = n(0);
+                        break;
+                    case 'Tw':
+                        wordSpacing = n(0);
+                        break;
+                    case 'Tz':
+                        horizontalScale = n(0) / 100;
+                        break;
+                    case 'TL':
+                        leading = n(0);
+                        break;
+                    case 'Td':
+                        lineMatrix = this.multiply([1, 0, 0, 1, n(0), n(1)], lineMatrix);
+                        textMatrix = lineMatrix.slice();
+                        break;
+                    case 'TD':
+                        leading = -n(1);
+                        lineMatrix = this.multiply([1, 0, 0, 1, n(0), n(1)], lineMatrix);
+                        textMatrix = lineMatrix.slice();
+                        break;
+                    case 'Tm':
+                        lineMatrix = [n(0), n(1), n(2), n(3), n(4), n(5)];
+                        textMatrix = lineMatrix.slice();
+                        break;
+                    case 'T*':
+                        lineMatrix = this.multiply([1, 0, 0, 1, 0, -leading], lineMatrix);
+                        textMatrix = lineMatrix.slice();
+                        break;
+                    case 'Tj':
+                        if (operands[0] && operands[0].string !== undefined) showText(operands[0].string);
+                        break;
+                    case "'":
+                        lineMatrix = this.multiply([1, 0, 0, 1, 0, -leading], lineMatrix);
+                        textMatrix = lineMatrix.slice();
+                        if (operands[0] && operands[0].string !== undefined) showText(operands[0].string);
+                        break;
+                    case '"':
+                        wordSpacing = n(0);
+                        charSpacing = n(1);
+                        lineMatrix = this.multiply([1, 0, 0, 1, 0, -leading], lineMatrix);
+                        textMatrix = lineMatrix.slice();
+                        if (operands[2] && operands[2].string !== undefined) showText(operands[2].string);
+                        break;
+                    case 'TJ':
+                        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+                            if (typeof item === 'number') {
+                                const shift = -item / 1000 * fontSize * horizontalScale;
+                                textMatrix = this.multiply([1, 0, 0, 1, shift, 0], textMatrix);
+                                // Large negative kerning is how many PDFs encode word spaces
+                                if (item < -180) this.addSpace(collector);
+                            } else if (item && item.string !== undefined) {
+                                showText(item.string);
+                            }
+                        }
+                        break;
+                    case 'Do': {
+                        if (depth >= this.MAX_XOBJECT_DEPTH) break;
+                        const entry = this.resolveEntry(xobjects[String(operands[0] || '').substring(1)], objects);
+                        if (entry && entry.value && entry.value.Subtype === '/Form') {
+                            const formData = this.decodeStream(entry, objects);
+                            if (formData) {
+                                const formMatrix = Array.isArray(entry.value.Matrix) ? entry.value.Matrix.map(Number) : [1, 0, 0, 1, 0, 0];
+                                const formResources = this.resolve(entry.value.Resources, objects) || resources;
+                                this.runContentStream(formData, formResources, objects, collector, this.multiply(formMatrix, ctm), depth + 1);
+                            }
+                        }
+                        break;
+                    }
+                    default:
+                        break;
+                }
+                operands = [];
+                continue;
+            }
+
+            operands.push(value);
+        }
+    }
+
+    multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[1] * m2[2],
+            m1[0] * m2[1] + m1[1] * m2[3],
+            m1[2] * m2[0] + m1[3] * m2[2],
+            m1[2] * m2[1] + m1[3] * m2[3],
+            m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+            m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+        ];
+    }
+
+    /**
+     * Append shown text to the current line, starting a new line when the baseline moves
+     */
+    addText(collector, text, x, y, size, width) {
+        if (!text) return;
+        const current = collector.current;
+        const tolerance = Math.max(size, current ? current.fontSize : 0) * 0.4;
+
+        if (current && Math.abs(current.y - y) <= tolerance && x >= current.startX - size) {
+            const gap = x - current.endX;
+            if (gap > size * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(text)) {
+                current.text += ' ';
+            }
+            current.text += text;
+            current.endX = Math.max(current.endX, x + width);
+            current.fontSize = Math.max(current.fontSize, size);
+            return;
+        }
+
+        this.closeLine(collector);
+        collector.current = { text, x, y, startX: x, endX: x + width, fontSize: size };
+    }
+
+    addSpace(collector) {
+        if (collector.current && !/\s$/.test(collector.current.text)) {
+            collector.current.text += ' ';
+        }
+    }
+
+    closeLine(collector) {
+        const line = collector.current;
+        if (line) {
+            const text = line.text.replace(/[ﬀ-ﬆ]/g, ligature => ligature.normalize('NFKC')).replace(/\s+/g, ' ').trim();
+            if (text) {
+                collector.lines.push({
+                    text,
+                    fontSize: Math.round(line.fontSize * 10) / 10,
+                    x: Math.round(line.startX),
+                    y: Math.round(line.y)
+                });
+            }
+        }
+        collector.current = null;
+    }
+
+    // ---------------------------------------------------------------------
+    // Fonts
+    // ---------------------------------------------------------------------
+
+    loadFont(fontDict, objects) {
+        const font = {
+            codeBytes: 1,
+            toUnicode: null,
+            differences: new Map(),
+            widths: null,
+            firstChar: 0,
+            defaultWidth: 500,
+            cidWidths: null
+        };
+        if (!fontDict) return font;
+
+        if (fontDict.Subtype === '/Type0') {
+            font.codeBytes = 2;
+            const descendant = this.resolve((this.resolve(fontDict.DescendantFonts, objects) || [])[0], objects);
+            if (descendant) {
+                font.defaultWidth = typeof descendant.DW === 'number' ? descendant.DW : 1000;
+                font.cidWidths = this.parseCidWidths(this.resolve(descendant.W, objects), objects);
+            }
+        } else {
+            const widths = this.resolve(fontDict.Widths, objects);
+            if (Array.isArray(widths)) {
+                font.widths = widths.map(width => Number(this.resolve(width, objects)) || 0);
+                font.firstChar = Number(fontDict.FirstChar) || 0;
+            }
+        }
+
+        const encoding = this.resolve(fontDict.Encoding, objects);
+        if (encoding && typeof encoding === 'object' && Array.isArray(encoding.Differences)) {
+            let code = 0;
+            for (const item of encoding.Differences) {
+                if (typeof item === 'number') {
+                    code = item;
+                } else if (typeof item === 'string') {
+                    font.differences.set(code++, item.substring(1));
+                }
+            }
+        }
+
+        const toUnicodeEntry = this.resolveEntry(fontDict.ToUnicode, objects);
+        const cmap = this.decodeStream(toUnicodeEntry, objects);
+        if (cmap) {
+            const parsed = this.parseToUnicode(cmap.toString('latin1'));
+            font.toUnicode = parsed.map;
+            if (parsed.codeBytes) font.codeBytes = parsed.codeBytes;
+        }
+
+        return font;
+    }
+
+    parseCidWidths(array, objects) {
+        const widths = new Map();
+        if (!Array.isArray(array)) return widths;
+
+        for (let i = 0; i < array.length;) {
+            const first = Number(this.resolve(array[i], objects));
+            const next = this.resolve(array[i + 1], objects);
+            if (Array.isArray(next)) {
+                next.forEach((width, index) => widths.set(first + index, Number(width) || 0));
+                i += 2;
+            } else {
+                const last = Number(next);
+                const width = Number(this.resolve(array[i + 2], objects)) || 0;
+                for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+                i += 3;
+            }
+        }
+        return widths;
+    }
+
+    /**
+     * Parse bfchar/bfrange mappings from a ToUnicode CMap
+     * @returns {Object} { map: Map<code, string>, codeBytes }
+     */
+    parseToUnicode(text) {
+        const map = new Map();
+        let codeBytes = null;
+
+        const range = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+        if (range) codeBytes = Math.ceil(range[1].length / 2);
+
+        const toString = (hex) => {
+            const clean = hex.replace(/\s/g, '');
+            let result = '';
+            for (let i = 0; i + 3 < clean.length + 1 && i < clean.length; i += 4) {
+                result += String.fromCharCode(parseInt(clean.substr(i, 4).padEnd(4, '0'), 16));
+            }
+            return result;
+        };
+
+        for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F\s]*)>/g)) {
+                map.set(parseInt(pair[1], 16), toString(pair[2]));
+            }
+        }
+
+        for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F\s]*>|\[[^\]]*\])/g)) {
+                const low = parseInt(entry[1], 16);
+                const high = Math.min(parseInt(entry[2], 16), low + 65535);
+                if (entry[3][0] === '[') {
+                    const targets = [...entry[3].matchAll(/<([0-9a-fA-F\s]*)>/g)].map(target => toString(target[1]));
+                    targets.forEach((target, index) => {
+                        if (low + index <= high) map.set(low + index, target);
+                    });
+                } else {
+                    const base = toString(entry[3].slice(1, -1));
+                    const lastCode = base.charCodeAt(base.length - 1);
+                    for (let code = low; code <= high; code++) {
+                        map.set(code, base.slice(0, -1) + String.fromCharCode(lastCode + code - low));
+                    }
+                }
+            }
+        }
+
+        return { map, codeBytes };
+    }
+
+    splitCodes(binary, font) {
+        const codes = [];
+        if (font.codeBytes === 2) {
+            for (let i = 0; i + 1 < binary.length; i += 2) {
+                codes.push((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+            }
+        } else {
+            for (let i = 0; i < binary.length; i++) codes.push(binary.charCodeAt(i));
+        }
+        return codes;
+    }
+
+    decodeCode(code, font) {
+        if (font.toUnicode && font.toUnicode.has(code)) {
+            return font.toUnicode.get(code);
+        }
+        if (font.codeBytes === 2) {
+            // CID fonts without a ToUnicode map cannot be decoded reliably
+            return '';
+        }
+        if (font.differences.has(code)) {
+            const glyph = font.differences.get(code);
+            if (this.GLYPH_NAMES[glyph]) return this.GLYPH_NAMES[glyph];
+            if (/^uni[0-9A-F]{4}$/i.test(glyph)) return String.fromCharCode(parseInt(glyph.substring(3), 16));
+            if (glyph.length === 1) return glyph;
+        }
+        if (this.WIN_ANSI[code]) return this.WIN_ANSI[code];
+        return code >= 32 ? String.fromCharCode(code) : '';
+    }
+
+    glyphWidth(code, font) {
+        if (font.cidWidths) {
+            return font.cidWidths.has(code) ? font.cidWidths.get(code) : font.defaultWidth;
+        }
+        if (font.widths) {
+            const width = font.widths[code - font.firstChar];
+            if (width) return width;
+        }
+        return code === 32 ? 250 : font.defaultWidth;
+    }
+}
+
+module.exports = PdfTextExtractor;
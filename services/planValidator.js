@@ -1,6 +1,7 @@
 const db = require('../database/db');
 const UsageTracker = require('./usageTracker');
 const { logger } = require('../utils/logger');
+const languageSupport = require('../utils/languageSupport');
 
 /**
  * PlanValidator class handles user plan validation and freemium restrictions
@@ -40,9 +41,10 @@ class PlanValidator {
      * @param {string} prompt - User's input prompt
      * @param {number} requestedWordCount - Requested output word count
      * @param {string} toolType - Type of tool ('writing' or 'research')
+     * @param {string} language - Language of the prompt and output; limits apply to English word equivalents
      * @returns {Object} Validation result
      */
-    async validateRequest(userId, prompt, requestedWordCount, toolType = 'writing') {
+    async validateRequest(userId, prompt, requestedWordCount, toolType = 'writing', language = null) {
         try {
             // Get user plan information
             const userPlan = await this.getUserPlan(userId);
@@ -65,19 +67,23 @@ class PlanValidator {
 
             // 1. Check prompt length limits
             const promptWordCount = this.countWords(prompt);
-            const promptValidation = this.validatePromptLength(userPlan.planType, promptWordCount);
+            const promptValidation = this.validatePromptLength(
+                userPlan.planType,
+                languageSupport.wordEquivalents(prompt, language)
+            );
             if (!promptValidation.isValid) {
                 return promptValidation;
             }
 
             // 2. Check output word count limits per request
-            const outputValidation = this.validateOutputWordCount(userPlan.planType, requestedWordCount);
+            const requestedWordEquivalents = languageSupport.toWordEquivalents(requestedWordCount, language);
+            const outputValidation = this.validateOutputWordCount(userPlan.planType, requestedWordEquivalents);
             if (!outputValidation.isValid) {
                 return outputValidation;
             }
 
             // 3. Check credit availability (no monthly limits - purely credit-based system)
-            const creditValidation = await this.validateCreditAvailability(userId, requestedWordCount, userPlan.planType, toolType);
+            const creditValidation = await this.validateCreditAvailability(userId, requestedWordEquivalents, userPlan.planType, toolType);
             if (!creditValidation.isValid) {
                 return creditValidation;
             }
@@ -106,6 +112,91 @@ class PlanValidator {
         }
     }
 
+    /**
+     * Validate a batch of requests against plan limits and the combined credit cost
+     * Prompt and output limits apply to every request; credits are checked once for the
+     * whole batch so a run is not accepted that the balance cannot finish.
+     * @param {number} userId - User ID
+     * @param {Array<Object>} requests - [{ prompt, wordCount, language, qualityTier }]
+     * @param {string} toolType - Type of tool ('writing' or 'research')
+     * @returns {Object} Validation result; itemErrors lists [{ index, error, errorCode }]
+     */
+    async validateBatchRequest(userId, requests, toolType = 'writing') {
+        try {
+            const userPlan = await this.getUserPlan(userId);
+            if (!userPlan) {
+                return {
+                    isValid: false,
+                    error: 'User plan not found',
+                    errorCode: 'PLAN_NOT_FOUND'
+                };
+            }
+
+            if (!this.limits[userPlan.planType]) {
+                return {
+                    isValid: false,
+                    error: 'Invalid plan type',
+                    errorCode: 'INVALID_PLAN'
+                };
+            }
+
+            const itemErrors = [];
+            let totalWordEquivalents = 0;
+            requests.forEach((request, index) => {
+                const promptValidation = this.validatePromptLength(
+                    userPlan.planType,
+                    languageSupport.wordEquivalents(request.prompt, request.language)
+                );
+                const requestedWordEquivalents = languageSupport.toWordEquivalents(request.wordCount, request.language);
+                const outputValidation = this.validateOutputWordCount(userPlan.planType, requestedWordEquivalents);
+                const failed = [promptValidation, outputValidation].find(validation => !validation.isValid);
+                if (failed) {
+                    itemErrors.push({ index: request.index ?? index, error: failed.error, errorCode: failed.errorCode });
+                }
+
+                // Premium quality costs twice the credits of the same length
+                totalWordEquivalents += requestedWordEquivalents * (request.qualityTier === 'premium' ? 2 : 1);
+            });
+
+            if (itemErrors.length > 0) {
+                return {
+                    isValid: false,
+                    error: 'Some requests exceed your plan limits',
+                    errorCode: 'BATCH_ITEMS_INVALID',
+                    itemErrors,
+                    planType: userPlan.planType
+                };
+            }
+
+            const creditValidation = await this.validateCreditAvailability(userId, totalWordEquivalents, userPlan.planType, toolType);
+            if (!creditValidation.isValid) {
+                return creditValidation;
+            }
+
+            return {
+                isValid: true,
+                userPlan,
+                requestCount: requests.length,
+                totalWordEquivalents,
+                estimatedCredits: creditValidation.estimatedCredits
+            };
+
+        } catch (error) {
+            logger.error('Error validating batch request', {
+                service: 'PlanValidator',
+                method: 'validateBatchRequest',
+                userId,
+                error: error.message
+            });
+            return {
+                isValid: false,
+                error: 'Validation failed',
+                errorCode: 'VALIDATION_ERROR',
+                details: error.message
+            };
+        }
+    }
+
     /**
      * Validate user plan for specific tool access
      * @param {number} userId - User ID
@@ -453,16 +544,12 @@ class PlanValidator {
     }
 
     /**
-     * Count words in text
+     * Count words in text (characters for Chinese and Japanese)
      * @param {string} text - Text to count
      * @returns {number} Word count
      */
     countWords(text) {
-        if (!text || typeof text !== 'string') {
-            return 0;
-        }
-        
-        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+        return languageSupport.countWords(text);
     }
 
     /**
@@ -1,4 +1,4 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const admin = require('firebase-admin');
 const AtomicCreditSystem = require('./atomicCreditSystem');
 const PlanValidator = require('./planValidator');
@@ -6,10 +6,8 @@ const { logger } = require('../utils/logger');
 
 class PromptEngineerService {
     constructor() {
-        // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-        // Required for Gemini 2.5 Flash Lite model used in prompt engineering
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY); // Add your Gemini API key
-        this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+        // Prompt engineering model is routed via config/serviceConfig.js (llm.tools.promptEngineer)
+        this.model = llmProvider.forTool('promptEngineer');
         
         // Initialize Firebase database with proper error handling
         try {
@@ -51,8 +49,10 @@ class PromptEngineerService {
 
     /**
      * Analyze prompt quality and provide scoring
+     * @param {string} prompt - Prompt to analyze
+     * @param {Object} usage - Usage context { userId, feature } for LLM accounting
      */
-    async analyzePromptQuality(prompt) {
+    async analyzePromptQuality(prompt, usage = {}) {
         try {
             const analysisPrompt = `
 Analyze the following prompt and provide a detailed quality assessment. Return your response in JSON format with the following structure:
@@ -83,9 +83,8 @@ Prompt to analyze:
 
 Provide honest, constructive feedback focusing on how well the prompt communicates intent, provides necessary context, and would generate useful responses.`;
 
-            const result = await this.model.generateContent(analysisPrompt);
-            const response = result.response;
-            const text = response.text();
+            const result = await this.model.generate(analysisPrompt, { usage: { feature: 'prompt.analyze', ...usage } });
+            const text = result.text;
             
             // Parse JSON response
             const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -198,9 +197,8 @@ Return your response in JSON format:
 
 Focus on practical improvements that will genuinely enhance the prompt's effectiveness.`;
 
-                const result = await this.model.generateContent(optimizationPrompt);
-                const response = result.response;
-                const text = response.text();
+                const result = await this.model.generate(optimizationPrompt, { usage: { userId, plan: limitCheck.userPlan, feature: 'prompt.optimize' } });
+                const text = result.text;
                 
                 // Calculate actual output words
                 const actualOutputWords = this.calculateWordCount(text);
@@ -274,7 +272,7 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
      */
     async analyzePromptFree(prompt) {
         try {
-            const analysis = await this.analyzePromptQuality(prompt);
+            const analysis = await this.analyzePromptQuality(prompt, { feature: 'prompt.analyzeFree' });
             return {
                 success: true,
                 analysis,
@@ -330,7 +328,7 @@ Focus on practical improvements that will genuinely enhance the prompt's effecti
             }
 
             try {
-                const analysis = await this.analyzePromptQuality(prompt);
+                const analysis = await this.analyzePromptQuality(prompt, { userId, plan: limitCheck.userPlan });
                 const actualOutputWords = 200; // Analysis output is typically consistent
 
                 // No daily usage tracking needed in credit-based system
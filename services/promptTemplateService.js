@@ -0,0 +1,839 @@
+const { admin, db } = require('../config/firebase');
+const { logger } = require('../utils/logger');
+
+/**
+ * PromptTemplateService
+ * User-defined prompt templates with typed variables, a version history per template,
+ * and template libraries that a team shares by membership.
+ *
+ * A template body references its variables as {{name}}. Every save creates a new version;
+ * older versions stay readable and renderable.
+ */
+class PromptTemplateService {
+    constructor() {
+        this.templatesCollection = 'promptTemplates';
+        this.versionsCollection = 'promptTemplateVersions';
+        this.librariesCollection = 'promptTemplateLibraries';
+
+        this.CATEGORIES = ['general', 'academic', 'creative', 'technical', 'business'];
+        this.VARIABLE_TYPES = ['text', 'enum', 'number', 'list'];
+        this.LIBRARY_ROLES = ['editor', 'viewer'];
+
+        this.MAX_BODY_LENGTH = 10000;
+        this.MAX_VARIABLES = 30;
+        this.MAX_TEMPLATES_PER_USER = 200;
+        this.MAX_LIBRARY_MEMBERS = 50;
+        this.DEFAULT_TEXT_MAX_LENGTH = 2000;
+        this.DEFAULT_LIST_MAX_ITEMS = 20;
+        this.DEFAULT_LIST_ITEM_MAX_LENGTH = 500;
+
+        this.VARIABLE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+        this.PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+    }
+
+    // ---------------------------------------------------------------------
+    // Templates
+    // ---------------------------------------------------------------------
+
+    /**
+     * Create a template (version 1)
+     * @param {string} userId - Owner
+     * @param {Object} input - { name, description, category, body, variables, libraryId, changeNote }
+     * @returns {Promise<Object>} Stored template
+     */
+    async createTemplate(userId, input) {
+        this.requireDb();
+        const definition = this.validateDefinition(input);
+
+        if (input.libraryId) {
+            await this.requireLibraryRole(input.libraryId, userId, ['owner', 'editor']);
+        }
+
+        const owned = await db.collection(this.templatesCollection)
+            .where('userId', '==', userId)
+            .limit(this.MAX_TEMPLATES_PER_USER)
+            .get();
+        if (owned.size >= this.MAX_TEMPLATES_PER_USER) {
+            throw this.createError(400, `You can keep at most ${this.MAX_TEMPLATES_PER_USER} templates`);
+        }
+
+        const templateRef = db.collection(this.templatesCollection).doc();
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const template = {
+            userId,
+            libraryId: input.libraryId || null,
+            ...definition,
+            version: 1,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const batch = db.batch();
+        batch.set(templateRef, template);
+        batch.set(this.versionRef(templateRef.id, 1), this.buildVersion(templateRef.id, 1, definition, userId, input.changeNote));
+        await batch.commit();
+
+        logger.info('Prompt template created', {
+            service: 'PromptTemplateService',
+            method: 'createTemplate',
+            userId,
+            templateId: templateRef.id,
+            libraryId: template.libraryId
+        });
+
+        return this.getTemplate(templateRef.id, userId);
+    }
+
+    /**
+     * Save changes to a template as a new version
+     * Fields left out keep their current values.
+     * @param {string} templateId - Template ID
+     * @param {string} userId - Editing user
+     * @param {Object} input - { name, description, category, body, variables, libraryId, changeNote }
+     * @returns {Promise<Object>} Updated template
+     */
+    async updateTemplate(templateId, userId, input) {
+        this.requireDb();
+        const { template } = await this.loadTemplate(templateId, userId, 'edit');
+
+        const merged = {
+            name: input.name ?? template.name,
+            description: input.description ?? template.description,
+            category: input.category ?? template.category,
+            body: input.body ?? template.body,
+            variables: input.variables ?? template.variables
+        };
+        const definition = this.validateDefinition(merged);
+
+        let libraryId = template.libraryId;
+        if (input.libraryId !== undefined && input.libraryId !== template.libraryId) {
+            // Only the template's owner moves it between their own space and libraries
+            if (template.userId !== userId) {
+                throw this.createError(403, 'Only the template owner can move it to another library');
+            }
+            if (input.libraryId) {
+                await this.requireLibraryRole(input.libraryId, userId, ['owner', 'editor']);
+            }
+            libraryId = input.libraryId || null;
+        }
+
+        const templateRef = db.collection(this.templatesCollection).doc(templateId);
+        const version = await db.runTransaction(async (transaction) => {
+            const current = await transaction.get(templateRef);
+            if (!current.exists) {
+                throw this.createError(404, 'Template not found');
+            }
+            const nextVersion = (current.data().version || 1) + 1;
+
+            transaction.update(templateRef, {
+                ...definition,
+                libraryId,
+                version: nextVersion,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(
+                this.versionRef(templateId, nextVersion),
+                this.buildVersion(templateId, nextVersion, definition, userId, input.changeNote)
+            );
+            return nextVersion;
+        });
+
+        logger.info('Prompt template updated', {
+            service: 'PromptTemplateService',
+            method: 'updateTemplate',
+            userId,
+            templateId,
+            version
+        });
+
+        return this.getTemplate(templateId, userId);
+    }
+
+    /**
+     * Get a template the user can see
+     * @param {string} templateId - Template ID
+     * @param {string} userId - Requesting user
+     * @returns {Promise<Object>} Template with the caller's access level
+     */
+    async getTemplate(templateId, userId) {
+        this.requireDb();
+        const { template, access } = await this.loadTemplate(templateId, userId, 'view');
+        return { ...template, access };
+    }
+
+    /**
+     * List templates the user owns or can see through their libraries
+     * @param {string} userId - Requesting user
+     * @param {Object} filters - { category, libraryId }
+     * @returns {Promise<Array>} Templates, most recently updated first
+     */
+    async listTemplates(userId, filters = {}) {
+        this.requireDb();
+        const libraries = await this.listLibraries(userId);
+        const libraryIds = filters.libraryId
+            ? libraries.filter(library => library.id === filters.libraryId).map(library => library.id)
+            : libraries.map(library => library.id);
+
+        if (filters.libraryId && libraryIds.length === 0) {
+            throw this.createError(404, 'Template library not found');
+        }
+
+        const queries = [];
+        if (!filters.libraryId) {
+            queries.push(db.collection(this.templatesCollection).where('userId', '==', userId).get());
+        }
+        // Firestore "in" filters accept a limited number of values
+        for (let i = 0; i < libraryIds.length; i += 10) {
+            queries.push(db.collection(this.templatesCollection)
+                .where('libraryId', 'in', libraryIds.slice(i, i + 10))
+                .get());
+        }
+
+        const snapshots = await Promise.all(queries);
+        const templates = new Map();
+        snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+            templates.set(doc.id, { id: doc.id, ...doc.data() });
+        }));
+
+        return Array.from(templates.values())
+            .filter(template => !filters.category || template.category === filters.category)
+            .map(template => ({ ...template, access: this.templateAccess(template, userId, libraries) }))
+            .sort((a, b) => this.toMillis(b.updatedAt) - this.toMillis(a.updatedAt));
+    }
+
+    /**
+     * Delete a template and its version history
+     * Allowed for the template owner and the owner of the library it belongs to.
+     */
+    async deleteTemplate(templateId, userId) {
+        this.requireDb();
+        const { template, library } = await this.loadTemplate(templateId, userId, 'view');
+        if (template.userId !== userId && library?.ownerId !== userId) {
+            throw this.createError(403, 'Only the template owner or the library owner can delete this template');
+        }
+
+        const versions = await db.collection(this.versionsCollection)
+            .where('templateId', '==', templateId)
+            .get();
+        const batch = db.batch();
+        versions.docs.forEach(doc => batch.delete(doc.ref));
+        batch.delete(db.collection(this.templatesCollection).doc(templateId));
+        await batch.commit();
+
+        logger.info('Prompt template deleted', {
+            service: 'PromptTemplateService',
+            method: 'deleteTemplate',
+            userId,
+            templateId
+        });
+    }
+
+    /**
+     * Version history of a template, newest first
+     */
+    async getVersions(templateId, userId) {
+        this.requireDb();
+        await this.loadTemplate(templateId, userId, 'view');
+
+        const snapshot = await db.collection(this.versionsCollection)
+            .where('templateId', '==', templateId)
+            .get();
+        return snapshot.docs
+            .map(doc => doc.data())
+            .sort((a, b) => b.version - a.version);
+    }
+
+    /**
+     * Fill in a template's variables
+     * @param {string} templateId - Template ID
+     * @param {string} userId - Requesting user
+     * @param {Object} values - Variable values keyed by name
+     * @param {number} version - Version to render (default: current)
+     * @returns {Promise<Object>} { prompt, templateId, version, name, category, variables }
+     */
+    async renderTemplate(templateId, userId, values = {}, version = null) {
+        this.requireDb();
+        const { template } = await this.loadTemplate(templateId, userId, 'view');
+
+        let definition = template;
+        if (version && Number(version) !== template.version) {
+            const versionDoc = await this.versionRef(templateId, Number(version)).get();
+            if (!versionDoc.exists) {
+                throw this.createError(404, `Version ${version} of this template does not exist`);
+            }
+            definition = versionDoc.data();
+        }
+
+        const rendered = this.render(definition, values);
+        return {
+            templateId,
+            version: definition.version,
+            name: definition.name,
+            category: definition.category,
+            ...rendered
+        };
+    }
+
+    /**
+     * Render a template definition with the given values
+     * Pure; throws a 400 error with per-variable details when values are invalid.
+     * @param {Object} definition - { body, variables }
+     * @param {Object} values - Variable values keyed by name
+     * @returns {Object} { prompt, variables } with the coerced values used
+     */
+    render(definition, values = {}) {
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+            throw this.createError(400, 'Template variables must be an object keyed by variable name');
+        }
+
+        const errors = [];
+        const resolved = {};
+        definition.variables.forEach(variable => {
+            const result = this.coerceValue(variable, values[variable.name]);
+            if (result.error) {
+                errors.push({ variable: variable.name, message: result.error });
+            } else {
+                resolved[variable.name] = result.value;
+            }
+        });
+
+        const unknown = Object.keys(values).filter(name => !definition.variables.some(variable => variable.name === name));
+        unknown.forEach(name => errors.push({ variable: name, message: 'Unknown variable' }));
+
+        if (errors.length > 0) {
+            throw this.createError(400, 'Template variables are invalid', errors);
+        }
+
+        const prompt = definition.body
+            .replace(this.PLACEHOLDER_PATTERN, (match, name) => this.formatValue(
+                definition.variables.find(variable => variable.name === name),
+                resolved[name]
+            ))
+            .replace(/[ \t]{2,}/g, ' ')
+            .trim();
+
+        if (prompt.length > this.MAX_BODY_LENGTH) {
+            throw this.createError(400, `Rendered prompt exceeds ${this.MAX_BODY_LENGTH} characters`);
+        }
+
+        return { prompt, variables: resolved };
+    }
+
+    // ---------------------------------------------------------------------
+    // Libraries
+    // ---------------------------------------------------------------------
+
+    /**
+     * Create a shared template library owned by the user
+     * @param {string} userId - Owner
+     * @param {Object} input - { name, description }
+     */
+    async createLibrary(userId, input = {}) {
+        this.requireDb();
+        const name = this.requireString(input.name, 'Library name', 100);
+        const libraryRef = db.collection(this.librariesCollection).doc();
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        await libraryRef.set({
+            name,
+            description: this.optionalString(input.description, 'Library description', 500),
+            ownerId: userId,
+            memberIds: [userId],
+            roles: { [userId]: 'owner' },
+            createdAt: now,
+            updatedAt: now
+        });
+
+        return this.getLibrary(libraryRef.id, userId);
+    }
+
+    /**
+     * Libraries the user owns or is a member of
+     */
+    async listLibraries(userId) {
+        this.requireDb();
+        const snapshot = await db.collection(this.librariesCollection)
+            .where('memberIds', 'array-contains', userId)
+            .get();
+        return snapshot.docs.map(doc => this.formatLibrary(doc.id, doc.data(), userId));
+    }
+
+    async getLibrary(libraryId, userId) {
+        this.requireDb();
+        const library = await this.requireLibraryRole(libraryId, userId, ['owner', 'editor', 'viewer']);
+        return this.formatLibrary(libraryId, library, userId);
+    }
+
+    /**
+     * Add a member to a library or change their role (library owner only)
+     * @param {string} libraryId - Library ID
+     * @param {string} userId - Library owner
+     * @param {Object} member - { email | userId, role: 'editor' | 'viewer' }
+     */
+    async addLibraryMember(libraryId, userId, member = {}) {
+        this.requireDb();
+        const library = await this.requireLibraryRole(libraryId, userId, ['owner']);
+        const role = member.role || 'viewer';
+        if (!this.LIBRARY_ROLES.includes(role)) {
+            throw this.createError(400, `Role must be one of: ${this.LIBRARY_ROLES.join(', ')}`);
+        }
+
+        const memberId = await this.resolveMemberId(member);
+        if (memberId === library.ownerId) {
+            throw this.createError(400, 'The library owner is already a member');
+        }
+        if (!library.memberIds.includes(memberId) && library.memberIds.length >= this.MAX_LIBRARY_MEMBERS) {
+            throw this.createError(400, `A library can have at most ${this.MAX_LIBRARY_MEMBERS} members`);
+        }
+
+        await db.collection(this.librariesCollection).doc(libraryId).update({
+            memberIds: admin.firestore.FieldValue.arrayUnion(memberId),
+            [`roles.${memberId}`]: role,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return this.getLibrary(libraryId, userId);
+    }
+
+    /**
+     * Remove a member from a library
+     * The owner can remove anyone but themselves; members can remove themselves (leave).
+     */
+    async removeLibraryMember(libraryId, userId, memberId) {
+        this.requireDb();
+        const library = await this.requireLibraryRole(libraryId, userId, ['owner', 'editor', 'viewer']);
+        if (memberId === library.ownerId) {
+            throw this.createError(400, 'The library owner cannot be removed; delete the library instead');
+        }
+        if (library.ownerId !== userId && memberId !== userId) {
+            throw this.createError(403, 'Only the library owner can remove other members');
+        }
+        if (!library.memberIds.includes(memberId)) {
+            throw this.createError(404, 'Member not found in this library');
+        }
+
+        await db.collection(this.librariesCollection).doc(libraryId).update({
+            memberIds: admin.firestore.FieldValue.arrayRemove(memberId),
+            [`roles.${memberId}`]: admin.firestore.FieldValue.delete(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    /**
+     * Delete a library (owner only)
+     * Its templates are kept and return to their authors' personal space.
+     */
+    async deleteLibrary(libraryId, userId) {
+        this.requireDb();
+        await this.requireLibraryRole(libraryId, userId, ['owner']);
+
+        const templates = await db.collection(this.templatesCollection)
+            .where('libraryId', '==', libraryId)
+            .get();
+        const batch = db.batch();
+        templates.docs.forEach(doc => batch.update(doc.ref, { libraryId: null }));
+        batch.delete(db.collection(this.librariesCollection).doc(libraryId));
+        await batch.commit();
+    }
+
+    // ---------------------------------------------------------------------
+    // Validation
+    // ---------------------------------------------------------------------
+
+    /**
+     * Validate and normalize a template definition
+     * @returns {Object} { name, description, category, body, variables }
+     */
+    validateDefinition(input = {}) {
+        const name = this.requireString(input.name, 'Template name', 100);
+        const description = this.optionalString(input.description, 'Template description', 500);
+        const category = input.category || 'general';
+        if (!this.CATEGORIES.includes(category)) {
+            throw this.createError(400, `Invalid category. Must be one of: ${this.CATEGORIES.join(', ')}`);
+        }
+        const body = this.requireString(input.body, 'Template body', this.MAX_BODY_LENGTH);
+
+        const rawVariables = input.variables || [];
+        if (!Array.isArray(rawVariables)) {
+            throw this.createError(400, 'Template variables must be an array');
+        }
+        if (rawVariables.length > this.MAX_VARIABLES) {
+            throw this.createError(400, `A template can have at most ${this.MAX_VARIABLES} variables`);
+        }
+
+        const errors = [];
+        const variables = [];
+        rawVariables.forEach((raw, index) => {
+            const result = this.normalizeVariable(raw);
+            if (result.error) {
+                errors.push({ variable: raw?.name || `#${index + 1}`, message: result.error });
+            } else if (variables.some(variable => variable.name === result.variable.name)) {
+                errors.push({ variable: result.variable.name, message: 'Variable is defined more than once' });
+            } else {
+                variables.push(result.variable);
+            }
+        });
+
+        const placeholders = new Set(Array.from(body.matchAll(this.PLACEHOLDER_PATTERN), match => match[1]));
+        placeholders.forEach(name => {
+            if (!rawVariables.some(variable => variable?.name === name)) {
+                errors.push({ variable: name, message: 'Used in the body as {{' + name + '}} but not defined' });
+            }
+        });
+        variables.forEach(variable => {
+            if (!placeholders.has(variable.name)) {
+                errors.push({ variable: variable.name, message: 'Defined but never used in the body' });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw this.createError(400, 'Template definition is invalid', errors);
+        }
+
+        return { name, description, category, body, variables };
+    }
+
+    /**
+     * Normalize one variable definition
+     * @returns {Object} { variable } or { error }
+     */
+    normalizeVariable(raw) {
+        if (!raw || typeof raw !== 'object') {
+            return { error: 'Variable must be an object' };
+        }
+        if (typeof raw.name !== 'string' || !this.VARIABLE_NAME_PATTERN.test(raw.name)) {
+            return { error: 'Variable name must start with a letter and contain only letters, digits and underscores (max 40)' };
+        }
+        if (!this.VARIABLE_TYPES.includes(raw.type)) {
+            return { error: `Variable type must be one of: ${this.VARIABLE_TYPES.join(', ')}` };
+        }
+
+        const variable = {
+            name: raw.name,
+            type: raw.type,
+            label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim().substring(0, 100) : raw.name,
+            description: typeof raw.description === 'string' ? raw.description.trim().substring(0, 300) : '',
+            required: raw.required !== false
+        };
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+        switch (raw.type) {
+            case 'text': {
+                variable.minLength = Number.isInteger(raw.minLength) && raw.minLength > 0 ? raw.minLength : 0;
+                variable.maxLength = Number.isInteger(raw.maxLength) && raw.maxLength > 0
+                    ? Math.min(raw.maxLength, this.MAX_BODY_LENGTH)
+                    : this.DEFAULT_TEXT_MAX_LENGTH;
+                if (variable.minLength > variable.maxLength) {
+                    return { error: 'minLength cannot be greater than maxLength' };
+                }
+                if (raw.pattern !== undefined) {
+                    if (typeof raw.pattern !== 'string' || raw.pattern.length > 200) {
+                        return { error: 'pattern must be a regular expression string (max 200 characters)' };
+                    }
+                    try {
+                        new RegExp(raw.pattern);
+                    } catch (error) {
+                        return { error: `pattern is not a valid regular expression: ${error.message}` };
+                    }
+                    variable.pattern = raw.pattern;
+                }
+                break;
+            }
+            case 'enum': {
+                if (!Array.isArray(raw.options) || raw.options.length === 0 || raw.options.length > 50) {
+                    return { error: 'Enum variables need between 1 and 50 options' };
+                }
+                const options = raw.options.map(option => String(option).trim()).filter(Boolean);
+                if (options.length !== raw.options.length || new Set(options).size !== options.length) {
+                    return { error: 'Enum options must be unique, non-empty values' };
+                }
+                variable.options = options;
+                break;
+            }
+            case 'number': {
+                if (raw.min !== undefined && !isNumber(raw.min) || raw.max !== undefined && !isNumber(raw.max)) {
+                    return { error: 'min and max must be numbers' };
+                }
+                if (isNumber(raw.min) && isNumber(raw.max) && raw.min > raw.max) {
+                    return { error: 'min cannot be greater than max' };
+                }
+                variable.min = isNumber(raw.min) ? raw.min : null;
+                variable.max = isNumber(raw.max) ? raw.max : null;
+                variable.integer = raw.integer === true;
+                break;
+            }
+            case 'list': {
+                variable.minItems = Number.isInteger(raw.minItems) && raw.minItems > 0 ? raw.minItems : 0;
+                variable.maxItems = Number.isInteger(raw.maxItems) && raw.maxItems > 0
+                    ? Math.min(raw.maxItems, 100)
+                    : this.DEFAULT_LIST_MAX_ITEMS;
+                variable.itemMaxLength = Number.isInteger(raw.itemMaxLength) && raw.itemMaxLength > 0
+                    ? Math.min(raw.itemMaxLength, this.DEFAULT_TEXT_MAX_LENGTH)
+                    : this.DEFAULT_LIST_ITEM_MAX_LENGTH;
+                variable.separator = typeof raw.separator === 'string' ? raw.separator.substring(0, 10) : ', ';
+                if (variable.minItems > variable.maxItems) {
+                    return { error: 'minItems cannot be greater than maxItems' };
+                }
+                break;
+            }
+        }
+
+        if (raw.default !== undefined && raw.default !== null) {
+            const result = this.coerceValue(variable, raw.default);
+            if (result.error) {
+                return { error: `Invalid default: ${result.error}` };
+            }
+            variable.default = result.value;
+        }
+
+        return { variable };
+    }
+
+    /**
+     * Validate a value against its variable definition
+     * @returns {Object} { value } or { error }
+     */
+    coerceValue(variable, value) {
+        const isEmpty = value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+        if (isEmpty) {
+            if (variable.default !== undefined) {
+                return { value: variable.default };
+            }
+            if (variable.required) {
+                return { error: 'A value is required' };
+            }
+            return { value: variable.type === 'list' ? [] : null };
+        }
+
+        switch (variable.type) {
+            case 'text': {
+                if (typeof value !== 'string' && typeof value !== 'number') {
+                    return { error: 'Must be text' };
+                }
+                const text = String(value).trim();
+                if (text.length < variable.minLength) {
+                    return { error: `Must be at least ${variable.minLength} characters` };
+                }
+                if (text.length > variable.maxLength) {
+                    return { error: `Must be at most ${variable.maxLength} characters` };
+                }
+                if (variable.pattern && !new RegExp(variable.pattern).test(text)) {
+                    return { error: `Must match the pattern ${variable.pattern}` };
+                }
+                return { value: text };
+            }
+            case 'enum': {
+                const option = String(value).trim();
+                if (!variable.options.includes(option)) {
+                    return { error: `Must be one of: ${variable.options.join(', ')}` };
+                }
+                return { value: option };
+            }
+            case 'number': {
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                if (!Number.isFinite(number)) {
+                    return { error: 'Must be a number' };
+                }
+                if (variable.integer && !Number.isInteger(number)) {
+                    return { error: 'Must be a whole number' };
+                }
+                if (variable.min !== null && number < variable.min) {
+                    return { error: `Must be at least ${variable.min}` };
+                }
+                if (variable.max !== null && number > variable.max) {
+                    return { error: `Must be at most ${variable.max}` };
+                }
+                return { value: number };
+            }
+            case 'list': {
+                // Lists may be sent as an array or as one item per line
+                const items = (Array.isArray(value) ? value : String(value).split('\n'))
+                    .map(item => String(item).trim())
+                    .filter(Boolean);
+                if (items.length < variable.minItems) {
+                    return { error: `Must have at least ${variable.minItems} items` };
+                }
+                if (items.length > variable.maxItems) {
+                    return { error: `Must have at most ${variable.maxItems} items` };
+                }
+                if (items.some(item => item.length > variable.itemMaxLength)) {
+                    return { error: `Each item must be at most ${variable.itemMaxLength} characters` };
+                }
+                return { value: items };
+            }
+            default:
+                return { error: `Unsupported variable type ${variable.type}` };
+        }
+    }
+
+    formatValue(variable, value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (variable.type === 'list') {
+            return value.join(variable.separator);
+        }
+        return String(value);
+    }
+
+    // ---------------------------------------------------------------------
+    // Access control and helpers
+    // ---------------------------------------------------------------------
+
+    /**
+     * Load a template and check the user's access to it
+     * @param {string} level - 'view' or 'edit'
+     * @returns {Promise<Object>} { template, library, access }
+     */
+    async loadTemplate(templateId, userId, level) {
+        const templateDoc = await db.collection(this.templatesCollection).doc(templateId).get();
+        if (!templateDoc.exists) {
+            throw this.createError(404, 'Template not found');
+        }
+        const template = { id: templateDoc.id, ...templateDoc.data() };
+
+        let library = null;
+        if (template.libraryId) {
+            const libraryDoc = await db.collection(this.librariesCollection).doc(template.libraryId).get();
+            library = libraryDoc.exists ? libraryDoc.data() : null;
+        }
+
+        const libraries = library ? [this.formatLibrary(template.libraryId, library, userId)] : [];
+        const access = this.templateAccess(template, userId, libraries);
+        // Templates the user cannot see are reported as missing
+        if (!access) {
+            throw this.createError(404, 'Template not found');
+        }
+        if (level === 'edit' && access !== 'edit') {
+            throw this.createError(403, 'You have read-only access to this template');
+        }
+
+        return { template, library, access };
+    }
+
+    /**
+     * Access level for a template: 'edit', 'view' or null
+     * @param {Array} libraries - The user's libraries (formatted, with role)
+     */
+    templateAccess(template, userId, libraries) {
+        if (template.userId === userId) {
+            return 'edit';
+        }
+        const library = libraries.find(candidate => candidate.id === template.libraryId);
+        if (!library || !library.role) {
+            return null;
+        }
+        return library.role === 'viewer' ? 'view' : 'edit';
+    }
+
+    /**
+     * Load a library and require the user to hold one of the roles
+     * @returns {Promise<Object>} Library data
+     */
+    async requireLibraryRole(libraryId, userId, roles) {
+        const libraryDoc = await db.collection(this.librariesCollection).doc(libraryId).get();
+        const library = libraryDoc.exists ? libraryDoc.data() : null;
+        const role = library?.roles?.[userId];
+
+        if (!library || !role) {
+            throw this.createError(404, 'Template library not found');
+        }
+        if (!roles.includes(role)) {
+            throw this.createError(403, `This action requires the ${roles.join(' or ')} role in the library`);
+        }
+        return library;
+    }
+
+    /**
+     * Resolve a member reference ({ userId } or { email }) to a user ID
+     */
+    async resolveMemberId(member) {
+        if (typeof member.userId === 'string' && member.userId.trim()) {
+            const userDoc = await db.collection('users').doc(member.userId.trim()).get();
+            if (!userDoc.exists) {
+                throw this.createError(404, 'User not found');
+            }
+            return userDoc.id;
+        }
+        if (typeof member.email === 'string' && member.email.includes('@')) {
+            const snapshot = await db.collection('users')
+                .where('email', '==', member.email.trim().toLowerCase())
+                .limit(1)
+                .get();
+            if (snapshot.empty) {
+                throw this.createError(404, 'No user with that email address');
+            }
+            return snapshot.docs[0].id;
+        }
+        throw this.createError(400, 'A member email or userId is required');
+    }
+
+    formatLibrary(libraryId, library, userId) {
+        return {
+            id: libraryId,
+            name: library.name,
+            description: library.description,
+            ownerId: library.ownerId,
+            role: library.roles?.[userId] || null,
+            members: Object.entries(library.roles || {}).map(([memberId, role]) => ({ userId: memberId, role })),
+            createdAt: library.createdAt,
+            updatedAt: library.updatedAt
+        };
+    }
+
+    versionRef(templateId, version) {
+        return db.collection(this.versionsCollection).doc(`${templateId}_v${version}`);
+    }
+
+    buildVersion(templateId, version, definition, userId, changeNote) {
+        return {
+            templateId,
+            version,
+            ...definition,
+            changeNote: this.optionalString(changeNote, 'Change note', 300),
+            createdBy: userId,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+    }
+
+    requireString(value, label, maxLength) {
+        if (typeof value !== 'string' || value.trim().length === 0) {
+            throw this.createError(400, `${label} is required`);
+        }
+        if (value.length > maxLength) {
+            throw this.createError(400, `${label} must be at most ${maxLength} characters`);
+        }
+        return value.trim();
+    }
+
+    optionalString(value, label, maxLength) {
+        if (value === undefined || value === null || value === '') {
+            return '';
+        }
+        return this.requireString(value, label, maxLength);
+    }
+
+    toMillis(timestamp) {
+        if (!timestamp) return 0;
+        if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+        return new Date(timestamp).getTime() || 0;
+    }
+
+    requireDb() {
+        if (!db) {
+            throw this.createError(503, 'Prompt template storage is not available');
+        }
+    }
+
+    createError(statusCode, message, details = null) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        if (details) {
+            error.details = details;
+        }
+        return error;
+    }
+}
+
+module.exports = PromptTemplateService;
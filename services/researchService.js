@@ -1,18 +1,14 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const { admin, isInitialized } = require('../config/firebase');
 const SourceValidator = require('./sourceValidator');
 const CitationGenerator = require('./citationGenerator');
+const languageSupport = require('../utils/languageSupport');
+const { isAbortError } = require('../utils/cancellation');
 
 class ResearchService {
   constructor() {
-    // Check if Gemini API key is configured
-    if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your_gemini_api_key_here') {
-      this.genAI = null;
-      this.model = null;
-    } else {
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-    }
+    // Research model is routed via config/serviceConfig.js (llm.tools.research)
+    this.llmProvider = llmProvider;
     
     // Initialize Firestore only if Firebase is properly configured
     if (isInitialized && admin) {
@@ -26,41 +22,41 @@ class ResearchService {
   }
 
   /**
-   * Perform deep research on a given topic using Gemini 2.5 Pro
+   * Perform deep research on a given topic with the configured research model
    * @param {string} query - Research query
    * @param {string} researchType - Type of research (academic, general, technical, etc.)
    * @param {number} depth - Research depth level (1-5)
    * @param {Array} sources - Preferred source types
    * @param {string} userId - User ID for tracking
+   * @param {string} planType - Optional user plan type used to pick the model
+   * @param {string} language - Output language code
+   * @param {AbortSignal} signal - Optional signal that cancels the research call
    * @returns {Object} Research results with sources and analysis
    */
-  async conductResearch(query, researchType = 'general', depth = 3, sources = [], userId) {
+  async conductResearch(query, researchType = 'general', depth = 3, sources = [], userId, planType = null, language = 'en', signal = null) {
     try {
-      // Check if Gemini API is configured
-      if (!this.model || !this.genAI) {
+      const model = this.llmProvider.forTool('research', planType);
+      
+      // Check if the research model is configured
+      if (!model.isAvailable()) {
         throw new Error('Research service is not configured. Please contact support to enable AI-powered research.');
       }
       
-      const researchPrompt = this.buildResearchPrompt(query, researchType, depth, sources);
-      
-      const result = await this.model.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [{ text: researchPrompt }]
-        }],
-        generationConfig: {
-          temperature: 0.3,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 8192,
-        }
+      const researchPrompt = this.buildResearchPrompt(query, researchType, depth, sources, language);
+      
+      const result = await model.generate(researchPrompt, {
+        temperature: 0.3,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 8192,
+        usage: { userId, feature: 'research' },
+        signal
       });
 
-      const response = result.response;
-      const researchData = this.parseResearchResponse(response.text());
+      const researchData = this.parseResearchResponse(result.text);
       
       // Parse sources from the research content
-      const extractedSources = this.extractSources(response.text());
+      const extractedSources = this.extractSources(result.text);
       
       // Validate and enhance sources
       const sourceValidation = await this.sourceValidator.validateSources(
@@ -76,7 +72,7 @@ class ResearchService {
       );
       
       // Calculate word count for credit system
-      const wordCount = this.calculateWordCount(response.text());
+      const wordCount = this.calculateWordCount(result.text);
       
       // Generate research metadata
       const metadata = {
@@ -85,6 +81,7 @@ class ResearchService {
         depth,
         sources,
         wordCount,
+        language,
         timestamp: new Date(),
         userId,
         processingTime: Date.now()
@@ -106,6 +103,7 @@ class ResearchService {
       };
 
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Research generation error:', error);
       throw new Error(`Research failed: ${error.message}`);
     }
@@ -114,7 +112,7 @@ class ResearchService {
   /**
    * Build comprehensive research prompt based on parameters
    */
-  buildResearchPrompt(query, researchType, depth, sources) {
+  buildResearchPrompt(query, researchType, depth, sources, language = 'en') {
     const depthInstructions = {
       1: 'Provide a basic overview with key points',
       2: 'Include moderate detail with supporting evidence',
@@ -127,6 +125,12 @@ class ResearchService {
       ? `Focus on these source types: ${sources.join(', ')}` 
       : 'Use diverse, credible sources';
 
+    // Section headings stay in English so parseResearchResponse can find them
+    const languageNote = languageSupport.languageInstruction(language);
+    const languageGuideline = languageNote
+      ? `\n9. ${languageNote} Keep the "##" section headings exactly as written above; source titles may stay in their original language.`
+      : '';
+
     return `
 You are an expert researcher conducting ${researchType} research. Your task is to provide comprehensive research on the following query:
 
@@ -172,7 +176,7 @@ Provide your research in the following structured format:
 5. Cite sources appropriately
 6. Maintain objectivity and avoid bias
 7. Structure information logically
-8. Provide actionable insights
+8. Provide actionable insights${languageGuideline}
 
 Begin your research now:
 `;
@@ -312,7 +316,7 @@ Begin your research now:
    * Calculate word count for credit system
    */
   calculateWordCount(text) {
-    return text.trim().split(/\s+/).length;
+    return languageSupport.countWords(text);
   }
 
   /**
@@ -0,0 +1,330 @@
+/**
+ * RtfTextExtractor
+ * Turns RTF documents into structured blocks (headings, paragraphs, list items
+ * and tables) with page numbers taken from explicit page breaks.
+ */
+class RtfTextExtractor {
+    constructor() {
+        // Destinations whose text is not part of the document body
+        this.SKIP_DESTINATIONS = new Set([
+            'fonttbl', 'colortbl', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+            'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'fldinst', 'listtable', 'listoverridetable',
+            'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+            'pntxta', 'pntxtb', 'bkmkstart', 'bkmkend', 'revtbl', 'filetbl', 'mmathPr', 'wgrffmtfilter',
+            'pgdsctbl', 'protusertbl', 'userprops', 'docvar', 'xe', 'tc'
+        ]);
+        this.MAX_LIST_LEVEL = 2;
+    }
+
+    /**
+     * Extract structured blocks from RTF
+     * @param {Buffer|string} input - RTF source
+     * @returns {Object} { blocks, pageCount }
+     */
+    extract(input) {
+        const source = Buffer.isBuffer(input) ? input.toString('latin1') : String(input);
+        if (!source.trimStart().startsWith('{\\rtf')) {
+            throw new Error('Not an RTF document');
+        }
+
+        const styles = new Map();
+        const blocks = [];
+        let decoder = this.getDecoder(1252);
+        let page = 1;
+
+        let state = { skip: false, uc: 1, destination: null, styleNumber: null };
+        const stack = [];
+        let stylesheetDepth = -1;
+        let paragraph = this.newParagraph();
+        let text = '';
+        let marker = '';
+        let styleText = '';
+        let cell = '';
+        let row = [];
+        let table = null;
+        let pendingBytes = [];
+        let skipChars = 0;
+
+        const flushBytes = () => {
+            if (pendingBytes.length > 0) {
+                const decoded = decoder.decode(Buffer.from(pendingBytes));
+                pendingBytes = [];
+                append(decoded);
+            }
+        };
+
+        const append = (value) => {
+            if (state.skip) return;
+            if (state.destination === 'stylesheet') {
+                styleText += value;
+            } else if (state.destination === 'listtext') {
+                marker += value;
+            } else if (paragraph.inTable) {
+                cell += value;
+            } else {
+                text += value;
+            }
+        };
+
+        const flushTable = () => {
+            if (table && table.rows.length > 0) {
+                blocks.push(table);
+            }
+            table = null;
+        };
+
+        const endParagraph = () => {
+            flushBytes();
+            if (paragraph.inTable) {
+                cell += '\n';
+                return;
+            }
+            flushTable();
+
+            const content = text.replace(/\s+/g, ' ').trim();
+            if (content) {
+                blocks.push(this.classifyParagraph(content, paragraph, marker.trim(), styles, page));
+            }
+            text = '';
+            marker = '';
+        };
+
+        let i = 0;
+        while (i < source.length) {
+            const char = source[i];
+
+            if (char === '{') {
+                flushBytes();
+                stack.push({ ...state });
+                state = { ...state };
+                // Each style definition is a direct child group of the stylesheet
+                if (state.destination === 'stylesheet' && stack.length === stylesheetDepth + 1) {
+                    styleText = '';
+                    state.styleNumber = 0;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '}') {
+                flushBytes();
+                if (state.destination === 'stylesheet' && stack.length === stylesheetDepth + 1 && styleText) {
+                    styles.set(state.styleNumber, styleText.replace(/;\s*$/, '').trim());
+                    styleText = '';
+                }
+                state = stack.pop() || state;
+                i++;
+                continue;
+            }
+
+            if (char === '\\') {
+                const symbol = source[i + 1];
+
+                if (symbol === "'") {
+                    const byte = parseInt(source.substr(i + 2, 2), 16);
+                    i += 4;
+                    if (skipChars > 0) {
+                        skipChars--;
+                    } else if (!Number.isNaN(byte)) {
+                        pendingBytes.push(byte);
+                    }
+                    continue;
+                }
+
+                flushBytes();
+
+                const word = source.substring(i + 1, i + 40).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+                if (!word) {
+                    // Control symbol
+                    if (symbol === '*') {
+                        // Starred destinations are optional extensions; readers that do not know them skip them
+                        state.skip = true;
+                    } else if (symbol === '~') {
+                        append(' ');
+                    } else if (symbol === '_') {
+                        append('-');
+                    } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+                        append(symbol);
+                    } else if (symbol === '\n' || symbol === '\r') {
+                        endParagraph();
+                    }
+                    i += 2;
+                    continue;
+                }
+
+                const name = word[1];
+                const param = word[2] !== undefined ? parseInt(word[2]) : null;
+                i += 1 + word[0].length;
+
+                if (this.SKIP_DESTINATIONS.has(name)) {
+                    state.skip = true;
+                    continue;
+                }
+
+                // Skipped groups (headers, footnotes, fields...) must not end or reset body paragraphs;
+                // legacy {\*\pn ...} numbering groups still mark the paragraph as a list item
+                if (state.skip && !['pnlvlblt', 'pnlvlbody', 'pndec'].includes(name)) {
+                    continue;
+                }
+
+                // Inside the stylesheet only the style numbers matter
+                if (state.destination === 'stylesheet' && name !== 's') {
+                    continue;
+                }
+
+                switch (name) {
+                    case 'ansicpg':
+                        decoder = this.getDecoder(param);
+                        break;
+                    case 'stylesheet':
+                        state.destination = 'stylesheet';
+                        stylesheetDepth = stack.length;
+                        break;
+                    case 'listtext':
+                    case 'pntext':
+                        state.destination = 'listtext';
+                        break;
+                    case 's':
+                        if (state.destination === 'stylesheet') {
+                            state.styleNumber = param || 0;
+                        } else {
+                            paragraph.style = param || 0;
+                        }
+                        break;
+                    case 'pard':
+                        paragraph = this.newParagraph();
+                        break;
+                    case 'outlinelevel':
+                        paragraph.outlineLevel = param;
+                        break;
+                    case 'ls':
+                        paragraph.list = param;
+                        break;
+                    case 'pnlvlblt':
+                        paragraph.list = paragraph.list ?? 0;
+                        paragraph.ordered = false;
+                        break;
+                    case 'pnlvlbody':
+                    case 'pndec':
+                        paragraph.list = paragraph.list ?? 0;
+                        paragraph.ordered = true;
+                        break;
+                    case 'ilvl':
+                        paragraph.level = Math.min(param || 0, this.MAX_LIST_LEVEL);
+                        break;
+                    case 'intbl':
+                        paragraph.inTable = true;
+                        break;
+                    case 'par':
+                        endParagraph();
+                        break;
+                    case 'line':
+                        append(paragraph.inTable ? '\n' : ' ');
+                        break;
+                    case 'tab':
+                        append('\t');
+                        break;
+                    case 'emdash':
+                        append('—');
+                        break;
+                    case 'endash':
+                        append('–');
+                        break;
+                    case 'bullet':
+                        append('•');
+                        break;
+                    case 'lquote':
+                        append('‘');
+                        break;
+                    case 'rquote':
+                        append('’');
+                        break;
+                    case 'ldblquote':
+                        append('“');
+                        break;
+                    case 'rdblquote':
+                        append('”');
+                        break;
+                    case 'uc':
+                        state.uc = param ?? 1;
+                        break;
+                    case 'u':
+                        append(String.fromCharCode(param < 0 ? param + 65536 : param));
+                        skipChars = state.uc;
+                        break;
+                    case 'cell':
+                        row.push(cell.replace(/\s+/g, ' ').trim());
+                        cell = '';
+                        break;
+                    case 'row':
+                        if (!table) table = { type: 'table', rows: [], page };
+                        if (row.length > 0) table.rows.push(row);
+                        row = [];
+                        break;
+                    case 'page':
+                        endParagraph();
+                        page++;
+                        break;
+                    default:
+                        break;
+                }
+                continue;
+            }
+
+            if (char === '\r' || char === '\n') {
+                i++;
+                continue;
+            }
+
+            if (skipChars > 0) {
+                skipChars--;
+            } else {
+                flushBytes();
+                append(char);
+            }
+            i++;
+        }
+
+        endParagraph();
+        flushTable();
+
+        return { blocks, pageCount: page };
+    }
+
+    newParagraph() {
+        return { style: 0, outlineLevel: null, list: null, ordered: null, level: 0, inTable: false };
+    }
+
+    /**
+     * Map paragraph properties to a heading, list item or plain paragraph block
+     */
+    classifyParagraph(text, paragraph, marker, styles, page) {
+        const styleName = styles.get(paragraph.style) || '';
+        const headingMatch = styleName.match(/^heading\s*(\d)/i);
+
+        if (headingMatch || paragraph.outlineLevel !== null && paragraph.outlineLevel < 9) {
+            const level = headingMatch ? parseInt(headingMatch[1]) : paragraph.outlineLevel + 1;
+            return { type: 'heading', level: Math.min(Math.max(level, 1), 6), text, page };
+        }
+        if (/^title$/i.test(styleName)) {
+            return { type: 'heading', level: 1, text, page };
+        }
+
+        if (paragraph.list !== null || marker) {
+            const ordered = paragraph.ordered ?? /^(\d+|[a-z]|[ivxlc]+)[.)]/i.test(marker);
+            return { type: 'list_item', level: paragraph.level, ordered, text, page };
+        }
+
+        return { type: 'paragraph', text, page };
+    }
+
+    getDecoder(codePage) {
+        try {
+            return new TextDecoder(`windows-${codePage || 1252}`);
+        } catch (error) {
+            return new TextDecoder('latin1');
+        }
+    }
+}
+
+module.exports = RtfTextExtractor;
@@ -0,0 +1,462 @@
+const llmProvider = require('./llmProvider');
+const { logger } = require('../utils/logger');
+const { isAbortError } = require('../utils/cancellation');
+
+/**
+ * Rubric Service
+ * Parses marking rubrics (criteria, weights, band descriptors), turns them into prompt
+ * guidance for the writer, and self-assesses generated text criterion by criterion.
+ */
+class RubricService {
+    constructor() {
+        this.MAX_CRITERIA = 15;
+        this.MAX_TEXT_LENGTH = 20000;
+        this.DEFAULT_TARGET_SCORE = 70;
+        this.MAX_EVIDENCE_QUOTES = 2;
+
+        this.stopWords = new Set([
+            'the', 'and', 'that', 'with', 'from', 'this', 'these', 'those', 'their', 'there',
+            'which', 'where', 'while', 'about', 'into', 'onto', 'than', 'then', 'they', 'them',
+            'have', 'has', 'been', 'being', 'were', 'will', 'would', 'should', 'could', 'must',
+            'clear', 'clearly', 'well', 'good', 'excellent', 'poor', 'some', 'limited', 'work',
+            'student', 'demonstrates', 'shows', 'uses', 'using', 'level', 'criterion', 'marks'
+        ]);
+    }
+
+    /**
+     * Normalize a rubric supplied as an object, a JSON string or pasted text
+     * @param {Object|string} input - Rubric input
+     * @returns {Object} { title, targetScore, criteria: [{ id, name, weight, description, bands }] }
+     */
+    normalizeRubric(input) {
+        if (!input) {
+            throw new Error('Rubric is empty');
+        }
+
+        let rubric = input;
+        if (typeof input === 'string') {
+            if (input.length > this.MAX_TEXT_LENGTH) {
+                throw new Error(`Rubric text cannot exceed ${this.MAX_TEXT_LENGTH} characters`);
+            }
+            try {
+                rubric = JSON.parse(input);
+            } catch (error) {
+                rubric = this.parseRubricText(input);
+            }
+        }
+
+        if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+            throw new Error('Rubric must contain at least one criterion');
+        }
+
+        if (rubric.criteria.length > this.MAX_CRITERIA) {
+            throw new Error(`Rubric cannot have more than ${this.MAX_CRITERIA} criteria`);
+        }
+
+        const criteria = rubric.criteria.map((criterion, index) => {
+            const name = criterion && typeof criterion.name === 'string' ? criterion.name.trim() : '';
+            if (!name) {
+                throw new Error(`Criterion ${index + 1} is missing a name`);
+            }
+
+            const weight = parseFloat(criterion.weight);
+
+            return {
+                id: typeof criterion.id === 'string' && criterion.id.trim() ? criterion.id.trim() : `criterion_${index + 1}`,
+                name: name.substring(0, 200),
+                weight: weight > 0 ? weight : null,
+                description: typeof criterion.description === 'string' ? criterion.description.trim().substring(0, 1000) : '',
+                bands: this.normalizeBands(criterion.bands || criterion.descriptors)
+            };
+        });
+
+        this.normalizeWeights(criteria);
+
+        const targetScore = parseFloat(rubric.targetScore);
+
+        return {
+            title: typeof rubric.title === 'string' ? rubric.title.trim().substring(0, 200) : '',
+            targetScore: targetScore >= 0 && targetScore <= 100 ? targetScore : this.DEFAULT_TARGET_SCORE,
+            criteria
+        };
+    }
+
+    /**
+     * Band descriptors may arrive as an array or as a { label: description } map; order is top band first
+     */
+    normalizeBands(bands) {
+        if (!bands) return [];
+
+        const entries = Array.isArray(bands)
+            ? bands.map(band => typeof band === 'string'
+                ? { label: '', description: band }
+                : { label: band.label || band.level || '', description: band.description || band.descriptor || '' })
+            : Object.entries(bands).map(([label, description]) => ({ label, description }));
+
+        return entries
+            .filter(band => typeof band.description === 'string' && band.description.trim())
+            .slice(0, 10)
+            .map(band => ({
+                label: String(band.label).trim().substring(0, 100),
+                description: band.description.trim().substring(0, 1000)
+            }));
+    }
+
+    /**
+     * Fill in missing weights with an equal share of what is left, then scale to 100
+     */
+    normalizeWeights(criteria) {
+        const given = criteria.filter(criterion => criterion.weight !== null);
+        const givenTotal = given.reduce((sum, criterion) => sum + criterion.weight, 0);
+        const missing = criteria.length - given.length;
+
+        if (missing > 0) {
+            // Percent-style weights leave a remainder to split; mark-style weights (total >= 100) get the average
+            const share = given.length === 0
+                ? 1
+                : givenTotal < 100 ? (100 - givenTotal) / missing : givenTotal / given.length;
+            criteria.forEach(criterion => {
+                if (criterion.weight === null) criterion.weight = share;
+            });
+        }
+
+        const total = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+        criteria.forEach(criterion => {
+            criterion.weight = Math.round(criterion.weight / total * 1000) / 10;
+        });
+    }
+
+    /**
+     * Parse a pasted or extracted rubric
+     * Understands table rows (pipe or tab separated, header first) and indented lists:
+     *   Argument (30%): Clear thesis and logical structure
+     *     - Excellent: ...
+     *     - Pass: ...
+     * @param {string} text - Rubric text
+     * @returns {Object} Rubric object
+     */
+    parseRubricText(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const tableLines = lines.filter(line => line.includes('|') || line.includes('\t'));
+
+        if (tableLines.length >= 2 && tableLines.length >= lines.length * 0.6) {
+            return this.parseRubricTable(tableLines);
+        }
+
+        const criteria = [];
+        let current = null;
+
+        lines.forEach(line => {
+            const cleaned = line.trim().replace(/^([-*•]|\d+[.)])\s*/, '');
+            const weight = this.extractWeight(cleaned, true);
+            // Indented lines are band descriptors; so are "- Label: text" bullets that carry no weight
+            const isBand = current && (/^\s+/.test(line) || (/^[-*•]/.test(line.trim()) && cleaned.includes(':') && weight === null));
+
+            if (isBand && current) {
+                const [label, ...rest] = cleaned.split(':');
+                current.bands.push(rest.length > 0
+                    ? { label: label.trim(), description: rest.join(':').trim() }
+                    : { label: '', description: cleaned });
+                return;
+            }
+
+            const withoutWeight = cleaned
+                .replace(/\(?\s*\d+(?:\.\d+)?\s*(?:%|marks?|points?|pts)\s*\)?/i, '')
+                .replace(/\s+[-–]\s*$/, '')
+                .trim();
+            const [name, ...description] = withoutWeight.split(':');
+
+            current = {
+                name: name.replace(/\s+[-–]\s*$/, '').trim(),
+                weight,
+                description: description.join(':').trim(),
+                bands: []
+            };
+            criteria.push(current);
+        });
+
+        return { criteria };
+    }
+
+    /**
+     * Parse rubric table rows: the first row names the columns
+     */
+    parseRubricTable(lines) {
+        const split = (line) => line.split(line.includes('|') ? '|' : '\t')
+            .map(cell => cell.trim())
+            .filter((cell, index, cells) => cell || (index > 0 && index < cells.length - 1));
+
+        const rows = lines
+            .map(split)
+            .filter(cells => !cells.every(cell => /^:?-{2,}:?$/.test(cell) || !cell));
+        const header = rows[0];
+        const weightColumn = header.findIndex(cell => /weight|%|marks|points/i.test(cell));
+        const descriptionColumn = header.findIndex(cell => /description|detail/i.test(cell));
+
+        const criteria = rows.slice(1).map(cells => {
+            const bands = [];
+            header.forEach((label, index) => {
+                if (index === 0 || index === weightColumn || index === descriptionColumn) return;
+                if (cells[index]) bands.push({ label, description: cells[index] });
+            });
+
+            return {
+                name: cells[0],
+                weight: weightColumn >= 0 ? this.extractWeight(cells[weightColumn] || '') : null,
+                description: descriptionColumn >= 0 ? cells[descriptionColumn] || '' : '',
+                bands
+            };
+        });
+
+        return { criteria: criteria.filter(criterion => criterion.name) };
+    }
+
+    /**
+     * Read a weight such as "30%", "20 marks" or (in table cells) a bare number
+     */
+    extractWeight(text, requireUnit = false) {
+        const pattern = requireUnit
+            ? /(\d+(?:\.\d+)?)\s*(?:%|marks?\b|points?\b|pts\b)/i
+            : /(\d+(?:\.\d+)?)\s*(?:%|marks?|points?|pts)?/i;
+        const match = text.match(pattern);
+        return match ? parseFloat(match[1]) : null;
+    }
+
+    /**
+     * Build prompt guidance that steers generation towards the rubric's top bands
+     * @param {Object} rubric - Normalized rubric
+     * @returns {string} Guidance block for prompts
+     */
+    buildRubricGuidance(rubric) {
+        if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+            return '';
+        }
+
+        const criteria = rubric.criteria.map((criterion, index) => {
+            const topBand = criterion.bands[0];
+            const lines = [`${index + 1}. ${criterion.name} (${criterion.weight}% of the mark)${criterion.description ? `: ${criterion.description}` : ''}`];
+            if (topBand) {
+                lines.push(`   Aim for${topBand.label ? ` "${topBand.label}"` : ' the top band'}: ${topBand.description}`);
+            }
+            return lines.join('\n');
+        });
+
+        return `Marking rubric${rubric.title ? ` (${rubric.title})` : ''} - the text will be graded against these criteria. Address every criterion explicitly and give weight to each in proportion to its share of the mark:
+${criteria.join('\n')}`;
+    }
+
+    /**
+     * Self-assess text against a rubric
+     * Uses the configured LLM when available; criteria it cannot score fall back to a
+     * keyword-coverage heuristic. Evidence quotes are always verbatim spans of the text.
+     * @param {string} content - Generated text
+     * @param {Object} rubric - Normalized rubric
+     * @param {Object} options - { userPlan, userId, signal }
+     * @returns {Promise<Object>} Criterion-by-criterion assessment
+     */
+    async assessContent(content, rubric, options = {}) {
+        const { userPlan = null, userId = null, signal = null } = options;
+        let llmScores = {};
+
+        try {
+            const client = llmProvider.forTool('rubricAssessment', userPlan);
+            if (client.isAvailable()) {
+                const result = await client.generate(this.buildAssessmentPrompt(content, rubric), {
+                    temperature: 0.2,
+                    usage: { userId, feature: 'writer.rubricAssessment' },
+                    signal
+                });
+                llmScores = this.parseAssessmentResponse(result.text, rubric);
+            }
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            logger.warn('LLM rubric assessment failed, using heuristic scoring', {
+                service: 'RubricService',
+                method: 'assessContent',
+                error: error.message
+            });
+        }
+
+        const sentences = this.splitSentences(content);
+        const criteria = rubric.criteria.map(criterion => {
+            const heuristic = this.scoreCriterionHeuristically(criterion, sentences);
+            const llm = llmScores[criterion.id];
+
+            const score = llm ? llm.score : heuristic.score;
+            const evidence = llm && llm.evidence.length > 0
+                ? llm.evidence.map(quote => this.findVerbatimQuote(content, quote)).filter(Boolean).slice(0, this.MAX_EVIDENCE_QUOTES)
+                : [];
+            const meetsTarget = score >= rubric.targetScore;
+
+            return {
+                id: criterion.id,
+                name: criterion.name,
+                weight: criterion.weight,
+                score,
+                band: this.bandForScore(criterion, score),
+                evidence: evidence.length > 0 ? evidence : heuristic.evidence,
+                rationale: llm ? llm.rationale : `Covers ${heuristic.matchedTerms.length} of ${heuristic.terms.length} key terms for this criterion`,
+                meetsTarget,
+                suggestedFix: meetsTarget ? null : (llm && llm.fix) || this.suggestFix(criterion, heuristic),
+                method: llm ? 'llm' : 'heuristic'
+            };
+        });
+
+        const overallScore = Math.round(criteria.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / 100);
+        const methods = new Set(criteria.map(criterion => criterion.method));
+
+        return {
+            overallScore,
+            targetScore: rubric.targetScore,
+            meetsTarget: overallScore >= rubric.targetScore,
+            criteriaBelowTarget: criteria.filter(criterion => !criterion.meetsTarget).map(criterion => criterion.id),
+            method: methods.size > 1 ? 'mixed' : [...methods][0],
+            criteria
+        };
+    }
+
+    buildAssessmentPrompt(content, rubric) {
+        const criteria = rubric.criteria.map(criterion => {
+            const bands = criterion.bands.map(band => `    - ${band.label || 'Band'}: ${band.description}`).join('\n');
+            return `- id "${criterion.id}": ${criterion.name} (${criterion.weight}%)${criterion.description ? ` - ${criterion.description}` : ''}${bands ? `\n${bands}` : ''}`;
+        }).join('\n');
+
+        return `You are a strict marker. Assess the text below against each rubric criterion.
+
+Rubric:
+${criteria}
+
+Text:
+"""
+${content}
+"""
+
+Respond with a JSON array only, one object per criterion:
+[{"id": "criterion id", "score": 0-100, "evidence": ["exact quote copied from the text"], "rationale": "one sentence", "fix": "concrete fix if the score is below ${rubric.targetScore}"}]
+Evidence quotes must be copied verbatim from the text (at most ${this.MAX_EVIDENCE_QUOTES} per criterion).`;
+    }
+
+    /**
+     * Parse the model's JSON array, keyed by criterion id
+     */
+    parseAssessmentResponse(text, rubric) {
+        const jsonMatch = (text || '').match(/\[[\s\S]*\]/);
+        if (!jsonMatch) return {};
+
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonMatch[0]);
+        } catch (error) {
+            return {};
+        }
+
+        const scores = {};
+        (Array.isArray(parsed) ? parsed : []).forEach(entry => {
+            const criterion = rubric.criteria.find(c => c.id === entry.id || c.name === entry.id || c.name === entry.name);
+            const score = parseFloat(entry.score);
+            if (!criterion || isNaN(score)) return;
+
+            scores[criterion.id] = {
+                score: Math.max(0, Math.min(100, Math.round(score))),
+                evidence: Array.isArray(entry.evidence) ? entry.evidence.filter(quote => typeof quote === 'string') : [],
+                rationale: typeof entry.rationale === 'string' ? entry.rationale : '',
+                fix: typeof entry.fix === 'string' && entry.fix.trim() ? entry.fix.trim() : null
+            };
+        });
+        return scores;
+    }
+
+    /**
+     * Score a criterion by how many of its key terms the text covers
+     */
+    scoreCriterionHeuristically(criterion, sentences) {
+        const terms = this.extractTerms([
+            criterion.name,
+            criterion.description,
+            criterion.bands[0] ? criterion.bands[0].description : ''
+        ].join(' '));
+
+        const mentions = (sentence, term) => sentence.toLowerCase().includes(this.stem(term));
+        const matchedTerms = terms.filter(term => sentences.some(sentence => mentions(sentence, term)));
+        const evidence = sentences
+            .map(sentence => ({
+                sentence,
+                hits: terms.filter(term => mentions(sentence, term)).length
+            }))
+            .filter(entry => entry.hits > 0)
+            .sort((a, b) => b.hits - a.hits)
+            .slice(0, this.MAX_EVIDENCE_QUOTES)
+            .map(entry => entry.sentence.length > 300 ? `${entry.sentence.substring(0, 297)}...` : entry.sentence);
+
+        const coverage = terms.length > 0 ? matchedTerms.length / terms.length : 0;
+        const score = Math.round(Math.min(100, 35 + coverage * 55 + Math.min(evidence.length, 2) * 5));
+
+        return { score, evidence, terms, matchedTerms };
+    }
+
+    suggestFix(criterion, heuristic) {
+        const missing = heuristic.terms.filter(term => !heuristic.matchedTerms.includes(term)).slice(0, 5);
+        const topBand = criterion.bands[0];
+        const parts = [`Strengthen "${criterion.name}"`];
+        if (missing.length > 0) {
+            parts.push(`address ${missing.join(', ')} explicitly`);
+        }
+        if (topBand) {
+            parts.push(`aim for ${topBand.label ? `"${topBand.label}"` : 'the top band'}: ${topBand.description}`);
+        } else if (criterion.description) {
+            parts.push(criterion.description);
+        }
+        return parts.join(' - ');
+    }
+
+    /**
+     * Map a 0-100 score onto the criterion's bands (top band first)
+     * Bands are spread evenly over 40-100; anything below 40 lands in the lowest band.
+     */
+    bandForScore(criterion, score) {
+        if (criterion.bands.length === 0) return null;
+        const step = 60 / criterion.bands.length;
+        const index = Math.min(criterion.bands.length - 1, Math.max(0, Math.floor((100 - score) / step)));
+        return criterion.bands[index].label || `Band ${index + 1}`;
+    }
+
+    /**
+     * Return the quote as it appears in the text, or null if the model paraphrased it
+     */
+    findVerbatimQuote(content, quote) {
+        const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+        const target = normalize(quote.replace(/^["'“]|["'”]$/g, ''));
+        if (target.length < 8) return null;
+
+        const normalizedContent = content.replace(/\s+/g, ' ');
+        const index = normalizedContent.toLowerCase().indexOf(target);
+        return index >= 0 ? normalizedContent.substring(index, index + target.length) : null;
+    }
+
+    splitSentences(text) {
+        return (text || '')
+            .replace(/^#+\s.*$/gm, '')
+            .split(/(?<=[.!?])\s+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.split(/\s+/).length >= 4);
+    }
+
+    extractTerms(text) {
+        const terms = (text || '').toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 4 && !this.stopWords.has(word));
+        return [...new Set(terms)].slice(0, 12);
+    }
+
+    /**
+     * Light stemming so "analysis" matches "analyse" and "arguments" matches "argument"
+     */
+    stem(word) {
+        return word.length > 6 ? word.substring(0, word.length - 2) : word;
+    }
+}
+
+module.exports = new RubricService();
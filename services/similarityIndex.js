@@ -0,0 +1,223 @@
+/**
+ * In-process TF-IDF similarity index
+ * Texts are turned into sparse vectors of stemmed words, word pairs and character trigrams,
+ * weighted by TF-IDF and compared by cosine similarity. Stems and trigrams let paraphrases
+ * that share word roots ("effects of farming" / "how farms are affected") score well without
+ * an external embedding service. Documents are added and removed one at a time; IDF weights
+ * always reflect the current contents.
+ */
+class SimilarityIndex {
+    constructor(options = {}) {
+        this.MAX_DOCUMENTS = options.maxDocuments || 20000;
+        // Relative weights of the three feature kinds
+        this.FEATURE_WEIGHTS = { word: 1, pair: 0.8, trigram: 0.3 };
+        this.STOP_WORDS = new Set([
+            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+            'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
+            'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those',
+            'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your',
+            'his', 'its', 'our', 'their', 'about', 'how', 'what', 'when', 'where', 'why', 'which',
+            'write', 'essay', 'discuss', 'explain', 'describe', 'words', 'word', 'please'
+        ]);
+        this.SUFFIXES = ['ational', 'ization', 'fulness', 'ousness', 'iveness', 'ations', 'ation', 'ments',
+            'ment', 'ness', 'ings', 'ing', 'ies', 'ied', 'edly', 'ed', 'ly', 'es', 's', 'e'];
+
+        this.documents = new Map(); // id -> { weights: Map(feature -> tf weight), attributes, norm, normVersion }
+        this.postings = new Map(); // feature -> Set(id)
+        this.documentFrequency = new Map();
+        this.version = 0;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    has(id) {
+        return this.documents.has(id);
+    }
+
+    stem(word) {
+        if (word.length <= 4) {
+            return word;
+        }
+        for (const suffix of this.SUFFIXES) {
+            if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+                const root = word.slice(0, -suffix.length);
+                return suffix === 'ies' || suffix === 'ied' ? `${root}y` : root;
+            }
+        }
+        return word;
+    }
+
+    /**
+     * Weighted term frequencies for a text
+     * @param {string} text - Text to vectorize
+     * @returns {Map<string, number>} feature -> weight
+     */
+    vectorize(text) {
+        const tokens = ((text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => !this.STOP_WORDS.has(token))
+            .map(token => this.stem(token));
+        const counts = new Map();
+        const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+        tokens.forEach((token, index) => {
+            add(`w:${token}`, this.FEATURE_WEIGHTS.word);
+            if (index > 0) {
+                add(`p:${tokens[index - 1]}_${token}`, this.FEATURE_WEIGHTS.pair);
+            }
+            const padded = `#${token}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                add(`t:${padded.slice(i, i + 3)}`, this.FEATURE_WEIGHTS.trigram);
+            }
+        });
+
+        // Sublinear scaling so a repeated word does not dominate
+        const weights = new Map();
+        counts.forEach((count, feature) => weights.set(feature, 1 + Math.log(1 + count)));
+        return weights;
+    }
+
+    idf(feature) {
+        const df = this.documentFrequency.get(feature) || 0;
+        return Math.log((this.documents.size + 1) / (df + 1)) + 1;
+    }
+
+    norm(weights) {
+        let sum = 0;
+        weights.forEach((weight, feature) => {
+            const value = weight * this.idf(feature);
+            sum += value * value;
+        });
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Add or replace a document
+     * @param {string} id - Document ID
+     * @param {string} text - Text to index
+     * @param {Object} attributes - Filterable attributes ({ style, tone, wordCount })
+     */
+    add(id, text, attributes = {}) {
+        if (this.documents.has(id)) {
+            this.remove(id);
+        }
+        if (this.documents.size >= this.MAX_DOCUMENTS) {
+            // Maps keep insertion order, so the first key is the oldest document
+            this.remove(this.documents.keys().next().value);
+        }
+
+        const weights = this.vectorize(text);
+        weights.forEach((weight, feature) => {
+            this.documentFrequency.set(feature, (this.documentFrequency.get(feature) || 0) + 1);
+            if (!this.postings.has(feature)) {
+                this.postings.set(feature, new Set());
+            }
+            this.postings.get(feature).add(id);
+        });
+        this.documents.set(id, { weights, attributes, norm: 0, normVersion: -1 });
+        this.version++;
+    }
+
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) {
+            return false;
+        }
+        document.weights.forEach((weight, feature) => {
+            const df = (this.documentFrequency.get(feature) || 1) - 1;
+            if (df > 0) {
+                this.documentFrequency.set(feature, df);
+            } else {
+                this.documentFrequency.delete(feature);
+            }
+            const ids = this.postings.get(feature);
+            if (ids) {
+                ids.delete(id);
+                if (ids.size === 0) {
+                    this.postings.delete(feature);
+                }
+            }
+        });
+        this.documents.delete(id);
+        this.version++;
+        return true;
+    }
+
+    matchesFilters(attributes, filters) {
+        const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+        // Exact attribute matches (null matches a missing attribute)
+        if (filters.match && Object.entries(filters.match).some(([key, value]) => (attributes[key] ?? null) !== (value ?? null))) {
+            return false;
+        }
+        if (filters.style && !same(attributes.style, filters.style)) {
+            return false;
+        }
+        if (filters.tone && !same(attributes.tone, filters.tone)) {
+            return false;
+        }
+        if (filters.wordCount && attributes.wordCount) {
+            const tolerance = filters.lengthTolerance ?? 0.5;
+            const ratio = attributes.wordCount / filters.wordCount;
+            if (ratio < 1 - tolerance || ratio > 1 + tolerance) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Top-k nearest neighbours of a text by cosine similarity
+     * @param {string} text - Query text
+     * @param {Object} options - { k, style, tone, wordCount, lengthTolerance, match, minScore }
+     * @returns {Array<Object>} [{ id, score, attributes }] best first
+     */
+    search(text, options = {}) {
+        const { k = 10, minScore = 0 } = options;
+        const query = this.vectorize(text);
+        if (query.size === 0 || this.documents.size === 0) {
+            return [];
+        }
+
+        const candidates = new Set();
+        query.forEach((weight, feature) => {
+            const ids = this.postings.get(feature);
+            if (ids) {
+                ids.forEach(id => candidates.add(id));
+            }
+        });
+
+        const queryNorm = this.norm(query);
+        const results = [];
+        candidates.forEach(id => {
+            const document = this.documents.get(id);
+            if (!this.matchesFilters(document.attributes, options)) {
+                return;
+            }
+            if (document.normVersion !== this.version) {
+                document.norm = this.norm(document.weights);
+                document.normVersion = this.version;
+            }
+
+            let dot = 0;
+            query.forEach((weight, feature) => {
+                const documentWeight = document.weights.get(feature);
+                if (documentWeight) {
+                    const idf = this.idf(feature);
+                    dot += weight * documentWeight * idf * idf;
+                }
+            });
+
+            const score = queryNorm && document.norm ? dot / (queryNorm * document.norm) : 0;
+            if (score > minScore) {
+                results.push({ id, score, attributes: document.attributes });
+            }
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
+
+module.exports = SimilarityIndex;
@@ -0,0 +1,602 @@
+const path = require('path');
+const languageSupport = require('../utils/languageSupport');
+
+/**
+ * Source Grounding Service
+ * "Only use my sources" mode for uploaded readings: turns extracted files into citable
+ * passages with page or paragraph anchors, prompts the writer to cite passage markers,
+ * then swaps the markers for in-text citations and checks every claim against the sources.
+ */
+class SourceGroundingService {
+    constructor() {
+        this.MAX_PROMPT_CHARS = 24000;
+        this.MAX_PASSAGE_CHARS = 1200;
+        this.MAX_EXCERPT_CHARS = 400;
+        this.MIN_CLAIM_WORDS = 6;
+        // Share of a claim's key terms that must appear in the cited passage
+        this.SUPPORT_THRESHOLD = 0.35;
+        // Uncited sentences this close to a passage are reported as missing a citation
+        this.MATCH_THRESHOLD = 0.6;
+
+        this.CITATION_STYLES = ['apa', 'mla', 'chicago', 'harvard', 'ieee'];
+        this.REFERENCE_HEADINGS = {
+            apa: 'References',
+            mla: 'Works Cited',
+            chicago: 'Bibliography',
+            harvard: 'Reference List',
+            ieee: 'References'
+        };
+
+        this.MARKER_PATTERN = /\[(S\d+-\d+(?:\s*[,;]\s*S\d+-\d+)*)\]/g;
+
+        this.stopWords = new Set([
+            'the', 'and', 'that', 'with', 'from', 'this', 'these', 'those', 'their', 'there',
+            'which', 'where', 'while', 'about', 'into', 'onto', 'than', 'then', 'they', 'them',
+            'have', 'has', 'been', 'being', 'were', 'will', 'would', 'should', 'could', 'must',
+            'also', 'such', 'more', 'most', 'other', 'some', 'many', 'much', 'very', 'what',
+            'when', 'because', 'however', 'therefore', 'thus', 'both', 'each', 'only', 'over'
+        ]);
+    }
+
+    /**
+     * Check whether a citation style can be used for grounded citations
+     * @param {string} style - Citation style name
+     * @returns {boolean} True when supported
+     */
+    isSupportedStyle(style) {
+        return this.CITATION_STYLES.includes(String(style || '').toLowerCase());
+    }
+
+    /**
+     * Normalize optional per-file bibliographic details
+     * @param {Array|string|undefined} input - [{ filename, author, year, title }] or its JSON string
+     * @returns {Array<Object>} Normalized metadata entries
+     */
+    normalizeSourceMetadata(input) {
+        if (input === undefined || input === null || input === '') {
+            return [];
+        }
+
+        let entries = input;
+        if (typeof input === 'string') {
+            try {
+                entries = JSON.parse(input);
+            } catch (error) {
+                throw new Error('Source metadata must be a JSON array');
+            }
+        }
+        if (!Array.isArray(entries)) {
+            throw new Error('Source metadata must be an array');
+        }
+
+        const text = (value, max) => typeof value === 'string' && value.trim() ? value.trim().substring(0, max) : null;
+        return entries.map(entry => ({
+            filename: text(entry && entry.filename, 255),
+            author: text(entry && entry.author, 200),
+            year: entry && entry.year !== undefined && entry.year !== null ? String(entry.year).substring(0, 20) : null,
+            title: text(entry && entry.title, 300),
+            publisher: text(entry && entry.publisher, 200)
+        }));
+    }
+
+    /**
+     * Turn extracted files into citable sources split into anchored passages
+     * Paged formats (PDF, or any document with more than one page) are cited by page,
+     * everything else by paragraph number.
+     * @param {Array<Object>} extractedContent - Entries from FileProcessingService.extractContent
+     * @param {Array<Object>} sourceMetadata - Normalized metadata from normalizeSourceMetadata
+     * @returns {Object} { sources, passages: Map<passageId, passage> }
+     */
+    buildSourceLibrary(extractedContent, sourceMetadata = []) {
+        const sources = [];
+        const passages = new Map();
+
+        extractedContent.filter(file => !file.error && file.content).forEach((file, index) => {
+            const meta = sourceMetadata.find(entry => entry.filename === file.filename) || sourceMetadata[index] || {};
+            const document = file.document || {};
+            const id = `S${sources.length + 1}`;
+            const anchor = file.type === '.pdf' || document.pageCount > 1 ? 'page' : 'paragraph';
+
+            const source = {
+                id,
+                number: sources.length + 1,
+                filename: file.filename,
+                title: meta.title || document.title || path.basename(file.filename, path.extname(file.filename)),
+                author: meta.author || null,
+                year: meta.year || null,
+                publisher: meta.publisher || null,
+                anchor,
+                pageCount: document.pageCount || 1,
+                passages: this.splitPassages(file.content, document, id, anchor)
+            };
+
+            source.passages.forEach(passage => passages.set(passage.id, passage));
+            sources.push(source);
+        });
+
+        return { sources, passages };
+    }
+
+    /**
+     * Split a document's content into passages, one per paragraph (long paragraphs are chunked)
+     */
+    splitPassages(content, document, sourceId, anchor) {
+        const pages = document.pages && document.pages.length > 0 ? document.pages : [{ number: 1, offset: 0 }];
+        const passages = [];
+        let offset = 0;
+        let paragraphNumber = 0;
+        let currentPage = null;
+        let section = null;
+
+        for (const block of content.split(/\n{2,}/)) {
+            const start = content.indexOf(block, offset);
+            offset = start + block.length;
+            const text = block.trim();
+            if (!text) continue;
+
+            const page = pages.filter(entry => entry.offset <= start).pop() || pages[0];
+            if (anchor === 'page' && page.number !== currentPage) {
+                // Paragraph numbers restart on each page so "p. 4, para. 2" style anchors stay meaningful
+                currentPage = page.number;
+                paragraphNumber = 0;
+            }
+
+            const heading = text.match(/^#{1,6}\s+(.*)$/);
+            if (heading && !text.includes('\n')) {
+                section = heading[1];
+                continue;
+            }
+
+            paragraphNumber++;
+            for (const chunk of this.chunkText(text)) {
+                passages.push({
+                    id: `${sourceId}-${passages.length + 1}`,
+                    sourceId,
+                    page: page.number,
+                    paragraph: paragraphNumber,
+                    section,
+                    text: chunk
+                });
+            }
+        }
+
+        return passages;
+    }
+
+    chunkText(text) {
+        if (text.length <= this.MAX_PASSAGE_CHARS) {
+            return [text];
+        }
+
+        const chunks = [];
+        let current = '';
+        for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+            if (current && current.length + sentence.length + 1 > this.MAX_PASSAGE_CHARS) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${sentence}` : sentence;
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Build the writer prompt for grounded generation
+     * When the passages exceed the prompt budget, the ones most relevant to the instructions are
+     * kept, taking turns across sources so every upload stays represented.
+     * @param {Object} library - Result of buildSourceLibrary
+     * @param {Object} options - { additionalPrompt, style, tone, wordCount }
+     * @returns {Object} { prompt, passageIds }
+     */
+    buildGroundedPrompt(library, options = {}) {
+        const { additionalPrompt = '', style = 'Academic', tone = 'Formal', wordCount = 500 } = options;
+        const selected = this.selectPassages(library, additionalPrompt);
+
+        const sourceLines = library.sources.map(source => {
+            const byline = [source.author, source.year].filter(Boolean).join(', ');
+            return `${source.id}: "${source.title}"${byline ? ` (${byline})` : ''} - file ${source.filename}, anchored by ${source.anchor}`;
+        }).join('\n');
+
+        const passageLines = selected.map(passage => {
+            const source = library.sources.find(entry => entry.id === passage.sourceId);
+            return `[${passage.id}] (${this.describeAnchor(source, passage)}) ${passage.text}`;
+        }).join('\n\n');
+
+        let prompt = `Write approximately ${wordCount} words of ${style.toLowerCase()} content in a ${tone.toLowerCase()} tone using ONLY the source passages below. Do not use outside knowledge, statistics or references.\n\n`;
+        prompt += `Sources:\n${sourceLines}\n\n`;
+        prompt += `Passages:\n${passageLines}\n\n`;
+
+        if (additionalPrompt.trim()) {
+            prompt += `Additional Instructions: ${additionalPrompt}\n\n`;
+        }
+
+        prompt += `Citation rules:\n`;
+        prompt += `1. End every sentence that uses a fact, figure, finding or argument from the sources with the marker of the passage that supports it, before the full stop, e.g. "... rose sharply [S1-3]." Cite several passages as [S1-3; S2-7].\n`;
+        prompt += `2. Only use markers listed above. Never invent sources, authors, page numbers or quotations.\n`;
+        prompt += `3. If the passages do not cover part of the task, say that the uploaded sources do not address it instead of filling the gap.\n`;
+        prompt += `4. Do not write a reference list; it is added automatically.\n`;
+        prompt += `5. Use clear headings and sections.\n`;
+
+        return { prompt, passageIds: selected.map(passage => passage.id) };
+    }
+
+    selectPassages(library, query) {
+        const all = library.sources.flatMap(source => source.passages);
+        if (all.reduce((sum, passage) => sum + passage.text.length + 20, 0) <= this.MAX_PROMPT_CHARS) {
+            return all;
+        }
+
+        const queryTerms = new Set(this.extractTerms(query));
+        const score = (passage) => queryTerms.size === 0
+            ? 0
+            : this.extractTerms(passage.text).filter(term => queryTerms.has(term)).length;
+
+        const queues = library.sources.map(source => source.passages
+            .map((passage, index) => ({ passage, index, score: score(passage) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index));
+
+        const chosen = new Set();
+        let budget = this.MAX_PROMPT_CHARS;
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const queue of queues) {
+                const next = queue.shift();
+                if (!next) continue;
+                const cost = next.passage.text.length + 20;
+                if (cost <= budget) {
+                    chosen.add(next.passage);
+                    budget -= cost;
+                }
+                progress = true;
+            }
+        }
+
+        // Back to document order so the model reads each source as written
+        return all.filter(passage => chosen.has(passage));
+    }
+
+    /**
+     * Replace passage markers with in-text citations, append the reference list and flag unsupported claims
+     * @param {string} content - Generated text containing [S1-3] style markers
+     * @param {Object} library - Result of buildSourceLibrary
+     * @param {string} citationStyle - apa, mla, chicago, harvard or ieee
+     * @returns {Object} { content, citations, unsupportedClaims, references, summary }
+     */
+    resolveCitations(content, library, citationStyle = 'apa') {
+        const style = this.isSupportedStyle(citationStyle) ? citationStyle.toLowerCase() : 'apa';
+        const citations = [];
+        const unsupportedClaims = [];
+        const citedSources = new Set();
+        let sentenceCount = 0;
+        let citedSentenceCount = 0;
+
+        const blocks = String(content || '').split(/\n{2,}/).map(block => {
+            const trimmed = block.trim();
+            // Headings, tables and code are not claims
+            if (!trimmed || /^(#{1,6}\s|\||```)/.test(trimmed)) {
+                return block;
+            }
+
+            return block.split('\n').map(line => {
+                const listMatch = line.match(/^(\s*(?:[-*+]|\d+[.)])\s+)(.*)$/);
+                const prefix = listMatch ? listMatch[1] : '';
+                const body = listMatch ? listMatch[2] : line;
+
+                const sentences = this.splitSentences(body).map(sentence => {
+                    const markers = this.extractMarkers(sentence);
+                    const claim = sentence.replace(this.MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').replace(/\s{2,}/g, ' ').trim();
+                    if (!claim) return '';
+
+                    const isClaim = claim.split(/\s+/).length >= this.MIN_CLAIM_WORDS;
+                    if (isClaim) sentenceCount++;
+
+                    const resolved = [];
+                    markers.forEach(marker => {
+                        const passage = library.passages.get(marker);
+                        if (!passage) {
+                            unsupportedClaims.push({ sentence: claim, reason: 'unknown_source', marker });
+                            return;
+                        }
+                        const source = library.sources.find(entry => entry.id === passage.sourceId);
+                        const { support, excerpt } = this.findSupportingExcerpt(claim, passage.text);
+                        resolved.push({ source, passage });
+                        citations.push({
+                            id: `citation_${citations.length + 1}`,
+                            sentence: claim,
+                            sourceId: source.id,
+                            filename: source.filename,
+                            passageId: passage.id,
+                            page: passage.page,
+                            paragraph: passage.paragraph,
+                            anchor: this.describeAnchor(source, passage),
+                            excerpt,
+                            support: Math.round(support * 100) / 100,
+                            supported: support >= this.SUPPORT_THRESHOLD
+                        });
+                        if (support < this.SUPPORT_THRESHOLD) {
+                            unsupportedClaims.push({ sentence: claim, reason: 'weak_support', marker, sourceId: source.id, anchor: this.describeAnchor(source, passage) });
+                        }
+                        citedSources.add(source.id);
+                    });
+
+                    if (resolved.length > 0) {
+                        if (isClaim) citedSentenceCount++;
+                        const inText = this.formatInTextCitation(resolved, style);
+                        citations.slice(-resolved.length).forEach(citation => { citation.inText = inText; });
+                        return this.attachCitation(claim, inText);
+                    }
+
+                    if (isClaim && markers.length === 0) {
+                        const match = this.findBestPassage(claim, library);
+                        unsupportedClaims.push(match && match.support >= this.MATCH_THRESHOLD
+                            ? {
+                                sentence: claim,
+                                reason: 'missing_citation',
+                                suggestedPassage: {
+                                    passageId: match.passage.id,
+                                    sourceId: match.source.id,
+                                    anchor: this.describeAnchor(match.source, match.passage),
+                                    excerpt: match.excerpt
+                                }
+                            }
+                            : { sentence: claim, reason: 'no_support' });
+                    }
+                    return claim;
+                }).filter(Boolean);
+
+                return prefix + sentences.join(' ');
+            }).join('\n');
+        });
+
+        const references = library.sources
+            .filter(source => citedSources.has(source.id))
+            .map(source => ({ sourceId: source.id, filename: source.filename, entry: this.formatReference(source, style) }));
+
+        let resolvedContent = blocks.join('\n\n').trim();
+        if (references.length > 0) {
+            resolvedContent += `\n\n## ${this.REFERENCE_HEADINGS[style]}\n\n${references.map(reference => reference.entry).join('\n\n')}`;
+        }
+
+        return {
+            content: resolvedContent,
+            citationStyle: style,
+            citations,
+            unsupportedClaims,
+            references,
+            summary: {
+                claims: sentenceCount,
+                citedClaims: citedSentenceCount,
+                citations: citations.length,
+                weakCitations: citations.filter(citation => !citation.supported).length,
+                unsupportedClaims: unsupportedClaims.length,
+                sourcesCited: citedSources.size,
+                sourcesProvided: library.sources.length,
+                groundedRatio: sentenceCount > 0 ? Math.round((citedSentenceCount / sentenceCount) * 100) / 100 : 0
+            }
+        };
+    }
+
+    /**
+     * Split text into sentences, keeping markers written after the full stop with their sentence
+     */
+    splitSentences(text) {
+        return text
+            .split(/(?<=[.!?]["”’)]?(?:\s*\[S\d+-\d+[^\]]*\])*)\s+(?!\[S\d+-)/)
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+    }
+
+    extractMarkers(sentence) {
+        const markers = [];
+        for (const match of sentence.matchAll(this.MARKER_PATTERN)) {
+            match[1].split(/[,;]/).map(marker => marker.trim()).forEach(marker => {
+                if (!markers.includes(marker)) markers.push(marker);
+            });
+        }
+        return markers;
+    }
+
+    /**
+     * Put the citation before the sentence's closing punctuation
+     */
+    attachCitation(claim, inText) {
+        const ending = claim.match(/([.!?]["”’)]?|["”’)]?[.!?])$/);
+        if (!ending) {
+            return `${claim} ${inText}`;
+        }
+        const body = claim.substring(0, claim.length - ending[0].length);
+        // Closing quotation marks stay before the citation, the full stop after it
+        const quote = ending[0].replace(/[.!?]/g, '');
+        const stop = ending[0].replace(/["”’)]/g, '');
+        return `${body}${quote} ${inText}${stop}`;
+    }
+
+    /**
+     * Format one in-text citation for all passages cited by a sentence
+     * @param {Array<Object>} resolved - [{ source, passage }]
+     * @param {string} style - Citation style
+     * @returns {string} In-text citation
+     */
+    formatInTextCitation(resolved, style) {
+        const bySource = new Map();
+        resolved.forEach(({ source, passage }) => {
+            if (!bySource.has(source.id)) bySource.set(source.id, { source, passages: [] });
+            bySource.get(source.id).passages.push(passage);
+        });
+
+        const parts = [...bySource.values()].map(({ source, passages }) => {
+            const locator = this.formatLocator(source, passages, style);
+            const name = this.citationName(source, style);
+            const year = source.year || 'n.d.';
+
+            switch (style) {
+                case 'mla':
+                    return source.anchor === 'page' ? `${name} ${locator}` : `${name}, ${locator}`;
+                case 'chicago':
+                    return `${name} ${year}, ${locator}`;
+                case 'harvard':
+                    return `${name} ${year}, ${locator}`;
+                case 'ieee':
+                    return `${source.number}, ${locator}`;
+                default:
+                    return `${name}, ${year}, ${locator}`;
+            }
+        });
+
+        return style === 'ieee' ? parts.map(part => `[${part}]`).join(', ') : `(${parts.join('; ')})`;
+    }
+
+    formatLocator(source, passages, style) {
+        const unique = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+        if (source.anchor === 'page') {
+            const pages = unique(passages.map(passage => passage.page));
+            const list = this.formatRanges(pages);
+            if (style === 'mla' || style === 'chicago') return list;
+            return `${pages.length > 1 ? 'pp.' : 'p.'} ${list}`;
+        }
+
+        const paragraphs = unique(passages.map(passage => passage.paragraph));
+        return `${style === 'mla' ? (paragraphs.length > 1 ? 'pars.' : 'par.') : 'para.'} ${this.formatRanges(paragraphs)}`;
+    }
+
+    /**
+     * [2, 3, 4, 7] -> "2–4, 7"
+     */
+    formatRanges(numbers) {
+        const ranges = [];
+        numbers.forEach(number => {
+            const last = ranges[ranges.length - 1];
+            if (last && number === last[1] + 1) {
+                last[1] = number;
+            } else {
+                ranges.push([number, number]);
+            }
+        });
+        return ranges.map(([start, end]) => start === end ? `${start}` : `${start}–${end}`).join(', ');
+    }
+
+    /**
+     * Author surname, or a shortened title when the upload has no author
+     */
+    citationName(source) {
+        if (source.author) {
+            const firstAuthor = source.author.split(/\s*(?:;|&|\band\b)\s*/)[0].trim();
+            const surname = firstAuthor.includes(',') ? firstAuthor.split(',')[0].trim() : firstAuthor.split(/\s+/).pop();
+            return /;|&|\band\b/.test(source.author) ? `${surname} et al.` : surname;
+        }
+        const words = source.title.split(/\s+/);
+        return `"${words.slice(0, 4).join(' ')}${words.length > 4 ? '…' : ''}"`;
+    }
+
+    /**
+     * Reference list entry for an uploaded document
+     */
+    formatReference(source, style) {
+        const author = source.author;
+        const year = source.year || 'n.d.';
+        const title = `*${source.title}*`;
+        const publisher = source.publisher ? ` ${source.publisher}.` : '';
+        const entry = this.formatReferenceEntry(source, style, author, year, title, publisher);
+        // "n.d." or an initial followed by the closing full stop
+        return entry.replace(/(?<!\.)\.\.(?!\.)/g, '.');
+    }
+
+    formatReferenceEntry(source, style, author, year, title, publisher) {
+        switch (style) {
+            case 'mla':
+                return `${author ? `${author}. ` : ''}${title}.${publisher}${source.year ? ` ${source.year}.` : ''}`;
+            case 'chicago':
+                return author ? `${author}. ${year}. ${title}.${publisher}` : `${title}. ${year}.${publisher}`;
+            case 'harvard':
+                return author ? `${author} (${year}) ${title}.${publisher}` : `${title} (${year}).${publisher}`;
+            case 'ieee':
+                return `[${source.number}] ${author ? `${author}, ` : ''}${title}${source.publisher ? `, ${source.publisher}` : ''}${source.year ? `, ${source.year}` : ''}.`;
+            default:
+                return author ? `${author}. (${year}). ${title}.${publisher}` : `${title}. (${year}).${publisher}`;
+        }
+    }
+
+    describeAnchor(source, passage) {
+        return source.anchor === 'page' ? `p. ${passage.page}` : `para. ${passage.paragraph}`;
+    }
+
+    /**
+     * Pick the passage sentence (or adjacent pair) that best supports a claim
+     * @returns {Object} { support, excerpt } - excerpt is a verbatim span of the passage
+     */
+    findSupportingExcerpt(claim, passageText) {
+        const claimTerms = new Set(this.extractTerms(claim));
+        const sentences = passageText.split(/(?<=[.!?])\s+/).filter(Boolean);
+        const coverage = (text) => {
+            if (claimTerms.size === 0) return 0;
+            const terms = new Set(this.extractTerms(text));
+            return [...claimTerms].filter(term => terms.has(term)).length / claimTerms.size;
+        };
+
+        let best = { support: 0, excerpt: sentences[0] || passageText };
+        sentences.forEach((sentence, index) => {
+            const candidates = [sentence];
+            if (index + 1 < sentences.length) candidates.push(`${sentence} ${sentences[index + 1]}`);
+            candidates.forEach(candidate => {
+                const support = coverage(candidate);
+                // Prefer the single sentence unless the pair adds real support
+                if (support > best.support + (candidate === sentence ? 0 : 0.1)) {
+                    best = { support, excerpt: candidate };
+                }
+            });
+        });
+
+        const excerpt = best.excerpt.length > this.MAX_EXCERPT_CHARS
+            ? `${best.excerpt.substring(0, this.MAX_EXCERPT_CHARS - 3)}...`
+            : best.excerpt;
+        return { support: best.support, excerpt };
+    }
+
+    findBestPassage(claim, library) {
+        let best = null;
+        library.sources.forEach(source => source.passages.forEach(passage => {
+            const { support, excerpt } = this.findSupportingExcerpt(claim, passage.text);
+            if (!best || support > best.support) {
+                best = { source, passage, support, excerpt };
+            }
+        }));
+        return best;
+    }
+
+    extractTerms(text) {
+        // Segmented Chinese, Japanese and Thai words are short and carry no inflection
+        return languageSupport.segmentWords(text)
+            .filter(word => languageSupport.isUnspacedScript(word)
+                ? word.length > 1
+                : word.length > 3 && !this.stopWords.has(word))
+            .map(word => languageSupport.isUnspacedScript(word) ? word : this.stem(word));
+    }
+
+    /**
+     * Crude suffix trimming so plurals and simple inflections compare equal
+     */
+    stem(word) {
+        return word.length > 6 ? word.substring(0, word.length - 2) : word.replace(/s$/, '');
+    }
+
+    /**
+     * Sources as returned to the client (without passage text)
+     */
+    describeSources(library) {
+        return library.sources.map(source => ({
+            id: source.id,
+            filename: source.filename,
+            title: source.title,
+            author: source.author,
+            year: source.year,
+            anchor: source.anchor,
+            pageCount: source.pageCount,
+            passageCount: source.passages.length
+        }));
+    }
+}
+
+module.exports = new SourceGroundingService();
@@ -0,0 +1,577 @@
+const { admin, db } = require('../config/firebase');
+const languageSupport = require('../utils/languageSupport');
+const { logger } = require('../utils/logger');
+
+/**
+ * StyleProfileService
+ * Learns a writing-style profile from samples of a user's own writing: sentence-length
+ * distribution, vocabulary level, hedging habits, preferred transitions and British or
+ * American spelling. Profiles are turned into prompt guidance for the writer and the
+ * detector rewrite so output sounds like the user.
+ *
+ * Samples are analyzed and discarded; only the derived profile is stored.
+ */
+class StyleProfileService {
+    constructor() {
+        this.profilesCollection = 'styleProfiles';
+
+        this.MAX_SAMPLES = 10;
+        this.MAX_SAMPLE_LENGTH = 50000;
+        this.MIN_TOTAL_WORDS = 300;
+        this.MAX_PROFILES_PER_USER = 20;
+        this.MAX_NAME_LENGTH = 100;
+        this.TTR_WINDOW = 100;
+
+        this.SENTENCE_BANDS = [
+            { key: 'short', label: 'short (10 words or fewer)', max: 10 },
+            { key: 'medium', label: 'medium (11-20 words)', max: 20 },
+            { key: 'long', label: 'long (21-30 words)', max: 30 },
+            { key: 'veryLong', label: 'very long (over 30 words)', max: Infinity }
+        ];
+
+        this.HEDGES = [
+            'may', 'might', 'could', 'perhaps', 'possibly', 'probably', 'likely', 'unlikely',
+            'arguably', 'apparently', 'presumably', 'somewhat', 'relatively', 'largely', 'generally',
+            'typically', 'tends to', 'tend to', 'appears to', 'appear to', 'seems to', 'seem to',
+            'suggests', 'suggest that', 'indicates', 'to some extent', 'in part', 'it is possible that',
+            'it could be argued', 'one could argue', 'in some cases', 'to a degree'
+        ];
+
+        this.TRANSITIONS = [
+            'however', 'moreover', 'furthermore', 'therefore', 'thus', 'hence', 'consequently',
+            'nevertheless', 'nonetheless', 'additionally', 'in addition', 'similarly', 'likewise',
+            'in contrast', 'by contrast', 'on the other hand', 'for example', 'for instance',
+            'as a result', 'in particular', 'notably', 'indeed', 'meanwhile', 'overall', 'ultimately',
+            'in conclusion', 'to conclude', 'in summary', 'that said', 'even so', 'instead', 'still',
+            'yet', 'also', 'first', 'second', 'finally', 'then', 'in short', 'of course'
+        ];
+
+        // Verb stems spelt -ise in British and -ize in American English
+        this.ISE_STEMS = [
+            'organ', 'real', 'recogn', 'emphas', 'prior', 'util', 'critic', 'summar', 'minim', 'maxim',
+            'apolog', 'categor', 'character', 'optim', 'special', 'general', 'standard', 'normal',
+            'visual', 'modern', 'familiar', 'global', 'central', 'final', 'author', 'legal', 'stabil',
+            'symbol', 'hypothes', 'theor', 'conceptual', 'contextual', 'internal', 'memor', 'mobil',
+            'personal', 'capital', 'industrial', 'scrutin', 'synthes', 'jeopard'
+        ];
+        // British/American pairs; a null American form marks a British-only word. Pairs where
+        // the American spelling is also valid British usage (licence/license, metre/meter) are left out
+        this.SPELLING_PAIRS = [
+            ['colour', 'color'], ['favour', 'favor'], ['behaviour', 'behavior'], ['honour', 'honor'],
+            ['labour', 'labor'], ['neighbour', 'neighbor'], ['humour', 'humor'], ['rumour', 'rumor'],
+            ['harbour', 'harbor'], ['vapour', 'vapor'], ['centre', 'center'], ['theatre', 'theater'],
+            ['fibre', 'fiber'], ['litre', 'liter'], ['defence', 'defense'],
+            ['offence', 'offense'], ['analyse', 'analyze'], ['paralyse', 'paralyze'],
+            ['catalogue', 'catalog'], ['travelled', 'traveled'], ['travelling', 'traveling'],
+            ['modelling', 'modeling'], ['labelled', 'labeled'], ['cancelled', 'canceled'],
+            ['fulfil', 'fulfill'], ['enrol', 'enroll'], ['grey', 'gray'], ['ageing', 'aging'],
+            ['judgement', 'judgment'], ['manoeuvre', 'maneuver'], ['aluminium', 'aluminum'],
+            ['programme', null], ['whilst', null], ['amongst', null]
+        ];
+    }
+
+    // ---------------------------------------------------------------------
+    // Profiles
+    // ---------------------------------------------------------------------
+
+    /**
+     * Create a profile from writing samples
+     * @param {string} userId - Owner
+     * @param {Object} input - { name, samples: [string | { text, source }] }
+     * @returns {Promise<Object>} Stored profile
+     */
+    async createProfile(userId, input = {}) {
+        this.requireDb();
+        const name = this.validateName(input.name);
+        const samples = this.normalizeSamples(input.samples);
+
+        const owned = await db.collection(this.profilesCollection)
+            .where('userId', '==', userId)
+            .limit(this.MAX_PROFILES_PER_USER)
+            .get();
+        if (owned.size >= this.MAX_PROFILES_PER_USER) {
+            throw this.createError(400, `You can keep at most ${this.MAX_PROFILES_PER_USER} style profiles`);
+        }
+
+        const profileRef = db.collection(this.profilesCollection).doc();
+        const doc = {
+            userId,
+            name,
+            ...this.describeSamples(samples),
+            profile: this.analyzeSamples(samples.map(sample => sample.text)),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        await profileRef.set(doc);
+
+        logger.info('Style profile created', {
+            service: 'StyleProfileService',
+            method: 'createProfile',
+            userId,
+            profileId: profileRef.id,
+            sampleCount: doc.sampleCount,
+            sampleWords: doc.sampleWords
+        });
+
+        return { id: profileRef.id, ...doc };
+    }
+
+    /**
+     * Rename a profile and/or relearn it from a new set of samples
+     * @param {string} profileId - Profile ID
+     * @param {string} userId - Owner
+     * @param {Object} input - { name, samples }
+     * @returns {Promise<Object>} Updated profile
+     */
+    async updateProfile(profileId, userId, input = {}) {
+        this.requireDb();
+        const existing = await this.getProfile(profileId, userId);
+        const updates = {};
+
+        if (input.name !== undefined) {
+            updates.name = this.validateName(input.name);
+        }
+        if (input.samples !== undefined) {
+            const samples = this.normalizeSamples(input.samples);
+            Object.assign(updates, this.describeSamples(samples), {
+                profile: this.analyzeSamples(samples.map(sample => sample.text))
+            });
+        }
+        if (Object.keys(updates).length === 0) {
+            throw this.createError(400, 'Provide a new name or samples');
+        }
+
+        updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        await db.collection(this.profilesCollection).doc(profileId).update(updates);
+        return { ...existing, ...updates };
+    }
+
+    async getProfile(profileId, userId) {
+        this.requireDb();
+        const doc = await db.collection(this.profilesCollection).doc(profileId).get();
+        if (!doc.exists) {
+            throw this.createError(404, 'Style profile not found');
+        }
+        const profile = doc.data();
+        if (profile.userId !== userId) {
+            throw this.createError(403, 'Access denied');
+        }
+        return { id: doc.id, ...profile };
+    }
+
+    async listProfiles(userId) {
+        this.requireDb();
+        const snapshot = await db.collection(this.profilesCollection)
+            .where('userId', '==', userId)
+            .limit(this.MAX_PROFILES_PER_USER)
+            .get();
+
+        const millis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : 0);
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => millis(b.updatedAt) - millis(a.updatedAt));
+    }
+
+    async deleteProfile(profileId, userId) {
+        await this.getProfile(profileId, userId);
+        await db.collection(this.profilesCollection).doc(profileId).delete();
+        return { success: true, id: profileId };
+    }
+
+    /**
+     * Load a profile and build the prompt guidance for it
+     * @returns {Promise<Object>} { profile, guidance }
+     */
+    async resolveGuidance(profileId, userId) {
+        const profile = await this.getProfile(profileId, userId);
+        return { profile, guidance: this.buildStyleGuidance(profile.profile) };
+    }
+
+    // ---------------------------------------------------------------------
+    // Analysis
+    // ---------------------------------------------------------------------
+
+    /**
+     * Derive a style profile from sample texts
+     * Hedging, transitions and spelling are English word lists; for other languages only
+     * the sentence and vocabulary measures are reported.
+     * @param {Array<string>} texts - Sample texts
+     * @returns {Object} Style profile
+     */
+    analyzeSamples(texts) {
+        const combined = texts.join('\n\n');
+        const language = languageSupport.detectLanguage(combined) || languageSupport.DEFAULT_LANGUAGE;
+        const sentences = texts.flatMap(text => languageSupport.splitSentences(text, language));
+        const paragraphs = texts.flatMap(text => text.split(/\n\s*\n/)).filter(paragraph => paragraph.trim());
+        const totalWords = languageSupport.countWords(combined);
+        const isEnglish = language === languageSupport.DEFAULT_LANGUAGE;
+
+        const profile = {
+            language,
+            sampleWords: totalWords,
+            sentenceLength: this.analyzeSentenceLengths(sentences),
+            // Samples pasted without paragraph breaks say nothing about paragraphing
+            paragraphLength: paragraphs.length >= 3
+                ? { averageSentences: this.round(sentences.length / paragraphs.length) }
+                : null,
+            vocabulary: this.analyzeVocabulary(combined, language),
+            hedging: null,
+            transitions: null,
+            spelling: null,
+            contractions: null
+        };
+
+        if (isEnglish) {
+            const lower = combined.toLowerCase();
+            profile.hedging = this.analyzeHedging(lower, totalWords);
+            profile.transitions = this.analyzeTransitions(sentences);
+            profile.spelling = this.analyzeSpelling(lower);
+            profile.contractions = this.analyzeContractions(lower, totalWords);
+        }
+
+        return profile;
+    }
+
+    analyzeSentenceLengths(sentences) {
+        const lengths = sentences
+            .map(sentence => languageSupport.countWords(sentence))
+            .filter(length => length > 0)
+            .sort((a, b) => a - b);
+
+        if (lengths.length === 0) {
+            return { mean: 0, median: 0, stdDev: 0, p10: 0, p90: 0, distribution: {}, sentenceCount: 0 };
+        }
+
+        const mean = lengths.reduce((total, length) => total + length, 0) / lengths.length;
+        const variance = lengths.reduce((total, length) => total + (length - mean) ** 2, 0) / lengths.length;
+        const distribution = {};
+        this.SENTENCE_BANDS.forEach((band, index) => {
+            const min = index === 0 ? 0 : this.SENTENCE_BANDS[index - 1].max;
+            const count = lengths.filter(length => length > min && length <= band.max).length;
+            distribution[band.key] = this.round(count / lengths.length, 2);
+        });
+
+        return {
+            mean: this.round(mean),
+            median: this.percentile(lengths, 0.5),
+            stdDev: this.round(Math.sqrt(variance)),
+            p10: this.percentile(lengths, 0.1),
+            p90: this.percentile(lengths, 0.9),
+            distribution,
+            sentenceCount: lengths.length
+        };
+    }
+
+    /**
+     * Vocabulary level from word length, syllables and lexical variety
+     * Variety is a moving-average type-token ratio so long and short samples compare fairly.
+     */
+    analyzeVocabulary(text, language) {
+        const words = (text.toLowerCase().match(/[\p{L}\p{M}'’]+/gu) || []);
+        const readability = languageSupport.analyzeReadability(text, language);
+
+        if (words.length === 0) {
+            return { level: 'plain', averageWordLength: 0, lexicalVariety: 0, longWordRatio: 0, readingLevel: readability.readingLevel };
+        }
+
+        const averageWordLength = words.reduce((total, word) => total + word.length, 0) / words.length;
+        const longWords = words.filter(word => word.length >= 9).length;
+        const variety = this.movingTypeTokenRatio(words);
+        const syllables = readability.averageSyllablesPerWord;
+
+        // Syllable bands are calibrated for English; other languages fall back to word length
+        let level;
+        if (syllables !== null && language === languageSupport.DEFAULT_LANGUAGE) {
+            level = syllables < 1.45 ? 'plain' : syllables < 1.6 ? 'moderate' : syllables < 1.8 ? 'advanced' : 'specialist';
+        } else {
+            level = averageWordLength < 4.5 ? 'plain' : averageWordLength < 5.5 ? 'moderate' : averageWordLength < 6.5 ? 'advanced' : 'specialist';
+        }
+
+        return {
+            level,
+            averageWordLength: this.round(averageWordLength),
+            averageSyllablesPerWord: syllables,
+            longWordRatio: this.round(longWords / words.length, 3),
+            lexicalVariety: this.round(variety, 3),
+            readingLevel: readability.readingLevel
+        };
+    }
+
+    movingTypeTokenRatio(words) {
+        if (words.length <= this.TTR_WINDOW) {
+            return new Set(words).size / words.length;
+        }
+
+        let total = 0;
+        let windows = 0;
+        for (let start = 0; start + this.TTR_WINDOW <= words.length; start += this.TTR_WINDOW / 2) {
+            total += new Set(words.slice(start, start + this.TTR_WINDOW)).size / this.TTR_WINDOW;
+            windows++;
+        }
+        return total / windows;
+    }
+
+    analyzeHedging(lowerText, totalWords) {
+        const counts = this.countPhrases(lowerText, this.HEDGES);
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const perThousandWords = this.round((total / Math.max(totalWords, 1)) * 1000);
+
+        return {
+            level: perThousandWords < 4 ? 'low' : perThousandWords < 10 ? 'moderate' : 'high',
+            perThousandWords,
+            preferred: this.topEntries(counts, 5)
+        };
+    }
+
+    /**
+     * Transitions the writer reaches for, counted where they open a sentence
+     */
+    analyzeTransitions(sentences) {
+        const counts = {};
+        sentences.forEach(sentence => {
+            const opening = sentence.toLowerCase().replace(/^[^a-z]+/, '');
+            const transition = this.TRANSITIONS.find(phrase => new RegExp(`^${phrase}\\b`).test(opening));
+            if (transition) {
+                counts[transition] = (counts[transition] || 0) + 1;
+            }
+        });
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return {
+            perHundredSentences: this.round((total / Math.max(sentences.length, 1)) * 100),
+            preferred: this.topEntries(counts, 6)
+        };
+    }
+
+    /**
+     * British or American spelling from -ise/-ize verbs and known spelling pairs
+     */
+    analyzeSpelling(lowerText) {
+        let british = 0;
+        let american = 0;
+        const britishExamples = new Set();
+        const americanExamples = new Set();
+
+        const isePattern = new RegExp(`\\b(?:${this.ISE_STEMS.join('|')})i([sz])(?:e|es|ed|ing|ation|ations|er|ers)\\b`, 'g');
+        for (const match of lowerText.matchAll(isePattern)) {
+            if (match[1] === 's') {
+                british++;
+                britishExamples.add(match[0]);
+            } else {
+                american++;
+                americanExamples.add(match[0]);
+            }
+        }
+
+        this.SPELLING_PAIRS.forEach(([britishForm, americanForm]) => {
+            const britishCount = (lowerText.match(new RegExp(`\\b${britishForm}s?\\b`, 'g')) || []).length;
+            const americanCount = americanForm
+                ? (lowerText.match(new RegExp(`\\b${americanForm}s?\\b`, 'g')) || []).length
+                : 0;
+            british += britishCount;
+            american += americanCount;
+            if (britishCount > 0) britishExamples.add(britishForm);
+            if (americanCount > 0) americanExamples.add(americanForm);
+        });
+
+        const total = british + american;
+        let variant = 'unknown';
+        if (total > 0) {
+            const britishShare = british / total;
+            variant = britishShare >= 0.75 ? 'british' : britishShare <= 0.25 ? 'american' : 'mixed';
+        }
+
+        return {
+            variant,
+            britishCount: british,
+            americanCount: american,
+            examples: [...(variant === 'american' ? americanExamples : britishExamples)].slice(0, 5)
+        };
+    }
+
+    analyzeContractions(lowerText, totalWords) {
+        const count = (lowerText.match(/\b[a-z]+(?:n['’]t|['’](?:s|re|ve|ll|d|m))\b/g) || [])
+            // Possessives look like "'s" contractions; only count the common verb forms
+            .filter(token => !/['’]s$/.test(token) || /^(?:it|that|there|here|what|who|he|she|let)['’]s$/.test(token))
+            .length;
+        const perThousandWords = this.round((count / Math.max(totalWords, 1)) * 1000);
+
+        return {
+            usage: perThousandWords < 1 ? 'avoids' : perThousandWords < 8 ? 'occasional' : 'frequent',
+            perThousandWords
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Prompt guidance
+    // ---------------------------------------------------------------------
+
+    /**
+     * Turn a profile into writing instructions for a prompt
+     * @param {Object} profile - Output of analyzeSamples
+     * @returns {string} Guidance text ('' when there is no profile)
+     */
+    buildStyleGuidance(profile) {
+        if (!profile || !profile.sentenceLength) {
+            return '';
+        }
+
+        const { sentenceLength, vocabulary, hedging, transitions, spelling, contractions, paragraphLength } = profile;
+        const unit = languageSupport.getLanguage(profile.language).unit;
+        const lines = [];
+
+        const mix = this.SENTENCE_BANDS
+            .filter(band => sentenceLength.distribution[band.key] > 0)
+            .map(band => `${Math.round(sentenceLength.distribution[band.key] * 100)}% ${band.label.replace('words', unit)}`)
+            .join(', ');
+        lines.push(`- Sentence length: average ${sentenceLength.mean} ${unit}, usually between ${sentenceLength.p10} and ${sentenceLength.p90}${mix ? ` (${mix})` : ''}. Vary length the same way.`);
+
+        if (paragraphLength && paragraphLength.averageSentences) {
+            lines.push(`- Paragraphs: about ${Math.round(paragraphLength.averageSentences)} sentences each.`);
+        }
+
+        if (vocabulary) {
+            const descriptions = {
+                plain: 'plain, everyday words; avoid jargon and long Latinate words',
+                moderate: 'a moderate vocabulary with some discipline-specific terms',
+                advanced: 'an advanced, academic vocabulary',
+                specialist: 'a dense, specialist vocabulary with technical terminology'
+            };
+            lines.push(`- Vocabulary: ${descriptions[vocabulary.level] || descriptions.moderate}.`);
+        }
+
+        if (hedging) {
+            const phrases = hedging.preferred.map(entry => `"${entry.phrase}"`).join(', ');
+            const advice = {
+                low: 'State claims directly; hedge rarely',
+                moderate: 'Qualify claims now and then',
+                high: 'Qualify claims often and cautiously'
+            };
+            lines.push(`- Hedging: ${advice[hedging.level]} (about ${hedging.perThousandWords} hedges per 1000 words)${phrases ? `, favouring ${phrases}` : ''}.`);
+        }
+
+        if (transitions && transitions.preferred.length > 0) {
+            lines.push(`- Transitions: prefer ${transitions.preferred.map(entry => `"${entry.phrase}"`).join(', ')} to open sentences; avoid transitions the author does not use.`);
+        }
+
+        if (spelling && spelling.variant === 'british') {
+            lines.push(`- Spelling: British English (e.g. ${spelling.examples.join(', ') || 'colour, organise, analyse'}).`);
+        } else if (spelling && spelling.variant === 'american') {
+            lines.push(`- Spelling: American English (e.g. ${spelling.examples.join(', ') || 'color, organize, analyze'}).`);
+        }
+
+        if (contractions) {
+            const advice = {
+                avoids: 'Do not use contractions.',
+                occasional: 'Use contractions sparingly.',
+                frequent: 'Use contractions naturally, as in conversation.'
+            };
+            lines.push(`- Contractions: ${advice[contractions.usage]}`);
+        }
+
+        return `Write in the author's own voice, matching this profile of their writing:
+${lines.join('\n')}
+Do not mention the profile or copy its wording into the text.`;
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers
+    // ---------------------------------------------------------------------
+
+    /**
+     * Validate samples given as strings or { text, source } objects
+     * @returns {Array<Object>} [{ text, source, words }]
+     */
+    normalizeSamples(samples) {
+        const list = Array.isArray(samples) ? samples : (samples ? [samples] : []);
+        const normalized = list
+            .map((sample, index) => {
+                const text = typeof sample === 'string' ? sample : (sample && sample.text);
+                if (typeof text !== 'string') {
+                    return null;
+                }
+                return {
+                    text: text.trim().substring(0, this.MAX_SAMPLE_LENGTH),
+                    source: (sample && sample.source) ? String(sample.source).substring(0, 200) : `Sample ${index + 1}`
+                };
+            })
+            .filter(sample => sample && sample.text);
+
+        if (normalized.length === 0) {
+            throw this.createError(400, 'Provide at least one writing sample');
+        }
+        if (normalized.length > this.MAX_SAMPLES) {
+            throw this.createError(400, `Provide at most ${this.MAX_SAMPLES} samples`);
+        }
+
+        normalized.forEach(sample => {
+            sample.words = languageSupport.wordEquivalents(sample.text);
+        });
+        const totalWords = normalized.reduce((total, sample) => total + sample.words, 0);
+        if (totalWords < this.MIN_TOTAL_WORDS) {
+            throw this.createError(400, `Samples must total at least ${this.MIN_TOTAL_WORDS} words to learn a style (got ${totalWords})`);
+        }
+
+        return normalized;
+    }
+
+    describeSamples(samples) {
+        return {
+            sampleCount: samples.length,
+            sampleWords: samples.reduce((total, sample) => total + sample.words, 0),
+            sampleSources: samples.map(sample => sample.source)
+        };
+    }
+
+    validateName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw this.createError(400, 'Profile name is required');
+        }
+        if (name.trim().length > this.MAX_NAME_LENGTH) {
+            throw this.createError(400, `Profile name cannot exceed ${this.MAX_NAME_LENGTH} characters`);
+        }
+        return name.trim();
+    }
+
+    countPhrases(lowerText, phrases) {
+        const counts = {};
+        phrases.forEach(phrase => {
+            const count = (lowerText.match(new RegExp(`\\b${phrase.replace(/ /g, '\\s+')}\\b`, 'g')) || []).length;
+            if (count > 0) {
+                counts[phrase] = count;
+            }
+        });
+        return counts;
+    }
+
+    topEntries(counts, limit) {
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([phrase, count]) => ({ phrase, count }));
+    }
+
+    percentile(sortedValues, fraction) {
+        const index = Math.min(sortedValues.length - 1, Math.max(0, Math.round(fraction * (sortedValues.length - 1))));
+        return sortedValues[index];
+    }
+
+    round(value, digits = 1) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    requireDb() {
+        if (!db) {
+            throw this.createError(503, 'Style profile storage is not available');
+        }
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = StyleProfileService;
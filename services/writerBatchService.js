@@ -0,0 +1,358 @@
+const path = require('path');
+const ContentFormatter = require('./contentFormatter');
+const languageSupport = require('../utils/languageSupport');
+const { createZip } = require('../utils/zipArchive');
+const { throwIfAborted } = require('../utils/cancellation');
+
+/**
+ * WriterBatchService
+ * Turns an uploaded CSV or JSON list of writer requests into validated batch items, runs
+ * them with bounded concurrency and packs the finished texts into one ZIP download.
+ * Generation, credits and storage stay with the writer route; this service only knows
+ * about items and their status.
+ */
+class WriterBatchService {
+    constructor() {
+        this.contentFormatter = new ContentFormatter();
+
+        this.MAX_ITEMS = parseInt(process.env.WRITER_BATCH_MAX_ITEMS) || 25;
+        this.CONCURRENCY = parseInt(process.env.WRITER_BATCH_CONCURRENCY) || 2;
+        this.MAX_PROMPT_LENGTH = 10000;
+        this.MAX_TITLE_LENGTH = 200;
+
+        this.STYLES = ['Academic', 'Creative', 'Business', 'Technical', 'Casual'];
+        this.TONES = ['Formal', 'Informal', 'Persuasive', 'Informative', 'Conversational'];
+        this.CITATION_STYLES = ['APA', 'MLA', 'Chicago', 'Harvard', 'IEEE'];
+        this.QUALITY_TIERS = ['standard', 'premium'];
+        this.EXPORT_FORMATS = this.contentFormatter.getSupportedFormats();
+
+        // CSV headers are matched case- and punctuation-insensitively ("Word Count" -> wordcount)
+        this.COLUMN_ALIASES = {
+            prompt: 'prompt',
+            title: 'title',
+            wordcount: 'wordCount',
+            words: 'wordCount',
+            style: 'style',
+            tone: 'tone',
+            citationstyle: 'citationStyle',
+            citation: 'citationStyle',
+            language: 'language',
+            qualitytier: 'qualityTier'
+        };
+    }
+
+    /**
+     * Read raw batch requests from an uploaded file or a request body
+     * @param {Object} input - { file (multer file, .csv or .json), items (array or JSON string) }
+     * @returns {Array<Object>} Raw requests, one object per item
+     */
+    readRequests({ file = null, items = undefined } = {}) {
+        if (file) {
+            const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+            const ext = path.extname(file.originalname || '').toLowerCase();
+            return ext === '.json' ? this.parseJsonItems(text) : this.parseCsvItems(text);
+        }
+
+        if (typeof items === 'string') {
+            return this.parseJsonItems(items);
+        }
+        if (Array.isArray(items)) {
+            return items;
+        }
+
+        throw this.createError(400, 'Provide a CSV or JSON file, or an items array');
+    }
+
+    /**
+     * Parse a JSON batch: an array of requests or { items: [...] }
+     * @param {string} text - JSON text
+     * @returns {Array<Object>} Raw requests
+     */
+    parseJsonItems(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw this.createError(400, `Batch is not valid JSON: ${error.message}`);
+        }
+
+        const items = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+        if (!Array.isArray(items)) {
+            throw this.createError(400, 'JSON batch must be an array of requests or an object with an items array');
+        }
+        return items;
+    }
+
+    /**
+     * Parse a CSV batch with a header row naming the request fields
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} Raw requests keyed by field name
+     */
+    parseCsvItems(text) {
+        const rows = this.parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length < 2) {
+            throw this.createError(400, 'CSV batch needs a header row and at least one request');
+        }
+
+        const header = rows[0].map(cell => this.COLUMN_ALIASES[cell.toLowerCase().replace(/[^a-z]/g, '')] || null);
+        if (!header.includes('prompt')) {
+            throw this.createError(400, 'CSV batch needs a "prompt" column');
+        }
+
+        return rows.slice(1).map(row => {
+            const item = {};
+            header.forEach((field, column) => {
+                const value = (row[column] || '').trim();
+                if (field && value !== '') {
+                    item[field] = value;
+                }
+            });
+            return item;
+        });
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180 quoting, commas or semicolons)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Validate raw requests and fill in writer defaults
+     * Every problem is collected so a whole spreadsheet can be fixed in one pass.
+     * @param {Array<Object>} requests - Raw requests
+     * @returns {Object} { items, errors } - errors is [{ index, errors: [messages] }]
+     */
+    normalizeRequests(requests) {
+        if (requests.length === 0) {
+            throw this.createError(400, 'Batch contains no requests');
+        }
+        if (requests.length > this.MAX_ITEMS) {
+            throw this.createError(400, `A batch can contain at most ${this.MAX_ITEMS} requests (got ${requests.length})`);
+        }
+
+        const items = [];
+        const errors = [];
+
+        requests.forEach((request, index) => {
+            const problems = [];
+            if (!request || typeof request !== 'object' || Array.isArray(request)) {
+                errors.push({ index, errors: ['Request must be an object'] });
+                return;
+            }
+
+            const prompt = typeof request.prompt === 'string' ? request.prompt.trim() : '';
+            if (!prompt) {
+                problems.push('Prompt is required');
+            } else if (prompt.length > this.MAX_PROMPT_LENGTH) {
+                problems.push(`Prompt cannot exceed ${this.MAX_PROMPT_LENGTH} characters`);
+            }
+
+            const language = request.language === undefined ? languageSupport.DEFAULT_LANGUAGE : languageSupport.normalizeLanguage(request.language);
+            if (!language) {
+                problems.push(`Unsupported language: ${request.language}`);
+            }
+
+            const range = languageSupport.lengthRange(100, 2000, language || languageSupport.DEFAULT_LANGUAGE);
+            const wordCount = request.wordCount === undefined ? 500 : Number(request.wordCount);
+            if (!Number.isInteger(wordCount) || wordCount < range.min || wordCount > range.max) {
+                problems.push(`Word count must be between ${range.min} and ${range.max} ${range.unit}`);
+            }
+
+            const style = this.matchOption(request.style, this.STYLES, 'Academic');
+            if (!style) problems.push(`Style must be one of: ${this.STYLES.join(', ')}`);
+            const tone = this.matchOption(request.tone, this.TONES, 'Formal');
+            if (!tone) problems.push(`Tone must be one of: ${this.TONES.join(', ')}`);
+            const citationStyle = this.matchOption(request.citationStyle, this.CITATION_STYLES, 'APA');
+            if (!citationStyle) problems.push(`Citation style must be one of: ${this.CITATION_STYLES.join(', ')}`);
+            const qualityTier = this.matchOption(request.qualityTier, this.QUALITY_TIERS, 'standard');
+            if (!qualityTier) problems.push(`Quality tier must be one of: ${this.QUALITY_TIERS.join(', ')}`);
+
+            const title = request.title === undefined ? '' : String(request.title).trim();
+            if (title.length > this.MAX_TITLE_LENGTH) {
+                problems.push(`Title cannot exceed ${this.MAX_TITLE_LENGTH} characters`);
+            }
+
+            if (problems.length > 0) {
+                errors.push({ index, errors: problems });
+                return;
+            }
+
+            items.push({
+                index,
+                title: title || `Request ${index + 1}`,
+                prompt,
+                wordCount,
+                style,
+                tone,
+                citationStyle,
+                qualityTier,
+                language
+            });
+        });
+
+        return { items, errors };
+    }
+
+    /**
+     * Case-insensitive match against a fixed option list
+     * @returns {string|null} Canonical option, the fallback when unset, or null when invalid
+     */
+    matchOption(value, options, fallback) {
+        if (value === undefined || value === null || value === '') {
+            return fallback;
+        }
+        const wanted = String(value).trim().toLowerCase();
+        return options.find(option => option.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Run a worker over the items with at most `concurrency` in flight
+     * The worker's own errors are its business; once the signal fires no further items start.
+     * @param {Array<Object>} items - Batch items
+     * @param {Function} worker - async (item) => void
+     * @param {Object} options - { concurrency, signal }
+     */
+    async runItems(items, worker, { concurrency = this.CONCURRENCY, signal = null } = {}) {
+        let next = 0;
+        const lane = async () => {
+            while (next < items.length) {
+                throwIfAborted(signal);
+                const item = items[next++];
+                await worker(item);
+            }
+        };
+
+        const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane);
+        await Promise.all(lanes);
+    }
+
+    /**
+     * Initial per-item status record
+     * @param {Object} item - Normalized batch item
+     * @returns {Object} Status entry
+     */
+    createItemStatus(item) {
+        return {
+            index: item.index,
+            title: item.title,
+            status: 'queued',
+            wordCount: 0,
+            targetWordCount: item.wordCount,
+            creditsUsed: 0,
+            transactionId: null,
+            draftId: null,
+            error: null
+        };
+    }
+
+    /**
+     * Whether an item needs no further run (a resumed batch skips it)
+     * @param {Object} entry - Item status entry
+     * @returns {boolean} True for completed and interrupted items
+     */
+    isItemFinished(entry) {
+        return entry.status === 'completed' || entry.status === 'interrupted';
+    }
+
+    /**
+     * Summary counts for a list of item statuses
+     * @param {Array<Object>} statuses - Item status entries
+     * @returns {Object} Count per status plus total
+     */
+    summarize(statuses) {
+        const summary = { total: statuses.length, queued: 0, running: 0, completed: 0, failed: 0, interrupted: 0 };
+        for (const entry of statuses) {
+            summary[entry.status] = (summary[entry.status] || 0) + 1;
+        }
+        return summary;
+    }
+
+    /**
+     * Pack batch outputs into one ZIP
+     * Each output becomes a numbered file in `format`; manifest.csv lists every item,
+     * including the ones that produced no file.
+     * @param {Array<Object>} outputs - [{ status (item status entry), content }] in batch order
+     * @param {string} format - Export format (see EXPORT_FORMATS)
+     * @returns {Promise<Buffer>} ZIP archive
+     */
+    async buildArchive(outputs, format) {
+        const extension = this.contentFormatter.getFileExtension(format);
+        const digits = String(outputs.length).length;
+        const entries = [];
+        const manifest = [['#', 'Title', 'Status', 'Words', 'File', 'Error']];
+
+        for (const { status, content } of outputs) {
+            const number = String(status.index + 1).padStart(digits, '0');
+            let filename = '';
+
+            if (content) {
+                filename = `${number}_${this.contentFormatter.docxWriter.buildFilename(status.title, extension)}`;
+                const formatted = await this.contentFormatter.formatContent(content, format, {
+                    title: status.title,
+                    filename
+                });
+                entries.push({ name: filename, data: formatted.content });
+            }
+
+            manifest.push([number, status.title, status.status, status.wordCount, filename, status.error || '']);
+        }
+
+        const manifestCsv = manifest
+            .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+            .join('\r\n');
+        entries.push({ name: 'manifest.csv', data: manifestCsv });
+
+        return createZip(entries);
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = new WriterBatchService();
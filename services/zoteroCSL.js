@@ -1,14 +1,13 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmProvider = require('./llmProvider');
 const { CSL } = require('citeproc');
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
+const { isAbortError } = require('../utils/cancellation');
 
 class ZoteroCSLProcessor {
   constructor() {
-    // TODO: Add your Gemini API key here - Get from Google AI Studio (https://makersuite.google.com/app/apikey)
-    // Required for Gemini 2.5 Pro model used in citation generation
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY); // Add your Gemini API key
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
+    // Citation model is routed via config/serviceConfig.js (llm.tools.citations)
+    this.model = llmProvider.forTool('citations');
     
     // TODO: Add your Zotero API key here if using Zotero Web API - Get from https://www.zotero.org/settings/keys
     // Optional: For direct Zotero library integration
@@ -41,12 +40,14 @@ class ZoteroCSLProcessor {
    * @param {string} content - The content to analyze for citations
    * @param {string} style - Citation style (apa, mla, chicago, etc.)
    * @param {string} topic - Topic for context-aware citation generation
+   * @param {Object} usage - Usage context { userId, feature, plan } for LLM accounting
    * @returns {Object} Citation data and formatted references
    */
-  async processCitations(content, style = 'apa', topic = '') {
+  async processCitations(content, style = 'apa', topic = '', usage = {}) {
+    const model = this.model.withUsage({ ...usage, feature: `${usage.feature || 'writer'}.citations` });
     try {
       // Step 1: Analyze content for citation needs
-      const citationNeeds = await this.analyzeCitationRequirements(content, topic);
+      const citationNeeds = await this.analyzeCitationRequirements(content, topic, model);
       
       if (!citationNeeds.requiresCitations) {
         return {
@@ -58,13 +59,13 @@ class ZoteroCSLProcessor {
       }
 
       // Step 2: Generate bibliographic data using Gemini
-      const bibliographicData = await this.generateBibliographicData(citationNeeds, topic);
+      const bibliographicData = await this.generateBibliographicData(citationNeeds, topic, model);
       
       // Step 3: Format citations using CSL processor
       const formattedCitations = await this.formatCitations(bibliographicData, style);
       
       // Step 4: Insert in-text citations into content
-      const processedContent = await this.insertInTextCitations(content, formattedCitations);
+      const processedContent = await this.insertInTextCitations(content, formattedCitations, model);
       
       return {
         requiresCitations: true,
@@ -76,6 +77,10 @@ class ZoteroCSLProcessor {
       };
       
     } catch (error) {
+      // Cancellation must not turn into "no citations"
+      if (isAbortError(error)) {
+        throw error;
+      }
       logger.error('Citation processing error', {
         service: 'ZoteroCSLProcessor',
         method: 'processCitations',
@@ -98,7 +103,7 @@ class ZoteroCSLProcessor {
    * @param {string} topic - Topic context
    * @returns {Object} Citation requirements analysis
    */
-  async analyzeCitationRequirements(content, topic) {
+  async analyzeCitationRequirements(content, topic, model = this.model) {
     const prompt = `
       Analyze the following content and determine if academic citations are needed.
       
@@ -122,10 +127,13 @@ class ZoteroCSLProcessor {
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
+      const result = await model.generate(prompt);
+      const response = result.text;
       return JSON.parse(response.replace(/```json\n?|```/g, ''));
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       logger.error('Citation analysis error', {
         service: 'ZoteroCSLProcessor',
         method: 'analyzeCitationRequirements',
@@ -141,7 +149,7 @@ class ZoteroCSLProcessor {
    * @param {string} topic - Topic context
    * @returns {Array} Array of bibliographic entries
    */
-  async generateBibliographicData(citationNeeds, topic) {
+  async generateBibliographicData(citationNeeds, topic, model = this.model) {
     const prompt = `
       Generate realistic bibliographic data for academic sources related to: "${topic}"
       
@@ -170,8 +178,8 @@ class ZoteroCSLProcessor {
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
+      const result = await model.generate(prompt);
+      const response = result.text;
       const bibliographicData = JSON.parse(response.replace(/```json\n?|```/g, ''));
       
       // Store generated citations for future reference
@@ -179,6 +187,9 @@ class ZoteroCSLProcessor {
       
       return bibliographicData;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       logger.error('Bibliographic generation error', {
         service: 'ZoteroCSLProcessor',
         method: 'generateBibliographicData',
@@ -278,7 +289,7 @@ class ZoteroCSLProcessor {
    * @param {Object} formattedCitations - Formatted citation data
    * @returns {string} Content with inserted citations
    */
-  async insertInTextCitations(content, formattedCitations) {
+  async insertInTextCitations(content, formattedCitations, model = this.model) {
     const prompt = `
       Insert appropriate in-text citations into the following content.
       
@@ -296,9 +307,12 @@ class ZoteroCSLProcessor {
     `;
 
     try {
-      const result = await this.model.generateContent(prompt);
-      return result.response.text().replace(/```\n?|```/g, '');
+      const result = await model.generate(prompt);
+      return result.text.replace(/```\n?|```/g, '');
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       logger.error('Citation insertion error', {
         service: 'ZoteroCSLProcessor',
         method: 'insertInTextCitations',
@@ -0,0 +1,41 @@
+const { describe, test, expect } = require('@jest/globals');
+const AtomicCreditSystem = require('../../services/atomicCreditSystem');
+
+const creditSystem = new AtomicCreditSystem();
+
+describe('AtomicCreditSystem.calculateShortfallRefund', () => {
+    test('refunds the credits for words missing from short text', () => {
+        // 300 words charged at 1 credit per 3 words; 150 delivered
+        expect(creditSystem.calculateShortfallRefund(100, 150)).toEqual({ creditsForFinalLength: 50, creditDifference: 50 });
+        expect(creditSystem.calculateShortfallRefund(200, 150, 'premium')).toEqual({ creditsForFinalLength: 100, creditDifference: 100 });
+    });
+
+    test('never charges extra for text over the target', () => {
+        expect(creditSystem.calculateShortfallRefund(100, 450)).toEqual({ creditsForFinalLength: 100, creditDifference: 0 });
+    });
+
+    test('prices character-counted languages by word equivalents', () => {
+        const { creditsForFinalLength } = creditSystem.calculateShortfallRefund(200, 300, 'standard', 'zh');
+        expect(creditsForFinalLength).toBe(creditSystem.calculateRequiredCredits(300, 'writing', null, 'zh'));
+        expect(creditsForFinalLength).toBeLessThan(100);
+    });
+});
+
+describe('AtomicCreditSystem.calculateUndeliveredRefund', () => {
+    test('refunds the undelivered share, rounded down', () => {
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, 100)).toBe(66);
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, 0)).toBe(100);
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, 300)).toBe(0);
+    });
+
+    test('subtracts credits already refunded and never goes negative', () => {
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, 100, 20)).toBe(46);
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, 250, 50)).toBe(0);
+    });
+
+    test('clamps delivered words to the requested range', () => {
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, 900)).toBe(0);
+        expect(creditSystem.calculateUndeliveredRefund(100, 300, -50)).toBe(100);
+        expect(creditSystem.calculateUndeliveredRefund(100, 0, 0)).toBe(0);
+    });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, test, expect } = require('@jest/globals');
+const CitationGenerator = require('../../services/citationGenerator');
+const LatexExporter = require('../../services/latexExporter');
+const { readZip } = require('../../utils/zipArchive');
+
+const fixture = fs.readFileSync(path.join(__dirname, '../fixtures/references.md'), 'utf8');
+const JOURNAL = 'Jones, K. (2019). Farm effects. *Journal of Farming*, 12(3), 45-67.';
+const BOOK = 'Smith, J. (2020). *A book on soil*. X Press.';
+
+describe('CitationGenerator.citationsFromReferences', () => {
+    const generator = new CitationGenerator();
+
+    test('takes the article title from before the italic journal name', () => {
+        const [source] = generator.citationsFromReferences([JOURNAL]).sources;
+
+        expect(source.type).toBe('journal');
+        expect(source.metadata).toMatchObject({
+            author: 'Jones, K',
+            year: '2019',
+            title: 'Farm effects',
+            journal: 'Journal of Farming',
+            volume: '12',
+            issue: '3',
+            pages: '45-67'
+        });
+    });
+
+    test('keeps the italic title of a book', () => {
+        const [source] = generator.citationsFromReferences([BOOK]).sources;
+
+        expect(source.metadata).toMatchObject({
+            author: 'Smith, J',
+            year: '2020',
+            title: 'A book on soil',
+            publisher: 'X Press'
+        });
+        expect(source.metadata.journal).toBeNull();
+    });
+});
+
+describe('CitationGenerator.exportAsBibTeX', () => {
+    test('writes article and book entries with author-year keys', () => {
+        const generator = new CitationGenerator();
+        const result = generator.exportAsBibTeX(generator.citationsFromReferences([JOURNAL, BOOK]));
+
+        expect(result.keys).toEqual(['jones2019', 'smith2020']);
+        expect(result.content).toContain('@article{jones2019,');
+        expect(result.content).toContain('title = {Farm effects}');
+        expect(result.content).toContain('journal = {Journal of Farming}');
+        expect(result.content).toContain('pages = {45--67}');
+        expect(result.content).toContain('@book{smith2020,');
+        expect(result.content).toContain('title = {A book on soil}');
+    });
+});
+
+describe('LatexExporter.createProject', () => {
+    test('builds the .bib from the reference list and cites its keys', () => {
+        const project = readZip(new LatexExporter().createProject(fixture, { title: 'Soil and Farming' }));
+        const bib = project.get('references.bib').toString();
+        const tex = project.get('main.tex').toString();
+
+        expect(bib).toContain('title = {Farm effects}');
+        expect(bib).toContain('pages = {45--67}');
+        expect(tex).toContain('\\citep[p.~50]{jones2019}');
+        expect(tex).toContain('\\citeyearpar{smith2020}');
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, test, expect } = require('@jest/globals');
+const { parseDocument, inlineText, outline } = require('../../utils/documentModel');
+
+const CONTENT = [
+    '# Farming',
+    '',
+    'Yields rose sharply (Smith, 2020) after the reform[^1].',
+    '',
+    '## Method',
+    '',
+    '- surveys',
+    '- field trials',
+    '',
+    '| Year | Yield |',
+    '|------|-------|',
+    '| 2019 | 4.2 |',
+    '',
+    '## References',
+    '',
+    'Smith, J. (2020). *A book on soil*. X Press.',
+    '',
+    '[^1]: The 2018 land reform.'
+].join('\n');
+
+describe('documentModel.parseDocument', () => {
+    const document = parseDocument(CONTENT);
+
+    test('splits markdown into typed blocks in order', () => {
+        expect(document.children.map(block => block.type))
+            .toEqual(['heading', 'paragraph', 'heading', 'list', 'table', 'heading', 'reference']);
+        expect(outline(document).map(heading => heading.level)).toEqual([1, 2, 2]);
+    });
+
+    test('marks the reference heading and keeps citations and footnotes inline', () => {
+        const [, paragraph, , , , references] = document.children;
+
+        expect(references.references).toBe(true);
+        expect(paragraph.children).toEqual(expect.arrayContaining([
+            { type: 'citation', value: '(Smith, 2020)' },
+            { type: 'footnoteRef', key: '1' }
+        ]));
+        expect(inlineText(document.footnotes['1'])).toBe('The 2018 land reform.');
+    });
+
+    test('reads list items and table cells', () => {
+        const list = document.children[3];
+        const table = document.children[4];
+
+        expect(list.items.map(item => inlineText(item.children))).toEqual(['surveys', 'field trials']);
+        expect(list.items.every(item => item.ordered === false && item.level === 0)).toBe(true);
+        expect(table.rows.map(row => row.map(cell => inlineText(cell)))).toEqual([['Year', 'Yield'], ['2019', '4.2']]);
+    });
+});
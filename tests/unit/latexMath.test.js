@@ -0,0 +1,38 @@
+const { describe, test, expect } = require('@jest/globals');
+const { protectMath, restoreMath, placeholdersIntact } = require('../../utils/latexMath');
+
+const TEXT = 'Energy is $E = mc^2$, it costs \\$5, and $$\\int_0^1 x\\,dx = \\frac{1}{2}$$ holds.';
+
+describe('latexMath.protectMath / restoreMath', () => {
+    test('replaces each math span with a numbered placeholder', () => {
+        const { text, spans } = protectMath(TEXT);
+
+        expect(text).toBe('Energy is ⟦MATH1⟧, it costs \\$5, and ⟦MATH2⟧ holds.');
+        expect(spans.map(span => [span.tex, span.display])).toEqual([
+            ['E = mc^2', false],
+            ['\\int_0^1 x\\,dx = \\frac{1}{2}', true]
+        ]);
+    });
+
+    test('round-trips the original text', () => {
+        const { text, spans } = protectMath(TEXT);
+
+        expect(restoreMath(text, spans)).toBe(TEXT);
+        expect(restoreMath(text.replace('Energy is', 'The energy equals'), spans))
+            .toBe(TEXT.replace('Energy is', 'The energy equals'));
+    });
+
+    test('leaves text without math and inline code untouched', () => {
+        const plain = 'Prices in `$HOME` rose by \\$3.';
+        expect(protectMath(plain)).toEqual({ text: plain, spans: [] });
+    });
+
+    test('detects dropped, duplicated or invented placeholders', () => {
+        const { text, spans } = protectMath(TEXT);
+
+        expect(placeholdersIntact(text, spans)).toBe(true);
+        expect(placeholdersIntact(text.replace('⟦MATH2⟧', ''), spans)).toBe(false);
+        expect(placeholdersIntact(`${text} ⟦MATH1⟧`, spans)).toBe(false);
+        expect(placeholdersIntact(`${text} ⟦MATH3⟧`, spans)).toBe(false);
+    });
+});
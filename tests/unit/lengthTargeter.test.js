@@ -0,0 +1,45 @@
+const { describe, test, expect } = require('@jest/globals');
+const lengthTargeter = require('../../services/lengthTargeter');
+
+const words = (count, word = 'soil') => Array(count).fill(word).join(' ');
+
+const CONTENT = [
+    '# Long section', '', words(100),
+    '## Medium section', '', words(50),
+    '## Short section', '', words(10),
+    '## References', '', words(80, 'Smith')
+].join('\n');
+
+describe('lengthTargeter.planAdjustments', () => {
+    const blocks = lengthTargeter.splitBlocks(CONTENT);
+    const options = lengthTargeter.normalizeOptions({ excludeReferences: true });
+
+    test('splits sections and flags the reference list', () => {
+        expect(blocks.map(block => block.isReferences)).toEqual([false, false, false, true]);
+        // Three two-word headings count; the reference list does not
+        expect(lengthTargeter.countTowardTarget(CONTENT, options)).toBe(100 + 50 + 10 + 6);
+        expect(lengthTargeter.countTowardTarget(CONTENT, { ...options, excludeHeadings: true })).toBe(160);
+    });
+
+    test('spreads an expansion over sections in proportion to their length', () => {
+        expect(lengthTargeter.planAdjustments(blocks, 30, options)).toEqual([
+            { index: 0, fromWords: 100, toWords: 120 },
+            { index: 1, fromWords: 50, toWords: 60 }
+        ]);
+    });
+
+    test('caps each rewrite and never touches short blocks or references', () => {
+        expect(lengthTargeter.planAdjustments(blocks, 500, options)).toEqual([
+            { index: 0, fromWords: 100, toWords: 160 },
+            { index: 1, fromWords: 50, toWords: 80 }
+        ]);
+        expect(lengthTargeter.planAdjustments(blocks, -200, options)).toEqual([
+            { index: 0, fromWords: 100, toWords: 60 },
+            { index: 1, fromWords: 50, toWords: 30 }
+        ]);
+    });
+
+    test('plans nothing when no block is long enough to adjust', () => {
+        expect(lengthTargeter.planAdjustments(lengthTargeter.splitBlocks(words(20)), 50, options)).toEqual([]);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, test, expect, afterEach } = require('@jest/globals');
+const serviceConfig = require('../../config/serviceConfig');
+const llmProvider = require('../../services/llmProvider');
+
+const { MockLLMProvider, LLMClient } = llmProvider;
+const LLMProviderRegistry = llmProvider.constructor;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+describe('MockLLMProvider', () => {
+    const provider = new MockLLMProvider();
+
+    test('returns the same text for the same prompt', async () => {
+        const first = await provider.generate('Write 300 words about soil erosion.');
+        const second = await provider.generate('Write 300 words about soil erosion.');
+        const other = await provider.generate('Write 300 words about coral reefs.');
+
+        expect(first.text).toBe(second.text);
+        expect(other.text).not.toBe(first.text);
+        expect(first).toMatchObject({ provider: 'mock', model: 'mock' });
+    });
+
+    test('sizes the text to the requested word count', async () => {
+        const { text, usage } = await provider.generate('Write 300 words about soil erosion.');
+
+        expect(countWords(text)).toBeGreaterThanOrEqual(300);
+        expect(countWords(text)).toBeLessThan(320);
+        expect(usage.totalTokens).toBe(usage.promptTokens + usage.completionTokens);
+    });
+
+    test('answers structured prompts with an empty structure', async () => {
+        expect((await provider.generate('Return a JSON array of headings.')).text).toBe('[]');
+        expect((await provider.generate('Respond with JSON only.')).text).toBe('{}');
+    });
+
+    test('is always configured', () => {
+        expect(provider.isConfigured()).toBe(true);
+    });
+});
+
+describe('LLMProviderRegistry', () => {
+    const llm = serviceConfig.getServiceConfig('llm');
+    const original = { forceProvider: llm.forceProvider, planOverrides: llm.planOverrides };
+
+    afterEach(() => {
+        serviceConfig.updateConfig('llm', 'forceProvider', original.forceProvider);
+        serviceConfig.updateConfig('llm', 'planOverrides', original.planOverrides);
+    });
+
+    test('routes a tool to its configured provider and model', () => {
+        serviceConfig.updateConfig('llm', 'forceProvider', null);
+        expect(new LLMProviderRegistry().resolve('writerPremium')).toEqual({ provider: 'gemini', model: 'gemini-2.5-pro' });
+    });
+
+    test('applies plan overrides, matching the plan case-insensitively', () => {
+        serviceConfig.updateConfig('llm', 'forceProvider', null);
+        serviceConfig.updateConfig('llm', 'planOverrides', {
+            freemium: { writer: { provider: 'openai', model: 'llama-3.1-8b-instruct' } }
+        });
+        const registry = new LLMProviderRegistry();
+
+        expect(registry.resolve('writer', 'Freemium')).toEqual({ provider: 'openai', model: 'llama-3.1-8b-instruct' });
+        expect(registry.resolve('writer', 'pro')).toEqual({ provider: 'gemini', model: 'gemini-2.5-flash' });
+    });
+
+    test('routes every tool to a forced provider and its default model', () => {
+        serviceConfig.updateConfig('llm', 'forceProvider', 'mock');
+        expect(new LLMProviderRegistry().resolve('research', 'pro')).toEqual({ provider: 'mock', model: 'mock' });
+    });
+
+    test('rejects unknown tools and providers', () => {
+        const registry = new LLMProviderRegistry();
+
+        expect(() => registry.resolve('nonexistent')).toThrow('No LLM routing configured for tool: nonexistent');
+        expect(() => registry.getProvider('nonexistent')).toThrow('Unknown LLM provider: nonexistent');
+    });
+
+    test('caches provider instances', () => {
+        const registry = new LLMProviderRegistry();
+        expect(registry.getProvider('mock')).toBe(registry.getProvider('mock'));
+    });
+
+    test('binds a client to the resolved provider', async () => {
+        serviceConfig.updateConfig('llm', 'forceProvider', 'mock');
+        const client = new LLMProviderRegistry().forTool('writer');
+
+        expect(client).toBeInstanceOf(LLMClient);
+        expect(client.isAvailable()).toBe(true);
+
+        const result = await client.generate('Write 100 words about rivers.');
+        expect(result).toMatchObject({ provider: 'mock', model: 'mock' });
+        expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+    });
+});
@@ -0,0 +1,55 @@
+const zlib = require('zlib');
+const { describe, test, expect } = require('@jest/globals');
+const PdfTextExtractor = require('../../services/pdfTextExtractor');
+
+// One-page PDF with a Flate-compressed content stream
+const buildPdf = (contentStream) => {
+    const content = zlib.deflateSync(Buffer.from(contentStream, 'latin1'));
+    return Buffer.concat([
+        Buffer.from([
+            '%PDF-1.4',
+            '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+            '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+            '3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >> endobj',
+            `4 0 obj << /Length ${content.length} /Filter /FlateDecode >>`,
+            'stream',
+            ''
+        ].join('\n'), 'latin1'),
+        content,
+        Buffer.from([
+            '',
+            'endstream',
+            'endobj',
+            '5 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >> endobj',
+            '6 0 obj << /Title (Farming report) >> endobj',
+            'trailer << /Root 1 0 R /Info 6 0 R >>',
+            '%%EOF'
+        ].join('\n'), 'latin1')
+    ]);
+};
+
+describe('PdfTextExtractor.extract', () => {
+    test('returns positioned lines per page and the document title', () => {
+        const pdf = buildPdf('BT /F1 12 Tf 72 720 Td (Farm yields rose) Tj 0 -14 Td (in 2019.) Tj ET');
+        const result = new PdfTextExtractor().extract(pdf);
+
+        expect(result).toMatchObject({ pageCount: 1, title: 'Farming report' });
+        expect(result.pages[0].lines).toEqual([
+            { text: 'Farm yields rose', fontSize: 12, x: 72, y: 720 },
+            { text: 'in 2019.', fontSize: 12, x: 72, y: 706 }
+        ]);
+    });
+
+    test('rejects files that are not PDFs', () => {
+        expect(() => new PdfTextExtractor().extract(Buffer.from('PK\u0003\u0004 not a pdf'))).toThrow('Not a PDF file');
+    });
+
+    test('rejects a stream that inflates past the size cap', () => {
+        const extractor = new PdfTextExtractor();
+        extractor.MAX_STREAM_SIZE = 1024;
+        const padding = ' '.repeat(4096);
+        const pdf = buildPdf(`BT /F1 12 Tf 72 720 Td (Too big) Tj ET${padding}`);
+
+        expect(() => extractor.extract(pdf)).toThrow(expect.objectContaining({ code: 'PDF_STREAM_TOO_LARGE' }));
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, test, expect } = require('@jest/globals');
+const SimilarityIndex = require('../../services/similarityIndex');
+
+const buildIndex = () => {
+    const index = new SimilarityIndex();
+    index.add('farming', 'The effects of farming on soil erosion in river valleys', { style: 'Academic', wordCount: 500 });
+    index.add('poetry', 'A short poem about the sea at night', { style: 'Creative', wordCount: 200 });
+    index.add('economy', 'Inflation and interest rates in emerging economies', { style: 'Academic', wordCount: 1500 });
+    return index;
+};
+
+describe('SimilarityIndex', () => {
+    test('ranks paraphrases that share word roots first', () => {
+        const [best] = buildIndex().search('How farms affect the erosion of soils');
+        expect(best.id).toBe('farming');
+        expect(best.score).toBeGreaterThan(0);
+    });
+
+    test('applies style and length filters', () => {
+        const index = buildIndex();
+
+        expect(index.search('erosion of farm soil', { style: 'Creative' })).toEqual([]);
+        expect(index.search('interest rates and inflation', { wordCount: 500 })).toEqual([]);
+        expect(index.search('interest rates and inflation', { wordCount: 1400 }).map(result => result.id)).toEqual(['economy']);
+    });
+
+    test('tokenizes non-Latin scripts', () => {
+        const index = new SimilarityIndex();
+        index.add('ru', 'Изменение климата влияет на урожай');
+
+        expect(index.search('климата и урожай').map(result => result.id)).toEqual(['ru']);
+    });
+
+    test('forgets removed documents', () => {
+        const index = buildIndex();
+
+        expect(index.remove('farming')).toBe(true);
+        expect(index.remove('farming')).toBe(false);
+        expect(index.size).toBe(2);
+        expect(index.search('effects of farming on soil erosion').map(result => result.id)).not.toContain('farming');
+    });
+});
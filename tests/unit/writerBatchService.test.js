@@ -0,0 +1,37 @@
+const { describe, test, expect } = require('@jest/globals');
+const writerBatchService = require('../../services/writerBatchService');
+
+describe('writerBatchService.parseCsv', () => {
+    test('handles quoted delimiters, escaped quotes and newlines in cells', () => {
+        const csv = 'prompt,words\r\n"Farming, soil and ""erosion""",500\r\n"Two\nlines",300';
+
+        expect(writerBatchService.parseCsv(csv)).toEqual([
+            ['prompt', 'words'],
+            ['Farming, soil and "erosion"', '500'],
+            ['Two\nlines', '300']
+        ]);
+    });
+
+    test('detects semicolon-separated files', () => {
+        expect(writerBatchService.parseCsv('prompt;style\nA, B;Academic\n')).toEqual([
+            ['prompt', 'style'],
+            ['A, B', 'Academic']
+        ]);
+    });
+});
+
+describe('writerBatchService.parseCsvItems', () => {
+    test('maps header aliases to request fields and skips empty cells and rows', () => {
+        const csv = 'Prompt,Word Count,Citation Style,Notes\nSoil erosion,500,APA,ignored\n,,,\nCoral reefs,,MLA,\n';
+
+        expect(writerBatchService.parseCsvItems(csv)).toEqual([
+            { prompt: 'Soil erosion', wordCount: '500', citationStyle: 'APA' },
+            { prompt: 'Coral reefs', citationStyle: 'MLA' }
+        ]);
+    });
+
+    test('requires a prompt column', () => {
+        expect(() => writerBatchService.parseCsvItems('title,words\nA,500\n'))
+            .toThrow(expect.objectContaining({ statusCode: 400, message: 'CSV batch needs a "prompt" column' }));
+    });
+});
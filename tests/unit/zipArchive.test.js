@@ -0,0 +1,53 @@
+const { describe, test, expect } = require('@jest/globals');
+const { createZip, readZip, crc32 } = require('../../utils/zipArchive');
+
+const CENTRAL_HEADER = Buffer.from([0x50, 0x4B, 0x01, 0x02]);
+
+// Zero the uncompressed sizes in the central directory, as a zip bomb would
+const hideDeclaredSizes = (zip) => {
+    for (let i = zip.indexOf(CENTRAL_HEADER); i >= 0; i = zip.indexOf(CENTRAL_HEADER, i + 4)) {
+        zip.writeUInt32LE(0, i + 24);
+    }
+    return zip;
+};
+
+describe('zipArchive', () => {
+    test('reads back stored and deflated entries', () => {
+        const zip = createZip([
+            { name: 'mimetype', data: 'application/epub+zip', store: true },
+            { name: 'OEBPS/chapter.xhtml', data: '<p>Résumé</p>'.repeat(50) },
+            { name: 'image.bin', data: Buffer.from([0, 1, 2, 255]) }
+        ]);
+        const entries = readZip(zip);
+
+        expect([...entries.keys()]).toEqual(['mimetype', 'OEBPS/chapter.xhtml', 'image.bin']);
+        expect(entries.get('mimetype').toString()).toBe('application/epub+zip');
+        expect(entries.get('OEBPS/chapter.xhtml').toString()).toBe('<p>Résumé</p>'.repeat(50));
+        expect(entries.get('image.bin')).toEqual(Buffer.from([0, 1, 2, 255]));
+    });
+
+    test('computes the standard CRC-32', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+    });
+
+    test('rejects input that is not a ZIP archive', () => {
+        expect(() => readZip(Buffer.from('not a zip file at all, just text'))).toThrow('Not a ZIP archive');
+    });
+
+    test('caps entries by their inflated size, not the declared one', () => {
+        const zip = hideDeclaredSizes(createZip([{ name: 'big.txt', data: Buffer.alloc(64 * 1024) }]));
+
+        expect(() => readZip(zip, { maxEntrySize: 16 * 1024 })).toThrow('ZIP archive is too large to extract');
+        expect(readZip(zip).get('big.txt').length).toBe(64 * 1024);
+    });
+
+    test('caps the total inflated size across entries', () => {
+        const zip = hideDeclaredSizes(createZip(Array.from({ length: 4 }, (_, index) => ({
+            name: `part${index}.txt`,
+            data: Buffer.alloc(32 * 1024)
+        }))));
+
+        expect(() => readZip(zip, { maxTotalSize: 100 * 1024 })).toThrow('ZIP archive is too large to extract');
+        expect(readZip(zip, { maxTotalSize: 128 * 1024 }).size).toBe(4);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Cancellation helpers for long-running generation requests
+ * A route opens an AbortController that fires when the client goes away and hands its
+ * signal down with the work; LLM and detection calls stop with an abort error, which the
+ * fallback paths along the way rethrow instead of papering over.
+ */
+
+const ABORT_CODE = 'GENERATION_ABORTED';
+
+/**
+ * Create the error thrown when a generation is cancelled
+ * @param {string} message - Error message
+ * @returns {Error} Error with name 'AbortError' and code GENERATION_ABORTED
+ */
+const createAbortError = (message = 'Generation aborted') => {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    error.code = ABORT_CODE;
+    error.statusCode = 499;
+    return error;
+};
+
+/**
+ * Whether an error means the work was cancelled rather than failed
+ * Covers our own abort error, fetch/DOM AbortError, axios cancellation and the Gemini SDK's abort error.
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+const isAbortError = (error) => {
+    if (!error) return false;
+    return error.code === ABORT_CODE ||
+        error.code === 'ERR_CANCELED' ||
+        error.name === 'AbortError' ||
+        error.name === 'CanceledError' ||
+        error.name === 'GoogleGenerativeAIAbortError';
+};
+
+/**
+ * Throw an abort error if the signal has fired
+ * @param {AbortSignal|null} signal - Signal to check
+ */
+const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+};
+
+/**
+ * Settle with the promise, or reject as soon as the signal fires
+ * For calls that cannot be cancelled themselves: the caller stops waiting even though the
+ * underlying request may still finish in the background.
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal|null} signal - Signal to watch
+ * @returns {Promise} The promise's outcome or an abort error
+ */
+const raceWithSignal = (promise, signal) => {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        promise.catch(() => {});
+        return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+};
+
+/**
+ * AbortController that fires when the client disconnects before the response is finished
+ * @param {Object} res - Express response
+ * @returns {AbortController} Controller whose signal tracks the connection
+ */
+const abortOnDisconnect = (res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller;
+};
+
+module.exports = {
+    createAbortError,
+    isAbortError,
+    throwIfAborted,
+    raceWithSignal,
+    abortOnDisconnect
+};
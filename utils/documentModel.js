@@ -0,0 +1,372 @@
+/**
+ * Document model
+ * Parses the markdown-style text the writer and research tools produce into one
+ * document tree that every exporter renders from, so a document has the same
+ * structure whichever format it is exported to.
+ *
+ * Block nodes:  heading { level, children, references }, paragraph { children },
+ *               list { items: [{ level, ordered, children }] }, table { rows: [[cell inlines]] }
+ *               (first row is the header), blockquote { children: blocks },
+ *               reference { children } (entries under a References heading),
+ *               math { tex, display, raw } (an equation on its own), code { text }, rule
+ * Inline nodes: text { value }, strong { children }, emphasis { children }, code { value },
+ *               citation { value } (e.g. "(Smith, 2020)" or "[3]"), footnoteRef { key },
+ *               math { tex, display, raw }
+ * The document itself is { type: 'document', children, footnotes: { key: inlines } }.
+ */
+
+const latexMath = require('./latexMath');
+
+const REFERENCE_HEADINGS = /^(references|reference list|bibliography|works cited|literature cited|sources)$/i;
+const CITATION_PATTERN = /\([^()]*?\d{4}[a-z]?[^()]*\)|\[\d+(?:\s*[-–,]\s*\d+)*\]/gu;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MAX_LIST_LEVEL = 5;
+
+const isTableSeparator = (line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+
+const splitTableRow = (line) => line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+/**
+ * Split plain text into text and citation nodes
+ */
+const textWithCitations = (value) => {
+    const nodes = [];
+    let lastIndex = 0;
+    for (const match of value.matchAll(CITATION_PATTERN)) {
+        if (match.index > lastIndex) {
+            nodes.push({ type: 'text', value: value.substring(lastIndex, match.index) });
+        }
+        nodes.push({ type: 'citation', value: match[0] });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < value.length) {
+        nodes.push({ type: 'text', value: value.substring(lastIndex) });
+    }
+    return nodes;
+};
+
+/**
+ * Parse inline markdown into inline nodes
+ * @param {string} text - Inline text (math already replaced by placeholders)
+ * @param {Object} context - { spans } from latexMath.protectMath
+ * @returns {Array<Object>} Inline nodes
+ */
+const parseInline = (text, context) => {
+    const pattern = /`([^`]+)`|\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|__(.+?)__|(?<![\w*])\*(?!\s)(.+?)(?<!\s)\*(?!\*)|(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)|\[\^([^\]\s]+)\]|⟦MATH(\d+)⟧/g;
+    const nodes = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            nodes.push(...textWithCitations(text.substring(lastIndex, match.index)));
+        }
+
+        if (match[1] !== undefined) {
+            nodes.push({ type: 'code', value: match[1] });
+        } else if (match[2] !== undefined) {
+            nodes.push({ type: 'strong', children: [{ type: 'emphasis', children: parseInline(match[2], context) }] });
+        } else if (match[3] !== undefined || match[4] !== undefined) {
+            nodes.push({ type: 'strong', children: parseInline(match[3] ?? match[4], context) });
+        } else if (match[5] !== undefined || match[6] !== undefined) {
+            nodes.push({ type: 'emphasis', children: parseInline(match[5] ?? match[6], context) });
+        } else if (match[7] !== undefined) {
+            nodes.push({ type: 'footnoteRef', key: match[7] });
+        } else {
+            const span = context.spans[Number(match[8]) - 1];
+            nodes.push(span
+                ? { type: 'math', tex: span.tex, display: span.display, raw: span.raw }
+                : { type: 'text', value: match[0] });
+        }
+
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+        nodes.push(...textWithCitations(text.substring(lastIndex)));
+    }
+    return nodes;
+};
+
+/**
+ * Parse lines into block nodes
+ * @param {Array<string>} lines - Source lines (footnote definitions removed)
+ * @param {Object} context - { spans }
+ * @param {Object} options - { title } - a leading heading repeating the title is dropped
+ * @returns {Array<Object>} Block nodes
+ */
+const parseBlocks = (lines, context, { title = '' } = {}) => {
+    const blocks = [];
+    let paragraph = [];
+    let inReferences = false;
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        const text = paragraph.join(' ');
+        paragraph = [];
+
+        // An equation standing alone is a block of its own
+        const alone = /^⟦MATH(\d+)⟧$/.exec(text);
+        const span = alone ? context.spans[Number(alone[1]) - 1] : null;
+        if (span && span.display) {
+            blocks.push({ type: 'math', tex: span.tex, display: true, raw: span.raw });
+        } else {
+            blocks.push({ type: 'paragraph', children: parseInline(text, context) });
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            flushParagraph();
+            continue;
+        }
+
+        const fence = /^(`{3,}|~{3,})/.exec(trimmed);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(latexMath.restoreMath(lines[i], context.spans));
+                i++;
+            }
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            flushParagraph();
+            const text = heading[2].replace(/^\*\*(.*)\*\*$/, '$1').trim();
+            if (blocks.length === 0 && title && text.toLowerCase() === String(title).trim().toLowerCase()) {
+                continue;
+            }
+            inReferences = REFERENCE_HEADINGS.test(text.replace(/[:.]$/, ''));
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(text, context), references: inReferences });
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+            flushParagraph();
+            blocks.push({ type: 'rule' });
+            continue;
+        }
+
+        if (trimmed.startsWith('>')) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted, context) });
+            continue;
+        }
+
+        if (trimmed.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+            flushParagraph();
+            const rows = [splitTableRow(trimmed)];
+            i += 2;
+            while (i < lines.length && lines[i].trim().includes('|')) {
+                rows.push(splitTableRow(lines[i].trim()));
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'table', rows: rows.map(row => row.map(cell => parseInline(cell, context))) });
+            continue;
+        }
+
+        // Reference lists are often one entry per line with no blank lines between them
+        if (inReferences) {
+            flushParagraph();
+            const entry = trimmed.replace(/^([-*+]|\d+[.)])\s+/, '');
+            if (entry) {
+                blocks.push({ type: 'reference', children: parseInline(entry, context) });
+            }
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            flushParagraph();
+            const items = [];
+            const indents = [];
+            while (i < lines.length) {
+                const item = lines[i].match(LIST_ITEM);
+                if (!item) {
+                    // Indented continuation lines belong to the previous item
+                    if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) {
+                        items[items.length - 1].text += ` ${lines[i].trim()}`;
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                const indent = item[1].replace(/\t/g, '    ').length;
+                while (indents.length > 0 && indent < indents[indents.length - 1]) {
+                    indents.pop();
+                }
+                if (indents.length === 0 || indent > indents[indents.length - 1]) {
+                    indents.push(indent);
+                }
+                const level = Math.min(indents.length - 1, MAX_LIST_LEVEL);
+                const ordered = /\d/.test(item[2]);
+                // A bulleted list directly followed by a numbered one (or vice versa) is two lists
+                const first = items.find(previous => previous.level === 0);
+                if (level === 0 && first && first.ordered !== ordered) {
+                    break;
+                }
+                items.push({ level, ordered, text: item[3].trim() });
+                i++;
+            }
+            i--;
+            blocks.push({
+                type: 'list',
+                items: items.map(({ level, ordered, text }) => ({ level, ordered, children: parseInline(text, context) }))
+            });
+            continue;
+        }
+
+        paragraph.push(trimmed);
+    }
+    flushParagraph();
+
+    return blocks;
+};
+
+/**
+ * Parse markdown-style text into a document tree
+ * LaTeX math is lifted out first so TeX characters (`_`, `*`, `|`, blank lines in
+ * display math) are never read as markdown.
+ * @param {string} content - Document text
+ * @param {Object} options - { title } - a leading heading that repeats the title is dropped
+ * @returns {Object} Document node
+ */
+const parseDocument = (content, { title = '' } = {}) => {
+    const { text, spans } = latexMath.protectMath(String(content || ''));
+    const context = { spans };
+    const definitions = new Map();
+    const lines = [];
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const definition = line.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+        if (definition) {
+            definitions.set(definition[1], definition[2].trim());
+        } else {
+            lines.push(line);
+        }
+    }
+
+    const footnotes = {};
+    definitions.forEach((source, key) => {
+        footnotes[key] = parseInline(source, context);
+    });
+
+    return { type: 'document', children: parseBlocks(lines, context, { title }), footnotes };
+};
+
+/**
+ * Plain text of inline nodes (math as its TeX source, footnote references via `footnoteLabel`)
+ * @param {Array<Object>} nodes - Inline nodes
+ * @param {Function} footnoteLabel - (key) => string
+ * @returns {string}
+ */
+const inlineText = (nodes, footnoteLabel = key => `[^${key}]`) => (nodes || []).map(node => {
+    switch (node.type) {
+        case 'strong':
+        case 'emphasis':
+            return inlineText(node.children, footnoteLabel);
+        case 'math':
+            return node.raw;
+        case 'footnoteRef':
+            return footnoteLabel(node.key);
+        default:
+            return node.value || '';
+    }
+}).join('');
+
+/**
+ * Flatten inline nodes into formatted runs, for writers whose markup has no nesting
+ * @param {Array<Object>} nodes - Inline nodes
+ * @param {Object} format - Inherited { bold, italic }
+ * @returns {Array<Object>} Runs: { text, bold, italic, code }, { footnote, text } or { math, text }
+ */
+const inlineRuns = (nodes, format = { bold: false, italic: false }) => nodes.flatMap(node => {
+    switch (node.type) {
+        case 'strong':
+            return inlineRuns(node.children, { ...format, bold: true });
+        case 'emphasis':
+            return inlineRuns(node.children, { ...format, italic: true });
+        case 'code':
+            return [{ ...format, code: true, text: node.value }];
+        case 'footnoteRef':
+            return [{ footnote: node.key, text: `[^${node.key}]` }];
+        case 'math':
+            return [{ math: node, text: node.raw }];
+        default:
+            return [{ ...format, text: node.value }];
+    }
+});
+
+/**
+ * Inline node lists of a block (paragraph text, list items, table cells, nested quotes)
+ */
+const blockInlines = (block) => {
+    switch (block.type) {
+        case 'heading':
+        case 'paragraph':
+        case 'reference':
+            return [block.children];
+        case 'list':
+            return block.items.map(item => item.children);
+        case 'table':
+            return block.rows.flat();
+        case 'blockquote':
+            return block.children.flatMap(blockInlines);
+        default:
+            return [];
+    }
+};
+
+/**
+ * Footnote numbers in order of first reference; references without a definition are skipped
+ * @param {Object} document - Document node
+ * @returns {Map<string, number>} key -> number (1-based)
+ */
+const footnoteNumbers = (document) => {
+    const numbers = new Map();
+    const visit = (nodes) => {
+        for (const node of nodes || []) {
+            if (node.type === 'footnoteRef' && document.footnotes[node.key] && !numbers.has(node.key)) {
+                numbers.set(node.key, numbers.size + 1);
+            } else if (node.children) {
+                visit(node.children);
+            }
+        }
+    };
+    document.children.flatMap(blockInlines).forEach(visit);
+    return numbers;
+};
+
+/**
+ * Headings in document order, for tables of contents
+ * @param {Object} document - Document node
+ * @returns {Array<Object>} [{ level, text }]
+ */
+const outline = (document) => document.children
+    .filter(block => block.type === 'heading')
+    .map(block => ({ level: block.level, text: inlineText(block.children) }));
+
+module.exports = {
+    REFERENCE_HEADINGS,
+    CITATION_PATTERN,
+    parseDocument,
+    parseInline,
+    inlineText,
+    inlineRuns,
+    footnoteNumbers,
+    outline
+};
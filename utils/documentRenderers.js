@@ -0,0 +1,490 @@
+/**
+ * Document renderers
+ * Render a tree from utils/documentModel as HTML, plain text, Markdown or a LaTeX
+ * body. DOCX is rendered by services/docxWriter from the same tree.
+ */
+
+const latexMath = require('./latexMath');
+const { inlineText, footnoteNumbers } = require('./documentModel');
+
+// Styles for the HTML renderer's output; browsers and Puppeteer typeset MathML natively
+const DOCUMENT_CSS = `
+table {
+    border-collapse: collapse;
+    width: 100%;
+    margin: 1em 0;
+}
+th, td {
+    border: 1px solid #999;
+    padding: 4px 8px;
+    text-align: left;
+    vertical-align: top;
+}
+blockquote {
+    margin: 1em 2em;
+    font-style: italic;
+}
+p.reference {
+    text-align: left;
+    text-indent: -2em;
+    padding-left: 2em;
+}
+.footnotes {
+    font-size: 0.9em;
+}
+.footnote-back {
+    text-decoration: none;
+}
+pre {
+    white-space: pre-wrap;
+}
+.equation {
+    text-align: center;
+}
+math {
+    font-family: 'Latin Modern Math', 'STIX Two Math', 'Cambria Math', math;
+}
+math[display="block"] {
+    margin: 1em 0;
+    text-align: center;
+}
+code.math-tex {
+    font-family: monospace;
+    white-space: pre-wrap;
+}
+`;
+
+// Control characters are dropped too: they are not allowed in XHTML (EPUB) at all
+const escapeHtml = (text) => String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const htmlMath = (node) => latexMath.toMathML(node.tex, { display: node.display })
+    || `<code class="math-tex">${escapeHtml(node.raw)}</code>`;
+
+const htmlInline = (nodes, context) => nodes.map(node => {
+    switch (node.type) {
+        case 'strong':
+            return `<strong>${htmlInline(node.children, context)}</strong>`;
+        case 'emphasis':
+            return `<em>${htmlInline(node.children, context)}</em>`;
+        case 'code':
+            return `<code>${escapeHtml(node.value)}</code>`;
+        case 'citation':
+            return `<span class="citation">${escapeHtml(node.value)}</span>`;
+        case 'math':
+            return htmlMath(node);
+        case 'footnoteRef': {
+            const number = context.notes.get(node.key);
+            if (!number) return escapeHtml(`[^${node.key}]`);
+            // Only the first reference carries the id the footnote links back to
+            const id = context.referenced.has(node.key) ? '' : ` id="fnref${number}"`;
+            context.referenced.add(node.key);
+            return `<sup class="footnote-ref"><a href="#fn${number}"${id}>${number}</a></sup>`;
+        }
+        default:
+            return escapeHtml(node.value);
+    }
+}).join('');
+
+/**
+ * Nest a flat item list ({ level, ordered }) into <ul>/<ol> elements
+ */
+const htmlList = (items, context) => {
+    const open = [];
+    let html = '';
+
+    for (const item of items) {
+        const depth = item.level + 1;
+        if (open.length < depth) {
+            while (open.length < depth) {
+                const tag = item.ordered ? 'ol' : 'ul';
+                html += `<${tag}>`;
+                open.push(tag);
+            }
+        } else {
+            html += '</li>';
+            while (open.length > depth) {
+                html += `</${open.pop()}></li>`;
+            }
+        }
+        html += `<li>${htmlInline(item.children, context)}`;
+    }
+    while (open.length > 0) {
+        html += `</li></${open.pop()}>`;
+    }
+    return html;
+};
+
+const htmlTable = (rows, context) => {
+    const [header, ...body] = rows;
+    const columns = Math.max(...rows.map(row => row.length));
+    const cells = (row, tag) => Array.from({ length: columns }, (_, index) =>
+        `<${tag}>${htmlInline(row[index] || [], context)}</${tag}>`).join('');
+
+    return `<table><thead><tr>${cells(header, 'th')}</tr></thead>`
+        + `<tbody>${body.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+};
+
+const htmlBlocks = (blocks, context) => blocks.map(block => {
+    switch (block.type) {
+        case 'heading': {
+            const level = Math.min(block.level + context.headingOffset, 6);
+            const id = context.headingIds ? ` id="section-${++context.headingCount}"` : '';
+            return `<h${level}${id}>${htmlInline(block.children, context)}</h${level}>`;
+        }
+        case 'list':
+            return htmlList(block.items, context);
+        case 'table':
+            return htmlTable(block.rows, context);
+        case 'blockquote':
+            return `<blockquote>${htmlBlocks(block.children, { ...context, headingIds: false })}</blockquote>`;
+        case 'reference':
+            return `<p class="reference">${htmlInline(block.children, context)}</p>`;
+        case 'math':
+            return `<div class="equation">${htmlMath(block)}</div>`;
+        case 'code':
+            return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+        case 'rule':
+            return '<hr/>';
+        default:
+            return `<p>${htmlInline(block.children, context)}</p>`;
+    }
+}).join('\n');
+
+/**
+ * Render a document as an HTML fragment (well-formed XHTML, so it can go into EPUB as is)
+ * @param {Object} document - Document node
+ * @param {Object} options
+ * @param {number} options.headingOffset - Added to heading levels, e.g. 1 when the page already has an <h1>
+ * @param {boolean} options.headingIds - Give top-level headings ids section-1, section-2, ... in
+ *   documentModel.outline order (for tables of contents)
+ * @returns {string} HTML
+ */
+const toHtml = (document, { headingOffset = 0, headingIds = false } = {}) => {
+    const context = { notes: footnoteNumbers(document), referenced: new Set(), headingOffset, headingIds, headingCount: 0 };
+    let html = htmlBlocks(document.children, context);
+
+    if (context.notes.size > 0) {
+        const noteContext = { ...context, notes: new Map() };
+        const items = [...context.notes].map(([key, number]) =>
+            `<li id="fn${number}">${htmlInline(document.footnotes[key], noteContext)} <a href="#fnref${number}" class="footnote-back">↩</a></li>`);
+        html += `\n<section class="footnotes"><hr/><ol>${items.join('')}</ol></section>`;
+    }
+    return html;
+};
+
+// ---------------------------------------------------------------------------
+// Plain text
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap text to a width; math is never broken across lines, even when longer than the width
+ */
+const wrap = (text, width, indent = '', hanging = indent) => {
+    const { text: protectedText, spans } = latexMath.protectMath(text);
+    const words = protectedText.split(/\s+/).filter(Boolean).map(word => latexMath.restoreMath(word, spans));
+    const lines = [];
+    let line = indent;
+    let empty = true;
+
+    for (const word of words) {
+        if (!empty && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = hanging;
+            empty = true;
+        }
+        line += (empty ? '' : ' ') + word;
+        empty = false;
+    }
+    if (!empty) lines.push(line);
+    return lines.join('\n');
+};
+
+const textBlocks = (blocks, context, width) => blocks.map(block => {
+    const text = (nodes) => inlineText(nodes, context.label);
+
+    switch (block.type) {
+        case 'heading': {
+            const title = text(block.children);
+            if (block.level > 2) return title;
+            const underline = (block.level === 1 ? '=' : '-').repeat(Math.min(title.length, width));
+            return `${title.toUpperCase()}\n${underline}`;
+        }
+        case 'list': {
+            const counters = [];
+            return block.items.map(item => {
+                counters.length = item.level + 1;
+                counters[item.level] = (counters[item.level] || 0) + 1;
+                const marker = item.ordered ? `${counters[item.level]}. ` : '- ';
+                const indent = '  '.repeat(item.level);
+                return wrap(text(item.children), width, indent + marker, indent + ' '.repeat(marker.length));
+            }).join('\n');
+        }
+        case 'table': {
+            const rows = block.rows.map(row => row.map(cell => text(cell)));
+            const columns = Math.max(...rows.map(row => row.length));
+            const widths = Array.from({ length: columns }, (_, index) =>
+                Math.max(...rows.map(row => (row[index] || '').length)));
+            const line = (row) => widths.map((w, index) => (row[index] || '').padEnd(w)).join(' | ').trimEnd();
+            const separator = widths.map(w => '-'.repeat(w)).join('-+-');
+            return [line(rows[0]), separator, ...rows.slice(1).map(line)].join('\n');
+        }
+        case 'blockquote':
+            return textBlocks(block.children, context, width - 2)
+                .split('\n')
+                .map(line => (line ? `> ${line}` : '>'))
+                .join('\n');
+        case 'reference':
+            return wrap(text(block.children), width, '', '    ');
+        case 'math':
+            return block.raw;
+        case 'code':
+            return block.text;
+        case 'rule':
+            return '-'.repeat(Math.min(width, 40));
+        default:
+            return wrap(text(block.children), width);
+    }
+}).join('\n\n');
+
+/**
+ * Render a document as wrapped plain text; footnotes become [n] with notes at the end
+ * @param {Object} document - Document node
+ * @param {Object} options - { width } - line width (default 80)
+ * @returns {string} Text
+ */
+const toText = (document, { width = 80 } = {}) => {
+    const notes = footnoteNumbers(document);
+    const label = (key) => (notes.has(key) ? `[${notes.get(key)}]` : `[^${key}]`);
+    let text = textBlocks(document.children, { label }, width);
+
+    if (notes.size > 0) {
+        const entries = [...notes].map(([key, number]) =>
+            wrap(`[${number}] ${inlineText(document.footnotes[key])}`, width, '', '    '));
+        text += `\n\nNOTES\n-----\n${entries.join('\n')}`;
+    }
+    return text;
+};
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+const inlineMarkdown = (nodes) => nodes.map(node => {
+    switch (node.type) {
+        case 'strong':
+            return `**${inlineMarkdown(node.children)}**`;
+        case 'emphasis':
+            return `*${inlineMarkdown(node.children)}*`;
+        case 'code':
+            return `\`${node.value}\``;
+        case 'math':
+            return node.raw;
+        case 'footnoteRef':
+            return `[^${node.key}]`;
+        default:
+            return node.value;
+    }
+}).join('');
+
+const markdownBlocks = (blocks) => blocks.map(block => {
+    switch (block.type) {
+        case 'heading':
+            return `${'#'.repeat(block.level)} ${inlineMarkdown(block.children)}`;
+        case 'list': {
+            const counters = [];
+            return block.items.map(item => {
+                counters.length = item.level + 1;
+                counters[item.level] = (counters[item.level] || 0) + 1;
+                return `${'  '.repeat(item.level)}${item.ordered ? `${counters[item.level]}.` : '-'} ${inlineMarkdown(item.children)}`;
+            }).join('\n');
+        }
+        case 'table': {
+            const columns = Math.max(...block.rows.map(row => row.length));
+            const line = (row) => `| ${Array.from({ length: columns }, (_, index) => inlineMarkdown(row[index] || [])).join(' | ')} |`;
+            return [line(block.rows[0]), `|${' --- |'.repeat(columns)}`, ...block.rows.slice(1).map(line)].join('\n');
+        }
+        case 'blockquote':
+            return markdownBlocks(block.children)
+                .split('\n')
+                .map(line => (line ? `> ${line}` : '>'))
+                .join('\n');
+        case 'reference':
+            return inlineMarkdown(block.children);
+        case 'math':
+            return block.raw;
+        case 'code':
+            return `\`\`\`\n${block.text}\n\`\`\``;
+        case 'rule':
+            return '---';
+        default:
+            return inlineMarkdown(block.children);
+    }
+}).join('\n\n');
+
+/**
+ * Render a document as normalized Markdown (math kept exactly as written)
+ * @param {Object} document - Document node
+ * @returns {string} Markdown
+ */
+const toMarkdown = (document) => {
+    let markdown = markdownBlocks(document.children);
+    const definitions = Object.entries(document.footnotes)
+        .map(([key, nodes]) => `[^${key}]: ${inlineMarkdown(nodes)}`);
+
+    if (definitions.length > 0) {
+        markdown += `\n\n${definitions.join('\n')}`;
+    }
+    return markdown;
+};
+
+// ---------------------------------------------------------------------------
+// LaTeX
+// ---------------------------------------------------------------------------
+
+const LATEX_ESCAPES = {
+    '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '%': '\\%',
+    '#': '\\#', '_': '\\_', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}'
+};
+
+const escapeLatex = (text) => String(text).replace(/[\\{}$&%#_~^]/g, char => LATEX_ESCAPES[char]);
+
+const SECTIONING = ['section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph'];
+
+/**
+ * Math in LaTeX output: inline TeX is copied as written, display math becomes \[...\]
+ * unless it already is an environment
+ */
+const latexEquation = (node) => {
+    if (/^\\begin\{/.test(node.raw)) return node.raw;
+    return node.display ? `\\[\n${node.tex.trim()}\n\\]` : node.raw;
+};
+
+const latexInline = (nodes, context) => nodes.map((node, index) => {
+    switch (node.type) {
+        case 'strong':
+            return `\\textbf{${latexInline(node.children, context)}}`;
+        case 'emphasis':
+            return `\\emph{${latexInline(node.children, context)}}`;
+        case 'code':
+            return `\\texttt{${escapeLatex(node.value)}}`;
+        case 'citation': {
+            const previous = nodes[index - 1];
+            const cited = context.cite ? context.cite(node.value, previous && previous.type === 'text' ? previous.value : '') : null;
+            return cited || escapeLatex(node.value);
+        }
+        case 'math':
+            return latexEquation(node);
+        case 'footnoteRef': {
+            const note = context.footnotes[node.key];
+            return note ? `\\footnote{${latexInline(note, { ...context, footnotes: {} })}}` : escapeLatex(`[^${node.key}]`);
+        }
+        default:
+            return escapeLatex(node.value);
+    }
+}).join('');
+
+const latexList = (items, context) => {
+    const open = [];
+    const lines = [];
+
+    for (const item of items) {
+        const depth = item.level + 1;
+        while (open.length > depth) {
+            lines.push(`${'  '.repeat(open.length - 1)}\\end{${open.pop()}}`);
+        }
+        while (open.length < depth) {
+            const environment = item.ordered ? 'enumerate' : 'itemize';
+            lines.push(`${'  '.repeat(open.length)}\\begin{${environment}}`);
+            open.push(environment);
+        }
+        lines.push(`${'  '.repeat(open.length)}\\item ${latexInline(item.children, context)}`);
+    }
+    while (open.length > 0) {
+        lines.push(`${'  '.repeat(open.length - 1)}\\end{${open.pop()}}`);
+    }
+    return lines.join('\n');
+};
+
+const latexTable = (rows, context) => {
+    const columns = Math.max(...rows.map(row => row.length));
+    const width = (0.9 / columns).toFixed(2);
+    const line = (row) => `${Array.from({ length: columns }, (_, index) => latexInline(row[index] || [], context)).join(' & ')} \\\\`;
+
+    return [
+        '\\begin{center}',
+        `\\begin{tabular}{${`p{${width}\\linewidth}`.repeat(columns)}}`,
+        '\\toprule',
+        line(rows[0]),
+        '\\midrule',
+        ...rows.slice(1).map(line),
+        '\\bottomrule',
+        '\\end{tabular}',
+        '\\end{center}'
+    ].join('\n');
+};
+
+const latexBlocks = (blocks, context) => blocks.map(block => {
+    switch (block.type) {
+        case 'heading': {
+            if (block.references && context.skipReferences) return '';
+            const command = SECTIONING[Math.min(Math.max(block.level - context.topLevel, 0), SECTIONING.length - 1)];
+            return `\\${command}{${latexInline(block.children, context)}}`;
+        }
+        case 'list':
+            return latexList(block.items, context);
+        case 'table':
+            return latexTable(block.rows, context);
+        case 'blockquote':
+            return `\\begin{quote}\n${latexBlocks(block.children, context)}\n\\end{quote}`;
+        case 'reference':
+            return context.skipReferences ? '' : `\\noindent\\hangindent=2em ${latexInline(block.children, context)}`;
+        case 'math':
+            return latexEquation(block);
+        case 'code':
+            return `\\begin{verbatim}\n${block.text}\n\\end{verbatim}`;
+        case 'rule':
+            return '\\noindent\\rule{\\linewidth}{0.4pt}';
+        default:
+            return latexInline(block.children, context);
+    }
+}).filter(Boolean).join('\n\n');
+
+/**
+ * Render a document as a LaTeX body (the part between \begin{document} and the bibliography)
+ * The highest heading level present becomes \section.
+ * @param {Object} document - Document node
+ * @param {Object} options
+ * @param {Function} options.cite - (citationText, precedingText) => LaTeX citation command, or null to keep the text
+ * @param {boolean} options.skipReferences - Leave out the reference list (default true; the .bib replaces it)
+ * @returns {string} LaTeX
+ */
+const toLatex = (document, { cite = null, skipReferences = true } = {}) => {
+    const levels = document.children.filter(block => block.type === 'heading').map(block => block.level);
+    const context = {
+        cite,
+        skipReferences,
+        footnotes: document.footnotes,
+        topLevel: levels.length > 0 ? Math.min(...levels) : 1
+    };
+    return latexBlocks(document.children, context);
+};
+
+module.exports = {
+    DOCUMENT_CSS,
+    escapeHtml,
+    toHtml,
+    toText,
+    toMarkdown,
+    inlineMarkdown,
+    escapeLatex,
+    toLatex
+};
@@ -0,0 +1,351 @@
+/**
+ * Language helpers for multilingual generation
+ * Length is counted in each language's own unit: characters for Chinese and Japanese,
+ * dictionary words for Thai (which has no spaces between words) and space-separated
+ * words everywhere else. Plan limits and credit prices are defined in English words,
+ * so lengths are converted to word equivalents before they are checked or charged.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// unitsPerWord: how many counted units correspond to one English word of content
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', unit: 'words', unitsPerWord: 1, readability: 'flesch' },
+    es: { name: 'Spanish', nativeName: 'Español', unit: 'words', unitsPerWord: 1, readability: 'fernandez-huerta' },
+    fr: { name: 'French', nativeName: 'Français', unit: 'words', unitsPerWord: 1, readability: 'kandel-moles' },
+    de: { name: 'German', nativeName: 'Deutsch', unit: 'words', unitsPerWord: 1, readability: 'amstad' },
+    it: { name: 'Italian', nativeName: 'Italiano', unit: 'words', unitsPerWord: 1, readability: 'flesch-vacca' },
+    pt: { name: 'Portuguese', nativeName: 'Português', unit: 'words', unitsPerWord: 1, readability: 'flesch-martins' },
+    nl: { name: 'Dutch', nativeName: 'Nederlands', unit: 'words', unitsPerWord: 1, readability: 'douma' },
+    ru: { name: 'Russian', nativeName: 'Русский', unit: 'words', unitsPerWord: 1, readability: 'oborneva' },
+    ar: { name: 'Arabic', nativeName: 'العربية', unit: 'words', unitsPerWord: 1, readability: 'sentence-length', sentenceBands: [10, 16, 22, 30] },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी', unit: 'words', unitsPerWord: 1, readability: 'sentence-length', sentenceBands: [10, 16, 22, 30] },
+    ko: { name: 'Korean', nativeName: '한국어', unit: 'words', unitsPerWord: 1, readability: 'sentence-length', sentenceBands: [7, 11, 15, 20] },
+    th: { name: 'Thai', nativeName: 'ไทย', unit: 'words', unitsPerWord: 1, readability: 'sentence-length', sentenceBands: [10, 16, 22, 30] },
+    zh: { name: 'Chinese', nativeName: '中文', unit: 'characters', unitsPerWord: 1.6, readability: 'sentence-length', sentenceBands: [15, 22, 30, 40] },
+    ja: { name: 'Japanese', nativeName: '日本語', unit: 'characters', unitsPerWord: 2, readability: 'sentence-length', sentenceBands: [25, 35, 45, 60] }
+};
+
+// Reading-ease formulas: score = base - asl * ASL - asw * ASW
+// (ASL = words per sentence, ASW = syllables per word)
+const EASE_FORMULAS = {
+    flesch: { base: 206.835, asl: 1.015, asw: 84.6 },
+    'fernandez-huerta': { base: 206.84, asl: 1.02, asw: 60 },
+    'kandel-moles': { base: 207, asl: 1.015, asw: 73.6 },
+    amstad: { base: 180, asl: 1, asw: 58.5 },
+    'flesch-vacca': { base: 217, asl: 1.3, asw: 60 },
+    'flesch-martins': { base: 248.835, asl: 1.015, asw: 84.6 },
+    douma: { base: 206.835, asl: 0.93, asw: 77 },
+    oborneva: { base: 206.835, asl: 1.3, asw: 60.1 }
+};
+
+const READING_LEVELS = ['Elementary', 'Middle School', 'High School', 'College', 'Graduate'];
+
+const CJK_PATTERN = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF66-\uFF9F]/;
+const CJK_CHARS = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF66-\uFF9F]/g;
+const THAI_PATTERN = /[\u0E00-\u0E7F]/;
+const SCRIPTS = {
+    kana: /[\u3040-\u30FF\uFF66-\uFF9F]/g,
+    han: /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g,
+    hangul: /[\uAC00-\uD7AF\u1100-\u11FF]/g,
+    thai: /[\u0E00-\u0E7F]/g,
+    arabic: /[\u0600-\u06FF]/g,
+    cyrillic: /[\u0400-\u04FF]/g,
+    devanagari: /[\u0900-\u097F]/g,
+    latin: /[A-Za-z\u00C0-\u024F]/g
+};
+
+const thaiSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter('th', { granularity: 'word' }) : null;
+const wordSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+/**
+ * Normalize a language code ('en-US', 'ZH_Hans' -> 'en', 'zh')
+ * @param {string} language - Language code
+ * @returns {string|null} Supported code, or null when unsupported
+ */
+const normalizeLanguage = (language) => {
+    if (language === undefined || language === null || language === '') {
+        return DEFAULT_LANGUAGE;
+    }
+    const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[code] ? code : null;
+};
+
+const isSupportedLanguage = (language) => normalizeLanguage(language) !== null;
+
+const getLanguage = (language) => LANGUAGES[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+
+/**
+ * Supported languages for API responses
+ * @returns {Array} [{ code, name, nativeName, unit }]
+ */
+const getSupportedLanguages = () => Object.entries(LANGUAGES).map(([code, info]) => ({
+    code,
+    name: info.name,
+    nativeName: info.nativeName,
+    unit: info.unit
+}));
+
+/**
+ * Guess the language of a text from its script
+ * Latin-script text cannot be told apart this way and returns null.
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Language code or null
+ */
+const detectLanguage = (text) => {
+    if (!text || typeof text !== 'string') return null;
+    const sample = text.length > 20000 ? text.substring(0, 20000) : text;
+    const counts = Object.fromEntries(Object.entries(SCRIPTS)
+        .map(([script, pattern]) => [script, (sample.match(pattern) || []).length]));
+
+    const [dominant, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    if (count === 0 || dominant === 'latin') return null;
+    if (dominant === 'han' || dominant === 'kana') {
+        // Japanese mixes kanji with kana; Chinese has no kana at all
+        return counts.kana > counts.han * 0.1 ? 'ja' : 'zh';
+    }
+    return { hangul: 'ko', thai: 'th', arabic: 'ar', cyrillic: 'ru', devanagari: 'hi' }[dominant];
+};
+
+/**
+ * Count the length of a text in its language's unit
+ * Space-separated text counts one per token, so English counts are unchanged; inside a token,
+ * every Chinese/Japanese character counts as one unit and Thai runs are split into words.
+ * @param {string} text - Text to count
+ * @returns {number} Length in words (or characters for Chinese/Japanese text)
+ */
+const countWords = (text) => {
+    if (!text || typeof text !== 'string') return 0;
+
+    return text.trim().split(/\s+/).reduce((total, token) => {
+        if (!token) return total;
+        if (CJK_PATTERN.test(token)) {
+            const characters = (token.match(CJK_CHARS) || []).length;
+            // Latin words or numbers embedded between characters count once each
+            const others = token.replace(CJK_CHARS, ' ').split(/[^\p{L}\p{N}]+/u).filter(Boolean).length;
+            return total + characters + others;
+        }
+        if (THAI_PATTERN.test(token) && thaiSegmenter) {
+            let words = 0;
+            for (const segment of thaiSegmenter.segment(token)) {
+                if (segment.isWordLike) words++;
+            }
+            return total + Math.max(words, 1);
+        }
+        return total + 1;
+    }, 0);
+};
+
+/**
+ * Whether a word is written in a script without spaces between words (Chinese, Japanese, Thai)
+ * @param {string} word - Word or text
+ * @returns {boolean}
+ */
+const isUnspacedScript = (word) => CJK_PATTERN.test(word || '') || THAI_PATTERN.test(word || '');
+
+/**
+ * Split text into lower-cased words, segmenting runs of Chinese, Japanese or Thai
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Words in order of appearance
+ */
+const segmentWords = (text) => {
+    if (!text || typeof text !== 'string') return [];
+
+    const tokens = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    return tokens.flatMap(token => {
+        if (!isUnspacedScript(token)) return [token];
+        if (wordSegmenter) {
+            return [...wordSegmenter.segment(token)]
+                .filter(segment => segment.isWordLike)
+                .map(segment => segment.segment);
+        }
+        // Without a segmenter, fall back to one word per CJK character
+        return token.replace(CJK_CHARS, ' $& ').split(/\s+/).filter(Boolean);
+    });
+};
+
+/**
+ * Convert a length in a language's unit to English word equivalents
+ * @param {number} units - Length in words or characters
+ * @param {string} language - Language code
+ * @returns {number} Word equivalents (rounded up)
+ */
+const toWordEquivalents = (units, language) => {
+    const info = getLanguage(language);
+    return Math.ceil((units || 0) / info.unitsPerWord);
+};
+
+/**
+ * Convert English word equivalents to a language's unit
+ */
+const fromWordEquivalents = (words, language) => {
+    const info = getLanguage(language);
+    return Math.round((words || 0) * info.unitsPerWord);
+};
+
+/**
+ * Length of a text in word equivalents, detecting the language when none is given
+ * @param {string} text - Text to measure
+ * @param {string} language - Optional language code
+ * @returns {number} Word equivalents
+ */
+const wordEquivalents = (text, language = null) => {
+    const code = language ? normalizeLanguage(language) : detectLanguage(text);
+    return toWordEquivalents(countWords(text), code || DEFAULT_LANGUAGE);
+};
+
+/**
+ * Human-readable length, e.g. "500 words" or "800 characters"
+ */
+const describeLength = (units, language) => `${units} ${getLanguage(language).unit}`;
+
+/**
+ * Allowed request length in a language's unit for a range given in English words
+ * @returns {Object} { min, max, unit }
+ */
+const lengthRange = (minWords, maxWords, language) => {
+    const info = getLanguage(language);
+    return {
+        min: Math.ceil(minWords * info.unitsPerWord),
+        max: Math.floor(maxWords * info.unitsPerWord),
+        unit: info.unit
+    };
+};
+
+/**
+ * Prompt instruction setting the output language (empty for English)
+ * @param {string} language - Language code
+ * @returns {string} Instruction sentence
+ */
+const languageInstruction = (language) => {
+    const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+    if (code === DEFAULT_LANGUAGE) return '';
+    const info = LANGUAGES[code];
+    const lengthNote = info.unit === 'characters'
+        ? ` Lengths are measured in ${info.name} characters, not words.`
+        : '';
+    return `Write the entire response in ${info.name} (${info.nativeName}), including headings, using conventions that are natural for ${info.name} writing.${lengthNote}`;
+};
+
+/**
+ * Split text into sentences with the language's sentence rules
+ */
+const splitSentences = (text, language) => {
+    if (!text || typeof text !== 'string') return [];
+    const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+
+    if (typeof Intl.Segmenter === 'function') {
+        const segmenter = new Intl.Segmenter(code, { granularity: 'sentence' });
+        const sentences = [];
+        for (const { segment } of segmenter.segment(text)) {
+            if (/[\p{L}\p{N}]/u.test(segment)) sentences.push(segment.trim());
+        }
+        // Thai often ends sentences with a space rather than punctuation
+        if (code === 'th' && sentences.length <= 1) {
+            return text.split(/\s{1,}/).filter(part => /[\p{L}\p{N}]/u.test(part));
+        }
+        return sentences;
+    }
+
+    return text.split(/[.!?。！？؟।]+/).map(sentence => sentence.trim()).filter(Boolean);
+};
+
+/**
+ * Approximate syllable count for alphabetic languages
+ */
+const countSyllables = (word, language) => {
+    let value = word.toLowerCase();
+
+    if (language === 'ru') {
+        return Math.max(1, (value.match(/[аеёиоуыэюя]/g) || []).length);
+    }
+    if (language === 'en') {
+        if (value.length <= 3) return 1;
+        value = value.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        return Math.max(1, (value.match(/[aeiouy]{1,2}/g) || []).length);
+    }
+    if (language === 'fr') {
+        // Final e, es and ent are usually silent
+        value = value.replace(/(?:e|es|ent)$/, '');
+    }
+    return Math.max(1, (value.match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœ]+/g) || []).length);
+};
+
+const levelFromEase = (ease) => {
+    if (ease >= 80) return READING_LEVELS[0];
+    if (ease >= 65) return READING_LEVELS[1];
+    if (ease >= 50) return READING_LEVELS[2];
+    if (ease >= 30) return READING_LEVELS[3];
+    return READING_LEVELS[4];
+};
+
+/**
+ * Readability metrics suited to the language
+ * Alphabetic languages use their reading-ease adaptation of Flesch; languages without a
+ * syllable-based formula are graded by average sentence length in their own unit.
+ * @param {string} text - Text to score
+ * @param {string} language - Language code (detected from the script when omitted)
+ * @returns {Object} { language, metric, readingEase, averageSentenceLength, averageSyllablesPerWord, sentenceCount, length, unit, readingLevel }
+ */
+const analyzeReadability = (text, language = null) => {
+    const code = (language ? normalizeLanguage(language) : detectLanguage(text)) || DEFAULT_LANGUAGE;
+    const info = LANGUAGES[code];
+    const sentences = splitSentences(text, code);
+    const length = countWords(text);
+    const sentenceCount = Math.max(sentences.length, length > 0 ? 1 : 0);
+    const averageSentenceLength = sentenceCount > 0 ? length / sentenceCount : 0;
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const result = {
+        language: code,
+        metric: info.readability,
+        readingEase: null,
+        averageSentenceLength: round(averageSentenceLength),
+        averageSyllablesPerWord: null,
+        sentenceCount,
+        length,
+        unit: info.unit,
+        readingLevel: READING_LEVELS[0]
+    };
+
+    if (length === 0) {
+        return result;
+    }
+
+    const formula = EASE_FORMULAS[info.readability];
+    if (formula) {
+        const words = text.match(/[\p{L}\p{M}'’]+/gu) || [];
+        const syllables = words.reduce((total, word) => total + countSyllables(word, code), 0);
+        const averageSyllablesPerWord = words.length > 0 ? syllables / words.length : 0;
+        const ease = formula.base - formula.asl * averageSentenceLength - formula.asw * averageSyllablesPerWord;
+
+        result.readingEase = round(Math.max(0, Math.min(100, ease)));
+        result.averageSyllablesPerWord = round(averageSyllablesPerWord);
+        result.readingLevel = levelFromEase(ease);
+        return result;
+    }
+
+    const bandIndex = info.sentenceBands.findIndex(limit => averageSentenceLength < limit);
+    result.readingLevel = READING_LEVELS[bandIndex === -1 ? READING_LEVELS.length - 1 : bandIndex];
+    return result;
+};
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    isSupportedLanguage,
+    getLanguage,
+    getSupportedLanguages,
+    detectLanguage,
+    countWords,
+    isUnspacedScript,
+    segmentWords,
+    toWordEquivalents,
+    fromWordEquivalents,
+    wordEquivalents,
+    describeLength,
+    lengthRange,
+    languageInstruction,
+    splitSentences,
+    analyzeReadability
+};
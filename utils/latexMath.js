@@ -0,0 +1,929 @@
+/**
+ * LaTeX math helpers
+ * Finds inline ($...$, \(...\)) and display ($$...$$, \[...\], equation/align-style
+ * environments) math in generated text, shields it from text processing with
+ * placeholders, and renders it as MathML (HTML/PDF) or OMML (native Word equations).
+ * Rendering covers the notation that shows up in coursework: scripts, fractions, roots,
+ * big operators, delimiters, accents, matrices, font commands and siunitx numbers.
+ * Anything the renderer does not know is kept as literal TeX rather than dropped.
+ */
+
+const MATH_ENVIRONMENTS = [
+    'equation', 'equation*', 'align', 'align*', 'alignat', 'alignat*', 'gather', 'gather*',
+    'multline', 'multline*', 'eqnarray', 'eqnarray*', 'displaymath', 'math'
+];
+
+const PLACEHOLDER_PATTERN = /⟦MATH(\d+)⟧/g;
+const placeholder = (index) => `⟦MATH${index + 1}⟧`;
+
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο',
+    pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+    phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// Letter-like symbols render as identifiers, everything else as operators
+const LETTER_SYMBOLS = {
+    infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ',
+    emptyset: '∅', varnothing: '∅', wp: '℘'
+};
+
+const OPERATORS = {
+    pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+    simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', to: '→', rightarrow: '→', leftarrow: '←',
+    gets: '←', Rightarrow: '⇒', Leftarrow: '⇐', implies: '⟹', iff: '⟺', leftrightarrow: '↔',
+    Leftrightarrow: '⇔', longrightarrow: '⟶', mapsto: '↦', uparrow: '↑', downarrow: '↓',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    cup: '∪', cap: '∩', setminus: '∖', forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧',
+    wedge: '∧', lor: '∨', vee: '∨', oplus: '⊕', otimes: '⊗', perp: '⊥', parallel: '∥', mid: '∣',
+    angle: '∠', triangle: '△', degree: '°', prime: '′', ldots: '…', dots: '…', cdots: '⋯',
+    vdots: '⋮', ddots: '⋱', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈',
+    rceil: '⌉', lbrace: '{', rbrace: '}', vert: '|', Vert: '‖', lvert: '|', rvert: '|',
+    lVert: '‖', rVert: '‖', colon: ':', therefore: '∴', because: '∵',
+    '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '&': '&', '_': '_', '#': '#'
+};
+
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+const INTEGRALS = new Set(['∫', '∬', '∭', '∮']);
+
+const FUNCTIONS = new Set([
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'coth', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'deg', 'arg', 'ker', 'hom', 'gcd', 'Pr',
+    'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf'
+]);
+// Functions whose subscript sits underneath in display math
+const LIMIT_FUNCTIONS = new Set(['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']);
+
+const SPACES = { ',': 0.1667, ':': 0.2222, '>': 0.2222, ';': 0.2778, ' ': 0.25, '!': 0, quad: 1, qquad: 2 };
+
+// [MathML accent mark, OMML combining character]
+const ACCENTS = {
+    hat: ['^', '\u0302'], widehat: ['^', '\u0302'], bar: ['¯', '\u0305'], overline: ['¯', '\u0305'],
+    vec: ['→', '\u20D7'], overrightarrow: ['→', '\u20D7'], dot: ['˙', '\u0307'], ddot: ['¨', '\u0308'],
+    tilde: ['~', '\u0303'], widetilde: ['~', '\u0303'], check: ['ˇ', '\u030C'], breve: ['˘', '\u0306'],
+    acute: ['´', '\u0301'], grave: ['`', '\u0300']
+};
+const UNDER_ACCENTS = { underline: ['_', '\u0332'] };
+
+const FONT_COMMANDS = {
+    mathrm: 'normal', mathup: 'normal', operatorname: 'normal', mathit: 'italic', mathbf: 'bold',
+    boldsymbol: 'bold', bm: 'bold', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+    mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace'
+};
+
+// Commands whose braced argument is read verbatim instead of as math
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'textup', 'textnormal', 'textit', 'textbf', 'mbox', 'hbox']);
+const RAW_ARGUMENT_COMMANDS = new Set([...TEXT_COMMANDS, 'num', 'SI', 'qty', 'label', 'tag', 'begin', 'end']);
+const IGNORED_COMMANDS = new Set(['label', 'nonumber', 'notag', 'displaystyle', 'textstyle', 'limits', 'nolimits']);
+
+const SI_UNITS = {
+    metre: 'm', meter: 'm', second: 's', kilogram: 'kg', gram: 'g', kelvin: 'K', mole: 'mol', ampere: 'A',
+    candela: 'cd', newton: 'N', joule: 'J', watt: 'W', pascal: 'Pa', hertz: 'Hz', volt: 'V', coulomb: 'C',
+    ohm: 'Ω', litre: 'L', liter: 'L', celsius: '°C', degreeCelsius: '°C', percent: '%', per: '/',
+    kilo: 'k', milli: 'm', micro: 'μ', nano: 'n', mega: 'M', giga: 'G', centi: 'c'
+};
+
+const MATRIX_FENCES = {
+    matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], array: ['', '']
+};
+// Row-based display environments whose rows are equations rather than matrix rows
+const EQUATION_ARRAYS = new Set([
+    'align', 'align*', 'aligned', 'alignat', 'alignat*', 'alignedat', 'gather', 'gather*', 'gathered',
+    'multline', 'multline*', 'split', 'eqnarray', 'eqnarray*'
+]);
+
+const RELATIONS = new Set(['=', '<', '>', '≤', '≥', '≠', '≈', '≡', '∼', '≃', '≅', '∝', '→', '⇒', '⇔', '⟹', '⟺', '∈', '⊂', '⊆']);
+
+const escapeXml = (text) => String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Index just past a run of `count` backticks closing an inline code span, or -1
+ */
+const findCodeClose = (text, from, count) => {
+    const fence = '`'.repeat(count);
+    let index = text.indexOf(fence, from);
+    while (index >= 0) {
+        if (text[index + count] !== '`') return index + count;
+        index = text.indexOf(fence, index + count + 1);
+    }
+    return -1;
+};
+
+/**
+ * Position of the `$` closing an inline span opened just before `from`, or -1
+ * Follows the Pandoc rule so prices stay text: no space after the opening `$`,
+ * none before the closing one, no digit right after it, and no blank line inside.
+ */
+const findInlineClose = (text, from) => {
+    if (from >= text.length || /\s|\$/.test(text[from])) return -1;
+    for (let i = from; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '\n' && /^\n[ \t]*\n/.test(text.slice(i, i + 40))) {
+            return -1;
+        } else if (char === '$') {
+            // A dollar that cannot close ("$5 and $10") means the opener was a price too
+            return /\s/.test(text[i - 1]) || /[0-9$]/.test(text[i + 1] || '') ? -1 : i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Find the math spans in a text
+ * Escaped dollars (\$) and inline code are skipped.
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} [{ start, end, raw, tex, display }] in document order;
+ *   `tex` is the TeX without delimiters (environments keep their \begin/\end)
+ */
+const findMathSpans = (text) => {
+    const spans = [];
+    if (!text || typeof text !== 'string' || !/[$\\]/.test(text)) return spans;
+
+    const push = (start, end, tex, display) => {
+        if (tex.trim()) {
+            spans.push({ start, end, raw: text.slice(start, end), tex: tex.trim(), display });
+        }
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '`') {
+            let count = 1;
+            while (text[i + count] === '`') count++;
+            const close = findCodeClose(text, i + count, count);
+            i = close > 0 ? close : i + count;
+            continue;
+        }
+
+        if (char === '\\') {
+            const next = text[i + 1];
+            if (next === '[' || next === '(') {
+                const closer = next === '[' ? '\\]' : '\\)';
+                const end = text.indexOf(closer, i + 2);
+                if (end > i) {
+                    push(i, end + 2, text.slice(i + 2, end), next === '[');
+                    i = end + 2;
+                    continue;
+                }
+            } else if (text.startsWith('\\begin{', i)) {
+                const environment = /^\\begin\{([a-zA-Z]+\*?)\}/.exec(text.slice(i, i + 30));
+                if (environment && MATH_ENVIRONMENTS.includes(environment[1])) {
+                    const endTag = `\\end{${environment[1]}}`;
+                    const end = text.indexOf(endTag, i);
+                    if (end > i) {
+                        const raw = text.slice(i, end + endTag.length);
+                        push(i, end + endTag.length, raw, environment[1] !== 'math');
+                        i = end + endTag.length;
+                        continue;
+                    }
+                }
+            }
+            i += 2;
+            continue;
+        }
+
+        if (char === '$') {
+            if (text[i + 1] === '$') {
+                let end = text.indexOf('$$', i + 2);
+                while (end > 0 && text[end - 1] === '\\') {
+                    end = text.indexOf('$$', end + 1);
+                }
+                if (end > i) {
+                    push(i, end + 2, text.slice(i + 2, end), true);
+                    i = end + 2;
+                } else {
+                    i += 2;
+                }
+                continue;
+            }
+            const close = findInlineClose(text, i + 1);
+            if (close > 0) {
+                push(i, close + 1, text.slice(i + 1, close), false);
+                i = close + 1;
+                continue;
+            }
+        }
+
+        i++;
+    }
+
+    return spans;
+};
+
+const hasMath = (text) => findMathSpans(text).length > 0;
+
+/**
+ * Replace every math span with a placeholder (⟦MATH1⟧, ⟦MATH2⟧, ...)
+ * Placeholders contain no spaces, newlines or markdown characters, so text processing
+ * and LLM rewrites treat each equation as a single opaque word.
+ * @param {string} text - Text with math
+ * @returns {Object} { text, spans } - spans as returned by findMathSpans
+ */
+const protectMath = (text) => {
+    const spans = findMathSpans(text);
+    if (spans.length === 0) {
+        return { text, spans };
+    }
+
+    let output = '';
+    let last = 0;
+    spans.forEach((span, index) => {
+        output += text.slice(last, span.start) + placeholder(index);
+        last = span.end;
+    });
+    return { text: output + text.slice(last), spans };
+};
+
+/**
+ * Put math back in place of placeholders
+ * @param {string} text - Text with placeholders
+ * @param {Array<Object|string>} replacements - Spans from protectMath, or one rendered string per span
+ * @returns {string} Restored text
+ */
+const restoreMath = (text, replacements) => {
+    if (!replacements || replacements.length === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (match, number) => {
+        const value = replacements[Number(number) - 1];
+        if (value === undefined) return match;
+        return typeof value === 'string' ? value : value.raw;
+    });
+};
+
+/**
+ * Whether a rewrite kept every placeholder exactly once (and invented none)
+ * @param {string} text - Rewritten text
+ * @param {Array} spans - Spans from protectMath
+ * @returns {boolean}
+ */
+const placeholdersIntact = (text, spans) => {
+    const counts = new Array(spans.length).fill(0);
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        const index = Number(match[1]) - 1;
+        if (index >= spans.length) return false;
+        counts[index]++;
+    }
+    return counts.every(count => count === 1);
+};
+
+/**
+ * Prompt line telling a model how to treat placeholders
+ * @param {number} count - Number of protected spans
+ * @returns {string} Instruction, or '' when nothing was protected
+ */
+const placeholderInstruction = (count) => (count > 0
+    ? `The text contains ${count} equation placeholder${count === 1 ? '' : 's'} such as ${placeholder(0)}. Copy every placeholder exactly once, character for character, where it belongs in the sentence; never rewrite, translate, merge or drop them.`
+    : '');
+
+// ---------------------------------------------------------------------------
+// TeX parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a balanced {...} group starting at `index` (which must be '{')
+ * @returns {Object|null} { content, end } with end just past the closing brace
+ */
+const readBraced = (tex, index) => {
+    let i = index;
+    while (i < tex.length && /\s/.test(tex[i])) i++;
+    if (tex[i] !== '{') return null;
+    let depth = 0;
+    for (let j = i; j < tex.length; j++) {
+        if (tex[j] === '\\') {
+            j++;
+        } else if (tex[j] === '{') {
+            depth++;
+        } else if (tex[j] === '}') {
+            depth--;
+            if (depth === 0) return { content: tex.slice(i + 1, j), end: j + 1 };
+        }
+    }
+    return null;
+};
+
+const tokenize = (tex) => {
+    const tokens = [];
+    let i = 0;
+    while (i < tex.length) {
+        const char = tex[i];
+
+        if (char === '\\') {
+            const name = /^[a-zA-Z]+/.exec(tex.slice(i + 1));
+            if (!name) {
+                if (i + 1 < tex.length) tokens.push({ type: 'command', value: tex[i + 1] });
+                i += 2;
+                continue;
+            }
+            i += 1 + name[0].length;
+            const token = { type: 'command', value: name[0] };
+            if (RAW_ARGUMENT_COMMANDS.has(name[0])) {
+                const argument = readBraced(tex, i);
+                if (argument) {
+                    token.argument = argument.content;
+                    i = argument.end;
+                }
+            }
+            tokens.push(token);
+            continue;
+        }
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (/[0-9]/.test(char)) {
+            const number = /^[0-9]+(?:\.[0-9]+)?/.exec(tex.slice(i))[0];
+            tokens.push({ type: 'number', value: number });
+            i += number.length;
+        } else if (/\p{L}/u.test(char)) {
+            tokens.push({ type: 'letter', value: char });
+            i++;
+        } else {
+            tokens.push({ type: 'char', value: char });
+            i++;
+        }
+    }
+    return tokens;
+};
+
+class TexParser {
+    constructor(tex) {
+        this.tokens = tokenize(tex);
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isChar(token, value) {
+        return token && token.type === 'char' && token.value === value;
+    }
+
+    isCommand(token, value) {
+        return token && token.type === 'command' && token.value === value;
+    }
+
+    parse() {
+        return this.parseRow(() => false);
+    }
+
+    /**
+     * Parse atoms (with their scripts) until `stop(token)` or the end
+     */
+    parseRow(stop) {
+        const children = [];
+        while (this.position < this.tokens.length && !stop(this.peek())) {
+            const token = this.peek();
+            if (this.isChar(token, '}')) {
+                this.next();
+                continue;
+            }
+            const atom = this.parseAtom();
+            if (atom) {
+                children.push(this.parseScripts(atom));
+            }
+        }
+        return { type: 'row', children };
+    }
+
+    parseScripts(base) {
+        let sub = null;
+        let sup = null;
+        let primes = '';
+
+        for (;;) {
+            const token = this.peek();
+            if (this.isChar(token, '_') && !sub) {
+                this.next();
+                sub = this.parseArgument();
+            } else if (this.isChar(token, '^') && !sup) {
+                this.next();
+                sup = this.parseArgument();
+            } else if (this.isChar(token, "'")) {
+                this.next();
+                primes += '′';
+            } else if (this.isCommand(token, 'limits') || this.isCommand(token, 'nolimits')) {
+                this.next();
+            } else {
+                break;
+            }
+        }
+
+        if (primes) {
+            const prime = { type: 'operator', text: primes };
+            sup = sup ? { type: 'row', children: [prime, sup] } : prime;
+        }
+        return sub || sup ? { type: 'scripts', base, sub, sup } : base;
+    }
+
+    /**
+     * A single argument: a braced group or one token
+     */
+    parseArgument() {
+        const token = this.peek();
+        if (!token) return { type: 'row', children: [] };
+        if (this.isChar(token, '{')) {
+            this.next();
+            const row = this.parseRow(t => this.isChar(t, '}'));
+            this.next();
+            return row.children.length === 1 ? row.children[0] : row;
+        }
+        if (token.type === 'number' && token.value.length > 1) {
+            // x^23 means x^2 3
+            this.tokens.splice(this.position, 1,
+                { type: 'number', value: token.value[0] },
+                { type: 'number', value: token.value.slice(1) });
+        }
+        return this.parseAtom() || { type: 'row', children: [] };
+    }
+
+    parseOptional() {
+        if (!this.isChar(this.peek(), '[')) return null;
+        this.next();
+        const row = this.parseRow(t => this.isChar(t, ']'));
+        this.next();
+        return row;
+    }
+
+    parseDelimiter() {
+        const token = this.next();
+        if (!token) return '';
+        if (token.type === 'char') return token.value === '.' ? '' : token.value;
+        if (token.type === 'command') {
+            if (token.value === '.') return '';
+            return OPERATORS[token.value] || token.value;
+        }
+        return token.value;
+    }
+
+    parseAtom() {
+        const token = this.next();
+        if (!token) return null;
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', text: token.value };
+            case 'letter':
+                return { type: 'identifier', text: token.value };
+            case 'char':
+                return this.parseCharacter(token.value);
+            default:
+                return this.parseCommand(token);
+        }
+    }
+
+    parseCharacter(char) {
+        switch (char) {
+            case '{': {
+                const row = this.parseRow(t => this.isChar(t, '}'));
+                this.next();
+                return row;
+            }
+            case '^':
+            case '_':
+                this.position--;
+                return { type: 'row', children: [] };
+            case '&':
+            case '~':
+                return { type: 'space', width: char === '~' ? 0.25 : 0 };
+            case '-':
+                return { type: 'operator', text: '−' };
+            case '*':
+                return { type: 'operator', text: '∗' };
+            case "'":
+                return { type: 'operator', text: '′' };
+            default:
+                return { type: 'operator', text: char };
+        }
+    }
+
+    parseCommand(token) {
+        const name = token.value;
+
+        if (name === 'begin') return this.parseEnvironment(token.argument || '');
+        if (name === '\\' || name === 'end' || name === 'right' || IGNORED_COMMANDS.has(name)) return null;
+        if (name === 'tag') return token.argument ? { type: 'text', text: `(${token.argument})` } : null;
+
+        if (GREEK[name]) return { type: 'identifier', text: GREEK[name], upright: /^[A-Z]/.test(name) };
+        if (LETTER_SYMBOLS[name]) return { type: 'identifier', text: LETTER_SYMBOLS[name], upright: true };
+        if (OPERATORS[name]) return { type: 'operator', text: OPERATORS[name] };
+        if (LARGE_OPERATORS[name]) return { type: 'operator', text: LARGE_OPERATORS[name], large: true };
+        if (FUNCTIONS.has(name)) return { type: 'function', text: name, limits: LIMIT_FUNCTIONS.has(name) };
+        if (SPACES[name] !== undefined) return { type: 'space', width: SPACES[name] };
+        if (TEXT_COMMANDS.has(name)) return { type: 'text', text: token.argument || '' };
+
+        if (FONT_COMMANDS[name]) {
+            const body = this.parseArgument();
+            if (name === 'operatorname') {
+                return { type: 'function', text: this.plainText(body), limits: false };
+            }
+            return { type: 'style', variant: FONT_COMMANDS[name], body };
+        }
+        if (ACCENTS[name]) return { type: 'accent', marks: ACCENTS[name], body: this.parseArgument() };
+        if (UNDER_ACCENTS[name]) return { type: 'accent', marks: UNDER_ACCENTS[name], under: true, body: this.parseArgument() };
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac':
+                return { type: 'fraction', numerator: this.parseArgument(), denominator: this.parseArgument() };
+            case 'binom':
+            case 'dbinom':
+            case 'tbinom':
+                return { type: 'fraction', numerator: this.parseArgument(), denominator: this.parseArgument(), binomial: true };
+            case 'sqrt': {
+                const index = this.parseOptional();
+                return { type: 'root', index, body: this.parseArgument() };
+            }
+            case 'left': {
+                const open = this.parseDelimiter();
+                const body = this.parseRow(t => this.isCommand(t, 'right'));
+                this.next();
+                const close = this.parseDelimiter();
+                return { type: 'fenced', open, close, body };
+            }
+            case 'big': case 'Big': case 'bigg': case 'Bigg':
+            case 'bigl': case 'bigr': case 'Bigl': case 'Bigr':
+            case 'biggl': case 'biggr': case 'Biggl': case 'Biggr':
+                return { type: 'operator', text: this.parseDelimiter() };
+            case 'num':
+                return this.parseSiNumber(token.argument || '');
+            case 'SI':
+            case 'qty': {
+                const number = this.parseSiNumber(token.argument || '');
+                const unit = this.parseUnit();
+                return { type: 'row', children: [number, { type: 'space', width: 0.1667 }, unit] };
+            }
+            case 'si':
+            case 'unit':
+                return this.parseUnit();
+            case 'not': {
+                const negated = this.parseAtom();
+                const text = negated && negated.text ? `${negated.text}\u0338` : '/';
+                return { type: 'operator', text };
+            }
+            default:
+                if (SI_UNITS[name]) return { type: 'identifier', text: SI_UNITS[name], upright: true };
+                // Unknown command: keep the TeX so nothing silently disappears
+                return { type: 'text', text: `\\${name}`, literal: true };
+        }
+    }
+
+    /**
+     * siunitx number: 1.2e-3 -> 1.2 × 10^{-3}
+     */
+    parseSiNumber(raw) {
+        const match = /^\s*([-+]?[0-9.,]*)\s*(?:[eE]\s*([-+]?[0-9]+))?\s*$/.exec(raw);
+        if (!match) return { type: 'text', text: raw };
+        const children = [];
+        const mantissa = match[1].replace(/^-/, '−');
+        if (mantissa) children.push({ type: 'number', text: mantissa });
+        if (match[2] !== undefined) {
+            if (mantissa) children.push({ type: 'operator', text: '×' });
+            children.push({
+                type: 'scripts',
+                base: { type: 'number', text: '10' },
+                sub: null,
+                sup: { type: 'number', text: match[2].replace(/^-/, '−').replace(/^\+/, '') }
+            });
+        }
+        return { type: 'row', children };
+    }
+
+    parseUnit() {
+        const unit = this.parseArgument();
+        return { type: 'style', variant: 'normal', body: unit };
+    }
+
+    /**
+     * Rows separated by \\ with cells separated by &
+     */
+    parseEnvironment(name) {
+        const atEnd = t => this.isCommand(t, 'end');
+        const rows = [];
+        let row = [];
+
+        if (name === 'array' || name === 'alignat' || name === 'alignat*' || name === 'alignedat') {
+            // Column spec / column count argument
+            if (this.isChar(this.peek(), '{')) {
+                this.parseArgument();
+            }
+        }
+
+        while (this.position < this.tokens.length && !atEnd(this.peek())) {
+            const cell = this.parseRow(t => atEnd(t) || this.isChar(t, '&') || this.isCommand(t, '\\'));
+            row.push(cell);
+            const separator = this.next();
+            if (!separator || this.isCommand(separator, 'end')) {
+                this.position -= separator ? 1 : 0;
+                break;
+            }
+            if (this.isCommand(separator, '\\')) {
+                this.parseOptional(); // \\[2pt]
+                rows.push(row);
+                row = [];
+            }
+        }
+        this.next();
+        if (row.some(cell => cell.children.length > 0) || rows.length === 0) {
+            rows.push(row);
+        }
+
+        if (!EQUATION_ARRAYS.has(name) && !MATRIX_FENCES[name]) {
+            // equation, displaymath, ...: a single expression
+            return rows.length === 1 && rows[0].length === 1 ? rows[0][0] : { type: 'table', rows, equations: true };
+        }
+
+        const [open, close] = MATRIX_FENCES[name] || ['', ''];
+        return { type: 'table', rows, equations: EQUATION_ARRAYS.has(name), open, close };
+    }
+
+    plainText(node) {
+        if (!node) return '';
+        if (node.type === 'row') return node.children.map(child => this.plainText(child)).join('');
+        if (node.type === 'style') return this.plainText(node.body);
+        return node.text || '';
+    }
+}
+
+const parseTex = (tex) => {
+    return new TexParser(tex).parse();
+};
+
+// ---------------------------------------------------------------------------
+// Font variants (Unicode mathematical alphanumerics)
+// ---------------------------------------------------------------------------
+
+const VARIANT_RANGES = {
+    bold: { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE },
+    'double-struck': { upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8, exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' } },
+    script: { upper: 0x1D49C, lower: 0x1D4B6, exceptions: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' } },
+    fraktur: { upper: 0x1D504, lower: 0x1D51E, exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' } },
+    'sans-serif': { upper: 0x1D5A0, lower: 0x1D5BA, digit: 0x1D7E2 },
+    monospace: { upper: 0x1D670, lower: 0x1D68A, digit: 0x1D7F6 }
+};
+
+const applyVariant = (text, variant) => {
+    const range = VARIANT_RANGES[variant];
+    if (!range) return text;
+    return Array.from(text).map(char => {
+        if (range.exceptions && range.exceptions[char]) return range.exceptions[char];
+        const code = char.charCodeAt(0);
+        if (code >= 65 && code <= 90) return String.fromCodePoint(range.upper + code - 65);
+        if (code >= 97 && code <= 122) return String.fromCodePoint(range.lower + code - 97);
+        if (code >= 48 && code <= 57 && range.digit) return String.fromCodePoint(range.digit + code - 48);
+        return char;
+    }).join('');
+};
+
+const isLargeOperator = (node) => node && node.type === 'operator' && node.large;
+const baseOf = (node) => (node && node.type === 'scripts' ? node.base : node);
+
+// ---------------------------------------------------------------------------
+// MathML
+// ---------------------------------------------------------------------------
+
+const mathmlNode = (node, context) => {
+    if (!node) return '<mrow></mrow>';
+    const variant = context.variant;
+
+    switch (node.type) {
+        case 'row': {
+            const children = node.children.map(child => mathmlNode(child, context)).join('');
+            return node.children.length === 1 ? children : `<mrow>${children}</mrow>`;
+        }
+        case 'identifier': {
+            const text = applyVariant(node.text, variant);
+            const upright = node.upright || variant === 'normal';
+            return `<mi${upright && Array.from(text).length === 1 ? ' mathvariant="normal"' : ''}>${escapeXml(text)}</mi>`;
+        }
+        case 'number':
+            return `<mn>${escapeXml(applyVariant(node.text, variant))}</mn>`;
+        case 'operator':
+            return `<mo>${escapeXml(node.text)}</mo>`;
+        case 'function':
+            return `<mi>${escapeXml(node.text)}</mi>`;
+        case 'text':
+            return `<mtext>${escapeXml(node.text)}</mtext>`;
+        case 'space':
+            return `<mspace width="${node.width}em"></mspace>`;
+        case 'fraction': {
+            const fraction = `<mfrac${node.binomial ? ' linethickness="0"' : ''}>${mathmlNode(node.numerator, context)}${mathmlNode(node.denominator, context)}</mfrac>`;
+            return node.binomial ? `<mrow><mo>(</mo>${fraction}<mo>)</mo></mrow>` : fraction;
+        }
+        case 'root':
+            return node.index
+                ? `<mroot>${mathmlNode(node.body, context)}${mathmlNode(node.index, context)}</mroot>`
+                : `<msqrt>${mathmlNode(node.body, context)}</msqrt>`;
+        case 'scripts': {
+            const base = mathmlNode(node.base, context);
+            const sub = node.sub ? mathmlNode(node.sub, context) : '';
+            const sup = node.sup ? mathmlNode(node.sup, context) : '';
+            const underOver = (isLargeOperator(node.base) && !INTEGRALS.has(node.base.text))
+                || (node.base.type === 'function' && node.base.limits && context.display);
+            const [both, under, over] = underOver ? ['munderover', 'munder', 'mover'] : ['msubsup', 'msub', 'msup'];
+            if (sub && sup) return `<${both}>${base}${sub}${sup}</${both}>`;
+            return sub ? `<${under}>${base}${sub}</${under}>` : `<${over}>${base}${sup}</${over}>`;
+        }
+        case 'fenced':
+            return `<mrow>${node.open ? `<mo fence="true">${escapeXml(node.open)}</mo>` : ''}${mathmlNode(node.body, context)}${node.close ? `<mo fence="true">${escapeXml(node.close)}</mo>` : ''}</mrow>`;
+        case 'accent': {
+            const [mark] = node.marks;
+            return node.under
+                ? `<munder accentunder="true">${mathmlNode(node.body, context)}<mo>${escapeXml(mark)}</mo></munder>`
+                : `<mover accent="true">${mathmlNode(node.body, context)}<mo>${escapeXml(mark)}</mo></mover>`;
+        }
+        case 'style':
+            return mathmlNode(node.body, { ...context, variant: node.variant });
+        case 'table': {
+            const rows = node.rows.map(row => `<mtr>${row.map(cell => `<mtd>${mathmlNode(cell, context)}</mtd>`).join('')}</mtr>`).join('');
+            const table = `<mtable${node.equations ? ' displaystyle="true"' : ''}>${rows}</mtable>`;
+            if (!node.open && !node.close) return table;
+            return `<mrow>${node.open ? `<mo fence="true">${escapeXml(node.open)}</mo>` : ''}${table}${node.close ? `<mo fence="true">${escapeXml(node.close)}</mo>` : ''}</mrow>`;
+        }
+        default:
+            return '';
+    }
+};
+
+/**
+ * Render TeX as a MathML <math> element
+ * The original TeX rides along as an annotation so copy/paste and screen readers keep it.
+ * @param {string} tex - TeX without delimiters
+ * @param {Object} options - { display }
+ * @returns {string|null} MathML, or null when the TeX could not be parsed
+ */
+const toMathML = (tex, { display = false } = {}) => {
+    try {
+        const tree = parseTex(tex);
+        const body = mathmlNode(tree, { display, variant: null });
+        return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}><semantics><mrow>${body}</mrow><annotation encoding="application/x-tex">${escapeXml(tex)}</annotation></semantics></math>`;
+    } catch (error) {
+        return null;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// OMML (Office Math)
+// ---------------------------------------------------------------------------
+
+const ommlRun = (text, { upright = false, plainText = false } = {}) => {
+    if (!text) return '';
+    const properties = plainText ? '<m:rPr><m:nor/></m:rPr>' : upright ? '<m:rPr><m:sty m:val="p"/></m:rPr>' : '';
+    return `<m:r>${properties}<m:t xml:space="preserve">${escapeXml(text)}</m:t></m:r>`;
+};
+
+const ommlNary = (operator, sub, sup, operand, context) => {
+    const location = INTEGRALS.has(operator.text) ? 'subSup' : 'undOvr';
+    return `<m:nary><m:naryPr><m:chr m:val="${escapeXml(operator.text)}"/><m:limLoc m:val="${location}"/>${sub ? '' : '<m:subHide m:val="1"/>'}${sup ? '' : '<m:supHide m:val="1"/>'}</m:naryPr>`
+        + `<m:sub>${sub ? ommlNode(sub, context) : ''}</m:sub><m:sup>${sup ? ommlNode(sup, context) : ''}</m:sup><m:e>${operand}</m:e></m:nary>`;
+};
+
+/**
+ * Row contents; a big operator takes the following atoms (up to the next relation
+ * or top-level + / −) as its operand, the way Word builds n-ary expressions
+ */
+const ommlRow = (children, context) => {
+    let output = '';
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        const base = baseOf(child);
+        if (!isLargeOperator(base)) {
+            output += ommlNode(child, context);
+            continue;
+        }
+
+        let operand = '';
+        while (i + 1 < children.length) {
+            const next = children[i + 1];
+            if (next.type === 'operator' && (RELATIONS.has(next.text) || next.text === '+' || next.text === '−' || next.text === ',')) break;
+            i++;
+            operand += ommlNode(next, context);
+        }
+        output += child.type === 'scripts'
+            ? ommlNary(base, child.sub, child.sup, operand, context)
+            : ommlNary(base, null, null, operand, context);
+    }
+    return output;
+};
+
+const ommlFence = (open, close, content) =>
+    `<m:d><m:dPr><m:begChr m:val="${escapeXml(open)}"/><m:endChr m:val="${escapeXml(close)}"/></m:dPr><m:e>${content}</m:e></m:d>`;
+
+const ommlNode = (node, context) => {
+    if (!node) return '';
+    const variant = context.variant;
+
+    switch (node.type) {
+        case 'row':
+            return ommlRow(node.children, context);
+        case 'identifier':
+            return ommlRun(applyVariant(node.text, variant), { upright: node.upright || variant === 'normal' });
+        case 'number':
+            return ommlRun(applyVariant(node.text, variant));
+        case 'operator':
+            return isLargeOperator(node) ? ommlNary(node, null, null, '', context) : ommlRun(node.text);
+        case 'function':
+            return ommlRun(node.text, { upright: true });
+        case 'text':
+            return ommlRun(node.text, { plainText: true });
+        case 'space':
+            return node.width > 0 ? ommlRun(node.width >= 1 ? '\u2003'.repeat(node.width) : '\u2009') : '';
+        case 'fraction': {
+            const fraction = `<m:f>${node.binomial ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : ''}<m:num>${ommlNode(node.numerator, context)}</m:num><m:den>${ommlNode(node.denominator, context)}</m:den></m:f>`;
+            return node.binomial ? ommlFence('(', ')', fraction) : fraction;
+        }
+        case 'root':
+            return node.index
+                ? `<m:rad><m:deg>${ommlNode(node.index, context)}</m:deg><m:e>${ommlNode(node.body, context)}</m:e></m:rad>`
+                : `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${ommlNode(node.body, context)}</m:e></m:rad>`;
+        case 'scripts': {
+            if (isLargeOperator(node.base)) {
+                return ommlNary(node.base, node.sub, node.sup, '', context);
+            }
+            const base = ommlNode(node.base, context);
+            if (node.base.type === 'function' && node.base.limits && node.sub && !node.sup) {
+                return `<m:limLow><m:e>${base}</m:e><m:lim>${ommlNode(node.sub, context)}</m:lim></m:limLow>`;
+            }
+            if (node.sub && node.sup) {
+                return `<m:sSubSup><m:e>${base}</m:e><m:sub>${ommlNode(node.sub, context)}</m:sub><m:sup>${ommlNode(node.sup, context)}</m:sup></m:sSubSup>`;
+            }
+            return node.sub
+                ? `<m:sSub><m:e>${base}</m:e><m:sub>${ommlNode(node.sub, context)}</m:sub></m:sSub>`
+                : `<m:sSup><m:e>${base}</m:e><m:sup>${ommlNode(node.sup, context)}</m:sup></m:sSup>`;
+        }
+        case 'fenced':
+            return ommlFence(node.open, node.close, ommlNode(node.body, context));
+        case 'accent': {
+            const [, combining] = node.marks;
+            if (combining === '\u0305' || node.under) {
+                return `<m:bar><m:barPr><m:pos m:val="${node.under ? 'bot' : 'top'}"/></m:barPr><m:e>${ommlNode(node.body, context)}</m:e></m:bar>`;
+            }
+            return `<m:acc><m:accPr><m:chr m:val="${combining}"/></m:accPr><m:e>${ommlNode(node.body, context)}</m:e></m:acc>`;
+        }
+        case 'style':
+            return ommlNode(node.body, { ...context, variant: node.variant });
+        case 'table': {
+            if (node.equations) {
+                const rows = node.rows.map(row => `<m:e>${row.map(cell => ommlNode(cell, context)).join('')}</m:e>`).join('');
+                return `<m:eqArr>${rows}</m:eqArr>`;
+            }
+            const columns = Math.max(...node.rows.map(row => row.length));
+            const rows = node.rows.map(row => `<m:mr>${Array.from({ length: columns }, (_, index) => `<m:e>${ommlNode(row[index], context)}</m:e>`).join('')}</m:mr>`).join('');
+            const matrix = `<m:m><m:mPr><m:mcs><m:mc><m:mcPr><m:count m:val="${columns}"/><m:mcJc m:val="${node.open === '{' ? 'left' : 'center'}"/></m:mcPr></m:mc></m:mcs></m:mPr>${rows}</m:m>`;
+            return node.open || node.close ? ommlFence(node.open, node.close, matrix) : matrix;
+        }
+        default:
+            return '';
+    }
+};
+
+/**
+ * Render TeX as Office Math for a Word run stream
+ * Inline math becomes <m:oMath>; display math becomes an <m:oMathPara> block.
+ * @param {string} tex - TeX without delimiters
+ * @param {Object} options - { display }
+ * @returns {string|null} OMML, or null when the TeX could not be parsed
+ */
+const toOMML = (tex, { display = false } = {}) => {
+    try {
+        const tree = parseTex(tex);
+        const math = `<m:oMath>${ommlNode(tree, { display, variant: null })}</m:oMath>`;
+        return display ? `<m:oMathPara>${math}</m:oMathPara>` : math;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    MATH_ENVIRONMENTS,
+    findMathSpans,
+    hasMath,
+    protectMath,
+    restoreMath,
+    placeholdersIntact,
+    placeholderInstruction,
+    parseTex,
+    toMathML,
+    toOMML
+};
@@ -205,19 +205,26 @@ class Logger {
         }
     }
     
-    // AI service logging
-    aiRequest(service, userId, prompt, tokens, success, error = null) {
+    // AI service logging (one record per LLM call, see services/llmUsageLedger.js)
+    aiRequest(record) {
         const logData = {
-            service,
-            userId,
-            promptLength: prompt?.length || 0,
-            tokens,
-            success,
+            tool: record.tool,
+            feature: record.feature,
+            provider: record.provider,
+            model: record.model,
+            userId: record.userId,
+            plan: record.plan,
+            promptTokens: record.promptTokens,
+            completionTokens: record.completionTokens,
+            tokensEstimated: record.tokensEstimated,
+            latencyMs: record.latencyMs,
+            attempt: record.attempt,
+            costUsd: record.costUsd,
             timestamp: new Date().toISOString()
         };
         
-        if (error) {
-            logData.error = error.message;
+        if (!record.success) {
+            logData.error = record.error;
             this.error('AI Service Request Failed', logData);
         } else {
             this.info('AI Service Request', logData);
@@ -0,0 +1,64 @@
+/**
+ * Research report text
+ * Builds the markdown-style report for a stored research record. Every research
+ * export (TXT, Markdown, DOCX, PDF) parses this one text into the shared document
+ * tree, so the sections read the same in each format.
+ */
+
+const SECTIONS = [
+    ['executiveSummary', 'Executive Summary'],
+    ['mainFindings', 'Main Findings'],
+    ['keyInsights', 'Key Insights'],
+    ['recommendations', 'Recommendations']
+];
+
+/**
+ * Date of a research record (Firestore Timestamp, Date or ISO string)
+ * @param {Object} research - Research record
+ * @returns {string} Localized date
+ */
+const researchDate = (research) => {
+    const timestamp = research.timestamp;
+    const date = timestamp && typeof timestamp.toDate === 'function' ? timestamp.toDate() : new Date(timestamp || Date.now());
+    return date.toLocaleDateString();
+};
+
+/**
+ * Build the report text
+ * @param {Object} research - Research record
+ * @param {Object} options - { includeHeader, includeSources } (both default true); the PDF
+ *   template lays out the query and sources itself
+ * @returns {string} Markdown-style report
+ */
+const reportMarkdown = (research, { includeHeader = true, includeSources = true } = {}) => {
+    const results = research.results && typeof research.results === 'object'
+        ? research.results
+        : { mainFindings: research.results || '' };
+    const parts = [];
+
+    if (includeHeader) {
+        parts.push('# Research Report');
+        parts.push(`**Query:** ${research.query}`);
+        parts.push(`**Type:** ${research.researchType}`);
+        parts.push(`**Depth:** ${research.depth}/5`);
+        parts.push(`**Date:** ${researchDate(research)}`);
+    }
+
+    for (const [key, heading] of SECTIONS) {
+        if (results[key]) {
+            parts.push(`## ${heading}\n\n${String(results[key]).trim()}`);
+        }
+    }
+
+    if (includeSources && results.sources && results.sources.length > 0) {
+        const sources = results.sources.map((source, index) => `${index + 1}. ${source.citation}`);
+        parts.push(`## Sources\n\n${sources.join('\n')}`);
+    }
+
+    return parts.join('\n\n');
+};
+
+module.exports = {
+    researchDate,
+    reportMarkdown
+};
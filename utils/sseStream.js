@@ -0,0 +1,80 @@
+/**
+ * Server-Sent Events helpers for long-running generation endpoints
+ * Clients opt in with `Accept: text/event-stream` or a `stream=true` query/body flag;
+ * everyone else keeps receiving a single JSON response.
+ */
+
+const HEARTBEAT_INTERVAL = 15000; // Keep proxies from closing idle connections
+
+/**
+ * Check whether the client asked for a streamed response
+ * @param {Object} req - Express request
+ * @returns {boolean} True when SSE should be used
+ */
+const wantsEventStream = (req) => {
+    const accept = req.get('Accept') || '';
+    const flag = req.query.stream ?? req.body?.stream;
+    return accept.includes('text/event-stream') || flag === true || flag === 'true' || flag === '1';
+};
+
+/**
+ * Open an SSE stream on the response
+ * @param {Object} res - Express response
+ * @returns {Object} Stream with send(event, data) and end()
+ */
+const createEventStream = (res) => {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    let eventId = 0;
+
+    const flush = () => {
+        // compression() buffers output unless explicitly flushed
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    };
+
+    const heartbeat = setInterval(() => {
+        if (!closed) {
+            res.write(': heartbeat\n\n');
+            flush();
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    return {
+        get closed() {
+            return closed;
+        },
+
+        send(event, data = {}) {
+            if (closed) return false;
+            eventId++;
+            res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            flush();
+            return true;
+        },
+
+        end() {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+};
+
+module.exports = {
+    wantsEventStream,
+    createEventStream
+};
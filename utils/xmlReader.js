@@ -0,0 +1,125 @@
+/**
+ * Minimal XML reader
+ * Parses the well-formed XML found inside OOXML and OpenDocument packages into a
+ * light element tree. No DTDs, no external entities, no namespace resolution:
+ * element and attribute names keep their prefixes (e.g. `w:p`, `text:h`).
+ */
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+/**
+ * Decode XML character and predefined entity references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[entity] ?? match;
+});
+
+const parseAttributes = (source) => {
+    const attrs = {};
+    const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attrs[match[1]] = decodeEntities(match[3] ?? match[4]);
+    }
+    return attrs;
+};
+
+/**
+ * Parse an XML string into an element tree
+ * @param {string|Buffer} xml - XML source
+ * @returns {Object} Root element { name, attrs, children } where children are elements or strings
+ */
+const parseXml = (xml) => {
+    const source = Buffer.isBuffer(xml) ? xml.toString('utf8') : String(xml);
+    const root = { name: '#document', attrs: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+
+        if (match[1] !== undefined) {
+            current.children.push(match[1]);
+        } else if (match[6] !== undefined) {
+            current.children.push(decodeEntities(match[6]));
+        } else if (match[3] !== undefined) {
+            if (match[2] === '/') {
+                // Close the nearest matching element; tolerate stray end tags
+                for (let i = stack.length - 1; i > 0; i--) {
+                    if (stack[i].name === match[3]) {
+                        stack.length = i;
+                        break;
+                    }
+                }
+            } else {
+                const element = { name: match[3], attrs: parseAttributes(match[4]), children: [] };
+                current.children.push(element);
+                if (match[5] !== '/') {
+                    stack.push(element);
+                }
+            }
+        }
+    }
+
+    return root;
+};
+
+/**
+ * Child elements, optionally filtered by name
+ * @param {Object} node - Element
+ * @param {string} name - Element name to keep
+ * @returns {Array<Object>} Child elements
+ */
+const childElements = (node, name = null) => (node && node.children ? node.children : [])
+    .filter(child => typeof child === 'object' && (!name || child.name === name));
+
+/**
+ * First descendant element with a name (depth-first)
+ * @param {Object} node - Element to search
+ * @param {string} name - Element name
+ * @returns {Object|null} Element
+ */
+const findElement = (node, name) => {
+    for (const child of childElements(node)) {
+        if (child.name === name) return child;
+        const found = findElement(child, name);
+        if (found) return found;
+    }
+    return null;
+};
+
+/**
+ * All descendant elements with a name, in document order
+ * @param {Object} node - Element to search
+ * @param {string} name - Element name
+ * @param {Array} results - Accumulator
+ * @returns {Array<Object>} Elements
+ */
+const findElements = (node, name, results = []) => {
+    for (const child of childElements(node)) {
+        if (child.name === name) results.push(child);
+        findElements(child, name, results);
+    }
+    return results;
+};
+
+module.exports = {
+    parseXml,
+    decodeEntities,
+    childElements,
+    findElement,
+    findElements
+};
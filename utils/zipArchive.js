@@ -0,0 +1,209 @@
+/**
+ * Minimal ZIP archive reader/writer
+ * Builds and reads ZIP files in memory with zlib so OOXML/OpenDocument
+ * imports, exports and multi-file downloads need no third-party archive library.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time/date fields
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Build a ZIP archive
+ * @param {Array<Object>} entries - [{ name, data (string|Buffer), store }] in archive order;
+ *   `store: true` writes the entry uncompressed (required for e.g. the EPUB/ODF mimetype file)
+ * @param {Object} options - { date }
+ * @returns {Buffer} ZIP file contents
+ */
+const createZip = (entries, options = {}) => {
+    const { time, date } = toDosDateTime(options.date || new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const method = entry.store ? 0 : 8;
+        const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);             // version needed to extract
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 file names
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt16LE(0, 30);           // extra length
+        central.writeUInt16LE(0, 32);           // comment length
+        central.writeUInt16LE(0, 34);           // disk number
+        central.writeUInt16LE(0, 36);           // internal attributes
+        central.writeUInt32LE(0, 38);           // external attributes
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(0, 20);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {Object} options - { maxEntrySize, maxTotalSize } in bytes, guards against zip bombs
+ * @returns {Map<string, Buffer>} Entry name -> uncompressed data (directories skipped)
+ */
+const readZip = (buffer, options = {}) => {
+    const maxEntrySize = options.maxEntrySize || 50 * 1024 * 1024;
+    const maxTotalSize = options.maxTotalSize || 100 * 1024 * 1024;
+
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = new Map();
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+        // Declared sizes are only a first check; the inflated length is what counts
+        if (size > maxEntrySize || totalSize + size > maxTotalSize) {
+            throw new Error('ZIP archive is too large to extract');
+        }
+
+        const localNameLength = buffer.readUInt16LE(localOffset + 26);
+        const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) {
+            content = data;
+        } else if (method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, {
+                    maxOutputLength: Math.max(1, Math.min(maxEntrySize, maxTotalSize - totalSize))
+                });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new Error('ZIP archive is too large to extract');
+                }
+                throw error;
+            }
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+
+        totalSize += content.length;
+        if (content.length > maxEntrySize || totalSize > maxTotalSize) {
+            throw new Error('ZIP archive is too large to extract');
+        }
+        entries.set(name, content);
+    }
+
+    return entries;
+};
+
+module.exports = {
+    createZip,
+    readZip,
+    crc32
+};